@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Convert a JSON world to the binary world format (src/world-file.js), with the adapter's and
+ * the tile renderer's elevation, river and lake layers computed once and stored alongside.
+ * The server and scripts boot from output/world.bin whenever it exists.
+ *
+ *   node scripts/convert-world.mjs                                 # output/world.json → output/world.bin
+ *   node scripts/convert-world.mjs --in my-world.json --out my-world.bin
+ *
+ * Re-run it after regenerating the world — a stale world.bin still wins over a newer world.json.
+ */
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { writeWorldFile } from '../src/world-file.js';
+import { computeWorldLayers } from '../src/world-adapter.js';
+import { computeRenderLayers } from '../src/tile-renderer.js';
+
+const args = parseArgs(process.argv.slice(2));
+const IN_PATH = args.in || 'output/world.json';
+const OUT_PATH = args.out || IN_PATH.replace(/\.json$/, '') + '.bin';
+
+if (!existsSync(IN_PATH)) {
+  console.error(`❌ No world found at ${IN_PATH}. Run: npm run generate`);
+  process.exit(1);
+}
+
+const started = Date.now();
+console.log(`🏜️  Loading ${IN_PATH}...`);
+const worldData = JSON.parse(readFileSync(IN_PATH, 'utf-8'));
+console.log(`   ${worldData.width}x${worldData.height} tiles loaded`);
+
+console.log('🗺️  Computing derived layers...');
+const layers = {
+  world: computeWorldLayers(worldData),
+  render: computeRenderLayers(worldData),
+};
+
+if (!existsSync(dirname(OUT_PATH))) mkdirSync(dirname(OUT_PATH), { recursive: true });
+const bytes = writeWorldFile(OUT_PATH, worldData, layers);
+console.log(`✅ World saved: ${(bytes / 1024 / 1024).toFixed(1)} MB → ${OUT_PATH} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) out[key] = true;
+    else { out[key] = next; i++; }
+  }
+  return out;
+}
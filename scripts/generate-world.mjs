@@ -1,32 +1,54 @@
 #!/usr/bin/env node
 /**
- * Generate a 2000x2000 world for The Oasis
- * Uses the WORLD project pipeline (copied to src/world/)
- * 
- * For now: just copies the existing generated world from WORLD project
- * TODO: integrate pipeline directly once TypeScript compilation is set up
+ * Generate a world for The Oasis from a blueprint — offline, with the in-repo pipeline
+ * (src/world/: WFC terrain per region → noise variants → decorations).
+ *
+ *   node scripts/generate-world.mjs --blueprint fixtures/mega-blueprint.json --seed 42 --size 2000
+ *
+ * Options:
+ *   --blueprint PATH   region layout (default fixtures/mega-blueprint.json)
+ *   --seed S           world seed (default: the blueprint's seed)
+ *   --size N           world width in tiles; the region size is N / the blueprint's width
+ *                      (default 2000)
+ *   --region-size N    tiles per region side — overrides --size
+ *   --out PATH         output file (default output/world.json)
+ *
+ * The same blueprint, seed and size always produce the same world.
  */
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
+import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { generateWorld } from '../src/world/pipeline/pipeline.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const outDir = join(__dirname, '..', 'output');
-const outPath = join(outDir, 'world.json');
+const args = parseArgs(process.argv.slice(2));
+const BLUEPRINT_PATH = args.blueprint || join(__dirname, '..', 'fixtures', 'mega-blueprint.json');
+const OUT_PATH = args.out || join(__dirname, '..', 'output', 'world.json');
 
-// For now, use the already-generated world from WORLD project
-const WORLD_PROJECT = join(__dirname, '..', '..', 'WORLD', 'output', 'world-2k-v3.json');
+if (!existsSync(BLUEPRINT_PATH)) {
+  console.error(`❌ No blueprint at ${BLUEPRINT_PATH}`);
+  process.exit(1);
+}
+const blueprint = JSON.parse(readFileSync(BLUEPRINT_PATH, 'utf-8'));
+const seed = String(args.seed ?? blueprint.seed);
+const regionSize = parseInt(args['region-size']) || Math.max(1, Math.round((parseInt(args.size) || 2000) / blueprint.width));
 
-if (!existsSync(outDir)) mkdirSync(outDir, { recursive: true });
+console.log(`🌍 Generating "${blueprint.name}" — seed "${seed}", ${blueprint.width}x${blueprint.height} regions of ${regionSize} tiles`);
+const started = Date.now();
+const world = generateWorld({ seed, regionSize, blueprint });
 
-if (existsSync(WORLD_PROJECT)) {
-  console.log('Copying world from WORLD project...');
-  const data = readFileSync(WORLD_PROJECT);
-  writeFileSync(outPath, data);
-  const world = JSON.parse(data);
-  console.log(`✅ World saved: ${world.width}x${world.height} tiles → output/world.json`);
-} else {
-  console.error('❌ No generated world found at:', WORLD_PROJECT);
-  console.error('Run the WORLD pipeline first, or generate inline (TODO)');
-  process.exit(1);
+if (!existsSync(dirname(OUT_PATH))) mkdirSync(dirname(OUT_PATH), { recursive: true });
+writeFileSync(OUT_PATH, JSON.stringify(world));
+console.log(`✅ World saved: ${world.width}x${world.height} tiles, ${world.tileDefs.length} tile types → ${OUT_PATH} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) out[key] = true;
+    else { out[key] = next; i++; }
+  }
+  return out;
 }
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Run the mock LLM (src/mock-llm.js) as a local server, for agents on the LLM brain to talk to
+ * without network access or an API key.
+ *
+ *   node scripts/mock-llm.mjs --port 4100
+ *   BRAIN_LLM_URL=http://127.0.0.1:4100 npm start
+ *
+ * Options:
+ *   --port N        port to listen on (default 4100)
+ *   --host H        interface to bind (default 127.0.0.1)
+ *   --replies PATH  JSON array of canned replies, played back in turn (default: rule-based answers)
+ *   --latency MS    delay every answer, to see how agents behave on a slow model
+ */
+import { readFileSync } from 'fs';
+import { startMockLLM } from '../src/mock-llm.js';
+
+const args = parseArgs(process.argv.slice(2));
+const replies = args.replies ? JSON.parse(readFileSync(args.replies, 'utf-8')) : null;
+if (replies && !Array.isArray(replies)) {
+  console.error('❌ --replies must be a JSON array');
+  process.exit(1);
+}
+
+const llm = await startMockLLM({
+  port: parseInt(args.port) || 4100,
+  host: typeof args.host === 'string' ? args.host : '127.0.0.1',
+  replies,
+  latencyMs: parseInt(args.latency) || 0,
+});
+console.log(`🤖 Mock LLM listening on ${llm.url} (${replies ? `${replies.length} canned replies` : 'rule-based replies'})`);
+console.log(`   BRAIN_LLM_URL=${llm.url} npm start`);
+
+process.on('SIGINT', async () => {
+  await llm.close();
+  console.log(`\n🤖 Answered ${llm.stats.requests} requests`);
+  process.exit(0);
+});
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) out[key] = true;
+    else { out[key] = next; i++; }
+  }
+  return out;
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Replay the journal to a past tick and explain how an agent got there —
+ * its vitals hour by hour and everything the journal recorded it doing.
+ *
+ *   node scripts/replay.mjs --tick 1200 --agent Agent-3
+ *
+ * Options:
+ *   --tick N        tick to rebuild (default: the latest journaled tick)
+ *   --agent A       agent id or name to trace (default: a summary of every agent)
+ *   --world PATH    world file, JSON or binary (default output/world.bin, else output/world.json)
+ *   --data DIR      state directory holding journal/ (default data)
+ *   --out PATH      also write the result as JSON
+ *   --verbose       keep system logs
+ */
+import { writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { replayJournal } from '../src/replay.js';
+import { loadWorld, defaultWorldPath } from '../src/world-file.js';
+import { listSegments, readSegment, queryJournal } from '../src/systems/journal.js';
+
+const args = parseArgs(process.argv.slice(2));
+const WORLD_PATH = args.world || defaultWorldPath('output');
+const DATA_DIR = args.data || 'data';
+
+if (!existsSync(WORLD_PATH)) {
+  console.error(`❌ No world found at ${WORLD_PATH}. Run: npm run generate`);
+  process.exit(1);
+}
+const segments = listSegments(DATA_DIR);
+if (segments.length === 0) {
+  console.error(`❌ No journal in ${DATA_DIR}/journal`);
+  process.exit(1);
+}
+
+const worldData = loadWorld(WORLD_PATH);
+const latest = segments[segments.length - 1];
+const tick = args.tick !== undefined ? parseInt(args.tick) : (readSegment(DATA_DIR, latest.name).at(-1)?.tick ?? latest.tick);
+
+const log = console.log, warn = console.warn;
+if (!args.verbose) console.log = console.warn = () => {};
+
+let agentId = null;
+const vitals = [];
+const run = await replayJournal({
+  worldData,
+  dataDir: DATA_DIR,
+  tick,
+  onTick(sim, t) {
+    agentId ??= findAgent(sim, args.agent)?.id ?? null;
+    const agent = agentId && sim.agents.get(agentId);
+    if (agent && t % sim.clock.TICKS_PER_HOUR === 0) {
+      vitals.push({ tick: t, hp: round(agent.hp), energy: round(agent.energy), hunger: round(agent.hunger), zone: agent.zone });
+    }
+  },
+});
+
+console.log = log;
+console.warn = warn;
+if (run.error) {
+  console.error(`❌ ${run.error}`);
+  process.exit(1);
+}
+
+const { sim } = run;
+const agent = findAgent(sim, args.agent);
+if (args.agent && !agent) {
+  run.close();
+  console.error(`❌ No agent "${args.agent}" at tick ${run.tick}`);
+  process.exit(1);
+}
+
+const names = new Map([...sim.agents.values()].map(a => [a.id, a.name]));
+const result = {
+  tick: run.tick,
+  gameTime: sim.getGameTime(),
+  segment: run.segment,
+  fromTick: run.fromTick,
+  divergence: run.divergence,
+  agent: agent ? sim.serializeAgent(agent) : null,
+  vitals: agent ? vitals : undefined,
+  history: agent ? queryJournal(DATA_DIR, { agentId: agent.id, from: run.fromTick, to: run.tick }).filter(e => e.type !== 'move') : undefined,
+  moves: agent ? run.moves(agent.id).filter(e => e.tick <= run.tick) : undefined,
+  agents: agent ? undefined : [...sim.agents.values()].map(a => ({
+    id: a.id, name: a.name, alive: a.alive, hp: round(a.hp), energy: round(a.energy), hunger: round(a.hunger), zone: a.zone,
+  })),
+};
+run.close();
+
+if (args.out) {
+  mkdirSync(dirname(args.out), { recursive: true });
+  writeFileSync(args.out, JSON.stringify(result, null, 2));
+}
+
+console.log(`\n⏪ Replayed ticks ${run.fromTick} → ${run.tick} (Day ${result.gameTime.day} ${result.gameTime.hour}:00) from segment ${run.segment}`);
+console.log(run.divergence
+  ? `⚠️  Replay diverged from the journal at tick ${run.divergence.tick} — later state is approximate`
+  : '✅ Replay matches the journal');
+
+if (agent) {
+  const a = result.agent;
+  console.log(`\n👤 ${a.name} (${a.id}) — ${a.alive ? 'alive' : 'dead'} at (${a.tileX},${a.tileY}) ${a.zone}`);
+  console.log(`   hp ${round(a.hp)} | energy ${round(a.energy)} | hunger ${round(a.hunger)} | ${a.inventory.length} item stacks`);
+  console.log('\n📈 Vitals by game hour');
+  for (const v of vitals) console.log(`   ${String(v.tick).padStart(7)}  hp ${String(v.hp).padStart(5)}  energy ${String(v.energy).padStart(5)}  hunger ${String(v.hunger).padStart(5)}  ${v.zone}`);
+  console.log('\n📜 Journal');
+  for (const e of result.history) console.log(`   ${String(e.tick).padStart(7)}  ${describe(e, agent.id)}`);
+  console.log(`   (${result.moves.length} moves, ${result.moves.reduce((s, e) => s + e.steps, 0)} tiles, retraced by the replay)`);
+} else {
+  console.log(`\n👥 ${result.agents.length} agents`);
+  for (const a of result.agents) console.log(`   ${a.name.padEnd(16)} ${a.alive ? '   ' : '💀 '}hp ${a.hp}  energy ${a.energy}  hunger ${a.hunger}  ${a.zone}`);
+}
+
+function findAgent(sim, ref) {
+  if (!ref) return null;
+  return sim.agents.get(ref) || [...sim.agents.values()].find(a => a.name === ref) || null;
+}
+
+/** One journal line, naming the other agent when the traced one was on the receiving end */
+function describe(e, traced) {
+  const { seq, tick, type, agentId, otherId, segment, ...rest } = e;
+  const fields = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`);
+  if (agentId !== traced) fields.unshift(`from=${names.get(agentId) || agentId}`);
+  else if (otherId) fields.unshift(`with=${names.get(otherId) || otherId}`);
+  return `${type.padEnd(12)} ${fields.join(' ')}`;
+}
+
+function round(n) {
+  return Math.round((n ?? 0) * 10) / 10;
+}
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) out[key] = true;
+    else { out[key] = next; i++; }
+  }
+  return out;
+}
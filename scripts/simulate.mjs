@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Headless batch runner — boots the world adapter and every game system without
+ * Express or WebSocket, runs simulationTick N times as fast as the CPU allows,
+ * then writes a summary report (hardship, discoveries, levels, resources, projects).
+ *
+ *   node scripts/simulate.mjs --ticks 5000 --agents 10 --seed 42
+ *
+ * Options:
+ *   --ticks N       ticks to run (default 1000)
+ *   --agents N      agents to spawn before the first tick (default 5)
+ *   --names a,b,c   explicit spawn list (overrides --agents)
+ *   --seed S        RNG seed (default: the world's seed)
+ *   --world PATH    world file, JSON or binary (default output/world.bin, else output/world.json)
+ *   --data DIR      state directory, wiped first unless --resume (default output/batch/data)
+ *   --resume        continue from the state already in --data instead of starting fresh
+ *   --out PATH      report file (default output/batch/report.json)
+ *   --llm           allow World Master LLM calls (off by default — they break reproducibility)
+ *   --brain NAME    brain for every spawned agent (default utility; see src/systems/brains.js)
+ *   --mock-llm      answer the LLM brain from the bundled mock (src/mock-llm.js) — offline
+ *   --verbose       keep system logs
+ */
+import { writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { dirname } from 'path';
+import { initSimulation } from '../src/simulation.js';
+import { loadWorld, defaultWorldPath } from '../src/world-file.js';
+import { startMockLLM } from '../src/mock-llm.js';
+
+const args = parseArgs(process.argv.slice(2));
+const TICKS = parseInt(args.ticks) || 1000;
+const WORLD_PATH = args.world || defaultWorldPath('output');
+const DATA_DIR = args.data || 'output/batch/data';
+const OUT_PATH = args.out || 'output/batch/report.json';
+const names = args.names
+  ? String(args.names).split(',').map(n => n.trim()).filter(Boolean)
+  : Array.from({ length: parseInt(args.agents) || 5 }, (_, i) => `Agent-${i + 1}`);
+
+if (!existsSync(WORLD_PATH)) {
+  console.error(`❌ No world found at ${WORLD_PATH}. Run: npm run generate`);
+  process.exit(1);
+}
+if (!args.llm) delete process.env.ANTHROPIC_API_KEY;
+if (!args.resume && existsSync(DATA_DIR)) rmSync(DATA_DIR, { recursive: true, force: true });
+const mockLLM = args['mock-llm'] ? await startMockLLM() : null;
+if (mockLLM) process.env.BRAIN_LLM_URL = mockLLM.url;
+
+console.log('🏜️  Loading world...');
+const worldData = loadWorld(WORLD_PATH);
+console.log(`   ${worldData.width}x${worldData.height} tiles loaded`);
+
+// Systems log freely; silence them unless asked
+const log = console.log, warn = console.warn;
+if (!args.verbose) console.log = console.warn = () => {};
+
+const broadcasts = {};
+const completedProjects = [];
+const sim = initSimulation({
+  worldData,
+  dataDir: DATA_DIR,
+  seed: args.seed,
+  broadcast(msg) {
+    broadcasts[msg.type] = (broadcasts[msg.type] || 0) + 1;
+    if (msg.type === 'projectCompleted') completedProjects.push({ name: msg.projectName, zone: msg.zone, tick: sim.clock.now() });
+  },
+});
+
+const newsByType = {};
+sim.onNews(item => { newsByType[item.type] = (newsByType[item.type] || 0) + 1; });
+
+for (const name of names) {
+  const agent = sim.spawnAgent(name);
+  if (typeof args.brain !== 'string') continue;
+  const result = sim.systems.brains.setBrain(agent.id, args.brain);
+  if (result.error) {
+    console.error(`❌ ${result.error}`);
+    process.exit(1);
+  }
+}
+// Brains other than the built-in one answer over I/O — give them a turn of the event loop per tick
+const thinking = typeof args.brain === 'string' && args.brain !== 'utility';
+
+const gatheredBefore = countGathered();
+// Nothing in the world dies (see src/systems/thirst.js) — what agents go through is running dry,
+// collapsing and how low their HP falls
+const hardship = new Map(); // agentId -> { name, parched, collapses, minHp, wasParched, wasCollapsing }
+const collapses = [];
+const startTick = sim.clock.now();
+const started = Date.now();
+
+for (let i = 0; i < TICKS; i++) {
+  const tick = await sim.simulationTick();
+  if (thinking) await new Promise(resolve => setImmediate(resolve));
+  for (const agent of sim.agents.values()) {
+    let h = hardship.get(agent.id);
+    if (!h) hardship.set(agent.id, h = { name: agent.name, parched: 0, collapses: 0, minHp: agent.hp, wasParched: false, wasCollapsing: false });
+    const parched = (agent.thirst ?? 0) >= 100;
+    const collapsing = sim.systems.thirst.collapsing(agent);
+    if (parched && !h.wasParched) h.parched++;
+    if (collapsing && !h.wasCollapsing) {
+      h.collapses++;
+      collapses.push({ id: agent.id, name: agent.name, tick, zone: agent.zone });
+    }
+    h.wasParched = parched;
+    h.wasCollapsing = collapsing;
+    h.minHp = Math.min(h.minHp, agent.hp);
+  }
+  if (!args.verbose && i % 1000 === 999) log(`   … ${i + 1}/${TICKS} ticks`);
+}
+
+const elapsedMs = Date.now() - started;
+sim.saveState();
+await mockLLM?.close();
+console.log = log;
+console.warn = warn;
+
+// ═══════════════════════════════════════
+// Report
+// ═══════════════════════════════════════
+const agentList = [...sim.agents.values()];
+const levels = {};
+for (const a of agentList) {
+  const lv = a.stats?.level || 1;
+  levels[lv] = (levels[lv] || 0) + 1;
+}
+
+const gatheredAfter = countGathered();
+const gathered = {};
+let gatheredTotal = 0;
+for (const [res, n] of Object.entries(gatheredAfter)) {
+  const delta = n - (gatheredBefore[res] || 0);
+  if (delta > 0) { gathered[res] = delta; gatheredTotal += delta; }
+}
+
+const DISCOVERY_TYPES = ['discovery', 'knowledge', 'observation'];
+const discoveries = {};
+for (const t of DISCOVERY_TYPES) if (newsByType[t]) discoveries[t] = newsByType[t];
+
+const report = {
+  seed: sim.rng.seed,
+  world: `${worldData.width}x${worldData.height}`,
+  ticks: { start: startTick, end: sim.clock.now(), run: TICKS },
+  gameTime: sim.getGameTime(),
+  elapsedMs,
+  ticksPerSecond: Math.round(TICKS / Math.max(0.001, elapsedMs / 1000)),
+  agents: {
+    total: agentList.length,
+    alive: agentList.filter(a => a.alive).length,
+  },
+  hardship: {
+    parched: [...hardship.values()].reduce((s, h) => s + h.parched, 0),
+    collapses,
+    minHp: Math.min(100, ...[...hardship.values()].map(h => h.minHp)),
+    agents: [...hardship.values()].map(({ name, parched, collapses, minHp }) => ({ name, parched, collapses, minHp })),
+  },
+  discoveries: {
+    total: Object.values(discoveries).reduce((s, n) => s + n, 0),
+    byType: discoveries,
+  },
+  levels: {
+    distribution: levels,
+    max: Math.max(1, ...agentList.map(a => a.stats?.level || 1)),
+    average: Math.round(agentList.reduce((s, a) => s + (a.stats?.level || 1), 0) / Math.max(1, agentList.length) * 100) / 100,
+    levelUps: newsByType.level_up || 0,
+    agents: agentList.map(a => ({ name: a.name, level: a.stats?.level || 1, xp: a.stats?.xp || 0, alive: a.alive })),
+  },
+  resourcesGathered: {
+    total: gatheredTotal,
+    byResource: Object.fromEntries(Object.entries(gathered).sort((a, b) => b[1] - a[1])),
+  },
+  projectsCompleted: {
+    total: completedProjects.length,
+    projects: completedProjects,
+  },
+  brains: sim.systems.brains.list(),
+  news: newsByType,
+  broadcasts,
+};
+
+mkdirSync(dirname(OUT_PATH), { recursive: true });
+writeFileSync(OUT_PATH, JSON.stringify(report, null, 2));
+
+console.log(`\n🏜️  THE OASIS — Batch Report`);
+console.log(`🎲 Seed ${report.seed} | ${TICKS} ticks (${report.ticks.start} → ${report.ticks.end}) | Day ${report.gameTime.day}`);
+console.log(`⚡ ${(elapsedMs / 1000).toFixed(1)}s — ${report.ticksPerSecond} ticks/sec`);
+console.log(`👥 Agents: ${report.agents.alive}/${report.agents.total} alive`);
+console.log(`🥵 Parched ${report.hardship.parched}× | lowest HP ${report.hardship.minHp} | collapses: ${collapses.length}${collapses.length ? ' — ' + collapses.map(c => `${c.name} @${c.tick}`).join(', ') : ''}`);
+console.log(`🔍 Discoveries: ${report.discoveries.total}`);
+console.log(`📈 Levels: max ${report.levels.max}, avg ${report.levels.average}, ${report.levels.levelUps} level-ups`);
+console.log(`🧺 Resources gathered: ${gatheredTotal}`);
+for (const [res, n] of Object.entries(report.resourcesGathered.byResource).slice(0, 8)) {
+  console.log(`     ${res.padEnd(14)} ${n}`);
+}
+console.log(`🏗️  Projects completed: ${completedProjects.length}`);
+for (const b of report.brains) {
+  const s = b.stats || {};
+  console.log(`🧠 ${b.name}: ${b.provider} — asked ${s.asked ?? 0}, answered ${s.answered ?? 0}, late ${s.late ?? 0}, invalid ${s.invalid ?? 0}, errors ${s.errors ?? 0}`);
+}
+console.log(`\n✅ Report written to ${OUT_PATH}`);
+
+function countGathered() {
+  const totals = {};
+  for (const mind of Object.values(sim.systems.agentAI.minds)) {
+    for (const [res, n] of Object.entries(mind.memory?.gathered || {})) {
+      totals[res] = (totals[res] || 0) + n;
+    }
+  }
+  return totals;
+}
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) out[key] = true;
+    else { out[key] = next; i++; }
+  }
+  return out;
+}
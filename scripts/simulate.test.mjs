@@ -0,0 +1,50 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { readFileSync, readdirSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { generateWorld } from '../src/world/pipeline/pipeline.js';
+
+const run = promisify(execFile);
+const SIMULATE = fileURLToPath(new URL('./simulate.mjs', import.meta.url));
+const blueprint = JSON.parse(readFileSync(new URL('../fixtures/sample-blueprint.json', import.meta.url), 'utf-8'));
+
+describe('seeded headless run', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'oasis-simulate-'));
+    const log = console.log;
+    console.log = () => {};
+    // 220×220 — the spawn point is picked at least 100 tiles in from the edge
+    try { writeFileSync(join(dir, 'world.json'), JSON.stringify(generateWorld({ seed: 'simulate-test', regionSize: 110, blueprint }))); }
+    finally { console.log = log; }
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  async function simulate(name, seed) {
+    const data = join(dir, name), out = join(dir, `${name}.json`);
+    await run(process.execPath, [SIMULATE, '--world', join(dir, 'world.json'), '--data', data, '--out', out, '--ticks', '300', '--agents', '4', '--seed', seed], { timeout: 120000 });
+    const { elapsedMs, ticksPerSecond, ...report } = JSON.parse(readFileSync(out, 'utf-8'));
+    // Everything the systems saved, bar the agents' API tokens — those are meant to be unguessable
+    const state = {};
+    for (const file of readdirSync(data).filter(f => f.endsWith('.json'))) {
+      state[file] = JSON.parse(readFileSync(join(data, file), 'utf-8'));
+    }
+    for (const agent of Object.values(state['agents.json'])) delete agent.token;
+    return { report, state };
+  }
+
+  it('plays out the same twice from the same world and seed', async () => {
+    const a = await simulate('a', '5');
+    const b = await simulate('b', '5');
+    assert.ok(a.report.resourcesGathered.total > 0, 'the agents got something done');
+    assert.deepEqual(b.report, a.report);
+    assert.deepEqual(Object.keys(b.state).sort(), Object.keys(a.state).sort());
+    for (const file of Object.keys(a.state)) assert.deepEqual(b.state[file], a.state[file], `${file} differs`);
+  });
+});
@@ -4,33 +4,17 @@ import express from 'express';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import crypto from 'crypto';
+import { dirname, join, basename } from 'path';
+import { existsSync } from 'fs';
 
-// World adapter (bridges WORLD terrain → ClawScape-style zones)
-import { initWorldAdapter } from './src/world-adapter.js';
+// Simulation core (world adapter + all game systems) and the tile renderer
+import { initSimulation } from './src/simulation.js';
 import { initTileRenderer } from './src/tile-renderer.js';
-
-// Game Systems
-import { initAgentIntelligence } from './src/systems/agent-intelligence.js';
-import { initWeather } from './src/systems/weather.js';
-import { initProficiency } from './src/systems/proficiency.js';
-import { initEcosystem } from './src/systems/ecosystem.js';
-import { initReputation } from './src/systems/reputation.js';
-import { initRelationships } from './src/systems/relationships.js';
-import { initNPCSocial } from './src/systems/npc-social.js';
-import { attachProperties, getProperties, ZONE_HEAT_BONUS } from './src/systems/materials.js';
-import { initExperiments } from './src/systems/experiments.js';
-import { initSurvival } from './src/systems/survival.js';
-import { initDecay } from './src/systems/decay.js';
-import { initKnowledge } from './src/systems/knowledge.js';
-import { initWorldMaster } from './src/systems/world-master.js';
-import { initCooking } from './src/systems/cooking.js';
-import { initAchievements } from './src/systems/achievements.js';
-import { initCollectiveProjects } from './src/systems/collective-projects.js';
-import { initEncounters } from './src/systems/encounters.js';
-import { initOracle } from './src/systems/oracle.js';
+import { loadWorld, defaultWorldPath } from './src/world-file.js';
+import { initSaves } from './src/systems/saves.js';
+import { archiveJournal, listSegments, pruneJournal, queryJournal } from './src/systems/journal.js';
+import { replayJournal } from './src/replay.js';
+import { initTickLoop } from './src/tick-loop.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -42,128 +26,132 @@ const wss = new WebSocketServer({ server });
 app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
 
-// ═══════════════════════════════════════
-// Data persistence
-// ═══════════════════════════════════════
 const DATA_DIR = join(__dirname, 'data');
-if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
-
-function loadJSON(filename, fallback = {}) {
-  const p = join(DATA_DIR, filename);
-  if (existsSync(p)) {
-    try { return JSON.parse(readFileSync(p, 'utf-8')); }
-    catch { return fallback; }
-  }
-  return fallback;
-}
-
-function saveJSON(filename, data) {
-  const p = join(DATA_DIR, filename);
-  const dir = dirname(p);
-  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-  writeFileSync(p, JSON.stringify(data, null, 2));
-}
 
 // ═══════════════════════════════════════
 // Load World
 // ═══════════════════════════════════════
-const WORLD_PATH = join(__dirname, 'output', 'world.json');
+const WORLD_PATH = defaultWorldPath(join(__dirname, 'output'));
 if (!existsSync(WORLD_PATH)) {
   console.error('❌ No world found. Run: npm run generate');
   process.exit(1);
 }
 
 console.log('🏜️  Loading world...');
-const worldData = JSON.parse(readFileSync(WORLD_PATH, 'utf-8'));
-console.log(`   ${worldData.width}x${worldData.height} tiles loaded`);
+const worldData = loadWorld(WORLD_PATH);
+console.log(`   ${worldData.width}x${worldData.height} tiles loaded from ${basename(WORLD_PATH)}`);
 
-console.log('🔌 Initializing world adapter...');
-const worldGrid = initWorldAdapter(worldData, DATA_DIR);
-worldGrid.setupRoutes(app);
+// ═══════════════════════════════════════
+// Broadcasting
+// ═══════════════════════════════════════
+const spectators = new Set();
 
-console.log('🎨 Initializing tile renderer...');
-const TILE_CACHE = join(__dirname, 'cache', 'tiles');
-const tileRenderer = initTileRenderer(worldData, TILE_CACHE);
-tileRenderer.setupRoutes(app);
+function broadcast(msg) {
+  const data = JSON.stringify(msg);
+  for (const ws of spectators) {
+    if (ws.readyState === 1) ws.send(data);
+  }
+}
 
 // ═══════════════════════════════════════
-// Agent State
+// Simulation (world adapter + all game systems)
 // ═══════════════════════════════════════
-const agentStore = loadJSON('agents.json', {});
-const agents = new Map();
-
-// Rehydrate existing agents
-for (const [id, data] of Object.entries(agentStore)) {
-  if (data.relationships && !(data.relationships instanceof Map)) {
-    data.relationships = new Map(Object.entries(data.relationships));
-  } else if (!data.relationships) {
-    data.relationships = new Map();
+// WORLD_SEED overrides the seed baked into the world file
+const SIM_OPTIONS = {
+  worldData,
+  dataDir: DATA_DIR,
+  seed: process.env.WORLD_SEED,
+  broadcast,
+  hasSpectators: () => spectators.size > 0,
+  getSpeed: () => tickLoop.speed,
+};
+
+// SAVE_SLOT=<slot> boots from a save slot instead of the loose data files
+if (process.env.SAVE_SLOT) {
+  const saves = initSaves({ dataDir: DATA_DIR });
+  const snap = saves.read(process.env.SAVE_SLOT);
+  if (!snap) {
+    console.error(`❌ No save slot "${process.env.SAVE_SLOT}"`);
+    process.exit(1);
   }
-  agents.set(id, data);
+  saves.restore(snap);
+  archiveJournal(DATA_DIR);
+  console.log(`💾 Restored save slot "${process.env.SAVE_SLOT}" (tick ${snap.tick})`);
 }
 
-function ensureAgentStats(agent) {
-  if (!agent.stats) agent.stats = { xp: 0, level: 1, title: 'Hatchling 🥚' };
+// The live simulation. Loading a save slot swaps in a fresh one, so routes and sockets
+// go through these bindings rather than holding on to a particular instance.
+let sim, clock, worldGrid, agents, worldNews, serializeAgent, spawnAgent, simulationTick, getGameTime;
+let weatherSystem, agentControl;
+let systemRoutes = null;
+
+function useSimulation(next) {
+  sim = next;
+  ({ clock, worldGrid, agents, worldNews, serializeAgent, spawnAgent, simulationTick, getGameTime } = sim);
+  weatherSystem = sim.systems.weather;
+  agentControl = sim.systems.agentControl;
+  systemRoutes = express.Router();
+  worldGrid.setupRoutes(systemRoutes);
+  sim.registry.setupRoutes(systemRoutes, authAgent, authAdmin);
 }
 
+useSimulation(initSimulation(SIM_OPTIONS));
+app.use((req, res, next) => systemRoutes(req, res, next));
+
 // ═══════════════════════════════════════
-// XP & Levels
+// Agent Auth — `Authorization: Bearer <token>` (token issued once, at spawn)
 // ═══════════════════════════════════════
-const LEVEL_THRESHOLDS = [0, 100, 300, 600, 1000, 1500, 2100, 2800, 3600, 4500, 5500];
-const TITLES = { 1: 'Hatchling 🥚', 5: 'Wanderer 🚶', 10: 'Crafter ⚒️', 15: 'Explorer 🧭', 20: 'Builder 🏗️', 30: 'Master 🎓', 50: 'Legend 👑', 100: 'Mythic ⚡' };
-
-function getLevelForXP(xp) {
-  let level = 1;
-  for (let i = 1; i < LEVEL_THRESHOLDS.length; i++) {
-    if (xp >= LEVEL_THRESHOLDS[i]) level = i + 1; else break;
-  }
-  return level;
+function authAgent(req, res, next) {
+  const auth = req.headers.authorization;
+  if (!auth?.startsWith('Bearer ')) return res.status(401).json({ error: 'Agent token required' });
+  const agent = sim.getAgentByToken(auth.slice(7));
+  if (!agent) return res.status(401).json({ error: 'Invalid agent token' });
+  if (!agent.alive) return res.status(403).json({ error: 'Agent is dead' });
+  req.agent = agent;
+  // Agent calls change the world from outside the tick loop — journal them so replays can re-issue them
+  sim.journal.record('api', { agentId: agent.id, method: req.method, path: req.originalUrl, body: req.body });
+  next();
 }
 
-function getTitleForLevel(level) {
-  let title = TITLES[1];
-  for (const [lv, t] of Object.entries(TITLES).sort((a, b) => a[0] - b[0])) {
-    if (level >= parseInt(lv)) title = t;
-  }
-  return title;
+function isAdminSecret(secret) {
+  return secret === (process.env.ADMIN_SECRET || 'clawscape-admin-2026');
 }
 
-function awardXP(agentId, amount) {
-  const agent = agents.get(agentId);
-  if (!agent) return;
-  ensureAgentStats(agent);
-  agent.stats.xp += amount;
-  const newLevel = getLevelForXP(agent.stats.xp);
-  if (newLevel > agent.stats.level) {
-    agent.stats.level = newLevel;
-    agent.stats.title = getTitleForLevel(newLevel);
-    addWorldNews('level_up', agent.id, agent.name, `${agent.name} reached level ${newLevel}! ${agent.stats.title}`, agent.zone);
-    broadcast({ type: 'level_up', agentId, name: agent.name, level: newLevel, title: agent.stats.title });
-  }
+function authAdmin(req, res, next) {
+  if (!isAdminSecret(req.query.secret || req.body?.secret || req.headers['x-admin-secret'])) return res.status(403).json({ error: 'Forbidden' });
+  next();
 }
 
-// ═══════════════════════════════════════
-// World News
-// ═══════════════════════════════════════
-const worldNews = { items: [], add(type, agentId, name, message, zone) { this.items.unshift({ type, agentId, name, message, zone, time: Date.now() }); if (this.items.length > 200) this.items.length = 200; } };
-function addWorldNews(type, agentId, name, msg, zone) { worldNews.add(type, agentId, name, msg, zone); }
+console.log('🎨 Initializing tile renderer...');
+const TILE_CACHE = join(__dirname, 'cache', 'tiles');
+const tileRenderer = initTileRenderer(worldData, TILE_CACHE, {
+  removedDecorations: () => worldGrid.removedDecorations(),
+  terrainEdits: () => worldGrid.terrainEdits(),
+  wornPaths: () => worldGrid.wornPaths(),
+  caveLayer: () => worldGrid.caveLayer(),
+});
+tileRenderer.setupRoutes(app);
 
-// ═══════════════════════════════════════
-// Broadcasting
-// ═══════════════════════════════════════
-const spectators = new Set();
+function initMessage() {
+  return {
+    type: 'init',
+    tick: clock.now(),
+    ...tickLoop.status(),
+    world: worldGrid.getWorldInfo(),
+    agents: [...agents.values()].map(serializeAgent),
+    news: worldNews.items.slice(0, 20),
+  };
+}
 
 wss.on('connection', (ws) => {
   spectators.add(ws);
   console.log(`👁️  Spectator connected (${spectators.size} total)`);
   
-  ws.send(JSON.stringify({
-    type: 'init',
-    tick,
-    world: worldGrid.getWorldInfo(),
-    agents: [...agents.values()].map(serializeAgent),
-    news: worldNews.items.slice(0, 20),
-  }));
+  ws.send(JSON.stringify(initMessage()));
+
+  // External controller ("bring your own brain") — see src/systems/agent-control.js
+  let controlledId = null;
+  const sendToController = (msg) => { if (ws.readyState === 1) ws.send(JSON.stringify(msg)); };
 
   ws.on('message', (raw) => {
     try {
@@ -171,251 +159,59 @@ wss.on('connection', (ws) => {
       if (msg.type === 'get_area') {
         const tiles = worldGrid.getTilesInRadius(msg.x, msg.y, msg.radius || 10);
         ws.send(JSON.stringify({ type: 'area', tiles }));
+      } else if (msg.type === 'control') {
+        const agent = sim.getAgentByToken(msg.token);
+        if (!agent) return sendToController({ type: 'control_error', error: 'Invalid agent token' });
+        if (controlledId && controlledId !== agent.id) agentControl.detach(controlledId, sendToController);
+        const result = agentControl.attach(agent.id, sendToController, { deadlineTicks: msg.deadlineTicks });
+        if (result.error) return sendToController({ type: 'control_error', error: result.error });
+        controlledId = agent.id;
+        spectators.delete(ws); // controllers get observations, not the spectator firehose
+        sendToController({ type: 'control_ok', agentId: agent.id, name: agent.name, tick: clock.now(), deadlineTicks: result.deadlineTicks });
+      } else if (msg.type === 'intent') {
+        if (!controlledId) return sendToController({ type: 'intent_error', error: 'Send { type: "control", token } first' });
+        const result = agentControl.submit(controlledId, msg);
+        sendToController(result.error ? { type: 'intent_error', error: result.error } : { type: 'intent_ok', tick: clock.now() });
+      } else if (msg.type === 'clock') {
+        // { type: 'clock', action: 'pause' | 'resume' | 'step' | 'speed', ticks?, speed?, secret }
+        if (!isAdminSecret(msg.secret)) return ws.send(JSON.stringify({ type: 'clock_error', error: 'Forbidden' }));
+        Promise.resolve(controlClock(msg.action, msg)).then(result => {
+          if (result.error) ws.send(JSON.stringify({ type: 'clock_error', error: result.error }));
+          else if (!spectators.has(ws)) ws.send(JSON.stringify(clockMessage()));
+        });
       }
     } catch {}
   });
 
-  ws.on('close', () => spectators.delete(ws));
+  ws.on('close', () => {
+    spectators.delete(ws);
+    if (controlledId) agentControl.detach(controlledId, sendToController);
+  });
 });
 
-function broadcast(msg) {
-  const data = JSON.stringify(msg);
-  for (const ws of spectators) {
-    if (ws.readyState === 1) ws.send(data);
-  }
-}
-
 // ═══════════════════════════════════════
-// Initialize All Game Systems
+// Tick Loop — pause, step and speed (admin, over HTTP or WebSocket)
 // ═══════════════════════════════════════
-console.log('⚙️  Initializing game systems...');
-
-const zones = worldGrid.zones; // ClawScape-compatible zones object
-const recipes = loadJSON('recipes.json', []);
-
-const shared = {
-  loadJSON, saveJSON,
-  agents, agentStore, ensureAgentStats,
-  broadcast, addWorldNews,
-  zones,
-  awardXP,
-  recipes,
-  worldGrid, // The adapter — systems can call worldGrid.getTile, walkAgent, etc.
-};
+const TICK_MS = 500; // Fast ticks — agents move 1 tile per tick, so 2 tiles/sec at 1×
 
-const weatherSystem = initWeather({ loadJSON, saveJSON, broadcast, addWorldNews });
-const proficiency = initProficiency({ loadJSON, saveJSON, agents, agentStore, broadcast });
-const ecosystemSystem = initEcosystem({ loadJSON, saveJSON, zones });
-
-shared.proficiency = proficiency;
-shared.ecosystem = ecosystemSystem;
-shared.weather = weatherSystem;
-
-const repSystem = initReputation({ loadJSON, saveJSON, agents });
-const relSystem = initRelationships({ loadJSON, saveJSON, agents, agentStore, broadcast, addWorldNews });
-const npcSocial = initNPCSocial({ ...shared, relationships: relSystem, reputation: repSystem });
-const experiments = initExperiments(shared);
-shared.experiments = experiments;
-shared.npcSocial = npcSocial;
-const survivalSystem = initSurvival(shared);
-const decaySystem = initDecay(shared);
-const knowledgeSystem = initKnowledge({ ...shared, relationships: relSystem });
-const cookingSystem = initCooking(shared);
-
-shared.knowledgeSystem = knowledgeSystem;
-shared.cooking = cookingSystem;
-
-const collectiveProjects = initCollectiveProjects(shared);
-const achievementSystem = initAchievements(shared);
-const encounterSystem = initEncounters ? initEncounters(shared) : null;
-const oracleSystem = initOracle ? initOracle(shared) : null;
-
-shared.collectiveProjects = collectiveProjects;
-shared.achievements = achievementSystem;
-shared.encounters = encounterSystem;
-shared.oracle = oracleSystem;
-
-// World Master — the AI brain that drives events
-const worldMaster = initWorldMaster({
-  ...shared,
-  weatherSystem, survivalSystem,
-  relationships: relSystem,
-  reputation: repSystem,
-  getGameTime,
+const tickLoop = initTickLoop({
+  runTick: () => simulationTick(),
+  tickMs: TICK_MS,
+  onChange: () => broadcast(clockMessage()),
 });
-shared.worldMaster = worldMaster;
-
-shared.getGameTime = getGameTime;
-
-// Agent Intelligence — the autonomous brain
-const agentAI = initAgentIntelligence(shared);
-agentAI.setupRoutes(app);
-shared.agentAI = agentAI;
 
-console.log('   ✅ All systems initialized');
-
-// ═══════════════════════════════════════
-// Agent Serialization
-// ═══════════════════════════════════════
-function serializeAgent(a) {
-  return {
-    id: a.id, name: a.name,
-    tileX: a.tileX, tileY: a.tileY,
-    zone: a.zone,
-    hp: a.hp, energy: a.energy, hunger: a.hunger,
-    inventory: a.inventory,
-    stats: a.stats,
-    alive: a.alive,
-    proficiencies: a.proficiencies,
-    achievements: a.achievements?.length || 0,
-    mind: agentAI?.minds?.[a.id] ? {
-      action: agentAI.minds[a.id].currentAction,
-      mood: agentAI.minds[a.id].mood,
-      traits: agentAI.minds[a.id].personality?.traits,
-      intent: agentAI.minds[a.id].intent ? {
-        action: agentAI.minds[a.id].intent.action,
-        reason: agentAI.minds[a.id].intent.reason,
-      } : null,
-      pathThisTick: agentAI.minds[a.id].pathThisTick || null,
-    } : null,
-  };
-}
-
-// ═══════════════════════════════════════
-// Simulation
-// ═══════════════════════════════════════
-let tick = loadJSON('tick.json', { tick: 0 }).tick || 0;
-const TICK_MS = 500; // Fast ticks — agents move 1 tile per tick, so 2 tiles/sec
-
-// Game time (1 tick = 10 minutes game time)
-function getGameTime() {
-  const totalMinutes = tick * 10;
-  const hour = Math.floor(totalMinutes / 60) % 24;
-  const day = Math.floor(totalMinutes / (60 * 24)) + 1;
-  const period = hour >= 6 && hour < 20 ? 'day' : 'night';
-  return { hour, day, period, totalMinutes };
+function clockMessage() {
+  return { type: 'clock', tick: clock.now(), ...tickLoop.status() };
 }
 
-function simulationTick() {
-  tick++;
-  const gameTime = getGameTime();
-  
-  // 1. Weather
-  if (weatherSystem.tick) weatherSystem.tick();
-  
-  // 2. Ecosystem (resource respawn etc)
-  if (ecosystemSystem.tick) ecosystemSystem.tick();
-  
-  // 3. Per-agent updates
-  for (const [id, agent] of agents) {
-    if (!agent.alive) continue;
-    ensureAgentStats(agent);
-    worldGrid.migrateAgentPosition(agent);
-    
-    // Agent Intelligence — autonomous decisions
-    agentAI.tickAgent(agent);
-    
-    // Survival tick (energy, hunger, temperature)
-    if (survivalSystem.tick) survivalSystem.tick(agent);
-    
-    // Decay tick (item degradation)
-    if (decaySystem.tickAgent) decaySystem.tickAgent(agent);
-    
-    // Achievement check
-    if (achievementSystem.check) achievementSystem.check(agent);
-  }
-  
-  // 4. World Master (events, narratives) — less frequent
-  if (tick % 50 === 0 && worldMaster.tick) {
-    worldMaster.tick();
-  }
-  
-  // 5. Collective projects progress
-  if (tick % 10 === 0 && collectiveProjects.tick) {
-    collectiveProjects.tick();
-  }
-  
-  // 6. Broadcast state (every tick for smooth movement, full data every 5)
-  if (tick % 5 === 0) {
-    broadcast({
-      type: 'tick',
-      tick,
-      gameTime,
-      weather: weatherSystem.getCurrentWeather?.() || null,
-      agents: [...agents.values()].filter(a => a.alive).map(serializeAgent),
-    });
-  } else if (spectators.size > 0) {
-    // Lightweight position-only update (skip if nobody watching)
-    const positions = [];
-    for (const [id, a] of agents) {
-      if (!a.alive) continue;
-      const m = agentAI?.minds?.[id];
-      positions.push({ id, name: a.name, tileX: a.tileX, tileY: a.tileY, hp: a.hp, energy: a.energy, alive: true,
-        mind: m ? { action: m.currentAction, mood: m.mood, intent: m.intent ? { action: m.intent.action, reason: m.intent.reason } : null } : null });
-    }
-    broadcast({ type: 'tick', tick, agents: positions });
+function controlClock(action, { ticks, speed } = {}) {
+  switch (action) {
+    case 'pause': return tickLoop.pause();
+    case 'resume': return tickLoop.resume();
+    case 'step': return tickLoop.step(ticks ?? 1);
+    case 'speed': return tickLoop.setSpeed(speed);
+    default: return { error: 'action must be pause, resume, step or speed' };
   }
-  
-  // Save periodically
-  if (tick % 50 === 0) {
-    const store = {};
-    for (const [id, a] of agents) {
-      store[id] = { ...a, relationships: Object.fromEntries(a.relationships || new Map()) };
-    }
-    saveJSON('agents.json', store);
-    saveJSON('tick.json', { tick });
-  }
-  
-  if (tick % 100 === 0) {
-    console.log(`⏱️  Tick ${tick} | Day ${gameTime.day} ${gameTime.hour}:00 ${gameTime.period} | Agents: ${agents.size} | Spectators: ${spectators.size}`);
-  }
-}
-
-// ═══════════════════════════════════════
-// Agent Spawning
-// ═══════════════════════════════════════
-function spawnAgent(name) {
-  const id = crypto.randomUUID();
-  
-  // Spawn near the oasis spawn point with some randomness
-  const spread = 30;
-  let tileX, tileY, attempts = 0;
-  do {
-    tileX = worldGrid.spawnPoint.x + Math.floor(Math.random() * spread * 2 - spread);
-    tileY = worldGrid.spawnPoint.y + Math.floor(Math.random() * spread * 2 - spread);
-    attempts++;
-  } while (attempts < 100 && (!worldGrid.getTile(tileX, tileY)?.walkable));
-  
-  const zone = worldGrid.getZone(tileX, tileY);
-  
-  const agent = {
-    id, name,
-    tileX, tileY,
-    x: tileX, y: tileY,
-    zone,
-    hp: 100, energy: 100, hunger: 0, temperature: 20,
-    inventory: [],
-    knowledge: [],
-    relationships: new Map(),
-    proficiencies: {},
-    achievements: [],
-    memory: [],
-    goals: [],
-    alive: true,
-    stats: { xp: 0, level: 1, title: 'Hatchling 🥚' },
-    ticksBorn: tick,
-    coins: 0,
-  };
-  
-  agents.set(id, agent);
-  agentStore[id] = { ...agent, relationships: {} };
-  saveJSON('agents.json', agentStore);
-  
-  addWorldNews('spawn', id, name, `${name} has arrived in The Oasis at ${zones[zone]?.name || zone}`, zone);
-  broadcast({ type: 'agent_spawn', agent: serializeAgent(agent) });
-  console.log(`🌱 Agent spawned: ${name} at (${tileX},${tileY}) — ${zone}`);
-  
-  return agent;
 }
 
 // ═══════════════════════════════════════
@@ -424,7 +220,7 @@ function spawnAgent(name) {
 app.get('/api/status', (req, res) => {
   const gameTime = getGameTime();
   res.json({
-    tick, gameTime,
+    tick: clock.now(), gameTime,
     agents: agents.size,
     alive: [...agents.values()].filter(a => a.alive).length,
     world: `${worldData.width}x${worldData.height}`,
@@ -440,12 +236,13 @@ app.get('/api/agents', (req, res) => {
 app.get('/api/agents/:id', (req, res) => {
   const agent = agents.get(req.params.id);
   if (!agent) return res.status(404).json({ error: 'Agent not found' });
-  const tile = worldGrid.getTile(agent.tileX, agent.tileY);
+  const level = worldGrid.layer(agent.z ?? 0);
+  const tile = level.getTile(agent.tileX, agent.tileY);
   res.json({
     ...serializeAgent(agent),
     tile,
-    resources: worldGrid.getTileResources(agent.tileX, agent.tileY),
-    nearby: worldGrid.getAgentsNearby(agents, agent.tileX, agent.tileY, 10)
+    resources: level.getTileResources(agent.tileX, agent.tileY),
+    nearby: worldGrid.getAgentsNearby(agents, agent.tileX, agent.tileY, 10, agent.z ?? 0)
       .filter(a => a.id !== agent.id)
       .map(a => ({ id: a.id, name: a.name, tileX: a.tileX, tileY: a.tileY })),
   });
@@ -454,7 +251,7 @@ app.get('/api/agents/:id', (req, res) => {
 app.post('/api/spawn', (req, res) => {
   const { name } = req.body;
   const agent = spawnAgent(name || `Agent-${agents.size + 1}`);
-  res.json(serializeAgent(agent));
+  res.json({ ...serializeAgent(agent), token: agent.token });
 });
 
 app.post('/api/spawn-many', (req, res) => {
@@ -462,7 +259,7 @@ app.post('/api/spawn-many', (req, res) => {
   const spawned = [];
   for (let i = 0; i < Math.min(count, 50); i++) {
     const agent = spawnAgent(`${prefix}-${agents.size + 1}`);
-    spawned.push(serializeAgent(agent));
+    spawned.push({ ...serializeAgent(agent), token: agent.token });
   }
   res.json({ spawned: spawned.length, agents: spawned });
 });
@@ -475,6 +272,122 @@ app.get('/api/weather', (req, res) => {
   res.json(weatherSystem.getCurrentWeather?.() || { error: 'No weather data' });
 });
 
+app.get('/api/systems', (req, res) => {
+  res.json(sim.registry.report());
+});
+
+// Issue a new token for an agent — the old one stops working. Agents saved before tokens existed
+// got one at boot that nobody has seen.
+app.post('/api/admin/agents/:id/token', authAdmin, (req, res) => {
+  const token = sim.rotateToken(req.params.id);
+  if (!token) return res.status(404).json({ error: 'Agent not found' });
+  res.json({ agentId: req.params.id, token });
+});
+
+app.get('/api/admin/clock', authAdmin, (req, res) => {
+  res.json(clockMessage());
+});
+
+app.post('/api/admin/clock/:action', authAdmin, async (req, res) => {
+  const result = await controlClock(req.params.action, req.body || {});
+  if (result.error) return res.status(400).json(result);
+  res.json({ ...result, tick: clock.now() });
+});
+
+// ═══════════════════════════════════════
+// Save Slots (admin)
+// ═══════════════════════════════════════
+app.get('/api/admin/saves', authAdmin, (req, res) => {
+  res.json({ schemaVersion: sim.saves.SCHEMA_VERSION, slots: sim.saves.list() });
+});
+
+app.post('/api/admin/saves', authAdmin, async (req, res) => {
+  try {
+    const saved = await tickLoop.whileHeld(() => sim.saveSlot(req.body?.slot));
+    res.json({ ok: true, ...saved });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/saves/:slot/load', authAdmin, async (req, res) => {
+  try {
+    const result = await tickLoop.whileHeld(() => {
+      const restored = sim.restoreSlot(req.params.slot);
+      if (restored.error) return restored;
+      useSimulation(initSimulation(SIM_OPTIONS));
+      broadcast(initMessage());
+      return restored;
+    });
+    if (result.error) return res.status(404).json(result);
+    console.log(`💾 Loaded save slot "${result.slot}" (tick ${result.tick})`);
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/admin/saves/:slot', authAdmin, (req, res) => {
+  try {
+    if (!sim.saves.remove(req.params.slot)) return res.status(404).json({ error: 'Save slot not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════
+// Journal & Replay (admin)
+// ═══════════════════════════════════════
+app.get('/api/admin/journal', authAdmin, (req, res) => {
+  const { agentId, type, from, to, limit } = req.query;
+  res.json({
+    segments: listSegments(DATA_DIR),
+    entries: queryJournal(DATA_DIR, {
+      agentId, type,
+      from: parseInt(from) || 0,
+      to: to !== undefined ? parseInt(to) : Infinity,
+      limit: Math.min(5000, parseInt(limit) || 500),
+    }),
+  });
+});
+
+// Delete old segments — { keep: newest N to keep, before: tick, archives: true for abandoned timelines }
+app.post('/api/admin/journal/prune', authAdmin, (req, res) => {
+  const { keep, before, archives } = req.body || {};
+  if (keep !== undefined && !(Number.isInteger(keep) && keep >= 1)) return res.status(400).json({ error: 'keep must be a positive integer' });
+  if (before !== undefined && !Number.isInteger(before)) return res.status(400).json({ error: 'before must be a tick' });
+  const result = pruneJournal(DATA_DIR, { keep, before, archives: archives === true });
+  console.log(`🗑️  Pruned ${result.removed.length} journal segments${result.archives ? ` and ${result.archives} archived timelines` : ''}`);
+  res.json({ ok: true, ...result, segments: listSegments(DATA_DIR) });
+});
+
+// Rebuild the world at a past tick — replays up to a game day of ticks, so this takes a moment
+app.get('/api/admin/replay', authAdmin, async (req, res) => {
+  const tick = parseInt(req.query.tick);
+  if (!Number.isInteger(tick) || tick > clock.now()) return res.status(400).json({ error: `tick must be between 0 and ${clock.now()}` });
+  try {
+    const run = await replayJournal({ worldData, dataDir: DATA_DIR, tick });
+    if (run.error) return res.status(404).json({ error: run.error });
+    const { agentId } = req.query;
+    const agent = agentId ? run.sim.agents.get(agentId) : null;
+    const body = {
+      tick: run.tick,
+      gameTime: run.sim.getGameTime(),
+      segment: run.segment,
+      fromTick: run.fromTick,
+      divergence: run.divergence,
+      ...(agentId
+        ? { agent: agent ? run.sim.serializeAgent(agent) : null }
+        : { agents: [...run.sim.agents.values()].map(run.sim.serializeAgent) }),
+    };
+    run.close();
+    res.json(body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 const ZONES_REF = worldGrid.zones;
 // ═══════════════════════════════════════
 // Start
@@ -488,11 +401,11 @@ server.listen(PORT, () => {
    ═══════════════════════════════════
    🌍 World: ${worldData.width}x${worldData.height} tiles
    📍 Spawn: (${worldGrid.spawnPoint.x}, ${worldGrid.spawnPoint.y})
-   🕐 Tick: ${tick} | Day ${gameTime.day}
+   🕐 Tick: ${clock.now()} | Day ${gameTime.day}
    🌐 http://localhost:${PORT}
    ═══════════════════════════════════
 `);
   
-  // Start simulation
-  setInterval(simulationTick, TICK_MS);
+  // Start simulation — the next tick is scheduled only once this one (async hooks included) finishes
+  tickLoop.start();
 });
@@ -0,0 +1,86 @@
+/**
+ * Agent Grid — uniform-grid spatial index of agent positions
+ *
+ * Agents are bucketed into cellSize×cellSize cells, so "who is within r tiles of (x, y)"
+ * looks at the few cells the square touches instead of every agent in the world.
+ * Whoever moves an agent calls place(agent) afterwards (the world adapter's movement
+ * helpers and the agent AI's stepToward do).
+ *
+ * Results come back in placement order — the order agents were first placed, which is the
+ * agents Map's insertion order — so callers that pick from them with the seeded RNG behave
+ * exactly as they did when they scanned the Map.
+ */
+
+export function initAgentGrid({ width, height, cellSize = 16 }) {
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cells = new Map();   // cell index -> Set of agents
+  const cellOf = new Map();  // agent id -> cell index
+  const order = new Map();   // agent id -> placement order
+  const byOrder = [];        // placement order -> agent
+
+  function cellAt(x, y) {
+    const cx = Math.max(0, Math.min(cols - 1, Math.floor(x / cellSize)));
+    const cy = Math.max(0, Math.min(rows - 1, Math.floor(y / cellSize)));
+    return cy * cols + cx;
+  }
+
+  /** Index an agent at its current tile (cheap when it hasn't left its cell) */
+  function place(agent) {
+    if (!order.has(agent.id)) {
+      order.set(agent.id, byOrder.length);
+      byOrder.push(agent);
+    }
+    if (agent.tileX === undefined) return; // placed again once it has a position
+    const cell = cellAt(agent.tileX, agent.tileY);
+    const prev = cellOf.get(agent.id);
+    if (prev === cell) return;
+    if (prev !== undefined) leave(agent, prev);
+    let bucket = cells.get(cell);
+    if (!bucket) cells.set(cell, bucket = new Set());
+    bucket.add(agent);
+    cellOf.set(agent.id, cell);
+  }
+
+  function remove(agent) {
+    const prev = cellOf.get(agent.id);
+    if (prev === undefined) return;
+    leave(agent, prev);
+    cellOf.delete(agent.id);
+  }
+
+  function leave(agent, cell) {
+    const bucket = cells.get(cell);
+    if (!bucket) return;
+    bucket.delete(agent);
+    if (bucket.size === 0) cells.delete(cell);
+  }
+
+  /** Agents within `radius` tiles of (x, y) on both axes (Chebyshev), in placement order */
+  function query(x, y, radius) {
+    const found = [];  // placement orders
+    const minCx = Math.max(0, Math.floor((x - radius) / cellSize));
+    const maxCx = Math.min(cols - 1, Math.floor((x + radius) / cellSize));
+    const minCy = Math.max(0, Math.floor((y - radius) / cellSize));
+    const maxCy = Math.min(rows - 1, Math.floor((y + radius) / cellSize));
+    for (let cy = minCy; cy <= maxCy; cy++) {
+      for (let cx = minCx; cx <= maxCx; cx++) {
+        const bucket = cells.get(cy * cols + cx);
+        if (!bucket) continue;
+        for (const a of bucket) {
+          if (Math.abs(a.tileX - x) <= radius && Math.abs(a.tileY - y) <= radius) found.push(order.get(a.id));
+        }
+      }
+    }
+    const agents = new Array(found.length);
+    Uint32Array.from(found).sort().forEach((o, i) => { agents[i] = byOrder[o]; });
+    return agents;
+  }
+
+  return {
+    place,
+    remove,
+    query,
+    get size() { return cellOf.size; },
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Cave Layer — the world underground (z = CAVE_Z)
+ *
+ * Tunnels wind under mountain and tundra rock: ridged noise carves them and a second noise opens
+ * caverns where it peaks. Networks too small to matter are filled back in; every other one gets
+ * a few entrances — tiles at the foot of the rock, next to open ground, where its floor breaks through.
+ * Ore veins, crystal clusters and glowcap beds are seeded on the floor, richer deeper in.
+ *
+ * Like the rest of the world's derived layers this follows from the terrain alone (fixed seeds),
+ * so computeWorldLayers carries it and a binary world stores it:
+ *   floor     Uint8  1 = open cave floor, 0 = solid rock
+ *   deposit   Uint8  CAVE_DEPOSITS id on the floor, 0 = bare
+ *   entrance  Uint8  1 = the floor here opens to the surface tile above
+ */
+import Alea from 'alea';
+import { createNoise2D } from 'simplex-noise';
+
+export const CAVE_Z = -1;
+
+// What the floor yields where something grows or shows in the rock. removable: mined out for
+// good once gathered down to nothing.
+export const CAVE_DEPOSITS = {
+  1: { name: 'ore_vein',        resources: ['ore', 'stone', 'flint'],   weights: [50, 35, 15], stock: 12, regrow: 0,   removable: true },
+  2: { name: 'crystal_cluster', resources: ['crystals', 'ore'],         weights: [60, 40],     stock: 8,  regrow: 0,   removable: true },
+  3: { name: 'glowcap',         resources: ['mushrooms', 'bat_guano'],  weights: [70, 30],     stock: 4,  regrow: 0.3 },
+};
+
+const MIN_NETWORK = 40;        // tiles — smaller networks are filled in
+const TILES_PER_ENTRANCE = 300;
+const MAX_ENTRANCES = 4;       // per network
+const MAX_ROCK_DEPTH = 12;     // tiles from the edge of the rock, for deposits
+
+function mkNoise(seed, freq, octaves) {
+  const noise = createNoise2D(Alea(seed));
+  return (x, y) => {
+    let v = 0, f = freq, a = 1, m = 0;
+    for (let i = 0; i < octaves; i++) { v += noise(x * f, y * f) * a; m += a; f *= 2; a *= 0.5; }
+    return (v / m + 1) / 2;
+  };
+}
+
+/**
+ * Carve the cave layer under `rock` (1 = mountain or tundra). `water` marks sea, rivers and
+ * lakes, which an entrance never opens onto.
+ */
+export function generateCaves({ width, height, rock, water }) {
+  const size = width * height;
+  const N4 = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+  // How deep into the rock each tile is (1 = on its edge)
+  const depth = new Uint8Array(size);
+  const queue = [];
+  for (let i = 0; i < size; i++) {
+    if (!rock[i]) continue;
+    const x = i % width, y = (i - x) / width;
+    if (N4.some(([dx, dy]) => { const nx = x + dx, ny = y + dy; return nx < 0 || nx >= width || ny < 0 || ny >= height || !rock[ny * width + nx]; })) {
+      depth[i] = 1;
+      queue.push(i);
+    }
+  }
+  for (let qi = 0; qi < queue.length; qi++) {
+    const ci = queue[qi], cd = depth[ci];
+    if (cd >= MAX_ROCK_DEPTH) continue;
+    const x = ci % width, y = (ci - x) / width;
+    for (const [dx, dy] of N4) {
+      const nx = x + dx, ny = y + dy;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+      const ni = ny * width + nx;
+      if (rock[ni] && !depth[ni]) { depth[ni] = cd + 1; queue.push(ni); }
+    }
+  }
+  for (let i = 0; i < size; i++) if (rock[i] && !depth[i]) depth[i] = MAX_ROCK_DEPTH;
+
+  // Tunnels along the noise's mid-line, caverns at its peaks
+  const tunnelN = mkNoise('wbcave', 0.03, 3);
+  const cavernN = mkNoise('wbcavern', 0.06, 2);
+  const floor = new Uint8Array(size);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!rock[i]) continue;
+      if (Math.abs(tunnelN(x, y) - 0.5) < 0.035 || cavernN(x, y) > 0.74) floor[i] = 1;
+    }
+  }
+
+  // Networks: fill in the small ones, open the rest to the surface
+  const entrance = new Uint8Array(size);
+  const network = new Int32Array(size).fill(-1);
+  const entRng = Alea('wbcave-entrances');
+  let networks = 0;
+  for (let start = 0; start < size; start++) {
+    if (!floor[start] || network[start] !== -1) continue;
+    const tiles = [start];
+    network[start] = networks;
+    for (let qi = 0; qi < tiles.length; qi++) {
+      const ci = tiles[qi], x = ci % width, y = (ci - x) / width;
+      for (const [dx, dy] of N4) {
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        const ni = ny * width + nx;
+        if (floor[ni] && network[ni] === -1) { network[ni] = networks; tiles.push(ni); }
+      }
+    }
+    networks++;
+    // A mouth is on the rock's edge, next to ground an agent can walk up from
+    const mouths = tiles.filter(i => {
+      if (water[i] || depth[i] !== 1) return false;
+      const x = i % width, y = (i - x) / width;
+      return N4.some(([dx, dy]) => {
+        const nx = x + dx, ny = y + dy;
+        return nx >= 0 && nx < width && ny >= 0 && ny < height && !rock[ny * width + nx] && !water[ny * width + nx];
+      });
+    });
+    if (tiles.length < MIN_NETWORK || mouths.length === 0) {
+      for (const i of tiles) floor[i] = 0;
+      continue;
+    }
+    const count = Math.min(MAX_ENTRANCES, 1 + Math.floor(tiles.length / TILES_PER_ENTRANCE), mouths.length);
+    for (let n = 0; n < count; n++) {
+      const pick = Math.floor(entRng() * mouths.length);
+      entrance[mouths[pick]] = 1;
+      mouths.splice(pick, 1);
+    }
+  }
+
+  // Deposits — ore deeper in, crystals deepest, glowcaps anywhere damp enough to grow
+  const deposit = new Uint8Array(size);
+  const depRng = Alea('wbcave-deposits');
+  for (let i = 0; i < size; i++) {
+    if (!floor[i] || entrance[i]) continue;
+    const roll = depRng(), d = depth[i] / MAX_ROCK_DEPTH;
+    if (roll < 0.03 + 0.07 * d) deposit[i] = 1;
+    else if (d > 0.5 && roll < 0.05 + 0.1 * d) deposit[i] = 2;
+    else if (roll > 0.96) deposit[i] = 3;
+  }
+
+  return { floor, deposit, entrance };
+}
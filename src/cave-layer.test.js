@@ -0,0 +1,89 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateCaves, CAVE_DEPOSITS } from './cave-layer.js';
+
+// A block of rock in open ground, with a strip of sea down the west edge
+const WIDTH = 160, HEIGHT = 160;
+const N4 = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const rock = new Uint8Array(WIDTH * HEIGHT);
+const water = new Uint8Array(WIDTH * HEIGHT);
+for (let y = 20; y < 140; y++) for (let x = 20; x < 140; x++) rock[y * WIDTH + x] = 1;
+for (let y = 0; y < HEIGHT; y++) for (let x = 0; x < 10; x++) water[y * WIDTH + x] = 1;
+
+const around = (i) => {
+  const x = i % WIDTH, y = (i - x) / WIDTH;
+  return N4.map(([dx, dy]) => [x + dx, y + dy])
+    .filter(([nx, ny]) => nx >= 0 && nx < WIDTH && ny >= 0 && ny < HEIGHT)
+    .map(([nx, ny]) => ny * WIDTH + nx);
+};
+
+/** The connected floor networks, as arrays of tile indices */
+function networks(floor) {
+  const seen = new Uint8Array(floor.length);
+  const found = [];
+  for (let start = 0; start < floor.length; start++) {
+    if (!floor[start] || seen[start]) continue;
+    const tiles = [start];
+    seen[start] = 1;
+    for (let qi = 0; qi < tiles.length; qi++) {
+      for (const n of around(tiles[qi])) if (floor[n] && !seen[n]) { seen[n] = 1; tiles.push(n); }
+    }
+    found.push(tiles);
+  }
+  return found;
+}
+
+describe('generateCaves', () => {
+  let caves;
+  before(() => { caves = generateCaves({ width: WIDTH, height: HEIGHT, rock, water }); });
+
+  it('carves the same caves from the same rock', () => {
+    assert.deepEqual(generateCaves({ width: WIDTH, height: HEIGHT, rock, water }), caves);
+  });
+
+  it('carves only under rock', () => {
+    let open = 0;
+    for (let i = 0; i < caves.floor.length; i++) {
+      if (!caves.floor[i]) continue;
+      open++;
+      assert.equal(rock[i], 1);
+    }
+    assert.ok(open > 0, 'something was carved');
+  });
+
+  it('opens every network it keeps to the surface, and fills in the rest', () => {
+    const found = networks(caves.floor);
+    assert.ok(found.length > 0);
+    for (const tiles of found) {
+      assert.ok(tiles.length >= 40, `a network of ${tiles.length} tiles was kept`);
+      assert.ok(tiles.some(i => caves.entrance[i]), 'every network has a way in');
+    }
+  });
+
+  it('puts entrances on the edge of the rock, beside dry open ground', () => {
+    for (let i = 0; i < caves.entrance.length; i++) {
+      if (!caves.entrance[i]) continue;
+      assert.equal(caves.floor[i], 1);
+      assert.equal(water[i], 0);
+      assert.ok(around(i).some(n => !rock[n] && !water[n]));
+    }
+  });
+
+  it('seeds known deposits on the floor, never in an entrance', () => {
+    let seeded = 0;
+    for (let i = 0; i < caves.deposit.length; i++) {
+      if (!caves.deposit[i]) continue;
+      seeded++;
+      assert.ok(CAVE_DEPOSITS[caves.deposit[i]]);
+      assert.equal(caves.floor[i], 1);
+      assert.equal(caves.entrance[i], 0);
+    }
+    assert.ok(seeded > 0);
+  });
+
+  it('leaves open ground with no rock alone', () => {
+    const none = generateCaves({ width: 50, height: 50, rock: new Uint8Array(2500), water: new Uint8Array(2500) });
+    assert.ok(none.floor.every(v => v === 0));
+    assert.ok(none.entrance.every(v => v === 0));
+  });
+});
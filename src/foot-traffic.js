@@ -0,0 +1,103 @@
+/**
+ * Foot Traffic — how worn each tile is by agents walking over it
+ *
+ * Every step onto a tile adds one unit of wear (up to WEAR_MAX); wear fades a little every game
+ * hour. A grass, sand or forest tile worn past WEAR_TO_PATH becomes a dirt path, and goes back
+ * to what it was once its wear fades below WEAR_REVERT — so routes agents keep taking turn into
+ * roads, and ones they stop taking grow over again. The world adapter does the rezoning.
+ *
+ * Persisted as foot-traffic.json through the simulation's loadJSON/saveJSON:
+ *   { wear: { "x,y": units }, worn: { "x,y": zone it was before it became a path } }
+ */
+
+export const WEAR_TO_PATH = 20;
+export const WEAR_REVERT = 10;
+export const WEAR_MAX = 40;
+export const WEAR_FADE = 0.1; // units per game hour — a trail at WEAR_MAX grows over in ~12 days
+export const WEARABLE_ZONES = new Set(['grass', 'sand', 'forest']);
+
+export function initFootTraffic({ width, loadJSON, saveJSON }) {
+  const FILE = 'foot-traffic.json';
+  const data = loadJSON(FILE, { wear: {}, worn: {} });
+  data.wear ??= {};
+  data.worn ??= {};
+
+  const keyOf = (idx) => `${idx % width},${Math.floor(idx / width)}`;
+  const idxOf = (key) => { const [x, y] = key.split(',').map(Number); return y * width + x; };
+
+  const wear = new Map(); // tile index -> units
+  const worn = new Map(); // tile index -> original zone, for tiles worn into a path
+  for (const [key, n] of Object.entries(data.wear)) wear.set(idxOf(key), n);
+  for (const [key, zone] of Object.entries(data.worn)) worn.set(idxOf(key), zone);
+
+  function save() { saveJSON(FILE, data); }
+
+  function set(idx, n) {
+    if (n > 0) {
+      wear.set(idx, n);
+      data.wear[keyOf(idx)] = Math.round(n * 10) / 10;
+    } else {
+      wear.delete(idx);
+      delete data.wear[keyOf(idx)];
+    }
+  }
+
+  /** One step onto a tile. Returns its wear now. */
+  function step(idx) {
+    const n = Math.min(WEAR_MAX, (wear.get(idx) ?? 0) + 1);
+    set(idx, n);
+    save();
+    return n;
+  }
+
+  function markWorn(idx, zone) {
+    worn.set(idx, zone);
+    data.worn[keyOf(idx)] = zone;
+    save();
+  }
+
+  /** Stop treating a tile as a worn path. Returns the zone it was before, if it was one. */
+  function unmark(idx) {
+    const zone = worn.get(idx);
+    if (zone === undefined) return undefined;
+    worn.delete(idx);
+    delete data.worn[keyOf(idx)];
+    save();
+    return zone;
+  }
+
+  /** Fade every tile's wear by `amount`. Returns the worn tiles that have faded below WEAR_REVERT. */
+  function fade(amount) {
+    if (wear.size === 0) return [];
+    const faded = [];
+    for (const [idx, n] of wear) {
+      set(idx, n - amount);
+      if (worn.has(idx) && n - amount < WEAR_REVERT) faded.push(idx);
+    }
+    save();
+    return faded;
+  }
+
+  /** [{ x, y, wear, worn }] for every tile in the rectangle with at least `min` wear */
+  function query(minX, minY, maxX, maxY, min = 1) {
+    const tiles = [];
+    for (const [idx, n] of wear) {
+      const x = idx % width, y = (idx - x) / width;
+      if (n < min || x < minX || x > maxX || y < minY || y > maxY) continue;
+      tiles.push({ x, y, wear: Math.round(n * 10) / 10, worn: worn.has(idx) });
+    }
+    return tiles;
+  }
+
+  return {
+    step,
+    level: (idx) => wear.get(idx) ?? 0,
+    markWorn,
+    unmark,
+    fade,
+    query,
+    worn: () => worn,
+    isWorn: (idx) => worn.size > 0 && worn.has(idx),
+    stats: () => ({ tracked: wear.size, worn: worn.size }),
+  };
+}
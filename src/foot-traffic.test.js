@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initFootTraffic, WEAR_TO_PATH, WEAR_REVERT, WEAR_MAX } from './foot-traffic.js';
+
+const WIDTH = 100;
+
+function memoryStore(files = new Map()) {
+  return {
+    files,
+    loadJSON: (file, fallback) => files.has(file) ? JSON.parse(files.get(file)) : fallback,
+    saveJSON: (file, data) => files.set(file, JSON.stringify(data)),
+  };
+}
+
+describe('foot traffic', () => {
+  it('wears a tile one step at a time, up to WEAR_MAX', () => {
+    const traffic = initFootTraffic({ width: WIDTH, ...memoryStore() });
+    assert.equal(traffic.step(505), 1);
+    assert.equal(traffic.step(505), 2);
+    for (let i = 0; i < WEAR_MAX * 2; i++) traffic.step(505);
+    assert.equal(traffic.level(505), WEAR_MAX);
+    assert.equal(traffic.level(506), 0);
+  });
+
+  it('fades wear and reports worn paths that fall below WEAR_REVERT', () => {
+    const traffic = initFootTraffic({ width: WIDTH, ...memoryStore() });
+    for (let i = 0; i < WEAR_TO_PATH; i++) traffic.step(1);
+    traffic.markWorn(1, 'grass');
+    traffic.step(2);
+
+    assert.deepEqual(traffic.fade(WEAR_TO_PATH - WEAR_REVERT - 1), []);
+    assert.equal(traffic.level(2), 0, 'a single footprint is gone');
+    assert.equal(traffic.stats().tracked, 1);
+    assert.deepEqual(traffic.fade(2), [1]);
+    assert.equal(traffic.unmark(1), 'grass');
+    assert.equal(traffic.isWorn(1), false);
+    assert.equal(traffic.unmark(1), undefined);
+  });
+
+  it('lists the wear in a rectangle', () => {
+    const traffic = initFootTraffic({ width: WIDTH, ...memoryStore() });
+    traffic.step(3 * WIDTH + 4);
+    traffic.step(3 * WIDTH + 4);
+    traffic.step(50 * WIDTH + 50);
+    assert.deepEqual(traffic.query(0, 0, 10, 10), [{ x: 4, y: 3, wear: 2, worn: false }]);
+    assert.deepEqual(traffic.query(0, 0, 99, 99, 2), [{ x: 4, y: 3, wear: 2, worn: false }]);
+  });
+
+  it('restores the wear and worn paths it saved', () => {
+    const store = memoryStore();
+    const traffic = initFootTraffic({ width: WIDTH, ...store });
+    for (let i = 0; i < WEAR_TO_PATH; i++) traffic.step(707);
+    traffic.markWorn(707, 'sand');
+
+    const restored = initFootTraffic({ width: WIDTH, ...memoryStore(store.files) });
+    assert.equal(restored.level(707), WEAR_TO_PATH);
+    assert.equal(restored.isWorn(707), true);
+    assert.equal(restored.unmark(707), 'sand');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Mock LLM — a local stand-in for the chat APIs the LLM brain talks to (see systems/brains.js)
+ *
+ * Speaks just enough of both wire formats for offline runs and tests, with no network and no key:
+ *   POST /v1/messages           Anthropic Messages  → { content: [{ type: 'text', text }] }
+ *   POST /v1/chat/completions   OpenAI chat         → { choices: [{ message: { content } }] }
+ *
+ * By default it answers by rule, reading the brain's JSON situation from the last user message:
+ * eat or rest when vitals are low, go for food when hungry and water when thirsty, then a place not yet found, the
+ * nearest resource until its pack fills up, an unexplored zone. Given `replies` it plays those back in turn instead
+ * (objects are sent as JSON, strings as they are — handy for testing malformed answers).
+ *
+ *   const llm = await startMockLLM();            // random free port on 127.0.0.1
+ *   process.env.BRAIN_LLM_URL = llm.url;
+ *   …
+ *   await llm.close();
+ */
+import { createServer } from 'http';
+
+const FOOD = ['berri', 'fish', 'mushroom', 'herb', 'fruit', 'nut'];
+const isFood = (name) => FOOD.some(f => String(name).toLowerCase().includes(f));
+
+/** The rule-based answer to a brain's situation ({ you, inventory, see, … }) */
+export function ruleBasedIntent({ you, inventory = {}, see = {} } = {}) {
+  if (!you) return { action: 'rest', reason: 'Nothing to go on' };
+  const here = { targetX: you.x, targetY: you.y };
+  const go = (target, action, reason) => ({ action, targetX: target.x, targetY: target.y, reason });
+  const resources = see.resources || [];
+
+  if (you.hunger >= 60 && Object.keys(inventory).some(isFood)) return { action: 'eat', ...here, reason: 'Hungry, and carrying food' };
+  if (you.energy < 25) return { action: 'rest', ...here, reason: 'Too tired to go on' };
+  if (you.thirst >= 60 && (inventory.freshwater || inventory.cactus_water)) return { action: 'drink', ...here, reason: 'Thirsty, and carrying water' };
+  if (you.thirst >= 50 && see.water?.length) return go(see.water[0], 'drink', 'Thirsty — heading for water');
+  const food = resources.find(r => isFood(r.resource));
+  if (you.hunger >= 50 && food) return go(food, 'gather', `Hungry — fetching ${food.resource}`);
+  if (see.places?.length) return go(see.places[0], 'explore', `Explore ${see.places[0].name}`);
+  const carrying = Object.values(inventory).reduce((n, q) => n + q, 0);
+  if (resources.length && carrying < 10) return go(resources[0], 'gather', `Gather ${resources[0].resource}`);
+  const zone = see.unexplored?.find(z => z.zone !== 'water');
+  if (zone) return go(zone, 'explore', `See the ${zone.zone}`);
+  if (resources.length) return go(resources[0], 'gather', `Gather ${resources[0].resource}`);
+  return { action: 'rest', ...here, reason: 'Nothing in sight' };
+}
+
+/** The last user message's text, in either format */
+function lastUserText(body) {
+  const message = [...(body.messages || [])].reverse().find(m => m.role === 'user');
+  const content = message?.content;
+  if (Array.isArray(content)) return content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+  return String(content ?? '');
+}
+
+function answerFor(body, replies, count) {
+  if (replies?.length) {
+    const reply = replies[(count - 1) % replies.length];
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  }
+  let situation = null;
+  try { situation = JSON.parse(lastUserText(body)); } catch {}
+  return JSON.stringify(ruleBasedIntent(situation ?? {}));
+}
+
+/**
+ * Start the mock on `host`:`port` (0 = any free port). `latencyMs` delays every answer.
+ * Resolves to { url, port, stats: { requests }, close() }.
+ */
+export function startMockLLM({ port = 0, host = '127.0.0.1', replies = null, latencyMs = 0 } = {}) {
+  const stats = { requests: 0 };
+
+  const server = createServer((req, res) => {
+    const reply = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    const anthropic = req.url === '/v1/messages';
+    if (req.method !== 'POST' || (!anthropic && req.url !== '/v1/chat/completions')) {
+      return reply(404, { error: { type: 'not_found', message: `No route ${req.method} ${req.url}` } });
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body;
+      try { body = JSON.parse(raw); } catch { return reply(400, { error: { type: 'invalid_request_error', message: 'Body is not JSON' } }); }
+      const n = ++stats.requests;
+      const text = answerFor(body, replies, n);
+      const model = body.model || 'mock';
+      const payload = anthropic
+        ? { id: `msg_mock_${n}`, type: 'message', role: 'assistant', model, content: [{ type: 'text', text }], stop_reason: 'end_turn', usage: { input_tokens: 0, output_tokens: 0 } }
+        : { id: `chatcmpl-mock-${n}`, object: 'chat.completion', model, choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }], usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+      setTimeout(() => reply(200, payload), latencyMs);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const actual = server.address().port;
+      resolve({
+        url: `http://${host}:${actual}`,
+        port: actual,
+        stats,
+        close: () => new Promise(done => { server.close(() => done()); server.closeAllConnections(); }),
+      });
+    });
+  });
+}
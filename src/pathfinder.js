@@ -0,0 +1,184 @@
+/**
+ * Pathfinder — cost-aware A* over the tile grid, with a path cache and a per-tick search budget
+ *
+ * Moves are 8-way and every step costs what the world says it costs (`stepCost(from, to)`,
+ * Infinity = impassable); a diagonal cannot squeeze between two impassable tiles. The goal is
+ * reached within `reach` tiles (Chebyshev), so a target on water or in a wall still has an
+ * answer: the nearest tile that works it.
+ *
+ * A search stops after `maxNodes` expansions and returns a partial path to the closest tile it
+ * got to. Searches share `tickBudget` expansions per tick — once spent, findPath answers
+ * { deferred: true } until the next tick. A cached path is charged what its search cost, so
+ * which searches are deferred doesn't depend on what happens to be cached (replay relies on it).
+ *
+ *   const pf = initPathfinder({ width, height, stepCost, minStepCost: 0.8, clock });
+ *   pf.findPath(10, 10, 40, 22, { reach: 1 }) // → { path: [[x, y], …], cost, partial } | { deferred } | null
+ */
+
+export const MAX_SEARCH_NODES = 20000;
+export const TICK_SEARCH_BUDGET = 100000;
+const PATH_CACHE_SIZE = 2000;
+
+const NEIGHBORS = [[0, -1], [1, 0], [0, 1], [-1, 0], [1, -1], [1, 1], [-1, 1], [-1, -1]];
+
+export function initPathfinder({
+  width, height, stepCost, minStepCost = 1,
+  revision = () => 0, clock = null,
+  maxNodes = MAX_SEARCH_NODES, tickBudget = TICK_SEARCH_BUDGET, cacheSize = PATH_CACHE_SIZE,
+}) {
+  // Search scratch space, allocated on first use; `stamp` marks which entries are this search's
+  let g = null, parent = null, seen = null, closed = null;
+  let stamp = 0;
+
+  const cache = new Map(); // "fx,fy>tx,ty~reach" -> { path, cost, partial, nodes } (Map order = LRU)
+  let cacheRevision = revision();
+
+  let budgetTick = null;
+  let spent = 0;
+  const counters = { searches: 0, hits: 0, deferred: 0 };
+
+  // ─────────────────────────────
+  // Open set: binary heap on f, ties to the lower h
+  // ─────────────────────────────
+  let heapIdx = new Int32Array(1024), heapF = new Float64Array(1024), heapH = new Float64Array(1024);
+  let heapSize = 0;
+
+  function less(a, b) {
+    return heapF[a] < heapF[b] || (heapF[a] === heapF[b] && heapH[a] < heapH[b]);
+  }
+
+  function swap(a, b) {
+    [heapIdx[a], heapIdx[b]] = [heapIdx[b], heapIdx[a]];
+    [heapF[a], heapF[b]] = [heapF[b], heapF[a]];
+    [heapH[a], heapH[b]] = [heapH[b], heapH[a]];
+  }
+
+  function push(idx, f, h) {
+    if (heapSize === heapIdx.length) {
+      const grow = (arr) => { const next = new arr.constructor(arr.length * 2); next.set(arr); return next; };
+      heapIdx = grow(heapIdx); heapF = grow(heapF); heapH = grow(heapH);
+    }
+    let i = heapSize++;
+    heapIdx[i] = idx; heapF[i] = f; heapH[i] = h;
+    while (i > 0) {
+      const up = (i - 1) >> 1;
+      if (!less(i, up)) break;
+      swap(i, up);
+      i = up;
+    }
+  }
+
+  function pop() {
+    const top = heapIdx[0];
+    heapSize--;
+    if (heapSize > 0) {
+      heapIdx[0] = heapIdx[heapSize]; heapF[0] = heapF[heapSize]; heapH[0] = heapH[heapSize];
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1, r = l + 1;
+        let best = i;
+        if (l < heapSize && less(l, best)) best = l;
+        if (r < heapSize && less(r, best)) best = r;
+        if (best === i) break;
+        swap(i, best);
+        i = best;
+      }
+    }
+    return top;
+  }
+
+  // ─────────────────────────────
+  // Search
+  // ─────────────────────────────
+
+  function search(fromX, fromY, toX, toY, reach) {
+    if (!g) {
+      g = new Float32Array(width * height);
+      parent = new Int32Array(width * height);
+      seen = new Uint32Array(width * height);
+      closed = new Uint32Array(width * height);
+    }
+    if (++stamp === 0xffffffff) { seen.fill(0); closed.fill(0); stamp = 1; }
+
+    const heuristic = (x, y) => Math.max(0, Math.max(Math.abs(toX - x), Math.abs(toY - y)) - reach) * minStepCost;
+    const start = fromY * width + fromX;
+    heapSize = 0;
+    g[start] = 0; parent[start] = -1; seen[start] = stamp;
+    push(start, heuristic(fromX, fromY), heuristic(fromX, fromY));
+
+    let nodes = 0, goal = -1;
+    let best = start, bestH = heuristic(fromX, fromY);
+    while (heapSize > 0 && nodes < maxNodes) {
+      const cur = pop();
+      if (closed[cur] === stamp) continue;
+      closed[cur] = stamp;
+      nodes++;
+      const cx = cur % width, cy = (cur - cx) / width;
+      const h = heuristic(cx, cy);
+      if (Math.max(Math.abs(toX - cx), Math.abs(toY - cy)) <= reach) { goal = cur; break; }
+      if (h < bestH || (h === bestH && g[cur] < g[best])) { best = cur; bestH = h; }
+
+      for (let n = 0; n < 8; n++) {
+        const [dx, dy] = NEIGHBORS[n];
+        const nx = cx + dx, ny = cy + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const next = ny * width + nx;
+        if (closed[next] === stamp) continue;
+        const cost = stepCost(cur, next);
+        if (cost === Infinity) continue;
+        // No squeezing diagonally between two impassable tiles
+        if (dx !== 0 && dy !== 0
+          && stepCost(cur, cy * width + nx) === Infinity
+          && stepCost(cur, ny * width + cx) === Infinity) continue;
+        const tentative = g[cur] + cost;
+        if (seen[next] === stamp && tentative >= g[next]) continue;
+        seen[next] = stamp;
+        g[next] = tentative;
+        parent[next] = cur;
+        const nh = heuristic(nx, ny);
+        push(next, tentative + nh, nh);
+      }
+    }
+
+    const end = goal !== -1 ? goal : best;
+    const path = [];
+    for (let at = end; at !== start; at = parent[at]) path.push([at % width, Math.floor(at / width)]);
+    path.reverse();
+    return { path, cost: Math.round(g[end] * 100) / 100, partial: goal === -1, nodes };
+  }
+
+  /**
+   * Best route from (fromX, fromY) to within `reach` tiles of (toX, toY). Steps exclude the
+   * start. Returns null when there is nowhere better to stand than where you are.
+   */
+  function findPath(fromX, fromY, toX, toY, { reach = 0 } = {}) {
+    const tick = clock?.now() ?? null;
+    if (tick !== budgetTick) { budgetTick = tick; spent = 0; }
+    if (clock && spent >= tickBudget) { counters.deferred++; return { deferred: true }; }
+
+    const rev = revision();
+    if (rev !== cacheRevision) { cache.clear(); cacheRevision = rev; }
+
+    const key = `${fromX},${fromY}>${toX},${toY}~${reach}`;
+    let result = cache.get(key);
+    if (result) {
+      counters.hits++;
+      cache.delete(key); // most recently used goes last
+    } else {
+      counters.searches++;
+      result = search(fromX, fromY, toX, toY, reach);
+      if (cache.size >= cacheSize) cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, result);
+    spent += result.nodes;
+
+    if (result.path.length === 0 && result.partial) return null;
+    return { path: result.path.map(p => p.slice()), cost: result.cost, partial: result.partial };
+  }
+
+  function stats() {
+    return { ...counters, cached: cache.size, spent, budget: tickBudget, maxNodes };
+  }
+
+  return { findPath, stats };
+}
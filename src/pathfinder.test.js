@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initPathfinder } from './pathfinder.js';
+
+/**
+ * A pathfinder over an ASCII map: '.' costs 1, '=' (road) 0.5, '~' (mud) 3, '#' is a wall.
+ * Rows are given top to bottom.
+ */
+function gridOf(rows, options = {}) {
+  const height = rows.length, width = rows[0].length;
+  const costs = { '.': 1, '=': 0.5, '~': 3, '#': Infinity };
+  const cells = rows.join('');
+  const stepCost = (from, to) => costs[cells[to]];
+  return initPathfinder({ width, height, stepCost, minStepCost: 0.5, ...options });
+}
+
+const last = (result) => result.path[result.path.length - 1];
+
+describe('findPath', () => {
+  it('walks straight and diagonally across open ground', () => {
+    const pf = gridOf([
+      '.....',
+      '.....',
+      '.....',
+    ]);
+    const result = pf.findPath(0, 0, 4, 2);
+    assert.equal(result.partial, false);
+    assert.deepEqual(last(result), [4, 2]);
+    assert.equal(result.path.length, 4, 'two diagonal steps and two straight ones');
+    assert.equal(result.cost, 4);
+  });
+
+  it('goes around a wall', () => {
+    const pf = gridOf([
+      '..#..',
+      '..#..',
+      '.....',
+    ]);
+    const result = pf.findPath(0, 0, 4, 0);
+    assert.equal(result.partial, false);
+    assert.deepEqual(last(result), [4, 0]);
+    assert.ok(result.path.every(([x, y]) => !(x === 2 && y < 2)), 'never through the wall');
+  });
+
+  it('takes the cheaper road over the shorter mud', () => {
+    const pf = gridOf([
+      '.~~~.',
+      '=====',
+    ]);
+    const result = pf.findPath(0, 0, 4, 0);
+    assert.ok(result.path.some(([, y]) => y === 1), 'detours onto the road');
+    assert.ok(result.cost < 4 * 3);
+  });
+
+  it('does not squeeze diagonally between two walls', () => {
+    const pf = gridOf([
+      '.#',
+      '#.',
+    ]);
+    assert.equal(pf.findPath(0, 0, 1, 1), null);
+  });
+
+  it('stops within reach of a target it cannot stand on', () => {
+    const pf = gridOf([
+      '.....',
+      '...#.',
+      '.....',
+    ]);
+    const result = pf.findPath(0, 1, 3, 1, { reach: 1 });
+    assert.equal(result.partial, false);
+    const [x, y] = last(result);
+    assert.equal(x, 2, 'the near side is enough');
+    assert.ok(Math.abs(y - 1) <= 1);
+    assert.equal(result.path.length, 2);
+  });
+
+  it('gets as close as it can to an unreachable target', () => {
+    const pf = gridOf([
+      '...#.',
+      '...#.',
+      '...#.',
+    ]);
+    const result = pf.findPath(0, 1, 4, 1);
+    assert.equal(result.partial, true);
+    assert.equal(last(result)[0], 2);
+    assert.equal(pf.findPath(2, 1, 4, 1), null, 'nowhere closer to go');
+  });
+
+  it('gives up after maxNodes expansions with a partial path', () => {
+    const pf = gridOf(['.'.repeat(50)], { maxNodes: 10 });
+    const result = pf.findPath(0, 0, 49, 0);
+    assert.equal(result.partial, true);
+    assert.ok(result.path.length > 0 && last(result)[0] < 49);
+  });
+});
+
+describe('path cache', () => {
+  it('answers a repeated search from the cache, as a copy', () => {
+    const pf = gridOf(['.....']);
+    const first = pf.findPath(0, 0, 4, 0);
+    first.path[0][0] = 99;
+    const second = pf.findPath(0, 0, 4, 0);
+    assert.deepEqual(second.path, [[1, 0], [2, 0], [3, 0], [4, 0]]);
+    assert.equal(pf.stats().searches, 1);
+    assert.equal(pf.stats().hits, 1);
+  });
+
+  it('forgets every path when the world changes', () => {
+    let rev = 0;
+    const pf = gridOf(['.....'], { revision: () => rev });
+    pf.findPath(0, 0, 4, 0);
+    rev++;
+    pf.findPath(0, 0, 4, 0);
+    assert.equal(pf.stats().searches, 2);
+    assert.equal(pf.stats().hits, 0);
+  });
+});
+
+describe('tick budget', () => {
+  it('defers searches once the tick\'s budget is spent, cached ones included', () => {
+    let tick = 0;
+    const clock = { now: () => tick };
+    const pf = gridOf(['.'.repeat(20)], { clock, tickBudget: 25 });
+    assert.ok(pf.findPath(0, 0, 19, 0).path);
+    assert.ok(pf.findPath(19, 0, 0, 0).path);
+    assert.deepEqual(pf.findPath(0, 0, 19, 0), { deferred: true });
+    assert.equal(pf.stats().deferred, 1);
+
+    tick++;
+    assert.ok(pf.findPath(0, 0, 19, 0).path, 'a new tick brings a new budget');
+    assert.equal(pf.stats().hits, 1);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Replay — rebuild the world at any past tick from a journal checkpoint plus the journal
+ *
+ * Restores the checkpoint that opens the journal segment covering `tick` into a scratch
+ * directory, boots a simulation on it in replay mode and re-runs the ticks. Outside inputs
+ * (spawns, controller attach/intents, agent API calls) are re-applied between the ticks they
+ * arrived on and the World Master's recorded LLM answers are fed back, so the seeded RNG
+ * retraces the original run. Everything the replay records is compared against the journal;
+ * the first mismatch is reported as `divergence` (the agent API's cooldowns start empty, and
+ * oracle answers and rate limits are not replayed). Moves are re-derived: the replay records them even when
+ * the journal didn't, and only compares them when it did.
+ *
+ *   const run = await replayJournal({ worldData, dataDir, tick: 1200 });
+ *   run.sim.agents.get(id).hunger;
+ *   run.close();
+ */
+
+import express from 'express';
+import { existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+import { initSimulation } from './simulation.js';
+import { initSaves } from './systems/saves.js';
+import { EXTERNAL_TYPES, listSegments, readSegment, readCheckpoint } from './systems/journal.js';
+
+export async function replayJournal({
+  worldData,
+  dataDir,
+  tick,
+  scratchDir = join(tmpdir(), `oasis-replay-${process.pid}-${Date.now()}`),
+  onTick = null, // (sim, tick) after every replayed tick — sample state over time
+}) {
+  const target = parseInt(tick);
+  if (!Number.isInteger(target) || target < 0) return { error: 'tick must be a non-negative integer' };
+
+  const segment = listSegments(dataDir).filter(s => s.tick <= target).pop();
+  if (!segment) return { error: `The journal has nothing at or before tick ${target}` };
+  const checkpoint = readCheckpoint(dataDir, segment.name);
+  if (!checkpoint) return { error: `Checkpoint for segment ${segment.name} is missing` };
+  if (checkpoint.world && (checkpoint.world.width !== worldData.width || checkpoint.world.height !== worldData.height)) {
+    return { error: `Segment ${segment.name} was recorded on a ${checkpoint.world.width}x${checkpoint.world.height} world` };
+  }
+
+  const recorded = readSegment(dataDir, segment.name);
+  const external = recorded.filter(e => EXTERNAL_TYPES.has(e.type));
+
+  if (existsSync(scratchDir)) rmSync(scratchDir, { recursive: true, force: true });
+  initSaves({ dataDir: scratchDir }).restore(checkpoint);
+  const sim = initSimulation({ worldData, dataDir: scratchDir, seed: checkpoint.seed, replay: recorded });
+  const dispatch = initDispatcher(sim);
+
+  let next = 0;
+  for (;;) {
+    while (next < external.length && external[next].tick <= sim.clock.now()) {
+      await applyExternal(sim, dispatch, external[next++]);
+    }
+    if (sim.clock.now() >= target) break;
+    const t = await sim.simulationTick();
+    onTick?.(sim, t);
+  }
+
+  function close() {
+    sim.dispose();
+    rmSync(scratchDir, { recursive: true, force: true });
+  }
+
+  return {
+    sim,
+    segment: segment.name,
+    fromTick: checkpoint.tick,
+    tick: sim.clock.now(),
+    recordedTo: recorded.length ? recorded[recorded.length - 1].tick : checkpoint.tick,
+    divergence: compare(recorded, sim.journal.replayed(), target, !!recorded[0]?.moves),
+    moves: (agentId) => sim.journal.replayed().filter(e => e.type === 'move' && (!agentId || e.agentId === agentId)),
+    close,
+  };
+}
+
+async function applyExternal(sim, dispatch, e) {
+  const control = sim.systems.agentControl;
+  switch (e.type) {
+    case 'spawn':
+      sim.spawnAgent(e.name);
+      break;
+    case 'control':
+      if (e.attached) control.attach(e.agentId, () => {}, { deadlineTicks: e.deadlineTicks, awaitingSince: e.awaitingSince });
+      else control.detach(e.agentId);
+      break;
+    case 'intent':
+      control.submit(e.agentId, e);
+      break;
+    case 'api':
+      await dispatch(e);
+      break;
+  }
+}
+
+/**
+ * Re-issue a journaled agent API call against the replay world's routes. The journal stores
+ * the agent's id, never its token, so replay authenticates by id.
+ */
+function initDispatcher(sim) {
+  const router = express.Router();
+  const authReplay = (req, res, next) => {
+    req.agent = sim.agents.get(req.replayAgentId);
+    if (!req.agent?.alive) return res.status(403).json({ error: 'Agent unavailable in replay' });
+    sim.journal.record('api', { agentId: req.agent.id, method: req.method, path: req.originalUrl, body: req.body });
+    next();
+  };
+  sim.registry.setupRoutes(router, authReplay);
+
+  return (e) => new Promise((resolve) => {
+    const [path, qs = ''] = e.path.split('?');
+    const req = {
+      method: e.method, url: e.path, originalUrl: e.path, path,
+      headers: {}, query: Object.fromEntries(new URLSearchParams(qs)), params: {},
+      body: e.body || {}, replayAgentId: e.agentId,
+    };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); return this; },
+      send(body) { resolve({ status: this.statusCode, body }); return this; },
+      end() { resolve({ status: this.statusCode }); return this; },
+      setHeader() {}, getHeader() {}, set() { return this; },
+    };
+    router.handle(req, res, () => resolve({ status: 404 }));
+  });
+}
+
+/**
+ * First tick where the replay's own record parts from the journal, up to `target`. Entries
+ * are compared per tick, ignoring order — async hooks may settle in a different order. Moves
+ * count only when the segment journaled them (`withMoves`).
+ */
+function compare(recorded, replayed, target, withMoves) {
+  const byTick = (entries) => {
+    const ticks = new Map();
+    for (const e of entries) {
+      if (e.type === 'segment' || e.tick > target || (e.type === 'move' && !withMoves)) continue;
+      if (!ticks.has(e.tick)) ticks.set(e.tick, []);
+      ticks.get(e.tick).push(`${e.type}:${e.agentId ?? ''}`);
+    }
+    return ticks;
+  };
+  const expected = byTick(recorded);
+  const actual = byTick(replayed);
+  const ticks = [...new Set([...expected.keys(), ...actual.keys()])].sort((a, b) => a - b);
+  for (const tick of ticks) {
+    const missing = [...(expected.get(tick) || [])];
+    const unexpected = [];
+    for (const key of actual.get(tick) || []) {
+      const i = missing.indexOf(key);
+      if (i >= 0) missing.splice(i, 1); else unexpected.push(key);
+    }
+    if (missing.length || unexpected.length) return { tick, missing, unexpected };
+  }
+  return null;
+}
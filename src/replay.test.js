@@ -0,0 +1,70 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, appendFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { generateWorld } from './world/pipeline/pipeline.js';
+import { initSimulation } from './simulation.js';
+import { replayJournal } from './replay.js';
+import { journalDir, listSegments } from './systems/journal.js';
+
+const blueprint = JSON.parse(readFileSync(new URL('../fixtures/sample-blueprint.json', import.meta.url), 'utf-8'));
+const TICKS = 120;
+
+describe('replayJournal', () => {
+  let worldData, dataDir, log, apiKey;
+
+  before(async () => {
+    // Offline: the experiment oracle's answers are not replayed (see replay.js)
+    apiKey = process.env.ANTHROPIC_API_KEY;
+    delete process.env.ANTHROPIC_API_KEY;
+    log = console.log;
+    console.log = () => {};
+    // 220×220 — the spawn point is picked at least 100 tiles in from the edge
+    worldData = generateWorld({ seed: 'replay-test', regionSize: 110, blueprint });
+    dataDir = mkdtempSync(join(tmpdir(), 'oasis-replay-test-'));
+    const sim = initSimulation({ worldData, dataDir, seed: 'replay-test' });
+    for (const name of ['Ada', 'Bo', 'Cy']) sim.spawnAgent(name);
+    for (let i = 0; i < TICKS; i++) await sim.simulationTick();
+    sim.dispose();
+  });
+
+  after(() => {
+    console.log = log;
+    if (apiKey !== undefined) process.env.ANTHROPIC_API_KEY = apiKey;
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('rebuilds a past tick without parting from the journal', async () => {
+    const run = await replayJournal({ worldData, dataDir, tick: TICKS });
+    try {
+      assert.equal(run.tick, TICKS);
+      assert.equal(run.fromTick, 0);
+      assert.equal(run.divergence, null);
+      assert.deepEqual([...run.sim.agents.values()].map(a => a.name).sort(), ['Ada', 'Bo', 'Cy']);
+      assert.ok(run.moves().length > 0, 'moves are retraced even though the journal left them out');
+    } finally {
+      run.close();
+    }
+  });
+
+  it('reports the first tick where the replay and the journal disagree', async () => {
+    const [segment] = listSegments(dataDir);
+    appendFileSync(join(journalDir(dataDir), `${segment.name}.jsonl`), JSON.stringify({ seq: 1e6, tick: 40, type: 'gather', agentId: 'ghost' }) + '\n');
+    const run = await replayJournal({ worldData, dataDir, tick: TICKS });
+    try {
+      assert.deepEqual(run.divergence, { tick: 40, missing: ['gather:ghost'], unexpected: [] });
+    } finally {
+      run.close();
+    }
+  });
+
+  it('says when the journal has nothing to replay', async () => {
+    const empty = mkdtempSync(join(tmpdir(), 'oasis-replay-test-'));
+    try {
+      assert.match((await replayJournal({ worldData, dataDir: empty, tick: 10 })).error, /nothing at or before tick 10/);
+    } finally {
+      rmSync(empty, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Resource Stocks — finite, regrowing yields per tile
+ *
+ * Every resource tile starts full: its resource kind's `stock`. Gathering takes one unit; the
+ * world adapter regrows tiles once per game hour at a rate the ecosystem sets for their zone.
+ * Only tiles below full are stored, so an untouched 2000×2000 world costs nothing. Trees and
+ * rocks gathered down to nothing are removed from the decoration layer for good.
+ *
+ * Persisted as resource-stocks.json (the cave layer's as cave-stocks.json) through the
+ * simulation's loadJSON/saveJSON:
+ *   { stocks: { "x,y": remaining }, removed: ["x,y", …] }
+ */
+
+export function initResourceStocks({ width, loadJSON, saveJSON, file = 'resource-stocks.json' }) {
+  const FILE = file;
+  const data = loadJSON(FILE, { stocks: {}, removed: [] });
+  data.stocks ??= {};
+  data.removed ??= [];
+
+  const keyOf = (idx) => `${idx % width},${Math.floor(idx / width)}`;
+  const idxOf = (key) => { const [x, y] = key.split(',').map(Number); return y * width + x; };
+
+  // Numeric mirrors of the persisted document — the document is what snapshots capture
+  const stocks = new Map();   // tile index -> remaining units (fractional while regrowing)
+  const removed = new Set();  // tile index of a removed decoration
+  for (const [key, n] of Object.entries(data.stocks)) stocks.set(idxOf(key), n);
+  for (const key of data.removed) removed.add(idxOf(key));
+
+  function save() { saveJSON(FILE, data); }
+
+  function set(idx, n) {
+    stocks.set(idx, n);
+    // Unrounded — a restored checkpoint has to regrow to exactly the same levels
+    data.stocks[keyOf(idx)] = n;
+  }
+
+  function clear(idx) {
+    stocks.delete(idx);
+    delete data.stocks[keyOf(idx)];
+  }
+
+  /** Units left on a tile whose kind holds `capacity` when full */
+  function level(idx, capacity) {
+    return stocks.size === 0 ? capacity : (stocks.get(idx) ?? capacity);
+  }
+
+  /** Take one unit. Returns what is left. */
+  function take(idx, capacity) {
+    const left = Math.max(0, level(idx, capacity) - 1);
+    set(idx, left);
+    save();
+    return left;
+  }
+
+  /**
+   * Regrow every depleted tile by `rateOf(idx)` units (0 leaves it as it is); tiles that
+   * reach `capacityOf(idx)` are full again and dropped from the store.
+   */
+  function regrow(capacityOf, rateOf) {
+    if (stocks.size === 0) return 0;
+    let regrown = 0;
+    for (const [idx, n] of stocks) {
+      const rate = rateOf(idx);
+      if (!(rate > 0)) continue;
+      const capacity = capacityOf(idx);
+      if (n + rate >= capacity) { clear(idx); regrown++; }
+      else set(idx, n + rate);
+    }
+    save();
+    return regrown;
+  }
+
+  /** Forget a tile's stock — it yields something else now, and starts full */
+  function reset(idx) {
+    if (!stocks.has(idx)) return;
+    clear(idx);
+    save();
+  }
+
+  /** Take a decoration off the map; whatever the bare tile yields starts full */
+  function removeDecoration(idx) {
+    if (removed.has(idx)) return;
+    removed.add(idx);
+    data.removed.push(keyOf(idx));
+    clear(idx);
+    save();
+  }
+
+  return {
+    level,
+    take,
+    regrow,
+    reset,
+    removeDecoration,
+    isRemoved: (idx) => removed.size > 0 && removed.has(idx),
+    removedDecorations: () => removed,
+    depletedCount: () => stocks.size,
+  };
+}
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initResourceStocks } from './resource-stocks.js';
+
+const WIDTH = 100;
+
+/** An in-memory loadJSON/saveJSON pair; `files` is what was saved */
+function memoryStore(files = new Map()) {
+  return {
+    files,
+    loadJSON: (file, fallback) => files.has(file) ? JSON.parse(files.get(file)) : fallback,
+    saveJSON: (file, data) => files.set(file, JSON.stringify(data)),
+  };
+}
+
+describe('resource stocks', () => {
+  it('starts every tile full and takes one unit at a time', () => {
+    const stocks = initResourceStocks({ width: WIDTH, ...memoryStore() });
+    assert.equal(stocks.level(205, 5), 5);
+    assert.equal(stocks.take(205, 5), 4);
+    assert.equal(stocks.take(205, 5), 3);
+    assert.equal(stocks.level(205, 5), 3);
+    assert.equal(stocks.level(206, 5), 5, 'neighbours are untouched');
+    assert.equal(stocks.depletedCount(), 1);
+  });
+
+  it('never goes below empty', () => {
+    const stocks = initResourceStocks({ width: WIDTH, ...memoryStore() });
+    stocks.take(0, 1);
+    assert.equal(stocks.take(0, 1), 0);
+  });
+
+  it('regrows at each tile\'s rate and forgets tiles once full again', () => {
+    const stocks = initResourceStocks({ width: WIDTH, ...memoryStore() });
+    stocks.take(1, 4);
+    stocks.take(2, 4); stocks.take(2, 4); stocks.take(2, 4);
+    stocks.take(3, 4);
+    const rates = { 1: 0.5, 2: 0.5, 3: 0 };
+
+    assert.equal(stocks.regrow(() => 4, idx => rates[idx]), 0);
+    assert.equal(stocks.level(1, 4), 3.5);
+    assert.equal(stocks.level(2, 4), 1.5);
+    assert.equal(stocks.level(3, 4), 3, 'a rate of 0 leaves it as it is');
+
+    assert.equal(stocks.regrow(() => 4, idx => rates[idx]), 1, 'tile 1 is full');
+    assert.equal(stocks.level(1, 4), 4);
+    assert.equal(stocks.depletedCount(), 2);
+  });
+
+  it('removes a decoration for good and starts what is underneath full', () => {
+    const stocks = initResourceStocks({ width: WIDTH, ...memoryStore() });
+    stocks.take(301, 3);
+    stocks.removeDecoration(301);
+    assert.equal(stocks.isRemoved(301), true);
+    assert.equal(stocks.isRemoved(302), false);
+    assert.equal(stocks.level(301, 2), 2);
+    stocks.take(302, 3);
+    stocks.reset(302);
+    assert.equal(stocks.level(302, 3), 3);
+  });
+
+  it('restores exactly what it saved', () => {
+    const store = memoryStore();
+    const stocks = initResourceStocks({ width: WIDTH, ...store });
+    stocks.take(1203, 5);
+    stocks.regrow(() => 5, () => 1 / 3);
+    stocks.removeDecoration(4507);
+    assert.deepEqual(JSON.parse(store.files.get('resource-stocks.json')), {
+      stocks: { '3,12': 4 + 1 / 3 },
+      removed: ['7,45'],
+    });
+
+    const restored = initResourceStocks({ width: WIDTH, ...memoryStore(store.files) });
+    assert.equal(restored.level(1203, 5), 4 + 1 / 3, 'unrounded, so regrowth picks up where it left off');
+    assert.equal(restored.isRemoved(4507), true);
+  });
+
+  it('keeps separate layers in separate files', () => {
+    const store = memoryStore();
+    initResourceStocks({ width: WIDTH, ...store }).take(0, 5);
+    initResourceStocks({ width: WIDTH, ...store, file: 'cave-stocks.json' }).take(0, 9);
+    assert.equal(initResourceStocks({ width: WIDTH, ...memoryStore(store.files) }).level(0, 5), 4);
+    assert.equal(initResourceStocks({ width: WIDTH, ...memoryStore(store.files), file: 'cave-stocks.json' }).level(0, 9), 8);
+  });
+});
@@ -0,0 +1,451 @@
+/**
+ * Simulation Core — world + agents + every game system, with no transport attached
+ *
+ * server.js wraps this with Express routes and WebSocket spectators;
+ * scripts/simulate.mjs drives it headless for batch runs.
+ *
+ *   const sim = initSimulation({ worldData, dataDir, broadcast });
+ *   sim.spawnAgent('Ada');
+ *   await sim.simulationTick();
+ */
+
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+
+// World adapter (bridges WORLD terrain → ClawScape-style zones)
+import { initWorldAdapter } from './world-adapter.js';
+
+// Game Systems
+import { initRegistry } from './systems/registry.js';
+import { SYSTEM_PLUGINS } from './systems/index.js';
+import { initClock } from './systems/clock.js';
+import { initRng } from './systems/rng.js';
+import { initSaves, writeJSONAtomic } from './systems/saves.js';
+import { initJournal, archiveJournal } from './systems/journal.js';
+
+export function initSimulation({
+  worldData,
+  dataDir,
+  seed,
+  broadcast = () => {},
+  hasSpectators = () => false,
+  getSpeed = () => 1, // real-time speed multiplier, sent with every tick so viewers can pace their animation
+  replay = null, // a journal segment's entries — see replay.js
+}) {
+  // ═══════════════════════════════════════
+  // Data persistence
+  // ═══════════════════════════════════════
+  if (!existsSync(dataDir)) mkdirSync(dataDir, { recursive: true });
+
+  // Last object loaded or saved per file — systems mutate these in place, so this is the
+  // live state a snapshot captures even between a system's own saves
+  const liveFiles = new Map();
+
+  // Saves made during a tick are written once, when the tick ends — a busy tick saves the
+  // same file hundreds of times. Saves between ticks (API calls, boot) are written at once.
+  const dirtyFiles = new Set();
+  let inTick = false;
+
+  function loadJSON(filename, fallback = {}) {
+    if (dirtyFiles.has(filename)) flushFiles();
+    const p = join(dataDir, filename);
+    let data = fallback;
+    if (existsSync(p)) {
+      try { data = JSON.parse(readFileSync(p, 'utf-8')); }
+      catch { data = fallback; }
+    }
+    liveFiles.set(filename, data);
+    return data;
+  }
+
+  function saveJSON(filename, data) {
+    liveFiles.set(filename, data);
+    if (inTick) dirtyFiles.add(filename);
+    else writeJSONAtomic(join(dataDir, filename), data);
+  }
+
+  function flushFiles() {
+    for (const filename of dirtyFiles) writeJSONAtomic(join(dataDir, filename), liveFiles.get(filename));
+    dirtyFiles.clear();
+  }
+
+  const saves = initSaves({ dataDir });
+
+  // ═══════════════════════════════════════
+  // Simulation Clock (tick-driven — shared by every system)
+  // ═══════════════════════════════════════
+  const clock = initClock({ loadJSON, saveJSON });
+
+  // Seeded RNG — an explicit seed overrides the one baked into the world file
+  const rng = initRng({ loadJSON, saveJSON, seed: seed ?? worldData.seed });
+  console.log(`   🎲 Seed: ${rng.seed}`);
+
+  // Append-only event journal (data/journal) — every state change, stamped with its tick
+  const journal = initJournal({ dataDir, clock, replay });
+
+  console.log('🔌 Initializing world adapter...');
+  const worldGrid = initWorldAdapter(worldData, dataDir, { loadJSON, saveJSON, clock });
+
+  // ═══════════════════════════════════════
+  // Agent State
+  // ═══════════════════════════════════════
+  const agentStore = loadJSON('agents.json', {});
+  const agents = new Map();
+
+  // Rehydrate existing agents
+  for (const [id, data] of Object.entries(agentStore)) {
+    if (data.relationships && !(data.relationships instanceof Map)) {
+      data.relationships = new Map(Object.entries(data.relationships));
+    } else if (!data.relationships) {
+      data.relationships = new Map();
+    }
+    if (!data.token) data.token = issueToken(); // agents saved before tokens existed
+    agents.set(id, data);
+    worldGrid.placeAgent(data);
+  }
+
+  // ═══════════════════════════════════════
+  // Agent API Tokens
+  // ═══════════════════════════════════════
+  // Drawn from crypto, not the seeded RNG — tokens are credentials and must not be replayable
+
+  function issueToken() {
+    return randomBytes(24).toString('hex');
+  }
+
+  /** Replace an agent's token — how agents rehydrated from an old save get one anyone knows */
+  function rotateToken(agentId) {
+    const agent = agents.get(agentId);
+    if (!agent) return null;
+    agent.token = issueToken();
+    saveState();
+    return agent.token;
+  }
+
+  function getAgentByToken(token) {
+    if (!token) return null;
+    for (const agent of agents.values()) {
+      if (agent.token === token) return agent;
+    }
+    return null;
+  }
+
+  function ensureAgentStats(agent) {
+    if (!agent.stats) agent.stats = { xp: 0, level: 1, title: 'Hatchling 🥚' };
+  }
+
+  // ═══════════════════════════════════════
+  // XP & Levels
+  // ═══════════════════════════════════════
+  const LEVEL_THRESHOLDS = [0, 100, 300, 600, 1000, 1500, 2100, 2800, 3600, 4500, 5500];
+  const TITLES = { 1: 'Hatchling 🥚', 5: 'Wanderer 🚶', 10: 'Crafter ⚒️', 15: 'Explorer 🧭', 20: 'Builder 🏗️', 30: 'Master 🎓', 50: 'Legend 👑', 100: 'Mythic ⚡' };
+
+  function getLevelForXP(xp) {
+    let level = 1;
+    for (let i = 1; i < LEVEL_THRESHOLDS.length; i++) {
+      if (xp >= LEVEL_THRESHOLDS[i]) level = i + 1; else break;
+    }
+    return level;
+  }
+
+  function getTitleForLevel(level) {
+    let title = TITLES[1];
+    for (const [lv, t] of Object.entries(TITLES).sort((a, b) => a[0] - b[0])) {
+      if (level >= parseInt(lv)) title = t;
+    }
+    return title;
+  }
+
+  function awardXP(agentId, amount) {
+    const agent = agents.get(agentId);
+    if (!agent) return;
+    ensureAgentStats(agent);
+    agent.stats.xp += amount;
+    const newLevel = getLevelForXP(agent.stats.xp);
+    if (newLevel > agent.stats.level) {
+      agent.stats.level = newLevel;
+      agent.stats.title = getTitleForLevel(newLevel);
+      addWorldNews('level_up', agent.id, agent.name, `${agent.name} reached level ${newLevel}! ${agent.stats.title}`, agent.zone);
+      broadcast({ type: 'level_up', agentId, name: agent.name, level: newLevel, title: agent.stats.title });
+    }
+  }
+
+  // ═══════════════════════════════════════
+  // World News
+  // ═══════════════════════════════════════
+  const worldNews = { items: [], add(type, agentId, name, message, zone) { this.items.unshift({ type, agentId, name, message, zone, tick: clock.now(), time: Date.now() }); if (this.items.length > 200) this.items.length = 200; } };
+  const newsListeners = [];
+  function addWorldNews(type, agentId, name, msg, zone) {
+    worldNews.add(type, agentId, name, msg, zone);
+    for (const fn of newsListeners) fn(worldNews.items[0]);
+  }
+  /** Observe every news item as it is published (batch reports, journals) */
+  function onNews(fn) { newsListeners.push(fn); }
+
+  // ═══════════════════════════════════════
+  // Initialize All Game Systems
+  // ═══════════════════════════════════════
+  console.log('⚙️  Initializing game systems...');
+
+  const zones = worldGrid.zones; // ClawScape-compatible zones object
+  const recipes = loadJSON('recipes.json', []);
+
+  const shared = {
+    loadJSON, saveJSON,
+    agents, agentStore, ensureAgentStats,
+    broadcast, addWorldNews,
+    zones,
+    awardXP,
+    recipes,
+    worldGrid, // The adapter — systems can call worldGrid.getTile, walkAgent, etc.
+    clock, getGameTime,
+    rng, journal,
+  };
+
+  // Each system declares its deps, tick hooks, routes and files — see systems/registry.js
+  const registry = initRegistry();
+  for (const plugin of SYSTEM_PLUGINS) registry.register(plugin);
+  const systems = registry.initAll(shared);
+  const { weather: weatherSystem, agentAI } = systems;
+
+  console.log('   ✅ All systems initialized');
+
+  // ═══════════════════════════════════════
+  // Agent Serialization
+  // ═══════════════════════════════════════
+  function serializeAgent(a) {
+    return {
+      id: a.id, name: a.name,
+      tileX: a.tileX, tileY: a.tileY, z: a.z ?? 0,
+      zone: a.zone,
+      region: worldGrid.getRegion(a.tileX, a.tileY)?.name ?? null,
+      hp: a.hp, energy: a.energy, hunger: a.hunger, thirst: a.thirst ?? 0,
+      inventory: a.inventory,
+      stats: a.stats,
+      alive: a.alive,
+      proficiencies: a.proficiencies,
+      achievements: a.achievements?.length || 0,
+      home: systems.territory?.describe(systems.territory.homeOf(a.id)) ?? null,
+      mind: agentAI?.minds?.[a.id] ? {
+        action: agentAI.minds[a.id].currentAction,
+        mood: agentAI.minds[a.id].mood,
+        traits: agentAI.minds[a.id].personality?.traits,
+        intent: agentAI.minds[a.id].intent ? {
+          action: agentAI.minds[a.id].intent.action,
+          reason: agentAI.minds[a.id].intent.reason,
+        } : null,
+        pathThisTick: agentAI.minds[a.id].pathThisTick || null,
+        route: agentAI.minds[a.id].route?.steps || null,
+      } : null,
+    };
+  }
+
+  // ═══════════════════════════════════════
+  // Simulation
+  // ═══════════════════════════════════════
+
+  // Game time (1 tick = 10 minutes game time)
+  function getGameTime() {
+    return clock.getGameTime();
+  }
+
+  function saveState() {
+    const store = {};
+    for (const [id, a] of agents) {
+      store[id] = { ...a, relationships: Object.fromEntries(a.relationships || new Map()) };
+    }
+    saveJSON('agents.json', store);
+    clock.save();
+    rng.save();
+  }
+
+  // ═══════════════════════════════════════
+  // Snapshots & Save Slots
+  // ═══════════════════════════════════════
+  const AUTOSAVE_TICKS = clock.days(1);
+
+  /** Every system's state at this tick boundary, as one document */
+  function snapshot() {
+    saveState();
+    const files = {};
+    for (const [name, data] of liveFiles) files[name] = data;
+    return {
+      tick: clock.now(),
+      seed: rng.seed,
+      world: { width: worldData.width, height: worldData.height, seed: worldData.seed ?? null },
+      files,
+    };
+  }
+
+  function saveSlot(slot) {
+    return saves.write(slot, snapshot());
+  }
+
+  /**
+   * Replace this world's data files with a slot's. This instance is finished afterwards —
+   * its timers are stopped and the caller builds a fresh one with initSimulation.
+   */
+  function restoreSlot(slot) {
+    const snap = saves.read(slot);
+    if (!snap) return { error: `No save slot "${slot}"` };
+    if (snap.world && (snap.world.width !== worldData.width || snap.world.height !== worldData.height)) {
+      return { error: `Slot "${slot}" was saved on a ${snap.world.width}x${snap.world.height} world` };
+    }
+    dispose();
+    saves.restore(snap);
+    archiveJournal(dataDir); // the restored world starts a new timeline
+    return { ok: true, slot, tick: snap.tick, schemaVersion: snap.schemaVersion };
+  }
+
+  function dispose() {
+    flushFiles();
+    journal.flush();
+    registry.dispose();
+  }
+
+  async function simulationTick() {
+    inTick = true;
+    try {
+      return await runTick();
+    } finally {
+      inTick = false;
+      flushFiles();
+    }
+  }
+
+  async function runTick() {
+    const tick = clock.advance();
+    const gameTime = getGameTime();
+
+    // 1. World systems (weather, ecosystem)
+    await registry.runPhase('world', { shared, tick });
+
+    // 2. Per-agent systems (intelligence, survival, achievements)
+    for (const [id, agent] of agents) {
+      if (!agent.alive) continue;
+      ensureAgentStats(agent);
+      worldGrid.migrateAgentPosition(agent);
+      await registry.runPhase('agent', { shared, tick, agent });
+    }
+
+    // 3. Periodic systems (World Master, projects, decay) — async hooks are awaited
+    await registry.runPhase('periodic', { shared, tick });
+
+    // 4. Broadcast state (every tick for smooth movement, full data every 5)
+    if (tick % 5 === 0) {
+      broadcast({
+        type: 'tick',
+        tick,
+        speed: getSpeed(),
+        gameTime,
+        weather: weatherSystem.getCurrentWeather?.() || null,
+        agents: [...agents.values()].filter(a => a.alive).map(serializeAgent),
+      });
+    } else if (hasSpectators()) {
+      // Lightweight position-only update (skip if nobody watching)
+      const positions = [];
+      for (const [id, a] of agents) {
+        if (!a.alive) continue;
+        const m = agentAI?.minds?.[id];
+        positions.push({ id, name: a.name, tileX: a.tileX, tileY: a.tileY, z: a.z ?? 0, hp: a.hp, energy: a.energy, alive: true,
+          mind: m ? { action: m.currentAction, mood: m.mood, intent: m.intent ? { action: m.intent.action, reason: m.intent.reason } : null } : null });
+      }
+      broadcast({ type: 'tick', tick, speed: getSpeed(), agents: positions });
+    }
+
+    // Save periodically — files every 50 ticks; once a game day, an autosave slot whose
+    // snapshot also checkpoints the next journal segment
+    if (tick % 50 === 0) saveState();
+    if (tick % AUTOSAVE_TICKS === 0 && !journal.replaying) {
+      const snap = snapshot();
+      saves.write('autosave', snap);
+      journal.startSegment(snap, 'day');
+      systems.agentControl.recordState();
+    }
+    journal.flush();
+
+    if (tick % 100 === 0) {
+      console.log(`⏱️  Tick ${tick} | Day ${gameTime.day} ${gameTime.hour}:00 ${gameTime.period} | Agents: ${agents.size}`);
+    }
+    return tick;
+  }
+
+  // ═══════════════════════════════════════
+  // Agent Spawning
+  // ═══════════════════════════════════════
+  const spawnRng = rng.stream('spawn');
+
+  function spawnAgent(name) {
+    const id = spawnRng.uuid();
+
+    // Spawn near the oasis spawn point with some randomness
+    const spread = 30;
+    let tileX, tileY, attempts = 0;
+    do {
+      tileX = worldGrid.spawnPoint.x + Math.floor(spawnRng() * spread * 2 - spread);
+      tileY = worldGrid.spawnPoint.y + Math.floor(spawnRng() * spread * 2 - spread);
+      attempts++;
+    } while (attempts < 100 && (!worldGrid.getTile(tileX, tileY)?.walkable));
+
+    const zone = worldGrid.getZone(tileX, tileY);
+
+    const agent = {
+      id, name,
+      tileX, tileY, z: 0,
+      x: tileX, y: tileY,
+      zone,
+      hp: 100, energy: 100, hunger: 0, thirst: 0, temperature: 20,
+      inventory: [],
+      knowledge: [],
+      relationships: new Map(),
+      proficiencies: {},
+      achievements: [],
+      memory: [],
+      goals: [],
+      alive: true,
+      stats: { xp: 0, level: 1, title: 'Hatchling 🥚' },
+      ticksBorn: clock.now(),
+      coins: 0,
+      token: issueToken(),
+    };
+
+    agents.set(id, agent);
+    worldGrid.placeAgent(agent);
+    agentStore[id] = { ...agent, relationships: {} };
+    journal.record('spawn', { agentId: id, name, x: tileX, y: tileY });
+    saveJSON('agents.json', agentStore);
+    rng.save();
+
+    addWorldNews('spawn', id, name, `${name} has arrived in The Oasis at ${worldGrid.placeName(tileX, tileY)}`, zone);
+    broadcast({ type: 'agent_spawn', agent: serializeAgent(agent) });
+    console.log(`🌱 Agent spawned: ${name} at (${tileX},${tileY}) — ${zone}`);
+
+    return agent;
+  }
+
+  // Every run opens a journal segment, so replays never cross a restart
+  journal.startSegment(snapshot(), 'boot');
+
+  return {
+    shared,
+    clock, rng, journal, worldGrid,
+    agents, agentStore,
+    worldNews, onNews,
+    loadJSON, saveJSON,
+    getGameTime,
+    simulationTick,
+    spawnAgent,
+    serializeAgent,
+    getAgentByToken,
+    rotateToken,
+    saveState,
+    saves,
+    snapshot,
+    saveSlot,
+    restoreSlot,
+    dispose,
+    registry,
+    systems,
+  };
+}
@@ -328,3 +328,10 @@ export function initAchievements(shared) {
     ACHIEVEMENTS,
   };
 }
+
+export const plugin = {
+  name: 'achievements',
+  init: initAchievements,
+  tick: [{ phase: 'agent', hook: 'checkAchievements', args: ({ agent }) => [agent.id] }],
+  files: ['achievements.json'],
+};
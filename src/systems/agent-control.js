@@ -0,0 +1,178 @@
+// Agent Control — "bring your own brain"
+// An external controller (planner, LLM agent, script) can drive one agent instead of the
+// built-in scoreIntents. Every tick the controller receives that agent's observation; it
+// answers with an intent ({ action, targetX, targetY }) which the existing EXECUTORS carry
+// out on arrival. When the agent needs a new intent and no answer arrives within the
+// controller's deadline, the built-in AI makes that decision instead.
+//
+// Transport-agnostic: server.js speaks it over WebSocket —
+//   → { type: 'control', token, deadlineTicks? }     ← { type: 'control_ok', agentId, name, tick, deadlineTicks }
+//   ← { type: 'observation', tick, agentId, needsIntent, deadlineTick, observation }
+//   → { type: 'intent', action, targetX, targetY, reason? }   ← { type: 'intent_ok' } | { type: 'intent_error', error }
+
+const DEFAULT_DEADLINE_TICKS = 4;
+const MAX_DEADLINE_TICKS = 30;
+
+export function initAgentControl(shared) {
+  const { agents, clock, journal } = shared;
+  const controllers = new Map(); // agentId -> { send, deadlineTicks, pending, submitted, awaitingSince, attachedAt, stats }
+
+  /**
+   * Hand an agent to a controller. `send(msg)` delivers protocol messages to it.
+   * `awaitingSince` is for replays picking up a controller that was already waiting.
+   */
+  function attach(agentId, send, { deadlineTicks, awaitingSince = null } = {}) {
+    const agent = agents.get(agentId);
+    if (!agent) return { error: 'Agent not found' };
+    if (!agent.alive) return { error: 'Agent is dead' };
+
+    const previous = controllers.get(agentId);
+    if (previous && previous.send !== send) {
+      safeSend(previous, { type: 'control_revoked', agentId, reason: 'Another controller took over' });
+    }
+
+    const deadline = Math.max(1, Math.min(MAX_DEADLINE_TICKS, parseInt(deadlineTicks) || DEFAULT_DEADLINE_TICKS));
+    controllers.set(agentId, {
+      send,
+      deadlineTicks: deadline,
+      pending: null,
+      submitted: null,   // the intent as submitted, before validateIntent adjusted it
+      awaitingSince,
+      attachedAt: clock.now(),
+      stats: { intents: 0, rejected: 0, fallbacks: 0 },
+    });
+    journal.record('control', { agentId, attached: true, deadlineTicks: deadline });
+    return { ok: true, agentId, deadlineTicks: deadline };
+  }
+
+  /** Release an agent back to the built-in AI (only the attached controller may) */
+  function detach(agentId, send) {
+    const c = controllers.get(agentId);
+    if (!c || (send && c.send !== send)) return false;
+    controllers.delete(agentId);
+    journal.record('control', { agentId, attached: false });
+    return true;
+  }
+
+  function isControlled(agentId) {
+    return controllers.has(agentId);
+  }
+
+  /** Queue a controller intent; the agent picks it up on its next tick */
+  function submit(agentId, intent) {
+    const c = controllers.get(agentId);
+    if (!c) return { error: 'Not controlling this agent' };
+    const checked = shared.agentAI.validateIntent(agents.get(agentId), intent);
+    if (checked.error) {
+      c.stats.rejected++;
+      return checked;
+    }
+    c.pending = checked.intent;
+    c.submitted = intent;
+    journal.record('intent', { agentId, action: intent.action, targetX: intent.targetX, targetY: intent.targetY, reason: intent.reason });
+    return { ok: true };
+  }
+
+  /** Consume the queued controller intent, if any */
+  function takeIntent(agentId) {
+    const c = controllers.get(agentId);
+    if (!c?.pending) return null;
+    const intent = c.pending;
+    c.pending = null;
+    c.awaitingSince = null;
+    c.stats.intents++;
+    return intent;
+  }
+
+  /**
+   * The agent has no intent. True while its controller still has time to answer;
+   * false once the deadline passes — the built-in AI takes this one decision.
+   */
+  function shouldWait(agentId) {
+    const c = controllers.get(agentId);
+    if (!c) return false;
+    if (c.awaitingSince === null) c.awaitingSince = clock.now();
+    if (clock.since(c.awaitingSince) < c.deadlineTicks) return true;
+    c.awaitingSince = null;
+    c.stats.fallbacks++;
+    return false;
+  }
+
+  /**
+   * A new journal segment has opened: journal every controller, and any intent it has queued,
+   * again — a replay that starts from this segment's checkpoint picks them up from here.
+   */
+  function recordState() {
+    for (const [agentId, c] of controllers) {
+      journal.record('control', { agentId, attached: true, deadlineTicks: c.deadlineTicks, awaitingSince: c.awaitingSince });
+      if (c.pending) {
+        const { action, targetX, targetY, reason } = c.submitted;
+        journal.record('intent', { agentId, action, targetX, targetY, reason });
+      }
+    }
+  }
+
+  /** Deliver this tick's observation to the agent's controller */
+  function observe(agentId, observation, needsIntent) {
+    const c = controllers.get(agentId);
+    if (!c) return;
+    safeSend(c, {
+      type: 'observation',
+      tick: clock.now(),
+      agentId,
+      needsIntent,
+      deadlineTick: needsIntent && c.awaitingSince !== null ? c.awaitingSince + c.deadlineTicks : null,
+      observation,
+    });
+  }
+
+  function safeSend(c, msg) {
+    try { c.send(msg); } catch {}
+  }
+
+  function list() {
+    return [...controllers.entries()].map(([agentId, c]) => ({
+      agentId,
+      name: agents.get(agentId)?.name,
+      deadlineTicks: c.deadlineTicks,
+      attachedAt: c.attachedAt,
+      waiting: c.awaitingSince !== null,
+      ...c.stats,
+    }));
+  }
+
+  /** The world is being replaced — every controller loses its agent */
+  function dispose() {
+    for (const [agentId, c] of controllers) {
+      safeSend(c, { type: 'control_revoked', agentId, reason: 'World reloaded' });
+    }
+    controllers.clear();
+  }
+
+  function setupRoutes(app) {
+    app.get('/api/control', (req, res) => {
+      res.json({ controllers: list() });
+    });
+  }
+
+  return {
+    setupRoutes,
+    attach,
+    detach,
+    isControlled,
+    submit,
+    takeIntent,
+    shouldWait,
+    observe,
+    recordState,
+    list,
+    dispose,
+    DEFAULT_DEADLINE_TICKS,
+  };
+}
+
+export const plugin = {
+  name: 'agentControl',
+  init: initAgentControl,
+  routes: 'public',
+};
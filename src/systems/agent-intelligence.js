@@ -5,6 +5,12 @@
  * pick a target, path toward it spending movement points (terrain-costed),
  * and execute the action on arrival.
  */
+import { ensureEpisodic, recordEpisode, recall, consolidate, REFLECT_EVERY } from './episodic-memory.js';
+import { holdings, newPlan, advance, activeStep, noteProgress, craftRecipe, stepNeeds, planNeeds, planProgress, describePlan } from './goal-planner.js';
+import { TICKS_PER_DAY, TICKS_PER_HOUR } from './clock.js';
+import { WATER_ITEMS } from './thirst.js';
+import { VESSELS } from './watercraft.js';
+import { TERRITORY_RADIUS } from './territory.js';
 
 // ═══════════════════════════════
 // PERSONALITY SYSTEM
@@ -50,6 +56,19 @@ const AMBITIONS = [
   "become a legendary explorer",
 ];
 
+// Biomes an explorer sets out to see, in the order it thinks of them
+const BIOMES = ['grass', 'forest', 'rocky', 'sand', 'swamp', 'river', 'coast'];
+// What a would-be master crafter works through, one goal at a time
+const CRAFTS = [['Wooden Plank', 4], ['Torch', 1], ['Fabric Scrap', 2], ['Nails', 4]];
+// Traits that send an agent off to help with a project anywhere, not just where it stands
+const PROJECT_MINDED = ['generous', 'ambitious', 'patient'];
+// The most of one material an agent sets out to bring a project at a time
+const PROJECT_SHARE = 10;
+// Finished and abandoned goals kept in mind.goals
+const MAX_GOALS = 10;
+// Intents for the current plan step start from this score (needs like rest and food still win)
+const PLAN_SCORE = 40;
+
 // ═══════════════════════════════
 // ACTIONS & COSTS
 // ═══════════════════════════════
@@ -67,6 +86,12 @@ const ACTIONS = {
   eat:       { energy: 0,   description: 'Eating to reduce hunger' },
   fight:     { energy: 2,   description: 'Fighting a creature or hazard' },
   build:     { energy: 3,   description: 'Contributing to a construction project' },
+  climb:     { energy: 1,   description: 'Climbing through a cave entrance' },
+  sail:      { energy: 1,   description: 'Sailing across open water' },
+  drink:     { energy: 0,   description: 'Drinking to quench thirst' },
+  claim:     { energy: 1,   description: 'Making a home of where it stands' },
+  stash:     { energy: 0.3, description: 'Putting things away at home, or taking them out' },
+  defend:    { energy: 1,   description: 'Driving a stranger out of its territory' },
 };
 
 // ═══════════════════════════════
@@ -82,14 +107,37 @@ const TERRAIN_COST = {
 };
 
 const VISION_RANGE = 20;
+// Underground it is dark — agents see only this far, or a little further by torchlight
+const CAVE_VISION_RANGE = 5;
+const TORCH_VISION_RANGE = 9;
+// Remembered resources and places further off than this don't draw an agent back
+const REMEMBERED_RANGE = 80;
+// Targets this close to somewhere the agent remembers badly put it off
+const DREAD_RANGE = 6;
+// A relationship this good makes two agents friends
+const FRIENDSHIP = 5;
+// How a drink from each kind of source reads in an agent's memory
+const WATER_SOURCES = { river: 'from the river', lake: 'from the lake' };
+// Fresh water an agent has seen — it keeps this many spots, at least this far apart
+const MAX_WATER_SPOTS = 8;
+const WATER_SPOT_SPACING = 10;
+// Guard a territory or share it (see territory.js) — whichever of these an agent has more of
+const TERRITORIAL = ['greedy', 'competitive', 'solitary', 'stubborn'];
+const HOSPITABLE = ['generous', 'social', 'nurturing'];
+// Agents head home for the night from no further away than this
+const HOME_RANGE = 120;
+// Enough spare stuff carried to be worth putting away at home, and what is never put away
+const SURPLUS = 5;
+const KEEP_CARRIED = new Set(['Torch', ...Object.values(VESSELS).map(v => v.name)]);
 
 function getTerrainCost(tile) {
   if (!tile || !tile.walkable) return Infinity;
+  const factor = tile.travelCostFactor ?? 1; // structures on the tile
   const biome = (tile.biome || tile.terrain || '').toLowerCase();
   for (const [key, cost] of Object.entries(TERRAIN_COST)) {
-    if (biome.includes(key)) return cost;
+    if (biome.includes(key)) return cost * factor;
   }
-  return 1; // default
+  return factor; // default 1
 }
 
 function getMovementPoints(agent) {
@@ -112,10 +160,30 @@ function hasFood(agent) {
   return (agent.inventory || []).some(i => isFoodResource(i?.name));
 }
 
+/** What the agent carries but could leave at home: not food or water, nothing it travels with or its plan needs */
+function surplus(agent, plan) {
+  const needs = planNeeds(plan);
+  return (agent.inventory || []).filter(i =>
+    !isFoodResource(i.name) && !WATER_ITEMS[i.name] && !KEEP_CARRIED.has(i.name) && !needs.has(i.name));
+}
+
 function distance(x1, y1, x2, y2) {
   return Math.max(Math.abs(x2 - x1), Math.abs(y2 - y1)); // Chebyshev
 }
 
+/** "No fresh water here" → "no fresh water here", to follow on in a sentence */
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+/** 'defend' or 'share' — how the agent treats others on its land, by traits and temperament */
+function homeStance(personality) {
+  const { traits, temperament } = personality;
+  let guard = traits.filter(t => TERRITORIAL.includes(t)).length - traits.filter(t => HOSPITABLE.includes(t)).length;
+  if (temperament === 'hot-headed') guard++;
+  return guard > 0 ? 'defend' : 'share';
+}
+
 // ═══════════════════════════════
 // SEEDED RANDOMNESS
 // ═══════════════════════════════
@@ -145,8 +213,9 @@ export function initAgentIntelligence(shared) {
   const {
     loadJSON, saveJSON, agents, agentStore,
     broadcast, addWorldNews, awardXP,
-    worldGrid, zones,
+    worldGrid, zones, clock, journal,
   } = shared;
+  const rng = shared.rng.stream('agents');
 
   let minds = loadJSON('agent-minds.json', {});
   let saveTimer = null;
@@ -156,11 +225,26 @@ export function initAgentIntelligence(shared) {
     saveTimer = setTimeout(() => { saveJSON('agent-minds.json', minds); saveTimer = null; }, 5000);
   }
 
+  /** Drop the pending save — the world is being replaced */
+  function dispose() {
+    if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
+  }
+
   // ─────────────────────────────
   // Personality Generation
   // ─────────────────────────────
   function ensureMind(agentId) {
-    if (minds[agentId]) return minds[agentId];
+    if (minds[agentId]) {
+      const mind = minds[agentId];
+      ensureEpisodic(mind.memory);
+      // Goals from before the planner were never followed up — a plan replaces them
+      if (mind.goalCount == null) {
+        mind.goals = [];
+        mind.goalCount = 0;
+        mind.plan = null;
+      }
+      return mind;
+    }
 
     const agent = agents.get(agentId);
     if (!agent) return null;
@@ -173,16 +257,21 @@ export function initAgentIntelligence(shared) {
 
     minds[agentId] = {
       personality: { traits, temperament, values, ambition },
-      goals: [],
+      goals: [],          // { id, type, text, source, done, failed, progress, createdTick, endedTick }
+      goalCount: 0,
+      plan: null,         // the current goal's steps — see goal-planner.js
       currentAction: null,
       actionTicks: 0,
       intent: null,       // { action, targetX, targetY, reason, startedTick, maxTicks }
       pathThisTick: null,  // [{x,y}, ...] for frontend animation
+      route: null,         // { targetX, targetY, steps: [[x,y], ...], partial } from worldGrid.findPath
       memory: {
         short: [],
         lessons: [],
         visited: {},
         gathered: {},
+        episodes: [],     // see episodic-memory.js
+        reflections: [],
       },
       relationships: {},
       journal: `I am ${agent.name}. I just arrived in this world.`,
@@ -198,24 +287,128 @@ export function initAgentIntelligence(shared) {
   // Nearby agents helper
   // ─────────────────────────────
   function getNearbyAgents(agent, radius) {
-    const result = [];
-    for (const [id, other] of agents) {
-      if (id === agent.id || !other.alive) continue;
-      const dx = Math.abs(other.tileX - agent.tileX);
-      const dy = Math.abs(other.tileY - agent.tileY);
-      if (dx <= radius && dy <= radius) result.push(other);
-    }
-    return result;
+    const z = agent.z ?? 0;
+    return worldGrid.agentGrid.query(agent.tileX, agent.tileY, radius)
+      .filter(other => other.id !== agent.id && other.alive && (other.z ?? 0) === z);
+  }
+
+  // ─────────────────────────────
+  // Levels — the surface, or the caves under it
+  // ─────────────────────────────
+
+  /** The level the agent is on, through the world adapter's interface (see worldGrid.layer) */
+  function gridOf(agent) {
+    return worldGrid.layer?.(agent.z ?? 0) ?? worldGrid;
+  }
+
+  function isUnderground(agent) {
+    return (agent.z ?? 0) < 0;
+  }
+
+  function visionRange(agent) {
+    if (!isUnderground(agent)) return VISION_RANGE;
+    return agent.inventory?.some(i => i.name === 'Torch') ? TORCH_VISION_RANGE : CAVE_VISION_RANGE;
+  }
+
+  /** Where the agent is, as it would put it — its region's name, or "the <zone>" outside any */
+  function placeOf(agent) {
+    const region = worldGrid.getRegion?.(agent.tileX, agent.tileY)?.name;
+    if (isUnderground(agent)) return region ? `the caves under ${region}` : 'the caves';
+    return region ?? `the ${agent.zone}`;
   }
 
   function addMemoryEvent(mind, text) {
-    mind.memory.short.push({ tick: Date.now(), text });
+    mind.memory.short.push({ tick: clock.now(), text });
     if (mind.memory.short.length > 30) mind.memory.short = mind.memory.short.slice(-30);
   }
 
+  // ─────────────────────────────
+  // Episodic Memory (see episodic-memory.js)
+  // ─────────────────────────────
+
+  /**
+   * Log `text` and keep it as an episode: { kind, valence, importance, subject?, others?, … },
+   * placed where the agent stands unless the episode says otherwise
+   */
+  function remember(agent, mind, text, episode) {
+    addMemoryEvent(mind, text);
+    return recordEpisode(mind.memory, {
+      tick: clock.now(), text, x: agent.tileX, y: agent.tileY, z: agent.z ?? 0, place: placeOf(agent), ...episode,
+    }, clock.now());
+  }
+
+  const COMPASS = ['east', 'south-east', 'south', 'south-west', 'west', 'north-west', 'north', 'north-east'];
+
+  /** A place as an agent would put it: "the river in Emerald Fields north of spawn" */
+  function describeSpot(x, y, z = 0) {
+    const region = worldGrid.getRegion?.(x, y)?.name;
+    if (z < 0) return region ? `the caves under ${region}` : 'the caves';
+    const spawn = worldGrid.spawnPoint;
+    const dx = x - spawn.x, dy = y - spawn.y;
+    const where = distance(0, 0, dx, dy) <= 8 ? 'near spawn' : `${COMPASS[Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) & 7]} of spawn`;
+    return `the ${worldGrid.getZone(x, y)}${region ? ` in ${region}` : ''} ${where}`;
+  }
+
+  /** Turn the agent's recent episodes into reflections, and the new ones into lessons */
+  function reflect(agent, mind) {
+    mind.lastReflection = clock.now();
+    for (const r of consolidate(mind.memory, clock.now(), describeSpot)) {
+      addMemoryEvent(mind, `Realized that ${r.text}`);
+      journal.record('reflection', { agentId: agent.id, about: r.about, text: r.text });
+    }
+  }
+
+  /** Warm the agent to another by `by`; becoming friends counts towards a plan to make some */
+  function befriend(mind, otherId, by) {
+    const rel = mind.relationships[otherId];
+    const before = rel.score;
+    rel.score += by;
+    if (before < FRIENDSHIP && rel.score >= FRIENDSHIP) notePlan(mind, 'befriend', []);
+  }
+
+  /** How warmly the agent remembers another: +3 per good episode together, -3 per bad, +10 for a friend */
+  function fondness(mind, otherId) {
+    let score = 0;
+    for (const e of mind.memory.episodes) {
+      if (e.others?.some(o => o.id === otherId)) score += Math.sign(e.valence) * 3;
+    }
+    if (mind.memory.reflections.some(r => r.key === `friend:${otherId}`)) score += 10;
+    return Math.max(-15, Math.min(15, score));
+  }
+
+  /** Something the agent remembers out of sight worth going back for: a resource, or a place it was told of */
+  function isRememberedTarget(agent, e) {
+    if (e.x == null || (e.z ?? 0) !== (agent.z ?? 0) || e.staleTick >= e.tick) return false;
+    const d = distance(agent.tileX, agent.tileY, e.x, e.y);
+    if (d <= visionRange(agent) || d > REMEMBERED_RANGE) return false;
+    if (e.kind === 'discovery') return !!e.poi && !shared.pointsOfInterest?.hasDiscovered(agent.id, e.poi);
+    return (e.kind === 'gather' || e.about === 'resource') && e.valence > 0;
+  }
+
+  /** Whether `mind` already remembers what `e` is about */
+  function knows(mind, e) {
+    return [...mind.memory.episodes, ...mind.memory.reflections].some(m =>
+      (e.key && m.key === e.key) ||
+      (m.kind === e.kind && m.subject === e.subject && m.x != null && distance(m.x, m.y, e.x, e.y) <= 5));
+  }
+
+  /** A memory as it is told to someone else — "that …" or "about …" */
+  function tellable(e) {
+    return e.kind === 'reflection' ? `that ${e.text}` : `about ${e.subject} at (${e.x},${e.y})`;
+  }
+
   // ─────────────────────────────
   // Vision System
   // ─────────────────────────────
+  /** Note a fresh water spot, unless one already noted is close by (then just refresh it) */
+  function rememberWater(mind, x, y) {
+    const spots = (mind.memory.water ??= []);
+    const known = spots.find(w => distance(w.x, w.y, x, y) < WATER_SPOT_SPACING);
+    if (known) { known.tick = clock.now(); return; }
+    spots.push({ x, y, tick: clock.now() });
+    if (spots.length > MAX_WATER_SPOTS) spots.splice(spots.reduce((oldest, w, i) => w.tick < spots[oldest].tick ? i : oldest, 0), 1);
+  }
+
   function scanVisible(agent, mind) {
     const result = {
       resources: [],
@@ -223,61 +416,93 @@ export function initAgentIntelligence(shared) {
       dangers: [],
       projects: [],
       unknownZones: [],
+      entrances: [],
+      shores: [],
+      pois: [],
+      water: [],
     };
 
+    const grid = gridOf(agent);
+    const range = visionRange(agent);
     const ax = agent.tileX, ay = agent.tileY;
-    const minX = Math.max(0, ax - VISION_RANGE);
-    const maxX = Math.min((worldGrid.width || 2000) - 1, ax + VISION_RANGE);
-    const minY = Math.max(0, ay - VISION_RANGE);
-    const maxY = Math.min((worldGrid.height || 2000) - 1, ay + VISION_RANGE);
-
-    // Scan tiles for resources and zones
-    const seenZones = new Set();
-    for (let x = minX; x <= maxX; x++) {
-      for (let y = minY; y <= maxY; y++) {
-        const d = distance(ax, ay, x, y);
-
-        // Resources (decoration-first, zone-fallback)
-        const tileRes = worldGrid.getTileResources?.(x, y);
-        if (tileRes && tileRes.available) {
-          result.resources.push({
-            x, y,
-            resource: tileRes.resources[0],
-            source: tileRes.source,
-            allResources: tileRes.resources,
-            distance: d,
-          });
-        }
+    const minX = Math.max(0, ax - range);
+    const maxX = Math.min((worldGrid.width || 2000) - 1, ax + range);
+    const minY = Math.max(0, ay - range);
+    const maxY = Math.min((worldGrid.height || 2000) - 1, ay + range);
+
+    // Resources (decoration-first, zone-fallback) — from the adapter's per-chunk index
+    grid.forEachResource(minX, minY, maxX, maxY, (x, y, tileRes) => {
+      result.resources.push({
+        x, y,
+        resource: tileRes.resources[0],
+        source: tileRes.source,
+        allResources: tileRes.resources,
+        distance: distance(ax, ay, x, y),
+      });
+    });
 
-        // Unknown zones
-        const zone = worldGrid.getZone?.(x, y);
-        if (zone && !seenZones.has(zone)) {
-          seenZones.add(zone);
-          const visits = mind.memory.visited[zone] || 0;
-          if (visits < 3) {
-            result.unknownZones.push({ x, y, zone, distance: d });
-          }
-        }
+    // Unknown zones — the first tile of each zone in view
+    for (const { x, y, zone } of grid.firstZoneTiles(minX, minY, maxX, maxY)) {
+      const visits = mind.memory.visited[zone] || 0;
+      if (visits < 3) {
+        result.unknownZones.push({ x, y, zone, distance: distance(ax, ay, x, y) });
       }
     }
 
-    // Scan for nearby agents
-    for (const [id, other] of agents) {
-      if (id === agent.id || !other.alive) continue;
-      const d = distance(ax, ay, other.tileX, other.tileY);
-      if (d <= VISION_RANGE) {
-        const rel = mind.relationships[id];
-        result.agents.push({
-          agent: other,
-          distance: d,
-          relationship: rel?.score || 0,
-        });
+    // Scan for nearby agents (relationships copied to a Map — misses on the plain object are slow)
+    const relationships = new Map(Object.entries(mind.relationships));
+    for (const other of getNearbyAgents(agent, range)) {
+      const rel = relationships.get(other.id);
+      result.agents.push({
+        agent: other,
+        distance: distance(ax, ay, other.tileX, other.tileY),
+        relationship: rel?.score || 0,
+      });
+    }
+
+    // Cave entrances — on the surface, ways down; underground, ways back up
+    if (worldGrid.entrancesNear) {
+      for (const { x, y } of worldGrid.entrancesNear(ax, ay, range)) {
+        result.entrances.push({ x, y, distance: distance(ax, ay, x, y) });
+      }
+    }
+
+    // Points of interest the agent hasn't found yet
+    if (!isUnderground(agent) && worldGrid.poisNear) {
+      for (const poi of worldGrid.poisNear(ax, ay, range)) {
+        if (shared.pointsOfInterest?.hasDiscovered(agent.id, poi.id)) continue;
+        result.pois.push(poi);
+      }
+    }
+
+    // The nearest river or lake — fresh water, remembered for when the agent is thirsty
+    if (!isUnderground(agent) && worldGrid.nearestFreshWater) {
+      const water = worldGrid.nearestFreshWater(ax, ay, range);
+      if (water) {
+        result.water.push({ ...water, distance: distance(ax, ay, water.x, water.y) });
+        rememberWater(mind, water.x, water.y);
       }
     }
 
+    // Shores of other landmasses — islands and coasts that can only be sailed to
+    if (!isUnderground(agent) && worldGrid.landmassAt) {
+      const home = worldGrid.landmassAt(ax, ay);
+      if (home) (mind.memory.landmasses ??= {})[home] ??= clock.now(); // where it stands is known
+      const nearest = new Map(); // landmass -> its nearest tile in view
+      for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+          const land = worldGrid.landmassAt(x, y);
+          if (land === 0 || land === home) continue;
+          const d = distance(ax, ay, x, y);
+          if (!nearest.has(land) || d < nearest.get(land).distance) nearest.set(land, { x, y, landmass: land, distance: d });
+        }
+      }
+      result.shores = [...nearest.values()];
+    }
+
     // Scan for dangers (world events)
     if (shared.worldMaster) {
-      const currentZone = worldGrid.getZone?.(ax, ay);
+      const currentZone = grid.getZone(ax, ay);
       const danger = shared.worldMaster.getZoneDanger?.(currentZone);
       if (danger) {
         result.dangers.push({ x: ax, y: ay, type: danger, distance: 0 });
@@ -301,8 +526,46 @@ export function initAgentIntelligence(shared) {
   }
 
   // ─────────────────────────────
-  // Movement: stepToward (single tile)
+  // Movement: stepTo / stepToward (single tile)
   // ─────────────────────────────
+
+  /**
+   * Move onto the adjacent tile (tx, ty), if it can be entered. Open water can be sailed with a
+   * vessel (see watercraft.js); beating into the wind the agent may make no headway (`held`),
+   * and in a storm it may capsize and be washed ashore somewhere else (`capsized`).
+   */
+  function stepTo(agent, mind, tx, ty) {
+    const grid = gridOf(agent);
+    const tile = grid.getTile(tx, ty);
+    let cost = getTerrainCost(tile);
+    const sailing = cost === Infinity && tile?.sailable && !!shared.watercraft?.vesselOf(agent);
+    if (sailing) {
+      cost = shared.watercraft.stepCost(agent, agent.tileX, agent.tileY, tx, ty);
+      if (cost > 1 && rng() > 1 / cost) return { moved: false, cost, held: true };
+    }
+    if (cost === Infinity) return { moved: false, cost: 0 };
+    agent.tileX = tx;
+    agent.tileY = ty;
+    agent.x = tx;
+    agent.y = ty;
+    agent.zone = grid.getZone(tx, ty);
+    worldGrid.placeAgent(agent);
+    mind.memory.visited[agent.zone] = (mind.memory.visited[agent.zone] || 0) + 1;
+    if (sailing) {
+      const wreck = shared.watercraft.afloat(agent);
+      if (wreck) {
+        remember(agent, mind, `My ${wreck.vessel} capsized in the storm — I washed up at (${wreck.x},${wreck.y})`,
+          { kind: 'mishap', subject: wreck.vessel, x: tx, y: ty, valence: -0.8, importance: 7 });
+        return { moved: true, cost, capsized: true };
+      }
+      return { moved: true, cost };
+    }
+    const worn = grid.recordStep(tx, ty);
+    if (worn) broadcast({ type: 'terrain_changed', ...worn, trail: 'worn' });
+    return { moved: true, cost };
+  }
+
+  /** Greedy step straight at the target — used while the pathfinder's budget is spent */
   function stepToward(agent, mind, targetX, targetY) {
     const dx = Math.sign(targetX - agent.tileX);
     const dy = Math.sign(targetY - agent.tileY);
@@ -320,40 +583,84 @@ export function initAgentIntelligence(shared) {
     }
 
     for (const [mx, my] of candidates) {
-      const tx = agent.tileX + mx;
-      const ty = agent.tileY + my;
-      const tile = worldGrid.getTile(tx, ty);
-      if (tile && tile.walkable) {
-        const cost = getTerrainCost(tile);
-        if (cost === Infinity) continue;
-        agent.tileX = tx;
-        agent.tileY = ty;
-        agent.x = tx;
-        agent.y = ty;
-        agent.zone = worldGrid.getZone(tx, ty);
-        mind.memory.visited[agent.zone] = (mind.memory.visited[agent.zone] || 0) + 1;
-        return { moved: true, cost };
-      }
+      const result = stepTo(agent, mind, agent.tileX + mx, agent.tileY + my);
+      if (result.moved) return result;
     }
     return { moved: false, cost: 0 };
   }
 
+  // ─────────────────────────────
+  // Movement: routes (A* from worldGrid.findPath)
+  // ─────────────────────────────
+
+  /**
+   * The agent's route to (targetX, targetY). A new one is planned when there is none, it leads
+   * somewhere else, it has run out, or the agent is no longer at its start. Returns the route,
+   * 'deferred' when the pathfinder has no search budget left this tick, or null when there is
+   * no way to get any closer.
+   */
+  function routeTo(agent, mind, targetX, targetY) {
+    const route = mind.route;
+    if (route && route.targetX === targetX && route.targetY === targetY && route.steps.length > 0) {
+      const [nx, ny] = route.steps[0];
+      if (distance(agent.tileX, agent.tileY, nx, ny) === 1) return route;
+    }
+    mind.route = null;
+    const found = pathfinderFor(agent, mind)(agent.tileX, agent.tileY, targetX, targetY, { reach: 1 });
+    if (!found) return null;
+    if (found.deferred) return 'deferred';
+    if (found.path.length === 0) return null;
+    mind.route = { targetX, targetY, steps: found.path, partial: found.partial };
+    broadcast({ type: 'agent_route', agentId: agent.id, targetX, targetY, path: found.path, partial: found.partial });
+    return mind.route;
+  }
+
+  /** Routes run over the water for an agent with a vessel on a voyage, or already afloat */
+  function pathfinderFor(agent, mind) {
+    const grid = gridOf(agent);
+    if (isUnderground(agent) || !worldGrid.findSailingPath || !shared.watercraft?.vesselOf(agent)) return grid.findPath;
+    const afloat = grid.getTile(agent.tileX, agent.tileY)?.sailable;
+    return afloat || mind.intent?.action === 'voyage' ? worldGrid.findSailingPath : grid.findPath;
+  }
+
   // ─────────────────────────────
   // Movement: moveToward (multi-tile with budget)
   // ─────────────────────────────
   function moveToward(agent, mind, targetX, targetY, movementPoints) {
     let remaining = movementPoints;
     const path = [];
+    const from = [agent.tileX, agent.tileY];
+    let waiting = false; // no step this tick, but the target may still be reachable
 
     while (remaining > 0) {
       if (agent.tileX === targetX && agent.tileY === targetY) break;
 
-      // Peek at best neighbor cost before committing
-      const dx = Math.sign(targetX - agent.tileX);
-      const dy = Math.sign(targetY - agent.tileY);
-      
-      const result = stepToward(agent, mind, targetX, targetY);
-      if (!result.moved) break;
+      const route = routeTo(agent, mind, targetX, targetY);
+      let result;
+      if (route === 'deferred') {
+        result = stepToward(agent, mind, targetX, targetY);
+        if (!result.moved) { waiting = true; break; }
+      } else if (route) {
+        const [nx, ny] = route.steps[0];
+        result = stepTo(agent, mind, nx, ny);
+        if (result.held) { waiting = true; break; } // the wind is against it — try again next tick
+        if (result.capsized) {
+          // Washed up somewhere else without a vessel — the voyage is over
+          mind.route = null;
+          mind.intent = null;
+          waiting = true;
+          break;
+        }
+        if (!result.moved) {
+          // Something was built in the way since the route was planned — replan next tick
+          mind.route = null;
+          waiting = true;
+          break;
+        }
+        route.steps.shift();
+      } else {
+        break;
+      }
       
       remaining -= result.cost;
       if (remaining < 0) {
@@ -364,7 +671,10 @@ export function initAgentIntelligence(shared) {
     }
 
     mind.pathThisTick = path.length > 0 ? path : null;
-    return path.length > 0;
+    if (journal.moves && (from[0] !== agent.tileX || from[1] !== agent.tileY)) {
+      journal.record('move', { agentId: agent.id, from, to: [agent.tileX, agent.tileY], steps: path.length });
+    }
+    return path.length > 0 || waiting;
   }
 
   // ─────────────────────────────
@@ -378,57 +688,95 @@ export function initAgentIntelligence(shared) {
     return bonus;
   }
 
+  /** Where to stand to work tile (x, y) — the tile itself, or its nearest walkable neighbor */
+  function approachTile(agent, x, y) {
+    const grid = gridOf(agent);
+    const tile = grid.getTile(x, y);
+    if (!tile || tile.walkable) return { x, y };
+    let best = { x, y }, bestDist = Infinity;
+    for (const [ddx, ddy] of [[-1,0],[1,0],[0,-1],[0,1],[-1,-1],[-1,1],[1,-1],[1,1]]) {
+      const nx = x + ddx, ny = y + ddy;
+      const neighbor = grid.getTile(nx, ny);
+      if (neighbor && neighbor.walkable) {
+        const nd = distance(agent.tileX, agent.tileY, nx, ny);
+        if (nd < bestDist) { bestDist = nd; best = { x: nx, y: ny }; }
+      }
+    }
+    return best;
+  }
+
+  /** Places remembered badly on the agent's level — defeats, capsizes, reflections that they are dangerous */
+  function dreadedPlaces(agent, mind) {
+    return [...mind.memory.episodes, ...mind.memory.reflections]
+      .filter(e => e.valence <= -0.5 && e.x != null && (e.z ?? 0) === (agent.z ?? 0));
+  }
+
+  /**
+   * What going to (x, y) to `action` is worth on top of the action itself: less the worse the
+   * agent remembers somewhere near it (see dreadedPlaces), and less on someone else's guarded land
+   */
+  function placeModifier(agent, mind, action, x, y, dreaded) {
+    let modifier = 0;
+    if (dreaded.length && ['explore', 'gather', 'fight', 'descend'].includes(action)) {
+      modifier += Math.min(0, ...dreaded.filter(e => distance(e.x, e.y, x, y) <= DREAD_RANGE).map(e => e.valence)) * 25;
+    }
+    // Keep off, unless on good terms with the owner
+    const territory = shared.territory;
+    if (territory && !isUnderground(agent) && ['gather', 'rest', 'explore'].includes(action)) {
+      const owner = territory.territoryAt(x, y);
+      if (owner && owner.agentId !== agent.id && owner.stance === 'defend' && (mind.relationships[owner.agentId]?.score || 0) < FRIENDSHIP) {
+        modifier -= 25;
+      }
+    }
+    return modifier;
+  }
+
   function scoreIntents(agent, mind, visible) {
     const intents = [];
+    const dreaded = dreadedPlaces(agent, mind);
     const gameTime = shared.getGameTime?.();
     const weather = shared.weather?.getCurrentWeather?.();
     const atmosphere = shared.weather?.getAtmosphere?.();
     const isNight = gameTime?.period === 'night';
     const weatherId = weather?.id || atmosphere?.weather;
 
-    // GATHER — score each visible resource
-    for (const res of visible.resources) {
-      let score = 20 + getTraitBonus(mind, 'gather');
+    // GATHER — score each visible resource. Where it is counts here (placeModifier); the
+    // modifiers below are the same for every gather, so only the best five can reach
+    // pickWeightedIntent's top five and the rest are dropped before the (comparatively costly)
+    // intent objects are built.
+    const gatherBonus = getTraitBonus(mind, 'gather');
+    const gathers = topScored(visible.resources, res => {
+      let score = 20 + gatherBonus + placeModifier(agent, mind, 'gather', res.x, res.y, dreaded);
       if (agent.hunger > 50 && isFoodResource(res.resource)) score += 40;
       if (agent.hunger > 70 && isFoodResource(res.resource)) score += 20;
-      score -= res.distance * 2;
-
+      return score - res.distance * 2;
+    });
+    for (const { item: res, score } of gathers) {
       // Determine movement target — if tile is not walkable, find adjacent walkable tile
-      let targetX = res.x, targetY = res.y;
-      const tile = worldGrid.getTile(res.x, res.y);
-      if (tile && !tile.walkable) {
-        // Find nearest walkable neighbor
-        let bestDist = Infinity;
-        for (const [ddx, ddy] of [[-1,0],[1,0],[0,-1],[0,1],[-1,-1],[-1,1],[1,-1],[1,1]]) {
-          const nx = res.x + ddx, ny = res.y + ddy;
-          const neighbor = worldGrid.getTile(nx, ny);
-          if (neighbor && neighbor.walkable) {
-            const nd = distance(agent.tileX, agent.tileY, nx, ny);
-            if (nd < bestDist) { bestDist = nd; targetX = nx; targetY = ny; }
-          }
-        }
-      }
+      const { x: targetX, y: targetY } = approachTile(agent, res.x, res.y);
 
       const sourceName = (res.source || '').replace(/_/g, ' ');
       intents.push({ action: 'gather', targetX, targetY, gatherX: res.x, gatherY: res.y, score, reason: `Gather ${res.resource} from ${sourceName}` });
     }
 
-    // CHAT — score each visible agent
-    for (const other of visible.agents) {
-      let score = 15 + getTraitBonus(mind, 'chat');
+    // CHAT — score each visible agent (best five, as for gather)
+    const chatBonus = getTraitBonus(mind, 'chat');
+    const chats = topScored(visible.agents, other => {
+      let score = 15 + chatBonus + fondness(mind, other.agent.id);
       if (other.relationship >= 10) score += 20;
       if (other.relationship <= -5) score -= 30;
-      score -= other.distance * 2;
+      return score - other.distance * 2;
+    });
+    for (const { item: other, score } of chats) {
       intents.push({ action: 'chat', targetX: other.agent.tileX, targetY: other.agent.tileY, score, reason: `Talk to ${other.agent.name}` });
     }
 
     // GIFT — if generous and near friend with items
     if ((agent.inventory?.length || 0) > 0) {
-      for (const other of visible.agents) {
-        if (other.relationship < 5) continue;
-        let score = 10 + getTraitBonus(mind, 'gift');
-        score += other.relationship;
-        score -= other.distance * 2;
+      const giftBonus = getTraitBonus(mind, 'gift');
+      const friends = visible.agents.filter(other => other.relationship >= FRIENDSHIP);
+      // Past a point, a closer friendship doesn't make another gift more pressing than everything else
+      for (const { item: other, score } of topScored(friends, other => 10 + giftBonus + Math.min(other.relationship, FRIENDSHIP * 4) - other.distance * 2)) {
         intents.push({ action: 'gift', targetX: other.agent.tileX, targetY: other.agent.tileY, score, reason: `Gift to ${other.agent.name}` });
       }
     }
@@ -440,16 +788,89 @@ export function initAgentIntelligence(shared) {
       intents.push({ action: 'explore', targetX: unk.x, targetY: unk.y, score, reason: `Explore ${unk.zone}` });
     }
 
+    // Points of interest — a named place draws explorers more than unknown ground does
+    for (const { item: poi, score } of topScored(visible.pois, poi => 25 + getTraitBonus(mind, 'explore') - poi.distance, 2)) {
+      intents.push({ action: 'explore', targetX: poi.x, targetY: poi.y, score, reason: `Explore ${poi.name}` });
+    }
+
+    // REMEMBERED — resources found before, and places others told of, out of sight now
+    const remembered = recall(mind.memory, { x: agent.tileX, y: agent.tileY, z: agent.z ?? 0 }, clock.now(), {
+      limit: 2, where: e => isRememberedTarget(agent, e),
+    });
+    for (const e of remembered) {
+      const d = distance(agent.tileX, agent.tileY, e.x, e.y);
+      if (e.kind === 'discovery') {
+        const score = 15 + getTraitBonus(mind, 'explore') + e.importance - d / 2;
+        intents.push({ action: 'explore', targetX: e.x, targetY: e.y, score, reason: `Look for ${e.subject}${e.from ? `, as ${e.from.name} told` : ''}` });
+        continue;
+      }
+      let score = 10 + gatherBonus + e.importance - d / 2 + placeModifier(agent, mind, 'gather', e.x, e.y, dreaded);
+      if (agent.hunger > 50 && isFoodResource(e.subject)) score += 40;
+      const { x: targetX, y: targetY } = approachTile(agent, e.x, e.y);
+      intents.push({ action: 'gather', targetX, targetY, gatherX: e.x, gatherY: e.y, score, reason: `Go back for the ${e.subject} at (${e.x},${e.y})` });
+    }
+
     // If nothing visible to explore, pick a random far target
     if (visible.unknownZones.length === 0 && Object.keys(mind.memory.visited).length < 20) {
-      const angle = Math.random() * Math.PI * 2;
-      const range = 10 + Math.floor(Math.random() * 20);
-      const tx = Math.max(0, Math.min((worldGrid.width || 2000) - 1, agent.tileX + Math.round(Math.cos(angle) * range)));
-      const ty = Math.max(0, Math.min((worldGrid.height || 2000) - 1, agent.tileY + Math.round(Math.sin(angle) * range)));
       let score = 10 + getTraitBonus(mind, 'explore');
-      intents.push({ action: 'explore', targetX: tx, targetY: ty, score, reason: 'Wander to new territory' });
+      intents.push({ action: 'explore', ...wanderTarget(agent), score, reason: 'Wander to new territory' });
+    }
+
+    // Underground, most of any window is solid rock — wander down the tunnels instead
+    if (isUnderground(agent)) {
+      const angle = rng() * Math.PI * 2;
+      const tx = agent.tileX + Math.round(Math.cos(angle) * 8);
+      const ty = agent.tileY + Math.round(Math.sin(angle) * 8);
+      const [open] = gridOf(agent).firstZoneTiles(tx - 3, ty - 3, tx + 3, ty + 3);
+      if (open) intents.push({ action: 'explore', targetX: open.x, targetY: open.y, score: 10 + getTraitBonus(mind, 'explore'), reason: 'Feel along the tunnel' });
     }
 
+    // DESCEND — a cave mouth in view; the curious and the bold are drawn in
+    if (!isUnderground(agent) && visible.entrances.length > 0 && !shared.weather?.isCaveBlocked?.()) {
+      const [mouth] = topScored(visible.entrances, e => -e.distance, 1);
+      let score = 8 + getTraitBonus(mind, 'explore');
+      if ((mind.memory.visited.cave || 0) < 3) score += 15;
+      score -= mouth.item.distance;
+      intents.push({ action: 'descend', targetX: mouth.item.x, targetY: mouth.item.y, score, reason: 'Climb down into the cave' });
+    }
+
+    // ASCEND — back to daylight, sooner the longer the agent has been down and the worse it feels
+    if (isUnderground(agent)) {
+      const [mouth] = topScored(visible.entrances, e => -e.distance, 1);
+      const way = mouth ? mouth.item : mind.memory.caveEntrance;
+      if (way) {
+        const below = ticksSince(mind.memory.descendedTick);
+        let score = 5 + Math.floor(below / 3);
+        if (agent.energy < 30) score += 30;
+        if (agent.hunger > 60 && !hasFood(agent)) score += 30;
+        intents.push({ action: 'ascend', targetX: way.x, targetY: way.y, score, reason: 'Head back up to the surface' });
+      }
+    }
+
+    // VOYAGE — another landmass in view and a vessel to reach it; more tempting the less it has
+    // been explored, out of the question in a storm
+    const vessel = shared.watercraft?.vesselOf(agent);
+    if (vessel && visible.shores.length > 0) {
+      for (const { item: shore, score } of topScored(visible.shores, s => {
+        let score = 10 + getTraitBonus(mind, 'explore');
+        if (!mind.memory.landmasses?.[s.landmass]) score += 20;
+        if (weatherId === 'storm') score -= 40;
+        return score - s.distance;
+      }, 2)) {
+        intents.push({ action: 'voyage', targetX: shore.x, targetY: shore.y, score, reason: `Sail across to the shore at (${shore.x},${shore.y})` });
+      }
+    }
+
+    // CRAFT VESSEL — land across the water and the makings of a raft or boat in the pack
+    if (!vessel && visible.shores.length > 0 && shared.watercraft?.buildable(agent)) {
+      let score = 15 + getTraitBonus(mind, 'craft');
+      if (visible.shores.some(s => !mind.memory.landmasses?.[s.landmass])) score += 15;
+      intents.push({ action: 'craft_vessel', targetX: agent.tileX, targetY: agent.tileY, score, reason: 'Build something to cross the water' });
+    }
+
+    // PLAN — whatever the current step of the agent's goal calls for
+    intents.push(...planIntents(agent, mind, visible, dreaded));
+
     // REST — if tired
     if (agent.energy < 30) {
       intents.push({ action: 'rest', targetX: agent.tileX, targetY: agent.tileY, score: 60 + (30 - agent.energy), reason: 'Need rest' });
@@ -457,6 +878,64 @@ export function initAgentIntelligence(shared) {
       intents.push({ action: 'rest', targetX: agent.tileX, targetY: agent.tileY, score: 20 + getTraitBonus(mind, 'rest'), reason: 'Feeling tired' });
     }
 
+    // HOME — settle somewhere, go back there for the night, keep it stocked and guarded
+    const territory = shared.territory;
+    const home = territory?.homeOf(agent.id);
+    if (territory && !isUnderground(agent)) {
+      if (!home) {
+        // Evening finds it somewhere nobody lives yet
+        if ((isNight || (gameTime?.hour ?? 0) >= 17) && !territory.territoryAt(agent.tileX, agent.tileY) && territory.canClaim(agent)) {
+          let score = 25;
+          if (mind.personality.ambition === 'find a place to call home') score += 25;
+          if (visible.water.length) score += 10;
+          intents.push({ action: 'claim', targetX: agent.tileX, targetY: agent.tileY, score, reason: 'Make a home here' });
+        }
+      } else {
+        const d = distance(agent.tileX, agent.tileY, home.x, home.y);
+        if (isNight && territory.atHome(agent)) {
+          intents.push({ action: 'rest', targetX: agent.tileX, targetY: agent.tileY, score: 20, reason: 'Sleep at home' });
+        } else if (isNight && d <= HOME_RANGE) {
+          intents.push({ action: 'rest', targetX: home.x, targetY: home.y, score: 40 + (100 - agent.energy) / 4 - d / 4, reason: 'Head home for the night' });
+        }
+        // Fetching what the plan needs from home is one of its steps' intents (see planIntents)
+        const spare = surplus(agent, mind.plan).reduce((n, i) => n + (i.quantity || 1), 0);
+        if (spare >= SURPLUS && d <= VISION_RANGE) {
+          intents.push({ action: 'stash', targetX: home.x, targetY: home.y, score: 20 + getTraitBonus(mind, 'hoard') + spare - d, reason: 'Put spare things away at home' });
+        }
+        if (home.stance === 'defend' && territory.inTerritory(home, agent.tileX, agent.tileY)) {
+          const strangers = visible.agents.filter(o => o.relationship < FRIENDSHIP && territory.inTerritory(home, o.agent.tileX, o.agent.tileY));
+          const [intruder] = topScored(strangers, o => -o.distance, 1);
+          if (intruder) {
+            const { agent: other, distance: od } = intruder.item;
+            intents.push({ action: 'defend', targetX: other.tileX, targetY: other.tileY, score: 35 + getTraitBonus(mind, 'fight') - od, reason: `Drive ${other.name} off my land` });
+          }
+        }
+      }
+    }
+
+    // DRINK — thirsty: water carried, fresh water in view, or somewhere it has seen water before.
+    // Collapsing from thirst (see thirst.js), water comes before anything else.
+    const thirst = agent.thirst ?? 0;
+    if (shared.thirst && thirst > 30) {
+      const emergency = shared.thirst.collapsing(agent) ? 100 : 0;
+      const urgency = thirst + (thirst >= 80 ? 30 : 0) + emergency;
+      if (thirst > 40 && shared.thirst.carriedWater(agent)) {
+        intents.push({ action: 'drink', targetX: agent.tileX, targetY: agent.tileY, score: 45 + urgency, reason: 'Drink some of the water I carry' });
+      }
+      const [water] = visible.water;
+      // Remembered spots are all on the surface
+      const [known] = water || isUnderground(agent) ? [] : topScored(mind.memory.water || [], w => -distance(agent.tileX, agent.tileY, w.x, w.y), 1);
+      if (water) {
+        const { x, y } = approachTile(agent, water.x, water.y);
+        intents.push({ action: 'drink', targetX: x, targetY: y, score: 40 + urgency - water.distance, reason: 'Drink from the fresh water' });
+      } else if (known && -known.score <= REMEMBERED_RANGE) {
+        const { x, y } = approachTile(agent, known.item.x, known.item.y);
+        intents.push({ action: 'drink', targetX: x, targetY: y, score: 30 + urgency + known.score / 2, reason: `Head back to the water at (${known.item.x},${known.item.y})` });
+      } else if (thirst > 60) {
+        intents.push({ action: 'explore', ...wanderTarget(agent), score: 15 + thirst / 2 + emergency, reason: 'Search for water' });
+      }
+    }
+
     // EAT — if hungry and have food
     if (agent.hunger > 40 && hasFood(agent)) {
       intents.push({ action: 'eat', targetX: agent.tileX, targetY: agent.tileY, score: 50 + agent.hunger, reason: 'Eating' });
@@ -512,10 +991,10 @@ export function initAgentIntelligence(shared) {
       const awayY = agent.tileY + Math.sign(agent.tileY - danger.y) * 8;
       const tx = Math.max(0, Math.min((worldGrid.width || 2000) - 1, awayX));
       const ty = Math.max(0, Math.min((worldGrid.height || 2000) - 1, awayY));
-      intents.push({ action: 'explore', targetX: tx, targetY: ty, score, reason: 'Fleeing danger!' });
+      intents.push({ action: 'explore', targetX: tx, targetY: ty, score, flee: true, reason: 'Fleeing danger!' });
     }
 
-    // ── Time/weather modifiers ──
+    // ── Time/weather/memory modifiers ──
     for (const intent of intents) {
       if (isNight) {
         if (intent.action === 'rest') intent.score += 40;
@@ -539,6 +1018,12 @@ export function initAgentIntelligence(shared) {
         if (intent.action === 'explore') intent.score += 10;
       }
 
+      // Where it leads — gathers have this already, from where they were scored. Running
+      // from danger goes wherever is away from it.
+      if (intent.action !== 'gather' && !intent.flee) {
+        intent.score += placeModifier(agent, mind, intent.action, intent.targetX, intent.targetY, dreaded);
+      }
+
       // Temperament
       if (mind.personality.temperament === 'restless' && intent.action === 'explore') intent.score += 10;
       if (mind.personality.temperament === 'methodical' && (intent.action === 'craft' || intent.action === 'gather')) intent.score += 8;
@@ -552,16 +1037,136 @@ export function initAgentIntelligence(shared) {
     return pickWeightedIntent(intents);
   }
 
+  /** A random spot 10–30 tiles away, for when there is nothing in view worth heading for */
+  function wanderTarget(agent) {
+    const angle = rng() * Math.PI * 2;
+    const range = 10 + Math.floor(rng() * 20);
+    return {
+      targetX: Math.max(0, Math.min((worldGrid.width || 2000) - 1, agent.tileX + Math.round(Math.cos(angle) * range))),
+      targetY: Math.max(0, Math.min((worldGrid.height || 2000) - 1, agent.tileY + Math.round(Math.sin(angle) * range))),
+    };
+  }
+
+  /**
+   * Intents for the plan's current step (see goal-planner.js): the nearest thing in view that
+   * moves it along (somewhere not remembered badly, if there is a choice), something remembered
+   * when there is nothing in view, or a wander to look.
+   */
+  function planIntents(agent, mind, visible, dreaded) {
+    const step = activeStep(mind.plan);
+    if (!step) return [];
+    const reason = `${step.text} (${step.progress}/${step.qty})`;
+    const score = PLAN_SCORE;
+    const here = { targetX: agent.tileX, targetY: agent.tileY };
+    const stand = (x, y) => { const t = approachTile(agent, x, y); return { targetX: t.x, targetY: t.y }; };
+    const look = (what) => ({ action: 'explore', ...wanderTarget(agent), score: score - 10, reason: `Look for ${what} — ${reason}` });
+
+    // The plan counts what is put away at home (see owned) — go and get it before a step needs it
+    // in hand, so it isn't left behind on the way to a project
+    const home = shared.territory?.homeOf(agent.id);
+    if (home && !isUnderground(agent) && distance(agent.tileX, agent.tileY, home.x, home.y) <= HOME_RANGE) {
+      const carried = holdings(agent.inventory);
+      const short = ([name, n]) => (carried[name] || 0) < n && shared.territory.stashed(agent.id, name) > 0;
+      for (const later of mind.plan.steps.slice(mind.plan.current)) {
+        const [left] = Object.entries(stepNeeds(later, mind.plan.goal)).find(short) ?? [];
+        if (left) return [{ action: 'stash', targetX: home.x, targetY: home.y, score, reason: `Fetch the ${left} I keep at home — ${reason}` }];
+      }
+    }
+
+    switch (step.kind) {
+      case 'gather': {
+        const wanted = step.subject === 'food' ? isFoodResource : (r) => r === step.subject;
+        const [near] = topScored(visible.resources.filter(r => r.allResources.some(wanted)),
+          r => placeModifier(agent, mind, 'gather', r.x, r.y, dreaded) - r.distance, 1);
+        if (near) {
+          const res = near.item;
+          const place = placeModifier(agent, mind, 'gather', res.x, res.y, dreaded);
+          return [{ action: 'gather', ...stand(res.x, res.y), gatherX: res.x, gatherY: res.y, score: score + getTraitBonus(mind, 'gather') + place, reason }];
+        }
+        const [known] = recall(mind.memory, { x: agent.tileX, y: agent.tileY, z: agent.z ?? 0, subject: step.subject }, clock.now(), {
+          limit: 1, where: e => e.kind !== 'discovery' && isRememberedTarget(agent, e) && wanted(e.subject),
+        });
+        if (known) {
+          const place = placeModifier(agent, mind, 'gather', known.x, known.y, dreaded);
+          return [{ action: 'gather', ...stand(known.x, known.y), gatherX: known.x, gatherY: known.y, score: score + place, reason: `Go back for the ${known.subject} — ${reason}` }];
+        }
+        return [look(step.subject)];
+      }
+      case 'craft':
+        return [{ action: 'craft', ...here, score: score + getTraitBonus(mind, 'craft'), reason }];
+      case 'goto':
+      case 'visit': {
+        const range = visionRange(agent);
+        const tile = gridOf(agent).firstZoneTiles(agent.tileX - range, agent.tileY - range, agent.tileX + range, agent.tileY + range)
+          .find(t => t.zone === step.subject);
+        return [tile ? { action: 'explore', targetX: tile.x, targetY: tile.y, score, reason } : look(`the ${step.subject}`)];
+      }
+      case 'contribute':
+        return [{ action: 'build', ...here, score: score + 10, reason }];
+      case 'befriend': {
+        // The acquaintance closest to becoming a friend
+        const [other] = topScored(visible.agents.filter(o => o.relationship < FRIENDSHIP), o => o.relationship - o.distance / 10, 1);
+        if (other) return [{ action: 'chat', targetX: other.item.agent.tileX, targetY: other.item.agent.tileY, score: score + getTraitBonus(mind, 'chat'), reason }];
+        return [look('someone new')];
+      }
+      case 'discover': {
+        const [poi] = topScored(visible.pois, p => -p.distance, 1);
+        if (poi) return [{ action: 'explore', targetX: poi.item.x, targetY: poi.item.y, score: score + getTraitBonus(mind, 'explore'), reason }];
+        const [told] = recall(mind.memory, { x: agent.tileX, y: agent.tileY, z: agent.z ?? 0 }, clock.now(), {
+          limit: 1, where: e => e.kind === 'discovery' && isRememberedTarget(agent, e),
+        });
+        if (told) return [{ action: 'explore', targetX: told.x, targetY: told.y, score, reason: `Look for ${told.subject} — ${reason}` }];
+        return [look('somewhere new')];
+      }
+      case 'descend': {
+        const [mouth] = topScored(visible.entrances, e => -e.distance, 1);
+        if (mouth && !isUnderground(agent) && !shared.weather?.isCaveBlocked?.()) {
+          return [{ action: 'descend', targetX: mouth.item.x, targetY: mouth.item.y, score, reason }];
+        }
+        return [look('a way down')];
+      }
+      case 'vessel':
+        return [{ action: 'craft_vessel', ...here, score: score + getTraitBonus(mind, 'craft'), reason }];
+      case 'landfall': {
+        const [shore] = topScored(visible.shores.filter(s => !mind.memory.landmasses?.[s.landmass]), s => -s.distance, 1);
+        if (shore && shared.watercraft?.vesselOf(agent)) return [{ action: 'voyage', targetX: shore.item.x, targetY: shore.item.y, score, reason }];
+        return [look('a shore across the water')];
+      }
+    }
+    return [];
+  }
+
+  /** Ticks since `tick` (0 when it was never stamped) */
+  function ticksSince(tick) {
+    return tick == null ? 0 : Math.max(0, clock.now() - tick);
+  }
+
+  /**
+   * The `n` highest-scoring items as { item, score }, best first — ties keep input order,
+   * exactly like a stable sort followed by slice(0, n)
+   */
+  function topScored(items, scoreOf, n = 5) {
+    const top = [];
+    for (const item of items) {
+      const score = scoreOf(item);
+      if (top.length === n && score <= top[n - 1].score) continue;
+      let i = Math.min(top.length, n - 1);
+      while (i > 0 && top[i - 1].score < score) i--;
+      top.splice(i, 0, { item, score });
+      if (top.length > n) top.pop();
+    }
+    return top;
+  }
+
   function pickWeightedIntent(intents) {
     if (intents.length === 0) return null;
 
-    // Sort descending, take top 5 for weighted random
-    intents.sort((a, b) => b.score - a.score);
-    const top = intents.slice(0, 5).filter(i => i.score > 0);
+    // Highest first, take top 5 for weighted random
+    const top = topScored(intents, i => i.score).map(t => t.item).filter(i => i.score > 0);
     if (top.length === 0) return null;
 
     const total = top.reduce((s, i) => s + i.score, 0);
-    let roll = Math.random() * total;
+    let roll = rng() * total;
     for (const intent of top) {
       roll -= intent.score;
       if (roll <= 0) return intent;
@@ -577,8 +1182,16 @@ export function initAgentIntelligence(shared) {
     // Roll from the decoration/resource tile (may be adjacent for non-walkable decorations)
     const gx = mind.intent?.gatherX ?? agent.tileX;
     const gy = mind.intent?.gatherY ?? agent.tileY;
-    const resource = worldGrid.rollResource?.(gx, gy);
-    if (!resource) return;
+    const gathered = gridOf(agent).gatherResource(gx, gy, rng);
+    if (!gathered) {
+      // Whatever the agent remembered finding here is gone for now
+      for (const e of [...mind.memory.episodes, ...mind.memory.reflections]) {
+        if (e.x != null && distance(e.x, e.y, gx, gy) <= 1 && (e.kind === 'gather' || e.about === 'resource')) e.staleTick = clock.now();
+      }
+      remember(agent, mind, `The spot at (${gx},${gy}) was picked clean`, { kind: 'depleted', x: gx, y: gy, valence: -0.3, importance: 3 });
+      return;
+    }
+    const { resource, stock, removed } = gathered;
 
     const existing = agent.inventory.find(i => i.name === resource);
     if (existing) {
@@ -588,30 +1201,48 @@ export function initAgentIntelligence(shared) {
     }
 
     mind.memory.gathered[resource] = (mind.memory.gathered[resource] || 0) + 1;
+    notePlan(mind, 'gather', isFoodResource(resource) ? [resource, 'food'] : [resource]);
+    journal.record('gather', { agentId: agent.id, resource, x: gx, y: gy, stock, removed });
+    if (shared.ecosystem) shared.ecosystem.onGather(agent.zone, resource);
+    if (removed) broadcast({ type: 'decoration_removed', x: gx, y: gy, z: agent.z ?? 0, decoration: removed });
 
     if (awardXP) awardXP(agent.id, 2);
     if (shared.proficiency) shared.proficiency.onAction(agent.id, 'gather', { zone: agent.zone });
     if (shared.knowledgeSystem) shared.knowledgeSystem.trackZoneAction(agent.id, agent.name, agent.zone, 'gather');
 
-    addMemoryEvent(mind, `Gathered ${resource} in the ${agent.zone}`);
+    remember(agent, mind, removed
+      ? `Gathered the last ${resource} — the ${removed.replace('_', ' ')} is gone`
+      : `Gathered ${resource} in ${placeOf(agent)}`,
+    { kind: removed ? 'depleted' : 'gather', subject: resource, x: gx, y: gy, valence: removed ? -0.2 : 0.3, importance: removed ? 3 : 2 });
     // Energy cost
     agent.energy = Math.max(0, agent.energy - (ACTIONS.gather.energy || 5));
   }
 
   function executeRest(agent, mind) {
-    agent.energy = Math.min(100, agent.energy + 5);
+    journal.record('rest', { agentId: agent.id });
+    // A night at home, or as a guest on shared land, does more good than one in the open
+    const bonus = shared.territory?.restBonus(agent);
+    agent.energy = Math.min(100, agent.energy + 5 * (bonus?.energy ?? 1));
+    if (bonus) agent.hp = Math.min(100, (agent.hp ?? 100) + bonus.hp);
     if (agent.hunger > 0) agent.hunger = Math.max(0, agent.hunger - 1);
   }
 
   function executeExplore(agent, mind) {
     // Just award XP/knowledge for arriving at exploration target
+    journal.record('explore', { agentId: agent.id, zone: agent.zone });
     if (awardXP) awardXP(agent.id, 3);
     if (shared.proficiency) shared.proficiency.onAction(agent.id, 'explore', { zone: agent.zone });
     if (shared.knowledgeSystem) {
       shared.knowledgeSystem.trackZoneAction(agent.id, agent.name, agent.zone, 'explore');
-      if (Math.random() < 0.1) shared.knowledgeSystem.grantRandomLore?.(agent.id);
+      if (rng() < 0.1) shared.knowledgeSystem.grantRandomLore?.(agent.id);
+    }
+    const found = shared.pointsOfInterest?.discoverAt(agent) || [];
+    for (const poi of found) {
+      remember(agent, mind, `Found ${poi.name}${poi.first ? ' — the first to find it' : ''}: ${poi.description}`,
+        { kind: 'discovery', subject: poi.name, poi: poi.id, x: poi.x, y: poi.y, valence: 0.8, importance: poi.first ? 8 : 6 });
     }
-    addMemoryEvent(mind, `Explored new ground in the ${agent.zone}`);
+    if (found.length) notePlan(mind, 'discover', [], found.length);
+    if (found.length === 0) remember(agent, mind, `Explored new ground in ${placeOf(agent)}`, { kind: 'explore', valence: 0.2, importance: 2 });
     agent.energy = Math.max(0, agent.energy - (ACTIONS.explore.energy || 4));
   }
 
@@ -619,12 +1250,12 @@ export function initAgentIntelligence(shared) {
     const nearby = getNearbyAgents(agent, 2);
     if (nearby.length === 0) return;
 
-    const other = nearby[Math.floor(Math.random() * nearby.length)];
+    const other = nearby[Math.floor(rng() * nearby.length)];
 
     if (!mind.relationships[other.id]) {
       mind.relationships[other.id] = { name: other.name, score: 0, interactions: 0 };
     }
-    mind.relationships[other.id].score += 1;
+    befriend(mind, other.id, 1);
     mind.relationships[other.id].interactions++;
 
     const otherMind = ensureMind(other.id);
@@ -632,28 +1263,58 @@ export function initAgentIntelligence(shared) {
       if (!otherMind.relationships[agent.id]) {
         otherMind.relationships[agent.id] = { name: agent.name, score: 0, interactions: 0 };
       }
-      otherMind.relationships[agent.id].score += 1;
+      befriend(otherMind, agent.id, 1);
       otherMind.relationships[agent.id].interactions++;
     }
 
-    if (shared.knowledgeSystem && Math.random() < 0.15) {
+    if (shared.knowledgeSystem && rng() < 0.15) {
       try { shared.knowledgeSystem.teach(agent, other.id, 'lore', null); } catch {}
     }
 
-    if (shared.npcSocial && Math.random() < 0.2) {
+    if (shared.npcSocial && rng() < 0.2) {
       try {
         const allNearby = getNearbyAgents(agent, 8);
         shared.npcSocial.attemptNPCTrade(agent, agent, allNearby);
       } catch {}
     }
 
+    // Share the most memorable thing the other doesn't know yet — a lesson learned, or a find
+    const [topic] = otherMind ? recall(mind.memory, { x: agent.tileX, y: agent.tileY, z: agent.z ?? 0 }, clock.now(), {
+      limit: 1, where: e => (e.kind === 'reflection' || e.kind === 'discovery') && e.x != null && !knows(otherMind, e),
+    }) : [];
+
     if (shared.proficiency) shared.proficiency.onAction(agent.id, 'chat', { zone: agent.zone });
-    addMemoryEvent(mind, `Chatted with ${other.name}`);
+    journal.record('chat', { agentId: agent.id, otherId: other.id, topic: topic ? topic.key ?? topic.subject : null });
+    remember(agent, mind, topic ? `Told ${other.name} ${tellable(topic)}` : `Chatted with ${other.name}`,
+      { kind: 'social', others: [{ id: other.id, name: other.name }], valence: 0.3, importance: topic ? 4 : 3 });
+    if (topic) {
+      const { score, tick, count, text, ...about } = topic;
+      const heard = remember(other, otherMind, `${agent.name} told me ${tellable(topic)}`, {
+        ...about, from: { id: agent.id, name: agent.name },
+        valence: topic.valence * 0.7, importance: topic.importance - 2,
+      });
+      if (topic.kind === 'reflection') heard.text = text; // passed on as it was heard
+    }
     addWorldNews('chat', agent.id, agent.name, `${agent.name} and ${other.name} had a conversation`, agent.zone);
     agent.energy = Math.max(0, agent.energy - (ACTIONS.chat.energy || 1));
   }
 
   function executeCraft(agent, mind) {
+    // The plan calls for something the agent knows how to make
+    const step = activeStep(mind.plan);
+    if (step?.kind === 'craft') {
+      const made = craftRecipe(agent.inventory, step.subject, step.qty - step.progress);
+      if (made) {
+        notePlan(mind, 'craft', [step.subject], made);
+        journal.record('craft', { agentId: agent.id, result: step.subject, quantity: made });
+        if (awardXP) awardXP(agent.id, 3);
+        if (shared.proficiency) shared.proficiency.onAction(agent.id, 'craft', { zone: agent.zone });
+        remember(agent, mind, `Made ${made} ${step.subject}`, { kind: 'craft', subject: step.subject, valence: 0.3, importance: 3 });
+        agent.energy = Math.max(0, agent.energy - (ACTIONS.craft.energy || 8));
+        return;
+      }
+    }
+
     if (!agent.inventory || agent.inventory.length < 2) return;
 
     const foodItems = agent.inventory.filter(i => {
@@ -671,9 +1332,10 @@ export function initAgentIntelligence(shared) {
         if (indices.length > 0) {
           const result = shared.cooking.cook(agent, indices);
           if (result && result.ok) {
+            journal.record('craft', { agentId: agent.id, cooked: true, result: result.result_item?.name || null });
             if (awardXP) awardXP(agent.id, 5);
             if (shared.proficiency) shared.proficiency.onAction(agent.id, 'craft', { zone: agent.zone });
-            addMemoryEvent(mind, `Cooked something from ${foodItems[0].name}`);
+            remember(agent, mind, `Cooked something from ${foodItems[0].name}`, { kind: 'craft', subject: foodItems[0].name, valence: 0.4, importance: 3 });
             addWorldNews('craft', agent.id, agent.name, `${agent.name} cooked a meal`, agent.zone);
             agent.energy = Math.max(0, agent.energy - (ACTIONS.craft.energy || 8));
             return;
@@ -686,9 +1348,10 @@ export function initAgentIntelligence(shared) {
       try {
         const items = agent.inventory.slice(0, 2);
         shared.experiments.runExperiment(agent, items, 'combine', agent.zone).then(result => {
+          journal.record('craft', { agentId: agent.id, items: items.map(i => i.name), success: !!result?.success, result: result?.result_item?.name || null });
           if (result && result.success) {
             if (awardXP) awardXP(agent.id, 8);
-            addMemoryEvent(mind, `Crafted ${result.result_item?.name || 'something new'}`);
+            remember(agent, mind, `Crafted ${result.result_item?.name || 'something new'}`, { kind: 'craft', subject: result.result_item?.name, valence: 0.4, importance: 4 });
             addWorldNews('craft', agent.id, agent.name, `${agent.name} crafted ${result.result_item?.name || 'an item'}`, agent.zone);
           }
         }).catch(() => {});
@@ -702,9 +1365,9 @@ export function initAgentIntelligence(shared) {
     if (!shared.experiments || !agent.inventory || agent.inventory.length < 2) return;
 
     const inv = [...agent.inventory];
-    const idx1 = Math.floor(Math.random() * inv.length);
+    const idx1 = Math.floor(rng() * inv.length);
     const item1 = inv.splice(idx1, 1)[0];
-    const idx2 = Math.floor(Math.random() * inv.length);
+    const idx2 = Math.floor(rng() * inv.length);
     const item2 = inv[idx2];
     if (!item1 || !item2) return;
 
@@ -719,16 +1382,21 @@ export function initAgentIntelligence(shared) {
     for (const [key, f] of Object.entries(zoneForceMappings)) {
       if (zone.toLowerCase().includes(key)) { force = f; break; }
     }
-    if (mind.personality.traits.includes('creative') && Math.random() < 0.3) {
+    if (mind.personality.traits.includes('creative') && rng() < 0.3) {
       const exotic = ['ferment', 'burn', 'flow', 'decay', 'cut'];
-      force = exotic[Math.floor(Math.random() * exotic.length)];
+      force = exotic[Math.floor(rng() * exotic.length)];
     }
 
     try {
       shared.experiments.runExperiment(agent, [item1, item2], force, zone).then(result => {
+        journal.record('experiment', {
+          agentId: agent.id, force, items: [item1.name, item2.name],
+          success: !!result?.success, result: result?.result_item?.name || null, first: !!result?.discovery?.first,
+        });
         if (result && result.success) {
           if (awardXP) awardXP(agent.id, 10);
-          addMemoryEvent(mind, `Experimented with ${force} on ${item1.name} and ${item2.name} → ${result.result_item?.name || '???'}`);
+          remember(agent, mind, `Experimented with ${force} on ${item1.name} and ${item2.name} → ${result.result_item?.name || '???'}`,
+            { kind: 'craft', subject: result.result_item?.name, valence: 0.4, importance: 4 });
           addWorldNews('experiment', agent.id, agent.name,
             `${agent.name} experimented with ${force}: ${result.message || 'interesting results'}`, agent.zone);
           if (result.discovery?.first) {
@@ -746,12 +1414,15 @@ export function initAgentIntelligence(shared) {
     const nearby = getNearbyAgents(agent, 2);
     if (nearby.length === 0 || !agent.inventory || agent.inventory.length === 0) return;
 
-    const other = nearby[Math.floor(Math.random() * nearby.length)];
+    const other = nearby[Math.floor(rng() * nearby.length)];
 
-    const dupes = agent.inventory.filter(i => (i.quantity || 1) > 1);
+    // Whatever the plan still calls for is kept back
+    const needs = planNeeds(mind.plan);
+    const spare = agent.inventory.filter(i => !needs.has(i.name) && !(needs.has('food') && isFoodResource(i.name)));
+    const dupes = spare.filter(i => (i.quantity || 1) > 1);
     const giftItem = dupes.length > 0
-      ? dupes[Math.floor(Math.random() * dupes.length)]
-      : agent.inventory[Math.floor(Math.random() * agent.inventory.length)];
+      ? dupes[Math.floor(rng() * dupes.length)]
+      : spare[Math.floor(rng() * spare.length)];
 
     if (!giftItem) return;
 
@@ -772,7 +1443,7 @@ export function initAgentIntelligence(shared) {
     if (!mind.relationships[other.id]) {
       mind.relationships[other.id] = { name: other.name, score: 0, interactions: 0 };
     }
-    mind.relationships[other.id].score += 8;
+    befriend(mind, other.id, 8);
     mind.relationships[other.id].interactions++;
 
     const otherMind = ensureMind(other.id);
@@ -780,13 +1451,18 @@ export function initAgentIntelligence(shared) {
       if (!otherMind.relationships[agent.id]) {
         otherMind.relationships[agent.id] = { name: agent.name, score: 0, interactions: 0 };
       }
-      otherMind.relationships[agent.id].score += 10;
+      befriend(otherMind, agent.id, 10);
       otherMind.relationships[agent.id].interactions++;
     }
 
     if (awardXP) awardXP(agent.id, 3);
     if (shared.proficiency) shared.proficiency.onAction(agent.id, 'gift', { zone: agent.zone });
-    addMemoryEvent(mind, `Gave ${giftItem.name} to ${other.name}`);
+    journal.record('gift', { agentId: agent.id, otherId: other.id, item: giftItem.name });
+    remember(agent, mind, `Gave ${giftItem.name} to ${other.name}`, { kind: 'gift', subject: giftItem.name, others: [{ id: other.id, name: other.name }], valence: 0.5, importance: 4 });
+    if (otherMind) {
+      remember(other, otherMind, `Received ${giftItem.name} from ${agent.name}`,
+        { kind: 'gift', subject: giftItem.name, others: [{ id: agent.id, name: agent.name }], valence: 0.7, importance: 5 });
+    }
     addWorldNews('gift', agent.id, agent.name, `${agent.name} gave ${giftItem.name} to ${other.name}`, agent.zone);
     agent.energy = Math.max(0, agent.energy - (ACTIONS.gift.energy || 1));
   }
@@ -797,20 +1473,23 @@ export function initAgentIntelligence(shared) {
     try {
       const encounter = shared.encounters.checkEncounter(agent.zone, agent, {});
       if (!encounter) {
-        addMemoryEvent(mind, `Searched for a challenge in ${agent.zone} but found nothing`);
+        addMemoryEvent(mind, `Searched for a challenge in ${placeOf(agent)} but found nothing`);
         return;
       }
 
       const result = shared.encounters.resolveEncounter(agent, encounter);
+      journal.record('encounter', { agentId: agent.id, encounter: encounter.name || null, sought: true, survived: result?.survived ?? null });
       if (result) {
         if (result.survived) {
           if (awardXP) awardXP(agent.id, 8);
-          addMemoryEvent(mind, `Fought ${encounter.name || 'a creature'} and survived! ${result.effects?.join(', ') || ''}`);
+          remember(agent, mind, `Fought ${encounter.name || 'a creature'} and survived! ${result.effects?.join(', ') || ''}`,
+            { kind: 'fight', subject: encounter.name, valence: 0.6, importance: 6 });
         } else {
-          addMemoryEvent(mind, `Was defeated by ${encounter.name || 'a creature'}... ${result.effects?.join(', ') || ''}`);
+          remember(agent, mind, `Was defeated by ${encounter.name || 'a creature'}... ${result.effects?.join(', ') || ''}`,
+            { kind: 'fight', subject: encounter.name, valence: -0.8, importance: 8 });
         }
         addWorldNews('fight', agent.id, agent.name,
-          `${agent.name} ${result.survived ? 'defeated' : 'was bested by'} ${encounter.name || 'a creature'} in ${agent.zone}`,
+          `${agent.name} ${result.survived ? 'defeated' : 'was bested by'} ${encounter.name || 'a creature'} in ${placeOf(agent)}`,
           agent.zone);
       }
       if (shared.proficiency) shared.proficiency.onAction(agent.id, 'fight', { zone: agent.zone });
@@ -826,9 +1505,14 @@ export function initAgentIntelligence(shared) {
       const gatheringProjects = (projects || []).filter(p => p.status === 'gathering');
 
       if (gatheringProjects.length > 0) {
-        const project = gatheringProjects[0];
-
-        for (const [matName, needed] of Object.entries(project.materialsRequired)) {
+        // The plan's project and material first, if it is here
+        const step = activeStep(mind.plan);
+        const planned = step?.kind === 'contribute' ? step : null;
+        const project = gatheringProjects.find(p => p.id === planned?.projectId) ?? gatheringProjects[0];
+        const materials = Object.entries(project.materialsRequired)
+          .sort(([a], [b]) => (b === planned?.subject) - (a === planned?.subject));
+
+        for (const [matName, needed] of materials) {
           const contributed = project.materialsContributed?.[matName] || 0;
           if (contributed >= needed) continue;
 
@@ -837,8 +1521,10 @@ export function initAgentIntelligence(shared) {
             const qty = Math.min((invItem.quantity || 1), needed - contributed);
             const result = shared.collectiveProjects.contribute(agent, project.id, matName, qty);
             if (result && result.ok !== false) {
+              if (project.id === planned?.projectId) notePlan(mind, 'contribute', [matName], qty);
+              journal.record('build', { agentId: agent.id, projectId: project.id, material: matName, quantity: qty });
               if (awardXP) awardXP(agent.id, 5);
-              addMemoryEvent(mind, `Contributed ${qty}x ${matName} to ${project.name}`);
+              remember(agent, mind, `Contributed ${qty}x ${matName} to ${project.name}`, { kind: 'build', subject: project.name, valence: 0.5, importance: 4 });
               addWorldNews('build', agent.id, agent.name,
                 `${agent.name} contributed ${qty}x ${matName} to ${project.name}`, agent.zone);
             }
@@ -863,8 +1549,161 @@ export function initAgentIntelligence(shared) {
 
       agent.hunger = Math.max(0, agent.hunger - 30);
       agent.energy = Math.min(100, agent.energy + 10);
-      addMemoryEvent(mind, `Ate some ${food.name}`);
+      journal.record('eat', { agentId: agent.id, food: food.name });
+      remember(agent, mind, `Ate some ${food.name}`, { kind: 'eat', subject: food.name, valence: 0.3, importance: 1 });
+    }
+  }
+
+  function executeDrink(agent, mind) {
+    if (!shared.thirst) return;
+    const result = shared.thirst.drink(agent);
+    if (result.error) {
+      addMemoryEvent(mind, `Went to drink, but ${lowerFirst(result.error)}`);
+      return;
+    }
+    const from = WATER_SOURCES[result.source] ?? `some ${result.source.replace(/_/g, ' ')}`;
+    remember(agent, mind, `Drank ${from}`, { kind: 'drink', subject: result.source, valence: 0.3, importance: 1 });
+  }
+
+  function executeClaim(agent, mind) {
+    if (!shared.territory) return;
+    const result = shared.territory.claim(agent, { stance: homeStance(mind.personality) });
+    if (result.error) {
+      addMemoryEvent(mind, `Thought of settling here, but ${lowerFirst(result.error)}`);
+      return;
+    }
+    remember(agent, mind, `Made a home at (${agent.tileX},${agent.tileY}) in ${placeOf(agent)}`, { kind: 'home', valence: 0.7, importance: 7 });
+    agent.energy = Math.max(0, agent.energy - (ACTIONS.claim.energy || 1));
+  }
+
+  /** At home: take out what the plan needs, and put away what the road doesn't */
+  function executeStash(agent, mind) {
+    const territory = shared.territory;
+    if (!territory?.atHome(agent)) return;
+    const took = [], stored = [];
+    for (const name of planNeeds(mind.plan)) {
+      if (territory.stashed(agent.id, name) === 0) continue;
+      const result = territory.take(agent, { name });
+      if (!result.ok) continue;
+      took.push(`${result.taken.quantity} ${name}`);
+    }
+    for (const item of surplus(agent, mind.plan)) {
+      const result = territory.store(agent, item.id ? { item_id: item.id } : { name: item.name });
+      if (result.ok) stored.push(`${result.stored.quantity} ${item.name}`);
+    }
+    if (took.length) addMemoryEvent(mind, `Took ${took.join(', ')} from home`);
+    if (stored.length) addMemoryEvent(mind, `Put ${stored.join(', ')} away at home`);
+    agent.energy = Math.max(0, agent.energy - (ACTIONS.stash.energy || 0.3));
+  }
+
+  /** Warn the nearest stranger off the agent's land: it leaves, and neither thinks better of the other */
+  function executeDefend(agent, mind) {
+    const territory = shared.territory;
+    const home = territory?.homeOf(agent.id);
+    if (!home) return;
+    const other = getNearbyAgents(agent, 2).find(o =>
+      (mind.relationships[o.id]?.score || 0) < FRIENDSHIP && territory.inTerritory(home, o.tileX, o.tileY));
+    if (!other) return;
+
+    mind.relationships[other.id] ??= { name: other.name, score: 0, interactions: 0 };
+    mind.relationships[other.id].score -= 2;
+    mind.relationships[other.id].interactions++;
+    const otherMind = ensureMind(other.id);
+    if (otherMind) {
+      otherMind.relationships[agent.id] ??= { name: agent.name, score: 0, interactions: 0 };
+      otherMind.relationships[agent.id].score -= 3;
+      otherMind.relationships[agent.id].interactions++;
+      remember(other, otherMind, `${agent.name} drove me off their land in ${placeOf(other)}`,
+        { kind: 'mishap', subject: 'territory', others: [{ id: agent.id, name: agent.name }], valence: -0.5, importance: 5 });
+      // Out the way it came — a controller decides for itself
+      if (!shared.agentControl?.isControlled(other.id)) {
+        const clamp = (v, max) => Math.max(0, Math.min(max - 1, v));
+        otherMind.intent = {
+          action: 'explore',
+          targetX: clamp(home.x + (Math.sign(other.tileX - home.x) || 1) * (TERRITORY_RADIUS + 3), worldGrid.width || 2000),
+          targetY: clamp(home.y + (Math.sign(other.tileY - home.y) || 1) * (TERRITORY_RADIUS + 3), worldGrid.height || 2000),
+          reason: `Leave ${agent.name}'s land`, startedTick: clock.now(), maxTicks: 30,
+        };
+        otherMind.route = null;
+      }
+    }
+    journal.record('defend', { agentId: agent.id, otherId: other.id });
+    remember(agent, mind, `Drove ${other.name} off my land`,
+      { kind: 'territory', others: [{ id: other.id, name: other.name }], valence: 0.2, importance: 4 });
+    agent.energy = Math.max(0, agent.energy - (ACTIONS.defend.energy || 1));
+  }
+
+  /** Climb through the cave entrance at the intent's target — down (CAVE_Z) or back up (0) */
+  function changeLevel(agent, mind, z) {
+    const x = mind.intent?.targetX ?? agent.tileX;
+    const y = mind.intent?.targetY ?? agent.tileY;
+    if (z !== 0 && shared.weather?.isCaveBlocked?.()) {
+      addMemoryEvent(mind, 'The storm has blocked the cave mouth');
+      return;
     }
+    if (agent.tileX !== x || agent.tileY !== y) stepTo(agent, mind, x, y);
+    const result = worldGrid.changeLevel?.(agent, z);
+    if (!result || result.error) {
+      addMemoryEvent(mind, `Could not find a way ${z === 0 ? 'up' : 'down'} at (${x},${y})`);
+      return;
+    }
+    mind.route = null;
+    if (z !== 0) {
+      mind.memory.caveEntrance = { x, y };
+      mind.memory.descendedTick = clock.now();
+    } else {
+      delete mind.memory.descendedTick;
+    }
+    journal.record('level', { agentId: agent.id, x, y, z });
+    broadcast({ type: 'agent_level', agentId: agent.id, x, y, z });
+    if (shared.proficiency) shared.proficiency.onAction(agent.id, 'explore', { zone: agent.zone });
+    addMemoryEvent(mind, z === 0 ? 'Climbed back up into daylight' : 'Climbed down into the dark of the caves');
+    agent.energy = Math.max(0, agent.energy - (ACTIONS.climb.energy || 1));
+  }
+
+  function executeDescend(agent, mind) {
+    changeLevel(agent, mind, worldGrid.CAVE_Z ?? -1);
+  }
+
+  function executeAscend(agent, mind) {
+    changeLevel(agent, mind, 0);
+  }
+
+  /** Land on the shore at the intent's target and remember having reached that landmass */
+  function executeVoyage(agent, mind) {
+    const x = mind.intent?.targetX ?? agent.tileX;
+    const y = mind.intent?.targetY ?? agent.tileY;
+    if (agent.tileX !== x || agent.tileY !== y) stepTo(agent, mind, x, y);
+    const land = worldGrid.landmassAt?.(agent.tileX, agent.tileY) ?? 0;
+    if (land === 0) {
+      addMemoryEvent(mind, `Could not make landfall at (${x},${y})`);
+      return;
+    }
+    mind.memory.landmasses ??= {};
+    const first = !mind.memory.landmasses[land];
+    mind.memory.landmasses[land] = clock.now();
+    journal.record('landfall', { agentId: agent.id, x: agent.tileX, y: agent.tileY, landmass: land });
+    if (shared.proficiency) shared.proficiency.onAction(agent.id, 'explore', { zone: agent.zone });
+    agent.energy = Math.max(0, agent.energy - (ACTIONS.sail.energy || 1));
+    if (first) {
+      notePlan(mind, 'landfall', []);
+      awardXP(agent.id, 10);
+      remember(agent, mind, `Sailed across and landed on new shores in ${placeOf(agent)} (${agent.tileX},${agent.tileY})`,
+        { kind: 'discovery', subject: placeOf(agent), valence: 0.8, importance: 8 });
+      addWorldNews('voyage', agent.id, agent.name, `${agent.name} made landfall on unexplored shores in ${placeOf(agent)}`, agent.zone);
+    } else {
+      addMemoryEvent(mind, `Sailed back to familiar shores in ${placeOf(agent)}`);
+    }
+  }
+
+  function executeCraftVessel(agent, mind) {
+    const type = shared.watercraft?.buildable(agent);
+    const result = type ? shared.watercraft.build(agent, { type }) : { error: 'Not enough materials' };
+    if (result.error) {
+      addMemoryEvent(mind, `Tried to build a vessel: ${result.error}`);
+      return;
+    }
+    remember(agent, mind, `Built a ${type} to cross the water`, { kind: 'craft', subject: type, valence: 0.5, importance: 5 });
   }
 
   // Map action names to executors
@@ -879,26 +1718,256 @@ export function initAgentIntelligence(shared) {
     fight: executeFight,
     build: executeBuild,
     eat: executeEat,
+    drink: executeDrink,
+    claim: executeClaim,
+    stash: executeStash,
+    defend: executeDefend,
+    descend: executeDescend,
+    ascend: executeAscend,
+    voyage: executeVoyage,
+    craft_vessel: executeCraftVessel,
   };
 
   // ─────────────────────────────
-  // Goal Generation
+  // External Control (see agent-control.js)
+  // ─────────────────────────────
+
+  /** Check a controller-supplied intent. Returns { intent } or { error }. */
+  function validateIntent(agent, { action, targetX, targetY, reason } = {}) {
+    if (!agent?.alive) return { error: 'Agent is not alive' };
+    if (!Object.hasOwn(EXECUTORS, action)) {
+      return { error: `Unknown action "${action}" (expected one of: ${Object.keys(EXECUTORS).join(', ')})` };
+    }
+    const x = targetX ?? agent.tileX;
+    const y = targetY ?? agent.tileY;
+    if (!Number.isInteger(x) || !Number.isInteger(y)) return { error: 'targetX and targetY must be integers' };
+    if (x < 0 || y < 0 || x >= (worldGrid.width || 2000) || y >= (worldGrid.height || 2000)) {
+      return { error: 'Target is outside the world' };
+    }
+
+    const intent = { action, targetX: x, targetY: y, reason: String(reason || `Controller: ${action}`).slice(0, 120), external: true };
+    if (action === 'gather') {
+      const stand = approachTile(agent, x, y);
+      Object.assign(intent, { targetX: stand.x, targetY: stand.y, gatherX: x, gatherY: y });
+    }
+    // Drinking at a river or lake: stand on the bank
+    if (action === 'drink' && !isUnderground(agent) && worldGrid.isFreshWater?.(x, y)) {
+      const stand = approachTile(agent, x, y);
+      Object.assign(intent, { targetX: stand.x, targetY: stand.y });
+    }
+    return { intent };
+  }
+
+  /** The agent's most memorable episodes and reflections for where it stands, briefly */
+  function memorable(agent, mind, cue = { x: agent.tileX, y: agent.tileY, z: agent.z ?? 0 }, limit = 5) {
+    return recall(mind.memory, cue, clock.now(), { limit }).map(e => ({
+      tick: e.tick, kind: e.kind, text: e.text, x: e.x, y: e.y, place: e.place,
+      valence: e.valence, importance: e.importance, from: e.from?.name, score: e.score,
+    }));
+  }
+
+  /** What a controller sees each tick — scanVisible plus personality, vitals, inventory and memory */
+  function buildObservation(agent, mind, visible) {
+    return {
+      self: {
+        id: agent.id, name: agent.name, x: agent.tileX, y: agent.tileY, z: agent.z ?? 0, zone: agent.zone,
+        region: worldGrid.getRegion?.(agent.tileX, agent.tileY)?.name ?? null,
+        vessel: shared.watercraft?.vesselOf(agent)?.type ?? null,
+        home: shared.territory?.describe(shared.territory.homeOf(agent.id)) ?? null,
+      },
+      personality: mind.personality,
+      vitals: { hp: agent.hp, energy: agent.energy, hunger: agent.hunger, thirst: agent.thirst ?? 0, temperature: agent.temperature },
+      inventory: agent.inventory,
+      mood: mind.mood,
+      plan: describePlan(mind.plan),
+      currentAction: mind.currentAction,
+      intent: mind.intent ? {
+        action: mind.intent.action, targetX: mind.intent.targetX, targetY: mind.intent.targetY,
+        reason: mind.intent.reason, external: !!mind.intent.external,
+      } : null,
+      memory: {
+        recent: mind.memory.short.slice(-10),
+        lessons: mind.memory.lessons,
+        memorable: memorable(agent, mind),
+        visited: mind.memory.visited,
+        gathered: mind.memory.gathered,
+      },
+      visible: {
+        resources: visible.resources.map(r => ({ x: r.x, y: r.y, resource: r.resource, resources: r.allResources, source: r.source, distance: r.distance })),
+        agents: visible.agents.map(o => ({ id: o.agent.id, name: o.agent.name, x: o.agent.tileX, y: o.agent.tileY, distance: o.distance, relationship: o.relationship })),
+        dangers: visible.dangers,
+        projects: visible.projects.map(p => ({ id: p.project.id, name: p.project.name, type: p.project.projectType, x: p.x, y: p.y })),
+        unknownZones: visible.unknownZones,
+        entrances: visible.entrances,
+        shores: visible.shores,
+        water: visible.water,
+        pois: visible.pois.map(p => ({ id: p.id, name: p.name, description: p.description, type: p.type, x: p.x, y: p.y, distance: p.distance })),
+        // Structures and dropped items (see tile-layer.js)
+        tiles: gridOf(agent).queryTileLayer(agent.tileX - VISION_RANGE, agent.tileY - VISION_RANGE, agent.tileX + VISION_RANGE, agent.tileY + VISION_RANGE),
+      },
+      actions: Object.keys(EXECUTORS),
+    };
+  }
+
+  // ─────────────────────────────
+  // Goals & Plans (see goal-planner.js)
   // ─────────────────────────────
+
+  /** The goal an agent's ambition sets it next, given what it has done so far */
+  function ambitionGoal(agent, mind) {
+    // Goals given up on count too, so an ambition moves on to something else rather than retrying
+    const tried = (type) => mind.goalsTried?.[type] || 0;
+    const discover = { type: 'discover', qty: 2, text: 'Find two places I have never been' };
+    switch (mind.personality.ambition) {
+      case 'explore every biome in the world': {
+        const zones = BIOMES.filter(z => !mind.memory.visited[z]).slice(0, 3);
+        if (zones.length === 0) return discover;
+        return { type: 'explore', zones, text: `See the ${zones.join(', ').replace(/, ([^,]*)$/, ' and $1')}` };
+      }
+      case 'become a legendary explorer': {
+        if (!shared.watercraft) return discover;
+        const { cost } = shared.watercraft.VESSELS.raft;
+        return { type: 'voyage', vessel: 'raft', materials: cost, hasVessel: !!shared.watercraft.vesselOf(agent), text: 'Sail to shores I have never walked' };
+      }
+      case 'master the art of crafting': {
+        const [item, qty] = CRAFTS[tried('make') % CRAFTS.length];
+        return { type: 'make', item, qty, text: `Make ${qty} ${item}` };
+      }
+      case 'uncover the mysteries of the ancient world':
+        return tried('delve') > tried('discover') ? discover : { type: 'delve', text: 'Go down into the caves by torchlight' };
+      case 'discover every secret this land holds':
+        return discover;
+      case 'build lasting bonds with fellow wanderers':
+        return { type: 'befriend', qty: 2, text: 'Make two new friends' };
+      case 'survive against all odds':
+        return { type: 'gather', items: { food: 6 }, text: 'Lay in food for hard times' };
+      case 'become the most skilled gatherer':
+        return { type: 'gather', items: { wood: 10, fiber: 6 }, text: 'Gather 10 wood and 6 fiber' };
+      case 'leave a mark that outlasts me':
+        return { type: 'make', item: 'Wooden Plank', qty: 6, text: 'Cut planks for whatever gets built next' };
+      case 'find a place to call home':
+        return { type: 'gather', items: { wood: 10, food: 4 }, text: 'Gather what a home needs' };
+      default:
+        return discover;
+    }
+  }
+
+  /**
+   * Materials collective projects still need, as goals — any project for the project-minded,
+   * otherwise only one where the agent stands
+   */
+  function projectGoals(agent, mind) {
+    if (!shared.collectiveProjects) return [];
+    const keen = mind.personality.ambition === 'leave a mark that outlasts me' ||
+      mind.personality.traits.some(t => PROJECT_MINDED.includes(t));
+    // What others have already set out to bring
+    const pledged = {};
+    for (const other of Object.values(minds)) {
+      const step = other.plan?.goal.type === 'contribute' ? other.plan.steps[other.plan.steps.length - 1] : null;
+      if (step) pledged[`${step.projectId}:${step.subject}`] = (pledged[`${step.projectId}:${step.subject}`] || 0) + step.qty - step.progress;
+    }
+    const goals = [];
+    for (const project of shared.collectiveProjects.getAllProjects()) {
+      if (project.status !== 'gathering' || (!keen && project.zone !== agent.zone)) continue;
+      for (const [item, left] of Object.entries(project.remaining)) {
+        const qty = Math.min(left - (pledged[`${project.id}:${item}`] || 0), PROJECT_SHARE);
+        if (qty <= 0) continue;
+        goals.push({
+          type: 'contribute', source: 'project', projectId: project.id, project: project.name, zone: project.zone, item, qty,
+          text: `Bring ${qty} ${item} to the ${project.name} in the ${project.zone}`,
+        });
+      }
+    }
+    return goals;
+  }
+
+  /** Set the agent a new goal and plan the way to it, when it has none */
   function generateGoals(agent, mind) {
-    if (mind.goals.filter(g => !g.done).length >= 3) return;
+    const now = clock.now();
+    if (mind.plan || now < (mind.nextGoalTick || 0)) return;
+
+    const have = owned(agent);
+    for (const goal of [...projectGoals(agent, mind), { source: 'ambition', ...ambitionGoal(agent, mind) }]) {
+      if (mind.goals.some(g => g.failed && g.text === goal.text && now - g.endedTick < TICKS_PER_DAY)) continue;
+      goal.id = ++mind.goalCount;
+      const plan = newPlan(goal, have, now);
+      if (!plan) continue;
+      mind.plan = plan;
+      mind.goals.push({ id: goal.id, type: goal.type, text: goal.text, source: goal.source, done: false, failed: null, progress: 0, createdTick: now });
+      // Forget the oldest finished goals
+      while (mind.goals.length > MAX_GOALS) {
+        const i = mind.goals.findIndex(g => g.done || g.failed);
+        if (i < 0) break;
+        mind.goals.splice(i, 1);
+      }
+      journal.record('goal', { agentId: agent.id, goal: goal.text, status: 'set', steps: plan.steps.length });
+      addMemoryEvent(mind, `Set out to ${goal.text.charAt(0).toLowerCase()}${goal.text.slice(1)}`);
+      return;
+    }
+    // Nothing it can plan for now — think again in a while
+    mind.nextGoalTick = now + TICKS_PER_HOUR * 3;
+  }
+
+  /** Count something that happened towards the plan's current step */
+  function notePlan(mind, kind, subjects, n = 1) {
+    if (mind.plan) noteProgress(mind.plan, kind, subjects, n, clock.now());
+  }
 
-    const traits = mind.personality.traits;
+  /** Everything the agent has, carried or put away at home, as { name: quantity } */
+  function owned(agent) {
+    return holdings([...(agent.inventory || []), ...(shared.territory?.homeOf(agent.id)?.stash ?? [])]);
+  }
+
+  /** The world as a plan's preconditions see it */
+  function planState(agent, mind) {
+    return {
+      have: owned(agent),
+      zone: agent.zone,
+      z: agent.z ?? 0,
+      visited: mind.memory.visited,
+      vessel: !!shared.watercraft?.vesselOf(agent),
+      buildable: !!shared.watercraft?.buildable(agent),
+    };
+  }
+
+  /** Move the plan along; finish the goal when it is done or there is no longer a way to it */
+  function followPlan(agent, mind) {
+    const plan = mind.plan;
+    if (!plan) return;
+    const goal = mind.goals.find(g => g.id === plan.goal.id);
 
-    if (Object.keys(mind.memory.visited).length < 5 && traits.includes('curious')) {
-      mind.goals.push({ type: 'explore', text: 'Discover new biomes', done: false, progress: 0 });
+    // Someone else may have brought the project what it needed
+    if (plan.goal.type === 'contribute') {
+      const project = shared.collectiveProjects?.getAllProjects().find(p => p.id === plan.goal.projectId);
+      if (!project?.remaining?.[plan.goal.item]) return finishGoal(agent, mind, goal, `the ${plan.goal.project} no longer needs ${plan.goal.item}`);
     }
 
-    if ((agent.inventory?.length || 0) < 5) {
-      mind.goals.push({ type: 'gather', text: 'Stock up on supplies', done: false, progress: 0 });
+    const result = advance(plan, planState(agent, mind), clock.now());
+    if (goal) goal.progress = planProgress(plan);
+    if (result.status === 'done') finishGoal(agent, mind, goal, null);
+    else if (result.status === 'failed') finishGoal(agent, mind, goal, result.why);
+    else if (result.status === 'replanned') {
+      journal.record('goal', { agentId: agent.id, goal: plan.goal.text, status: 'replanned', why: result.why });
+      addMemoryEvent(mind, `Had to rethink "${plan.goal.text}" — ${result.why}`);
     }
+  }
 
-    if (traits.includes('social') && Object.keys(mind.relationships).length < 3) {
-      mind.goals.push({ type: 'socialize', text: 'Make new friends', done: false, progress: 0 });
+  /** End the current plan: achieved when `failure` is null */
+  function finishGoal(agent, mind, goal, failure) {
+    const now = clock.now();
+    const { text, type } = mind.plan.goal;
+    mind.plan = null;
+    mind.goalsTried ??= {};
+    mind.goalsTried[type] = (mind.goalsTried[type] || 0) + 1;
+    if (goal) Object.assign(goal, { done: !failure, failed: failure, endedTick: now });
+    journal.record('goal', { agentId: agent.id, goal: text, status: failure ? 'failed' : 'done', why: failure ?? undefined });
+    if (failure) {
+      remember(agent, mind, `Gave up on "${text}": ${failure}`, { kind: 'goal', subject: text, valence: -0.4, importance: 4 });
+      mind.nextGoalTick = now + TICKS_PER_HOUR * 3;
+    } else {
+      if (awardXP) awardXP(agent.id, 10);
+      remember(agent, mind, `Achieved what I set out to do: ${text}`, { kind: 'goal', subject: text, valence: 0.7, importance: 6 });
+      mind.nextGoalTick = now + TICKS_PER_HOUR * 6;
     }
   }
 
@@ -925,19 +1994,18 @@ export function initAgentIntelligence(shared) {
   // ─────────────────────────────
   // Main Tick — Intent-first decision loop
   // ─────────────────────────────
-  let currentTick = 0;
-
   function tickAgent(agent) {
     if (!agent.alive) return;
 
     const mind = ensureMind(agent.id);
     if (!mind) return;
 
-    currentTick++;
+    const currentTick = clock.now();
     mind.pathThisTick = null;
 
-    // Generate goals if needed
+    // Set a goal if there is none, and see how the plan for it is going
     generateGoals(agent, mind);
+    followPlan(agent, mind);
 
     // ── Weather effects on agent ──
     const atmosphere = shared.weather?.getAtmosphere?.();
@@ -952,6 +2020,13 @@ export function initAgentIntelligence(shared) {
       if (wid === 'rain') agent.energy = Math.max(0, agent.energy - 0.3);
     }
 
+    // ── Afloat without a vessel (given away, or used up crafting) — swim for the shore ──
+    if (shared.watercraft && !isUnderground(agent) && gridOf(agent).getTile(agent.tileX, agent.tileY)?.sailable && !shared.watercraft.vesselOf(agent)) {
+      const shore = shared.watercraft.swimAshore(agent);
+      remember(agent, mind, `Swam ashore at (${shore.x},${shore.y})`, { kind: 'mishap', valence: -0.5, importance: 5 });
+      mind.route = null;
+    }
+
     // ── World event effects ──
     if (shared.worldMaster) {
       const extraCost = shared.worldMaster.getDangerEnergyCost?.(agent.zone) || 0;
@@ -962,10 +2037,18 @@ export function initAgentIntelligence(shared) {
     // INTENT-FIRST DECISION LOOP
     // ═══════════════════════════════
 
+    // ── External controller or brain (see brains.js) — its latest intent replaces whatever the agent was doing ──
+    const control = shared.agentControl?.isControlled(agent.id) ? shared.agentControl : null;
+    if (control) {
+      const external = control.takeIntent(agent.id);
+      if (external) mind.intent = { ...external, startedTick: currentTick, maxTicks: 30 };
+    }
+
     const intent = mind.intent;
 
-    // Check if current intent has expired
-    if (intent && intent.startedTick && (currentTick - intent.startedTick) > (intent.maxTicks || 30)) {
+    // Check if current intent has expired (negative age = stamped before the shared clock)
+    const intentAge = intent?.startedTick ? currentTick - intent.startedTick : 0;
+    if (intent && (intentAge < 0 || intentAge > (intent.maxTicks || 30))) {
       mind.intent = null;
     }
 
@@ -981,6 +2064,7 @@ export function initAgentIntelligence(shared) {
         const executor = EXECUTORS[mind.intent.action];
         if (executor) executor(agent, mind);
 
+        mind.route = null;
         // Clear intent after execution (except rest which can repeat)
         if (mind.intent.action === 'rest' && agent.energy < 80) {
           // Keep resting
@@ -994,16 +2078,20 @@ export function initAgentIntelligence(shared) {
         const moved = moveToward(agent, mind, mind.intent.targetX, mind.intent.targetY, mp);
 
         if (!moved) {
-          // Stuck — abandon intent
+          // No way there — abandon intent
           mind.intent = null;
+          mind.route = null;
         }
       }
     }
 
-    // If no intent (either cleared or never had one), decide a new one
+    // If no intent (either cleared or never had one), decide a new one.
+    // A controlled agent waits for its controller until the deadline, then falls back to scoreIntents.
+    let visible = null;
     if (!mind.intent) {
-      const visible = scanVisible(agent, mind);
-      const chosen = scoreIntents(agent, mind, visible);
+      visible = scanVisible(agent, mind);
+      const waiting = control ? control.shouldWait(agent.id) : false;
+      const chosen = waiting ? null : scoreIntents(agent, mind, visible);
 
       if (chosen) {
         mind.intent = {
@@ -1014,6 +2102,8 @@ export function initAgentIntelligence(shared) {
           startedTick: currentTick,
           maxTicks: 30,
         };
+        // Trees and rocks can't be stood on — gather from the tile the intent was scored for
+        if (chosen.gatherX != null) Object.assign(mind.intent, { gatherX: chosen.gatherX, gatherY: chosen.gatherY });
 
         // If target is right here, execute immediately
         const dist = distance(agent.tileX, agent.tileY, chosen.targetX, chosen.targetY);
@@ -1031,23 +2121,24 @@ export function initAgentIntelligence(shared) {
           moveToward(agent, mind, chosen.targetX, chosen.targetY, mp);
         }
       } else {
-        // Nothing to do — idle
-        mind.currentAction = 'idle';
+        // Nothing to do (or still waiting on the controller) — idle
+        mind.currentAction = waiting ? 'waiting' : 'idle';
       }
     }
 
     // ── Random encounters (5% chance per tick) ──
-    if (shared.encounters && Math.random() < 0.05) {
+    if (shared.encounters && rng() < 0.05) {
       try {
         const enc = shared.encounters.checkEncounter(agent.zone, agent);
         if (enc) {
           const result = shared.encounters.resolveEncounter(agent, enc);
+          journal.record('encounter', { agentId: agent.id, encounter: enc.name || null, sought: false, survived: result?.survived ?? null });
           if (result) {
             if (result.survived) {
               if (awardXP) awardXP(agent.id, 5);
-              addMemoryEvent(mind, `Encountered ${enc.name || 'something'} and survived`);
+              remember(agent, mind, `Encountered ${enc.name || 'something'} and survived`, { kind: 'fight', subject: enc.name, valence: 0.4, importance: 4 });
             } else {
-              addMemoryEvent(mind, `Was caught off guard by ${enc.name || 'something'}`);
+              remember(agent, mind, `Was caught off guard by ${enc.name || 'something'}`, { kind: 'fight', subject: enc.name, valence: -0.6, importance: 6 });
             }
           }
         }
@@ -1055,19 +2146,35 @@ export function initAgentIntelligence(shared) {
     }
 
     // ── Periodic lore grants ──
-    if (shared.knowledgeSystem && Math.random() < 0.02) {
+    if (shared.knowledgeSystem && rng() < 0.02) {
       try { shared.knowledgeSystem.grantRandomLore?.(agent.id); } catch {}
     }
 
     // Update mood
     updateMood(agent, mind);
 
+    // Consolidate episodes into reflections every few game hours
+    const sinceReflection = currentTick - (mind.lastReflection || 0);
+    if (sinceReflection >= REFLECT_EVERY || sinceReflection < 0) reflect(agent, mind);
+
+    // Parched — remembered as a hard time, so the place reads as dangerous once it happens again
+    if (shared.thirst && (agent.thirst ?? 0) >= shared.thirst.MAX_THIRST) {
+      if (!mind.parched) {
+        mind.parched = true;
+        remember(agent, mind, `Ran out of water in ${placeOf(agent)}`, { kind: 'mishap', subject: 'thirst', valence: -0.7, importance: 7 });
+      }
+    } else {
+      mind.parched = false;
+    }
+
     // Passive effects (scaled for fast tick rate)
     agent.hunger = Math.min(100, (agent.hunger || 0) + 0.08);
     if (agent.hunger >= 100) {
       agent.energy = Math.max(0, agent.energy - 2);
     }
 
+    if (control) control.observe(agent.id, buildObservation(agent, mind, visible || scanVisible(agent, mind)), !mind.intent);
+
     scheduleSave();
   }
 
@@ -1078,25 +2185,66 @@ export function initAgentIntelligence(shared) {
     app.get('/api/agents/:id/mind', (req, res) => {
       const mind = minds[req.params.id];
       if (!mind) return res.status(404).json({ error: 'No mind data' });
+      ensureEpisodic(mind.memory);
       const agent = agents.get(req.params.id);
       res.json({
         name: agent?.name,
         personality: mind.personality,
+        brain: shared.brains?.brainOf(req.params.id) ?? { provider: 'utility', active: true },
         mood: mind.mood,
         currentAction: mind.currentAction,
         intent: mind.intent ? { action: mind.intent.action, reason: mind.intent.reason, targetX: mind.intent.targetX, targetY: mind.intent.targetY } : null,
         goals: mind.goals,
-        memory: { recentEvents: mind.memory.short.slice(-10), lessons: mind.memory.lessons },
+        plan: describePlan(mind.plan),
+        memory: {
+          recentEvents: mind.memory.short.slice(-10),
+          lessons: mind.memory.lessons,
+          reflections: mind.memory.reflections.map(r => ({ text: r.text, about: r.about, count: r.count, tick: r.tick })),
+          memorable: agent ? memorable(agent, mind) : [],
+        },
         relationships: mind.relationships,
         journal: mind.journal,
       });
     });
+
+    // Recall, as the agent would: ?subject=fish&x=&y=&other=<agentId>&limit=
+    app.get('/api/agents/:id/memories', (req, res) => {
+      const mind = minds[req.params.id];
+      const agent = agents.get(req.params.id);
+      if (!mind || !agent) return res.status(404).json({ error: 'No mind data' });
+      const { subject, other } = req.query;
+      const x = parseInt(req.query.x), y = parseInt(req.query.y);
+      const cue = {
+        subject, other,
+        x: Number.isInteger(x) ? x : agent.tileX,
+        y: Number.isInteger(y) ? y : agent.tileY,
+        z: agent.z ?? 0,
+      };
+      ensureEpisodic(mind.memory);
+      res.json({
+        cue,
+        memories: memorable(agent, mind, cue, Math.max(1, Math.min(50, parseInt(req.query.limit) || 10))),
+        reflections: mind.memory.reflections.length,
+        episodes: mind.memory.episodes.length,
+      });
+    });
   }
 
   return {
     tickAgent,
     ensureMind,
+    validateIntent,
     setupRoutes,
+    dispose,
     minds,
   };
 }
+
+export const plugin = {
+  name: 'agentAI',
+  deps: ['weather', 'proficiency', 'experiments', 'npcSocial', 'knowledge', 'cooking', 'collectiveProjects', 'encounters', 'worldMaster', 'agentControl'],
+  init: initAgentIntelligence,
+  tick: [{ phase: 'agent', hook: 'tickAgent' }],
+  routes: 'public',
+  files: ['agent-minds.json'],
+};
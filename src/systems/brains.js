@@ -0,0 +1,353 @@
+// Brains — pluggable decision makers, chosen per agent
+// Without a brain an agent runs the built-in utility AI (scoreIntents in agent-intelligence.js).
+// Any other brain drives its agent through the controller protocol in agent-control.js, in
+// process: it receives the agent's observation every tick and submits intents, which are
+// validated and journaled like any controller's. Replays re-apply those journaled intents
+// and never ask a brain again.
+//
+// Providers:
+//   utility  the built-in AI — the default
+//   llm      asks an Anthropic- or OpenAI-compatible chat API for the next intent, from a
+//            compact prompt of the agent's personality, vitals, what it sees and remembers
+//
+// Only an admin can put an agent on the LLM brain, since every decision is paid for with the
+// server's API key. The admin may pick a model, never a URL, so no one can point that key
+// somewhere else. The endpoint is configured server-side:
+//   BRAIN_LLM_API    anthropic (default) | openai
+//   BRAIN_LLM_URL    base URL, e.g. http://127.0.0.1:4100 for the mock (npm run mock-llm)
+//   BRAIN_LLM_MODEL  default model
+//   BRAIN_LLM_KEY    API key (falls back to ANTHROPIC_API_KEY / OPENAI_API_KEY)
+
+const LLM_APIS = {
+  anthropic: { url: 'https://api.anthropic.com', path: '/v1/messages', model: 'claude-sonnet-4-20250514', keyEnv: 'ANTHROPIC_API_KEY' },
+  openai: { url: 'https://api.openai.com', path: '/v1/chat/completions', model: 'gpt-4o-mini', keyEnv: 'OPENAI_API_KEY' },
+};
+
+const LLM_DEADLINE_TICKS = 20; // ~10s at 1× — an LLM answers in seconds, not ticks
+const LLM_TIMEOUT_MS = 20000;
+const LLM_MAX_TOKENS = 200;
+
+// How much of an observation goes into a prompt
+const PROMPT_LIMITS = { resources: 8, agents: 5, places: 4, recent: 6, lessons: 3, memorable: 3 };
+
+export function initBrains(shared) {
+  const { agents, loadJSON, saveJSON, journal } = shared;
+  const control = shared.agentControl;
+
+  // { [agentId]: { provider, model?, deadlineTicks? } } — agents on the utility AI aren't listed
+  const FILE = 'brains.json';
+  const chosen = loadJSON(FILE, {});
+  const active = new Map(); // agentId -> { provider, send, stats, lastError }
+
+  // ─────────────────────────────
+  // Providers
+  // ─────────────────────────────
+  // create(agentId, options, state) returns the controller's send(msg), or null when the
+  // built-in AI should decide. `state` holds the brain's stats and last error.
+  const providers = {
+    utility: {
+      description: 'Built-in utility AI: scores intents from personality, needs and what the agent sees',
+      create: () => null,
+    },
+    llm: {
+      description: 'Large language model over an Anthropic- or OpenAI-compatible API',
+      check: checkLLM,
+      create: createLLMBrain,
+    },
+  };
+
+  /** Add a provider: { description, create(agentId, options, state), check?(options) } */
+  function register(name, provider) {
+    if (providers[name]) throw new Error(`Brain provider "${name}" registered twice`);
+    providers[name] = provider;
+  }
+
+  // ─────────────────────────────
+  // Choosing a brain
+  // ─────────────────────────────
+
+  /** Give an agent a brain. Options: { model?, deadlineTicks? } */
+  function setBrain(agentId, provider, options = {}) {
+    const agent = agents.get(agentId);
+    if (!agent) return { error: 'Agent not found' };
+    const def = providers[provider];
+    if (!def) return { error: `Unknown brain "${provider}" (${Object.keys(providers).join(', ')})` };
+    const config = { provider };
+    if (options.model) config.model = String(options.model).slice(0, 80);
+    if (parseInt(options.deadlineTicks) > 0) config.deadlineTicks = parseInt(options.deadlineTicks);
+    const problem = def.check?.(config);
+    if (problem) return { error: problem };
+
+    release(agentId);
+    if (provider === 'utility') delete chosen[agentId];
+    else chosen[agentId] = config;
+    saveJSON(FILE, chosen);
+
+    // Replays re-attach from the journaled control entries — never start a live brain there
+    if (provider !== 'utility' && !journal.replaying) {
+      const attached = engage(agentId, config);
+      if (attached.error) return attached;
+    }
+    return { ok: true, brain: brainOf(agentId) };
+  }
+
+  /** Hand the agent to its chosen brain's controller */
+  function engage(agentId, config) {
+    const state = { provider: config.provider, send: null, stats: { asked: 0, answered: 0, late: 0, invalid: 0, errors: 0 }, lastError: null };
+    const send = providers[config.provider].create(agentId, config, state);
+    if (!send) return { ok: true };
+    state.send = send;
+    active.set(agentId, state);
+    const result = control.attach(agentId, send, { deadlineTicks: config.deadlineTicks ?? LLM_DEADLINE_TICKS });
+    if (result.error) active.delete(agentId);
+    return result;
+  }
+
+  function release(agentId) {
+    const state = active.get(agentId);
+    if (!state) return;
+    active.delete(agentId);
+    control.detach(agentId, state.send);
+  }
+
+  function brainOf(agentId) {
+    const config = chosen[agentId] ?? { provider: 'utility' };
+    const state = active.get(agentId);
+    return {
+      ...config,
+      active: config.provider === 'utility' || !!state,
+      ...(state ? { stats: state.stats, lastError: state.lastError } : {}),
+    };
+  }
+
+  /**
+   * Periodic tick: engage chosen brains that aren't driving their agent — after a restart, or
+   * once an external controller that took over lets go. Runs after the agent phase, so the
+   * control entry it journals lands before the next tick, where replay re-applies it.
+   */
+  function tick() {
+    if (journal.replaying) return;
+    for (const [agentId, config] of Object.entries(chosen)) {
+      if (active.has(agentId) || control.isControlled(agentId)) continue;
+      if (!agents.get(agentId)?.alive) continue;
+      engage(agentId, config);
+    }
+  }
+
+  // ─────────────────────────────
+  // LLM brain
+  // ─────────────────────────────
+
+  function llmConfig(model) {
+    const api = LLM_APIS[process.env.BRAIN_LLM_API] ? process.env.BRAIN_LLM_API : 'anthropic';
+    const defaults = LLM_APIS[api];
+    return {
+      api,
+      url: (process.env.BRAIN_LLM_URL || defaults.url).replace(/\/+$/, ''),
+      custom: !!process.env.BRAIN_LLM_URL,
+      model: model || process.env.BRAIN_LLM_MODEL || defaults.model,
+      key: process.env.BRAIN_LLM_KEY || process.env[defaults.keyEnv] || '',
+    };
+  }
+
+  function checkLLM({ model }) {
+    const cfg = llmConfig(model);
+    if (!cfg.key && !cfg.custom) return `No LLM configured — set BRAIN_LLM_KEY (or ${LLM_APIS[cfg.api].keyEnv}), or BRAIN_LLM_URL for a local server`;
+    return null;
+  }
+
+  /**
+   * One request in flight at a time. An answer is submitted on the next observation that
+   * still needs an intent — from inside the agent's tick, so it is journaled in order with
+   * the tick that takes it up. An answer that arrives after the deadline handed the decision
+   * to the built-in AI is dropped.
+   */
+  function createLLMBrain(agentId, { model }, state) {
+    const cfg = llmConfig(model);
+    let inFlight = false;
+    let answer = null;
+
+    return function send(msg) {
+      if (msg.type === 'control_revoked') {
+        if (active.get(agentId) === state) active.delete(agentId);
+        return;
+      }
+      if (msg.type !== 'observation' || active.get(agentId) !== state) return;
+
+      if (answer) {
+        const intent = answer;
+        answer = null;
+        if (!msg.needsIntent) { state.stats.late++; return; }
+        const result = control.submit(agentId, intent);
+        if (result.error) {
+          state.stats.invalid++;
+          state.lastError = result.error;
+        }
+        return;
+      }
+      if (!msg.needsIntent || inFlight) return;
+
+      inFlight = true;
+      state.stats.asked++;
+      askLLM(cfg, msg.observation)
+        .then(intent => { answer = intent; state.stats.answered++; })
+        .catch(err => { state.stats.errors++; state.lastError = err.message; })
+        .finally(() => { inFlight = false; });
+    };
+  }
+
+  async function askLLM(cfg, observation) {
+    const system = systemPrompt(observation);
+    const user = JSON.stringify(situation(observation));
+    const anthropic = cfg.api === 'anthropic';
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (anthropic) {
+      headers['anthropic-version'] = '2023-06-01';
+      if (cfg.key) headers['x-api-key'] = cfg.key;
+    } else if (cfg.key) {
+      headers.Authorization = `Bearer ${cfg.key}`;
+    }
+    const body = anthropic
+      ? { model: cfg.model, max_tokens: LLM_MAX_TOKENS, system, messages: [{ role: 'user', content: user }] }
+      : { model: cfg.model, max_tokens: LLM_MAX_TOKENS, messages: [{ role: 'system', content: system }, { role: 'user', content: user }] };
+
+    const response = await fetch(cfg.url + LLM_APIS[cfg.api].path, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(LLM_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`LLM API ${response.status}`);
+    const data = await response.json();
+    const text = anthropic ? data.content?.[0]?.text : data.choices?.[0]?.message?.content;
+    return parseIntent(text);
+  }
+
+  function systemPrompt(observation) {
+    const { name } = observation.self;
+    return [
+      `You are the mind of ${name}, a settler in The Oasis, a survival world of biomes, islands and caves.`,
+      'Each turn you get your situation as JSON: who you are, your vitals (hunger and thirst rise to 100, energy falls to 0),',
+      'what you carry, what you can see (x, y in tiles, d = distance) and what you remember and have learned.',
+      'goal is what you have set out to do and the step you are on; craft makes that step\'s item, build contributes to a project.',
+      'Choose your next action. You walk to the target tile and act on arrival.',
+      `Actions: ${observation.actions.join(', ')}.`,
+      'gather targets a resource tile; eat and rest target where you stand; voyage targets a shore (needs a vessel);',
+      'drink targets fresh water (a river or lake — the sea is salt), or where you stand to drink water you carry;',
+      'descend and ascend target a cave entrance; chat, gift and fight target another agent.',
+      'claim makes where you stand your home; stash at your home puts spare things away and takes out what your goal needs;',
+      'resting at home at night restores more; defend drives a stranger off your land.',
+      'Reply with only a JSON object: {"action": "...", "targetX": 0, "targetY": 0, "reason": "a few words"}',
+    ].join('\n');
+  }
+
+  /** The compact view of an observation a prompt is built from (the mock LLM reads it too) */
+  function situation(obs) {
+    const near = (list, n, fn) => [...list].sort((a, b) => a.distance - b.distance).slice(0, n).map(fn);
+    const inventory = {};
+    for (const item of obs.inventory || []) inventory[item.name] = (inventory[item.name] || 0) + (item.quantity || 1);
+    const v = obs.visible;
+    return {
+      you: {
+        name: obs.self.name, x: obs.self.x, y: obs.self.y, underground: obs.self.z < 0,
+        place: obs.self.region ?? obs.self.zone, vessel: obs.self.vessel,
+        home: obs.self.home ? { x: obs.self.home.x, y: obs.self.home.y, stance: obs.self.home.stance, stash: obs.self.home.stash.length } : null,
+        hp: Math.round(obs.vitals.hp ?? 100), energy: Math.round(obs.vitals.energy ?? 100), hunger: Math.round(obs.vitals.hunger ?? 0),
+        thirst: Math.round(obs.vitals.thirst ?? 0),
+        mood: obs.mood,
+      },
+      personality: obs.personality,
+      goal: obs.plan ? { text: obs.plan.goal, step: obs.plan.steps[obs.plan.current]?.text ?? null, progress: obs.plan.progress } : null,
+      inventory,
+      see: {
+        resources: near(v.resources, PROMPT_LIMITS.resources, r => ({ resource: r.resource, x: r.x, y: r.y, d: r.distance })),
+        agents: near(v.agents, PROMPT_LIMITS.agents, a => ({ name: a.name, x: a.x, y: a.y, d: a.distance, friendship: a.relationship })),
+        places: near(v.pois, PROMPT_LIMITS.places, p => ({ name: p.name, x: p.x, y: p.y, d: p.distance })),
+        unexplored: near(v.unknownZones, PROMPT_LIMITS.places, z => ({ zone: z.zone, x: z.x, y: z.y, d: z.distance })),
+        water: near(v.water || [], 1, w => ({ x: w.x, y: w.y, d: w.distance })),
+        shores: near(v.shores, PROMPT_LIMITS.places, s => ({ x: s.x, y: s.y, d: s.distance })),
+        caves: near(v.entrances, PROMPT_LIMITS.places, e => ({ x: e.x, y: e.y, d: e.distance })),
+        dangers: v.dangers.map(d => d.type),
+      },
+      memory: {
+        recent: obs.memory.recent.slice(-PROMPT_LIMITS.recent).map(e => e.text),
+        lessons: obs.memory.lessons.slice(-PROMPT_LIMITS.lessons),
+        memorable: (obs.memory.memorable || []).slice(0, PROMPT_LIMITS.memorable).map(e => e.text),
+      },
+      actions: obs.actions,
+    };
+  }
+
+  /** The first JSON object in a reply, as an intent. Throws if there is none. */
+  function parseIntent(text) {
+    const clean = String(text || '').replace(/```json\n?|\n?```/g, '').trim();
+    const start = clean.indexOf('{'), end = clean.lastIndexOf('}');
+    if (start < 0 || end < start) throw new Error('LLM reply has no JSON object');
+    const { action, targetX, targetY, reason } = JSON.parse(clean.slice(start, end + 1));
+    return { action, targetX, targetY, reason };
+  }
+
+  // ─────────────────────────────
+  // API
+  // ─────────────────────────────
+
+  function list() {
+    return Object.keys(chosen).map(agentId => ({ agentId, name: agents.get(agentId)?.name, ...brainOf(agentId) }));
+  }
+
+  /** The world is being replaced — agentControl revokes every controller, brains included */
+  function dispose() {
+    active.clear();
+  }
+
+  function setupRoutes(app, authAgent, authAdmin) {
+    app.get('/api/brains', (req, res) => {
+      const cfg = llmConfig();
+      res.json({
+        providers: Object.fromEntries(Object.entries(providers).map(([name, p]) => [name, p.description])),
+        llm: { api: cfg.api, model: cfg.model, configured: !checkLLM({}) },
+        agents: list(),
+      });
+    });
+
+    // Going back to the built-in AI is free. Any other brain spends the server's API key on
+    // every decision, so only an admin can hand it out.
+    app.post('/api/agent/brain', authAgent, (req, res) => {
+      const { provider, ...options } = req.body || {};
+      if (provider !== 'utility' && Object.hasOwn(providers, provider)) {
+        return res.status(403).json({ error: `Only an admin can give an agent the ${provider} brain` });
+      }
+      const result = setBrain(req.agent.id, provider, options);
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    if (!authAdmin) return;
+    app.post('/api/admin/agents/:id/brain', authAdmin, (req, res) => {
+      const { provider, secret, ...options } = req.body || {};
+      const result = setBrain(req.params.id, provider, options);
+      if (result.error) return res.status(result.error === 'Agent not found' ? 404 : 400).json(result);
+      res.json(result);
+    });
+  }
+
+  return {
+    tick,
+    setupRoutes,
+    dispose,
+    register,
+    setBrain,
+    brainOf,
+    list,
+  };
+}
+
+export const plugin = {
+  name: 'brains',
+  deps: ['agentControl'],
+  init: (shared) => initBrains(shared),
+  tick: [{ phase: 'periodic', hook: 'tick' }],
+  routes: 'agent',
+  files: ['brains.json'],
+};
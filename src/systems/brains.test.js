@@ -0,0 +1,146 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { readFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { generateWorld } from '../world/pipeline/pipeline.js';
+import { initSimulation } from '../simulation.js';
+import { startMockLLM } from '../mock-llm.js';
+import { queryJournal } from './journal.js';
+
+const blueprint = JSON.parse(readFileSync(new URL('../../fixtures/sample-blueprint.json', import.meta.url), 'utf-8'));
+
+describe('LLM brain', () => {
+  let worldData;
+  const dirs = [];
+  const llms = [];
+
+  before(() => {
+    const log = console.log;
+    console.log = () => {};
+    // 220×220 — the spawn point is picked at least 100 tiles in from the edge
+    try { worldData = generateWorld({ seed: 'brains-test', regionSize: 110, blueprint }); }
+    finally { console.log = log; }
+  });
+
+  after(async () => {
+    delete process.env.BRAIN_LLM_URL;
+    for (const llm of llms) await llm.close();
+    for (const dir of dirs) rmSync(dir, { recursive: true, force: true });
+  });
+
+  /** A fresh world with one agent on the LLM brain, answered by a mock started with `mock` */
+  async function boot(mock = {}, options = {}) {
+    const llm = await startMockLLM(mock);
+    llms.push(llm);
+    process.env.BRAIN_LLM_URL = llm.url;
+    const dataDir = mkdtempSync(join(tmpdir(), 'oasis-brains-'));
+    dirs.push(dataDir);
+
+    const log = console.log, warn = console.warn;
+    console.log = console.warn = () => {};
+    try {
+      const sim = initSimulation({ worldData, dataDir, seed: 'brains-test', broadcast() {} });
+      const agent = sim.spawnAgent('Tester');
+      const result = sim.systems.brains.setBrain(agent.id, 'llm', options);
+      assert.equal(result.error, undefined);
+      return { sim, agent, llm, dataDir };
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+  }
+
+  /** Run ticks, letting the brain's requests settle in between, until `done()` or `limit` ticks */
+  async function run(sim, done, limit = 40) {
+    const log = console.log, warn = console.warn;
+    console.log = console.warn = () => {};
+    try {
+      for (let i = 0; i < limit && !done(); i++) {
+        await sim.simulationTick();
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+  }
+
+  const controller = (sim, agent) => sim.systems.agentControl.list().find(c => c.agentId === agent.id);
+  const intents = (dataDir, agent) => queryJournal(dataDir, { agentId: agent.id, type: 'intent' });
+
+  it('asks with the agent\'s situation and submits the intent it gets back', async () => {
+    const { sim, agent, llm, dataDir } = await boot();
+    const stats = sim.systems.brains.brainOf(agent.id).stats;
+    await run(sim, () => controller(sim, agent)?.intents > 0);
+
+    assert.ok(llm.stats.requests > 0);
+    assert.ok(stats.answered > 0);
+    assert.equal(stats.errors, 0);
+    assert.equal(stats.invalid, 0);
+    assert.ok(controller(sim, agent).intents > 0, 'the agent took up the LLM\'s intent');
+    assert.ok(intents(dataDir, agent).length > 0, 'the intent was journaled');
+  });
+
+  it('falls back to the built-in AI when the reply is not JSON', async () => {
+    const { sim, agent, llm } = await boot({ replies: ['I think I will go for a walk.'] }, { deadlineTicks: 3 });
+    const stats = sim.systems.brains.brainOf(agent.id).stats;
+    await run(sim, () => controller(sim, agent)?.fallbacks > 0);
+
+    assert.ok(llm.stats.requests > 0);
+    assert.ok(stats.errors > 0);
+    assert.match(sim.systems.brains.brainOf(agent.id).lastError, /no JSON/);
+    assert.equal(controller(sim, agent).intents, 0);
+    assert.ok(controller(sim, agent).fallbacks > 0, 'the built-in AI decided instead');
+    assert.notEqual(sim.systems.agentAI.minds[agent.id].currentAction, 'waiting', 'and the agent stopped waiting on it');
+  });
+
+  it('falls back to the built-in AI when the reply comes too late', async () => {
+    const { sim, agent } = await boot({ latencyMs: 2000 }, { deadlineTicks: 2 });
+    await run(sim, () => controller(sim, agent)?.fallbacks > 0, 10);
+
+    assert.equal(controller(sim, agent).intents, 0);
+    assert.ok(controller(sim, agent).fallbacks > 0);
+    assert.notEqual(sim.systems.agentAI.minds[agent.id].currentAction, 'waiting');
+  });
+
+  it('rejects an action the agent cannot take', async () => {
+    const { sim, agent, dataDir } = await boot({ replies: [{ action: 'fly', targetX: 1, targetY: 1 }, { action: '__proto__' }] });
+    const stats = sim.systems.brains.brainOf(agent.id).stats;
+    await run(sim, () => stats.invalid >= 2);
+
+    assert.ok(stats.invalid >= 2);
+    assert.ok(sim.systems.brains.brainOf(agent.id).lastError);
+    assert.equal(controller(sim, agent).intents, 0);
+    assert.equal(intents(dataDir, agent).length, 0, 'nothing invalid reaches the journal');
+  });
+
+  it('only lets an admin hand out the LLM brain', async () => {
+    const { sim, agent } = await boot();
+    const app = express();
+    app.use(express.json());
+    const authAgent = (req, res, next) => { req.agent = agent; next(); };
+    const authAdmin = (req, res, next) => req.headers['x-admin-secret'] === 'sesame' ? next() : res.status(403).json({ error: 'Forbidden' });
+    sim.systems.brains.setupRoutes(app, authAgent, authAdmin);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const post = (path, body, headers = {}) => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body),
+    });
+    try {
+      assert.equal((await post('/api/agent/brain', { provider: 'utility' })).status, 200);
+      assert.equal(sim.systems.brains.brainOf(agent.id).provider, 'utility');
+      assert.equal((await post('/api/agent/brain', { provider: 'llm', model: 'the-priciest-one' })).status, 403);
+      assert.equal((await post(`/api/admin/agents/${agent.id}/brain`, { provider: 'llm' })).status, 403);
+      assert.equal(sim.systems.brains.brainOf(agent.id).provider, 'utility');
+
+      const admin = { 'x-admin-secret': 'sesame' };
+      assert.equal((await post(`/api/admin/agents/${agent.id}/brain`, { provider: 'llm' }, admin)).status, 200);
+      assert.equal(sim.systems.brains.brainOf(agent.id).provider, 'llm');
+      assert.equal((await post('/api/admin/agents/nobody/brain', { provider: 'llm' }, admin)).status, 404);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,71 @@
+// Simulation Clock — the one source of time for every system
+// Everything is measured in simulation ticks (1 tick = 10 game minutes), never wall-clock ms.
+// Durations, expiries, cooldowns and seasons all derive from the tick counter, so pausing,
+// speeding up or fast-forwarding the world keeps every system in lockstep, and a restart
+// picks up exactly where the saved tick left off.
+
+export const MINUTES_PER_TICK = 10;
+export const TICKS_PER_HOUR = 60 / MINUTES_PER_TICK;
+export const TICKS_PER_DAY = TICKS_PER_HOUR * 24;
+
+export function initClock({ loadJSON, saveJSON }) {
+  let tick = loadJSON('tick.json', { tick: 0 }).tick || 0;
+
+  /** Current simulation tick */
+  function now() {
+    return tick;
+  }
+
+  /** Advance one tick. Only the simulation loop should call this. */
+  function advance() {
+    return ++tick;
+  }
+
+  function save() {
+    saveJSON('tick.json', { tick });
+  }
+
+  // --- Duration helpers (game time → ticks) ---
+  function minutes(n) { return Math.max(1, Math.round(n / MINUTES_PER_TICK)); }
+  function hours(n) { return Math.round(n * TICKS_PER_HOUR); }
+  function days(n) { return Math.round(n * TICKS_PER_DAY); }
+
+  /** Ticks elapsed since `t` */
+  function since(t) {
+    return tick - (t || 0);
+  }
+
+  /** Absolute tick `n` ticks from now */
+  function after(n) {
+    return tick + n;
+  }
+
+  function hasPassed(t) {
+    return t !== null && t !== undefined && tick >= t;
+  }
+
+  function getGameTime(atTick = tick) {
+    const totalMinutes = atTick * MINUTES_PER_TICK;
+    const hour = Math.floor(totalMinutes / 60) % 24;
+    const dayCount = Math.floor(atTick / TICKS_PER_DAY);
+    const dayProgress = (atTick % TICKS_PER_DAY) / TICKS_PER_DAY;
+    const period = hour >= 6 && hour < 20 ? 'day' : 'night';
+    return { tick: atTick, hour, day: dayCount + 1, dayCount, dayProgress, period, totalMinutes };
+  }
+
+  return {
+    now,
+    advance,
+    save,
+    minutes,
+    hours,
+    days,
+    since,
+    after,
+    hasPassed,
+    getGameTime,
+    MINUTES_PER_TICK,
+    TICKS_PER_HOUR,
+    TICKS_PER_DAY,
+  };
+}
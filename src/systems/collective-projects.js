@@ -1,10 +1,6 @@
 // Collective Building Projects — Community-driven zone improvements
 // Agents propose, fund with materials, and maintain shared infrastructure.
 
-import crypto from 'crypto';
-
-const GAME_DAY_MS = 60 * 60 * 1000; // 1 real hour = 1 game day
-
 const VALID_ZONES = ['grass', 'forest', 'rocky', 'path', 'sand', 'cave', 'coast', 'swamp'];
 
 const PROJECT_TYPES = {
@@ -93,10 +89,22 @@ export function initCollectiveProjects(shared) {
   const {
     loadJSON, saveJSON, agents, agentStore,
     ensureAgentStats, broadcast, addWorldNews,
-    zones, awardXP, economyV2,
+    zones, awardXP, economyV2, clock,
   } = shared;
+  const rng = shared.rng.stream('projects');
 
   let data = loadJSON('collective-projects.json', { projects: [], completed: [] });
+  migrateWallClockState();
+
+  /** Saves from before the tick clock stored Date.now() values — restart those timers from now */
+  function migrateWallClockState() {
+    const now = clock.now();
+    for (const project of data.projects) {
+      for (const field of ['proposedAt', 'buildStartedAt', 'completedAt', 'lastMaintenanceAt']) {
+        if (project[field] > 1e11) project[field] = now;
+      }
+    }
+  }
 
   function save() {
     saveJSON('collective-projects.json', data);
@@ -207,7 +215,7 @@ export function initCollectiveProjects(shared) {
 
     const typeDef = PROJECT_TYPES[projectType];
     const project = {
-      id: 'proj_' + crypto.randomBytes(6).toString('hex'),
+      id: 'proj_' + rng.hex(6),
       projectType,
       name: typeDef.name,
       description: typeDef.description,
@@ -215,7 +223,7 @@ export function initCollectiveProjects(shared) {
       status: 'gathering', // gathering -> building -> completed -> decaying -> removed
       proposedBy: agent.id,
       proposedByName: agent.name,
-      proposedAt: Date.now(),
+      proposedAt: clock.now(),
       materialsRequired: { ...typeDef.materials },
       materialsContributed: {},
       contributors: {}, // { agentId: { name, items: { itemName: qty } } }
@@ -324,7 +332,7 @@ export function initCollectiveProjects(shared) {
     let completed = false;
     if (isMaterialsComplete(project)) {
       project.status = 'building';
-      project.buildStartedAt = Date.now();
+      project.buildStartedAt = clock.now();
       completed = true;
 
       broadcast({
@@ -358,14 +366,14 @@ export function initCollectiveProjects(shared) {
   // ==================== TICK ====================
 
   function tickProjects() {
-    const now = Date.now();
+    const now = clock.now();
     let changed = false;
 
     for (const project of data.projects) {
       // Building -> Completed
       if (project.status === 'building' && project.buildStartedAt) {
         const typeDef = PROJECT_TYPES[project.projectType];
-        const buildDuration = (typeDef?.buildTime || 1) * GAME_DAY_MS;
+        const buildDuration = clock.days(typeDef?.buildTime || 1);
         if (now - project.buildStartedAt >= buildDuration) {
           project.status = 'completed';
           project.completedAt = now;
@@ -409,7 +417,7 @@ export function initCollectiveProjects(shared) {
 
       // Completed -> maintenance check
       if (project.status === 'completed' && project.lastMaintenanceAt) {
-        const daysSinceMaintenance = (now - project.lastMaintenanceAt) / GAME_DAY_MS;
+        const daysSinceMaintenance = (now - project.lastMaintenanceAt) / clock.TICKS_PER_DAY;
 
         // After 60 game days without maintenance: remove
         if (daysSinceMaintenance >= 60 && project.decayStage < 2) {
@@ -540,3 +548,10 @@ export function initCollectiveProjects(shared) {
     PROJECT_TYPES,
   };
 }
+
+export const plugin = {
+  name: 'collectiveProjects',
+  init: initCollectiveProjects,
+  tick: [{ phase: 'periodic', hook: 'tickProjects', every: 10 }],
+  files: ['collective-projects.json'],
+};
@@ -4,7 +4,6 @@
 // This module provides intentional cooking: selecting food items, applying heat, and producing
 // quality-tiered meals whose energy and spoilage scale with the agent's cooking proficiency.
 
-import crypto from 'crypto';
 import { getProperties } from './materials.js';
 
 // ---------------------------------------------------------------------------
@@ -110,6 +109,7 @@ export function initCooking(shared) {
     loadJSON, saveJSON, agents, agentStore,
     ensureAgentStats, broadcast, addWorldNews, proficiency,
   } = shared;
+  const rng = shared.rng.stream('cooking');
 
   // Persistent cooking history (optional analytics / future features)
   const cookingData = loadJSON('cooking.json', {});
@@ -259,7 +259,7 @@ export function initCooking(shared) {
 
     const cookingLevel = getCookingLevel(agent.id);
     const isComplex = foodItems.length >= COMPLEX_RECIPE_SIZE;
-    const shouldBurn = isComplex && cookingLevel < BURN_PROFICIENCY_CEILING && Math.random() < BURN_CHANCE;
+    const shouldBurn = isComplex && cookingLevel < BURN_PROFICIENCY_CEILING && rng() < BURN_CHANCE;
 
     // Determine quality tier
     const tierKey = shouldBurn ? 'raw' : getCookingQuality(agent.id);
@@ -274,7 +274,7 @@ export function initCooking(shared) {
     const cookedProps = computeCookedProperties(foodItems, energyValue, spoilRate);
 
     const resultItem = {
-      id: 'item_' + crypto.randomBytes(4).toString('hex'),
+      id: 'item_' + rng.hex(4),
       name: cookedName,
       type: 'consumable',
       rarity: shouldBurn ? 'Common' : (tierKey === 'gourmet' ? 'Rare' : 'Uncommon'),
@@ -377,3 +377,10 @@ export function initCooking(shared) {
     QUALITY_TIERS,
   };
 }
+
+export const plugin = {
+  name: 'cooking',
+  deps: ['proficiency'],
+  init: initCooking,
+  files: ['cooking.json'],
+};
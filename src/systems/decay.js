@@ -2,6 +2,7 @@
 // Item decay, tool durability, decay ticks
 
 import { getProperties } from './materials.js';
+import { TICKS_PER_HOUR } from './clock.js';
 
 export function initDecay(shared) {
   const { agents, agentStore, saveJSON, broadcast, addWorldNews } = shared;
@@ -128,3 +129,16 @@ export function initDecay(shared) {
     stopDecayTimer,
   };
 }
+
+export const plugin = {
+  name: 'decay',
+  deps: ['survival'],
+  init(shared) {
+    const decay = initDecay(shared);
+    decay.setSurvival(shared.survival);
+    return decay;
+  },
+  // One game hour of decay per game hour — replaces the wall-clock startDecayTimer()
+  tick: [{ phase: 'periodic', hook: 'decayTick', every: TICKS_PER_HOUR, args: () => [1] }],
+  routes: 'public',
+};
@@ -3,6 +3,7 @@
 // biodiversity, and extraction pressure mechanics.
 
 import { getProperties } from './materials.js';
+import { TICKS_PER_HOUR } from './clock.js';
 
 // --- Zone-specific ecosystem profiles ---
 const ZONE_PROFILES = {
@@ -389,6 +390,36 @@ export function initEcosystem({ loadJSON, saveJSON, zones }) {
     return modifier;
   }
 
+  /**
+   * Returns how fast gathered-out tiles in a zone grow back, 0..1.
+   * Plants need soil and water: (soil/100) * (water/100). Destroyed zones don't regrow.
+   */
+  function getRegrowthRate(zoneId) {
+    const zone = state[zoneId];
+    if (!zone) return 1.0;
+    if (zone.health <= 0) return 0;
+    return round2((zone.soil_fertility / 100) * (zone.water_level / 100));
+  }
+
+  /**
+   * Regrows the world's depleted resource tiles by one game hour.
+   * @param {Object} worldGrid - world adapter (regrowResources)
+   */
+  function regrowTiles(worldGrid) {
+    return worldGrid.regrowResources?.(getRegrowthRate) ?? 0;
+  }
+
+  /**
+   * Fades foot traffic by one game hour; trails nobody walks any more grow over.
+   * @param {Object} worldGrid - world adapter (fadeTrails)
+   * @param {Function} broadcast - tells spectators which tiles changed
+   */
+  function fadeTrails(worldGrid, broadcast) {
+    const grown = worldGrid.fadeTrails?.() ?? [];
+    for (const t of grown) broadcast?.({ type: 'terrain_changed', ...t, trail: 'grown_over' });
+    return grown.length;
+  }
+
   /**
    * Returns array of active ecological warnings for a zone.
    */
@@ -447,6 +478,9 @@ export function initEcosystem({ loadJSON, saveJSON, zones }) {
     onPlant,
     tickEcosystem,
     getResourceModifier,
+    getRegrowthRate,
+    regrowTiles,
+    fadeTrails,
     getZoneWarnings,
     setEcosystemState,
     save,
@@ -454,3 +488,17 @@ export function initEcosystem({ loadJSON, saveJSON, zones }) {
 }
 
 export { ZONE_PROFILES, DEFAULT_PROFILE, clamp, round2, isOrganicMaterial, isRareResource };
+
+export const plugin = {
+  name: 'ecosystem',
+  deps: ['weather'],
+  init: initEcosystem,
+  // Zone ecology moves in game-hour steps, driven by the current weather; gathered-out tiles
+  // regrow at the pace the updated soil and water allow, and unused trails grow over
+  tick: [
+    { phase: 'world', hook: 'tickEcosystem', every: TICKS_PER_HOUR, args: ({ shared }) => [shared.weather.getCurrentWeather()] },
+    { phase: 'world', hook: 'regrowTiles', every: TICKS_PER_HOUR, args: ({ shared }) => [shared.worldGrid] },
+    { phase: 'world', hook: 'fadeTrails', every: TICKS_PER_HOUR, args: ({ shared }) => [shared.worldGrid, shared.broadcast] },
+  ],
+  files: ['ecosystem.json', 'resource-stocks.json', 'foot-traffic.json', 'cave-stocks.json'],
+};
@@ -11,6 +11,10 @@ export const ENCOUNTER_TYPES = {
   discovery: { danger: 0, energyLoss: [0, 0],   reward: true,      zones: ['forest', 'grass', 'path'] },
   trap:      { danger: 2, energyLoss: [8, 20],  itemDamage: true,  zones: ['cave', 'rocky', 'swamp'] },
   creature:  { danger: 4, energyLoss: [15, 30], itemDamage: true,  zones: ['grass', 'sand', 'cave'] },
+  // Underground only (agent.z < 0) — not at a cave mouth on the surface
+  cave_in:        { danger: 3, energyLoss: [10, 20], itemDamage: true,  zones: ['cave'], underground: true },
+  bat_swarm:      { danger: 1, energyLoss: [3, 8],   itemDamage: false, zones: ['cave'], underground: true },
+  crystal_grotto: { danger: 0, energyLoss: [0, 0],   reward: true, find: 'crystals', zones: ['cave'], underground: true },
 };
 
 const ZONE_BASE_PROBABILITY = {
@@ -24,7 +28,10 @@ const ZONE_BASE_PROBABILITY = {
   coast:  0.05,
 };
 
-const ENCOUNTER_COOLDOWN_MS = 5 * 60 * 1000; // 5 minutes
+// Extra chance of an encounter in the dark underground, without a torch
+const DARKNESS_PROBABILITY = 0.05;
+
+const ENCOUNTER_COOLDOWN_HOURS = 2; // game hours
 const HISTORY_LIMIT = 10;
 const DISCOVERY_COIN_MIN = 10;
 const DISCOVERY_COIN_MAX = 30;
@@ -37,11 +44,16 @@ const DISCOVERY_XP_AMOUNT = 15;
 export function initEncounters(shared) {
   const {
     agents, agentStore, ensureAgentStats,
-    broadcast, addWorldNews, awardXP, saveJSON, loadJSON,
+    broadcast, addWorldNews, awardXP, saveJSON, loadJSON, clock,
   } = shared;
+  const rng = shared.rng.stream('encounters');
 
+  const ENCOUNTER_COOLDOWN_TICKS = clock.hours(ENCOUNTER_COOLDOWN_HOURS);
   const encounterData = loadJSON('encounters.json', { history: {} });
-  const cooldowns = new Map(); // agentId -> last encounter timestamp
+  // agentId -> tick of last encounter. Saved with the history, so a restored checkpoint
+  // rolls the same encounters as the run it was taken from.
+  encounterData.cooldowns ??= {};
+  const cooldowns = encounterData.cooldowns;
 
   function save() {
     saveJSON('encounters.json', encounterData);
@@ -66,9 +78,11 @@ export function initEncounters(shared) {
     // Low energy modifier
     if (agent.energy < 30) prob += 0.05;
 
-    // Reduction: Torch in inventory
+    // Reduction: Torch in inventory (underground, it keeps the dark at bay)
     const inventory = agent.inventory || [];
-    if (inventory.some(i => i.name === 'Torch')) prob -= 0.03;
+    const torch = inventory.some(i => i.name === 'Torch');
+    if (torch) prob -= 0.03;
+    else if ((agent.z ?? 0) < 0) prob += DARKNESS_PROBABILITY;
 
     // Reduction: high level
     const level = agent.stats?.level ?? 1;
@@ -81,11 +95,11 @@ export function initEncounters(shared) {
   // Encounter selection
   // -----------------------------------------------------------------------
 
-  function selectEncounterType(zone) {
+  function selectEncounterType(zone, underground = false) {
     const eligible = Object.entries(ENCOUNTER_TYPES)
-      .filter(([, config]) => config.zones.includes(zone));
+      .filter(([, config]) => config.zones.includes(zone) && (underground || !config.underground));
     if (eligible.length === 0) return null;
-    const idx = Math.floor(Math.random() * eligible.length);
+    const idx = Math.floor(rng() * eligible.length);
     return eligible[idx][0];
   }
 
@@ -96,6 +110,9 @@ export function initEncounters(shared) {
       discovery: `A curious discovery is found in the ${zone}!`,
       trap:      `A hidden trap triggers in the ${zone}!`,
       creature:  `A wild creature appears in the ${zone}!`,
+      cave_in:   'The tunnel roof gives way in a rush of rubble!',
+      bat_swarm: 'A swarm of bats bursts out of the dark!',
+      crystal_grotto: 'A side passage opens into a grotto glittering with crystals!',
     };
     return descriptions[type] || `Something happens in the ${zone}.`;
   }
@@ -108,23 +125,23 @@ export function initEncounters(shared) {
     const agentId = agent.id;
 
     // Cooldown check
-    const lastEncounter = cooldowns.get(agentId) || 0;
-    const now = context.now ?? Date.now();
-    if (now - lastEncounter < ENCOUNTER_COOLDOWN_MS) return null;
+    const now = context.now ?? clock.now();
+    if (Object.hasOwn(cooldowns, agentId) && now - cooldowns[agentId] < ENCOUNTER_COOLDOWN_TICKS) return null;
 
     // Probability roll
     const prob = calculateProbability(zone, agent, context);
-    const roll = context.roll ?? Math.random();
+    const roll = context.roll ?? rng();
     if (roll >= prob) return null;
 
     // Select encounter type
-    const type = context.forceType ?? selectEncounterType(zone);
+    const type = context.forceType ?? selectEncounterType(zone, (agent.z ?? 0) < 0);
     if (!type) return null;
 
     const config = ENCOUNTER_TYPES[type];
 
     // Set cooldown
-    cooldowns.set(agentId, now);
+    cooldowns[agentId] = now;
+    save();
 
     return {
       type,
@@ -153,7 +170,7 @@ export function initEncounters(shared) {
     // Energy loss
     const [minLoss, maxLoss] = config.energyLoss;
     if (maxLoss > 0) {
-      const loss = minLoss + Math.floor(Math.random() * (maxLoss - minLoss + 1));
+      const loss = minLoss + Math.floor(rng() * (maxLoss - minLoss + 1));
       agent.energy = Math.max(0, (agent.energy ?? 100) - loss);
       effects.push(`Lost ${loss} energy (now ${agent.energy})`);
       if (agent.energy <= 0) survived = false;
@@ -163,7 +180,7 @@ export function initEncounters(shared) {
     if (config.itemDamage) {
       const inventory = agent.inventory || [];
       if (inventory.length > 0) {
-        const idx = Math.floor(Math.random() * inventory.length);
+        const idx = Math.floor(rng() * inventory.length);
         const item = inventory[idx];
         const qty = item.quantity ?? 1;
         if (qty <= 1) {
@@ -178,7 +195,7 @@ export function initEncounters(shared) {
 
     // Discovery reward
     if (config.reward) {
-      const coinReward = DISCOVERY_COIN_MIN + Math.floor(Math.random() * (DISCOVERY_COIN_MAX - DISCOVERY_COIN_MIN + 1));
+      const coinReward = DISCOVERY_COIN_MIN + Math.floor(rng() * (DISCOVERY_COIN_MAX - DISCOVERY_COIN_MIN + 1));
       agent.coins = (agent.coins ?? 0) + coinReward;
       effects.push(`Found ${coinReward} coins`);
 
@@ -186,6 +203,14 @@ export function initEncounters(shared) {
         awardXP(agent, DISCOVERY_XP_AMOUNT, 'discovery');
         effects.push(`Gained ${DISCOVERY_XP_AMOUNT} XP`);
       }
+
+      if (config.find) {
+        const inventory = agent.inventory ??= [];
+        const existing = inventory.find(i => i.name === config.find);
+        if (existing) existing.quantity = (existing.quantity ?? 1) + 1;
+        else inventory.push({ name: config.find, quantity: 1 });
+        effects.push(`Found ${config.find}`);
+      }
     }
 
     // Record in history
@@ -196,7 +221,7 @@ export function initEncounters(shared) {
       type: encounter.type,
       effects,
       survived,
-      timestamp: Date.now(),
+      tick: clock.now(),
     };
     encounterData.history[agent.id].push(record);
     if (encounterData.history[agent.id].length > HISTORY_LIMIT) {
@@ -241,6 +266,12 @@ export function initEncounters(shared) {
     resolveEncounter,
     getEncounterHistory,
     calculateProbability,
-    clearCooldown(agentId) { cooldowns.delete(agentId); },
+    clearCooldown(agentId) { delete cooldowns[agentId]; save(); },
   };
 }
+
+export const plugin = {
+  name: 'encounters',
+  init: initEncounters,
+  files: ['encounters.json'],
+};
@@ -0,0 +1,200 @@
+// Episodic Memory — what each agent remembers, how much it matters, and what it has learned
+// Agent Intelligence records an episode for everything that happens to an agent: when and where,
+// who else was there, how it felt (valence, -1…1) and how much it mattered (importance, 1…10).
+// Every few game hours the episodes are consolidated into reflections — patterns the agent has
+// noticed ("the river north of spawn always has fish") — which count as memories themselves.
+// Recall ranks memories by recency, importance and relevance to a cue (a place, a subject, another
+// agent); the lowest-ranked episodes are forgotten once there are too many.
+//
+// Lives in mind.memory: { episodes: [episode], reflections: [reflection], lessons: [text] }
+//   episode     { tick, kind, text, x, y, z, place, subject?, others?: [{ id, name }], valence, importance, from?, poi? }
+//   reflection  the same, with kind 'reflection', `about` (the rule that formed it), `key` and `count`
+
+import { TICKS_PER_DAY, TICKS_PER_HOUR } from './clock.js';
+
+const MAX_EPISODES = 150;
+const MAX_REFLECTIONS = 20;
+const MAX_LESSONS = 10;
+
+export const REFLECT_EVERY = TICKS_PER_HOUR * 6;
+const RECENCY_HALF_LIFE = TICKS_PER_DAY;
+const NEAR = 30;   // tiles — closer than this, a memory's place is relevant to a cue's
+const CELL = 12;   // tiles — episodes this close together are "the same place" to a reflection
+
+// What repeated episodes teach. Each rule groups matching episodes by key; `min` of them in a
+// group form (or refresh) a reflection.
+const RULES = [
+  {
+    about: 'resource',
+    match: e => e.kind === 'gather' && !e.from,
+    key: e => `resource:${e.subject}:${cellOf(e)}`,
+    min: 3,
+    text: (group, spot) => `${spot} always has ${group[0].subject}`,
+    valence: 0.5,
+    importance: 6,
+  },
+  {
+    about: 'depleted',
+    match: e => e.kind === 'depleted',
+    key: e => `depleted:${cellOf(e)}`,
+    min: 2,
+    text: (group, spot) => `${spot} gets picked clean`,
+    valence: -0.3,
+    importance: 4,
+  },
+  {
+    about: 'danger',
+    match: e => (e.kind === 'fight' || e.kind === 'mishap') && e.valence < 0 && !e.from,
+    key: e => `danger:${cellOf(e)}`,
+    min: 2,
+    text: (group, spot) => `${spot} is dangerous`,
+    valence: -0.8,
+    importance: 8,
+  },
+  {
+    about: 'friend',
+    match: e => (e.kind === 'social' || e.kind === 'gift') && e.valence > 0 && e.others?.length === 1,
+    key: e => `friend:${e.others[0].id}`,
+    min: 3,
+    text: (group) => `${group[group.length - 1].others[0].name} is a good friend`,
+    valence: 0.6,
+    importance: 5,
+  },
+];
+
+function cellOf(e) {
+  return `${e.z ?? 0}:${Math.floor(e.x / CELL)}:${Math.floor(e.y / CELL)}`;
+}
+
+/** Make sure an older mind's memory has somewhere to keep episodes and reflections */
+export function ensureEpisodic(memory) {
+  memory.episodes ??= [];
+  memory.reflections ??= [];
+  memory.lessons ??= [];
+  return memory;
+}
+
+/** Whether two episodes are the same sort of thing happening again */
+function alike(a, b) {
+  return a.kind === b.kind && a.subject === b.subject && a.others?.[0]?.id === b.others?.[0]?.id;
+}
+
+/**
+ * Add an episode, forgetting the least memorable ones when there are too many. The same thing
+ * happening again within a day matters less each time (down to 1).
+ */
+export function recordEpisode(memory, episode, now) {
+  let repeats = 0;
+  for (const other of memory.episodes) {
+    if (now - other.tick < TICKS_PER_DAY && alike(other, episode)) repeats++;
+  }
+  const e = {
+    ...episode,
+    valence: Math.max(-1, Math.min(1, episode.valence ?? 0)),
+    importance: Math.max(1, Math.min(10, Math.round(episode.importance ?? 1) - repeats)),
+  };
+  memory.episodes.push(e);
+  if (memory.episodes.length > MAX_EPISODES) {
+    let worst = 0;
+    for (let i = 1; i < memory.episodes.length; i++) {
+      if (retention(memory.episodes[i], now) < retention(memory.episodes[worst], now)) worst = i;
+    }
+    memory.episodes.splice(worst, 1);
+  }
+  return e;
+}
+
+function recency(e, now) {
+  return 0.5 ** (Math.max(0, now - e.tick) / RECENCY_HALF_LIFE);
+}
+
+function retention(e, now) {
+  return recency(e, now) + e.importance / 10;
+}
+
+/**
+ * How relevant a memory is to a cue: { x, y, z, subject, other (agent id), kinds }.
+ * 0 when the cue names nothing the memory shares.
+ */
+function relevance(e, cue) {
+  let r = 0;
+  if (cue.subject && e.subject === cue.subject) r += 1;
+  if (cue.kinds?.includes(e.kind)) r += 0.5;
+  if (cue.other && e.others?.some(o => o.id === cue.other)) r += 1;
+  if (cue.x != null && e.x != null && (e.z ?? 0) === (cue.z ?? 0)) {
+    const d = Math.max(Math.abs(e.x - cue.x), Math.abs(e.y - cue.y));
+    r += Math.max(0, 1 - d / NEAR);
+  }
+  return r;
+}
+
+/**
+ * The `limit` memories (episodes and reflections) that best answer a cue, best first, scored
+ * by recency + importance + relevance. `where(memory)` narrows the candidates.
+ */
+export function recall(memory, cue = {}, now, { limit = 5, where = null } = {}) {
+  const scored = [];
+  for (const e of [...memory.episodes, ...memory.reflections]) {
+    if (where && !where(e)) continue;
+    scored.push({ e, score: recency(e, now) + e.importance / 10 + relevance(e, cue) });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ e, score }) => ({ ...e, score: Math.round(score * 100) / 100 }));
+}
+
+/**
+ * Look back over the episodes for patterns. `describe(x, y, z)` names a place the way the agent
+ * would. Returns the reflections formed for the first time; known ones are refreshed in place.
+ */
+export function consolidate(memory, now, describe) {
+  const formed = [];
+  for (const rule of RULES) {
+    const groups = new Map();
+    for (const e of memory.episodes) {
+      if (!rule.match(e)) continue;
+      const key = rule.key(e);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(e);
+    }
+
+    for (const [key, group] of groups) {
+      if (group.length < rule.min) continue;
+      const x = Math.round(group.reduce((s, e) => s + e.x, 0) / group.length);
+      const y = Math.round(group.reduce((s, e) => s + e.y, 0) / group.length);
+      const z = group[0].z ?? 0;
+      const last = group[group.length - 1];
+
+      const known = memory.reflections.find(r => r.key === key);
+      if (known) {
+        Object.assign(known, { tick: now, x, y, count: group.length });
+        continue;
+      }
+      const text = rule.text(group, describe(x, y, z));
+      const reflection = {
+        tick: now, kind: 'reflection', about: rule.about, key, text, x, y, z,
+        place: last.place, subject: last.subject, others: last.others,
+        valence: rule.valence, importance: rule.importance, count: group.length,
+      };
+      memory.reflections.push(reflection);
+      formed.push(reflection);
+    }
+  }
+
+  // Too many: the stalest go first
+  if (memory.reflections.length > MAX_REFLECTIONS) {
+    memory.reflections.sort((a, b) => b.tick - a.tick);
+    memory.reflections.length = MAX_REFLECTIONS;
+  }
+  for (const r of formed) {
+    const text = capitalize(r.text);
+    if (!memory.lessons.includes(text)) memory.lessons.push(text);
+  }
+  if (memory.lessons.length > MAX_LESSONS) memory.lessons = memory.lessons.slice(-MAX_LESSONS);
+  return formed;
+}
+
+export function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ensureEpisodic, recordEpisode, recall, consolidate } from './episodic-memory.js';
+import { TICKS_PER_DAY } from './clock.js';
+
+const memory = () => ensureEpisodic({});
+const describeSpot = (x, y) => `the spot at ${x},${y}`;
+const gather = (subject, x, y, extra = {}) => ({ kind: 'gather', subject, text: `Gathered ${subject}`, x, y, z: 0, valence: 0.3, importance: 3, ...extra });
+
+describe('recordEpisode', () => {
+  it('keeps valence and importance in range', () => {
+    const m = memory();
+    const e = recordEpisode(m, { kind: 'fight', x: 0, y: 0, valence: -4, importance: 40 }, 0);
+    assert.deepEqual([e.valence, e.importance], [-1, 10]);
+    assert.equal(recordEpisode(m, { kind: 'rest', x: 0, y: 0 }, 0).importance, 1);
+  });
+
+  it('makes the same thing matter less each time within a day', () => {
+    const m = memory();
+    assert.deepEqual([0, 1, 2].map(t => recordEpisode(m, gather('fish', 5, 5, { tick: t }), t).importance), [3, 2, 1]);
+    assert.equal(recordEpisode(m, gather('wood', 5, 5, { tick: 3 }), 3).importance, 3, 'something else still matters');
+    assert.equal(recordEpisode(m, gather('fish', 5, 5, { tick: 3 + TICKS_PER_DAY }), 3 + TICKS_PER_DAY).importance, 3, 'a day later it matters again');
+  });
+
+  it('forgets the least memorable episode once full', () => {
+    const m = memory();
+    const now = TICKS_PER_DAY * 10;
+    recordEpisode(m, { kind: 'mishap', subject: 'old and minor', tick: 0, x: 0, y: 0, importance: 1 }, 0);
+    recordEpisode(m, { kind: 'mishap', subject: 'old but vivid', tick: 0, x: 0, y: 0, importance: 10 }, 0);
+    for (let i = 0; i < 148; i++) recordEpisode(m, { kind: 'rest', subject: `nap ${i}`, tick: now, x: 0, y: 0, importance: 2 }, now);
+    assert.equal(m.episodes.length, 150);
+
+    recordEpisode(m, { kind: 'rest', subject: 'one more', tick: now, x: 0, y: 0, importance: 2 }, now);
+    assert.equal(m.episodes.length, 150);
+    const subjects = m.episodes.map(e => e.subject);
+    assert.ok(!subjects.includes('old and minor'));
+    assert.ok(subjects.includes('old but vivid'));
+    assert.ok(subjects.includes('one more'));
+  });
+});
+
+describe('recall', () => {
+  const now = TICKS_PER_DAY * 2;
+  const m = memory();
+  m.episodes.push(
+    { tick: now, kind: 'gather', subject: 'wood', x: 200, y: 200, importance: 3 },
+    { tick: now - TICKS_PER_DAY * 2, kind: 'gather', subject: 'wood', x: 200, y: 200, importance: 3 },
+    { tick: now - TICKS_PER_DAY, kind: 'gather', subject: 'fish', x: 10, y: 10, importance: 3 },
+    { tick: now - TICKS_PER_DAY, kind: 'social', x: 50, y: 50, others: [{ id: 'a2', name: 'Bo' }], importance: 3 },
+  );
+  m.reflections.push({ tick: now - TICKS_PER_DAY, kind: 'reflection', about: 'danger', x: 12, y: 10, importance: 9 });
+
+  it('ranks by recency and importance when nothing is asked for', () => {
+    const [first, second] = recall(m, {}, now);
+    assert.equal(first.about, 'danger');
+    assert.deepEqual([second.subject, second.tick], ['wood', now]);
+  });
+
+  it('puts what is relevant to the cue first', () => {
+    assert.equal(recall(m, { subject: 'fish' }, now)[0].subject, 'fish');
+    assert.equal(recall(m, { other: 'a2' }, now)[0].kind, 'social');
+    const near = recall(m, { x: 10, y: 10, z: 0 }, now, { limit: 2 });
+    assert.deepEqual(near.map(e => e.about ?? e.subject), ['danger', 'fish']);
+    assert.deepEqual(recall(m, { x: 10, y: 10, z: -1 }, now, { limit: 1 }).map(e => e.about), ['danger'], 'another level is no nearer');
+  });
+
+  it('narrows and limits the candidates', () => {
+    const wood = recall(m, {}, now, { where: e => e.subject === 'wood', limit: 1 });
+    assert.deepEqual(wood.map(e => e.tick), [now]);
+    assert.ok(wood[0].score > 0);
+  });
+});
+
+describe('consolidate', () => {
+  it('notices a place that keeps giving the same thing', () => {
+    const m = memory();
+    for (const [x, y] of [[24, 24], [25, 26], [26, 25]]) m.episodes.push(gather('fish', x, y));
+    m.episodes.push(gather('fish', 100, 100), gather('fish', 101, 100));
+
+    const formed = consolidate(m, 50, describeSpot);
+    assert.deepEqual(formed.map(r => [r.about, r.text, r.count, r.x, r.y]), [['resource', 'the spot at 25,25 always has fish', 3, 25, 25]]);
+    assert.deepEqual(m.lessons, ['The spot at 25,25 always has fish']);
+  });
+
+  it('refreshes what it already knows instead of learning it again', () => {
+    const m = memory();
+    for (let i = 0; i < 3; i++) m.episodes.push(gather('fish', 25, 25));
+    consolidate(m, 50, describeSpot);
+    m.episodes.push(gather('fish', 25, 25));
+    assert.deepEqual(consolidate(m, 80, describeSpot), []);
+    assert.deepEqual(m.reflections.map(r => [r.count, r.tick]), [[4, 80]]);
+    assert.equal(m.lessons.length, 1);
+  });
+
+  it('does not learn a place from hearsay, or danger from a good day', () => {
+    const m = memory();
+    for (let i = 0; i < 3; i++) m.episodes.push(gather('fish', 25, 25, { from: 'Bo' }));
+    for (let i = 0; i < 2; i++) m.episodes.push({ kind: 'fight', x: 60, y: 60, valence: 0.5, importance: 5 });
+    assert.deepEqual(consolidate(m, 50, describeSpot), []);
+  });
+
+  it('learns who its friends are and where the danger is', () => {
+    const m = memory();
+    const bo = [{ id: 'a2', name: 'Bo' }];
+    for (let i = 0; i < 3; i++) m.episodes.push({ kind: i ? 'gift' : 'social', x: 0, y: 0, others: bo, valence: 0.5, importance: 4 });
+    for (let i = 0; i < 2; i++) m.episodes.push({ kind: 'mishap', x: 60, y: 60, z: -1, valence: -0.6, importance: 5 });
+    const formed = consolidate(m, 50, (x, y, z) => `the cave at ${x},${y},${z}`);
+    assert.deepEqual(formed.map(r => r.text).sort(), ['Bo is a good friend', 'the cave at 60,60,-1 is dangerous']);
+  });
+});
@@ -1,7 +1,6 @@
 // Experiment Engine — Phase 1 + Force System + Oracle Integration
 // Property-based item combination with forces and AI Oracle fallback.
 
-import crypto from 'crypto';
 import { getProperties, computeDerivedProperties, getEffectiveHeat, isLiquid, isSharp, MATERIAL_PROPERTIES } from './materials.js';
 
 // ---------- Forces ----------
@@ -473,7 +472,9 @@ const INTERACTION_RULES = [
 ];
 
 export function initExperiments(shared) {
-  const { loadJSON, saveJSON, agents, agentStore, ensureAgentStats, broadcast, addWorldNews, awardXP } = shared;
+  const { loadJSON, saveJSON, agents, agentStore, ensureAgentStats, broadcast, addWorldNews, awardXP, clock } = shared;
+  const rng = shared.rng.stream('experiments');
+  const COOLDOWN_TICKS = clock.minutes(30);
 
   const discoveries = loadJSON('discoveries.json', []);
   const knownProperties = loadJSON('known-properties.json', {});
@@ -523,7 +524,7 @@ export function initExperiments(shared) {
       const allKeys = Object.keys(props);
       const known = knownProperties[agentId][name];
       const unknown = allKeys.filter(k => !known.includes(k));
-      const toReveal = unknown.sort(() => Math.random() - 0.5).slice(0, 2 + Math.floor(Math.random() * 2));
+      const toReveal = unknown.sort(() => rng() - 0.5).slice(0, 2 + Math.floor(rng() * 2));
       known.push(...toReveal);
     }
     saveJSON('known-properties.json', knownProperties);
@@ -531,9 +532,9 @@ export function initExperiments(shared) {
   }
 
   function buildResultItem(agent, inputItems, name, type, rarity, description, propOverrides, zone, force) {
-    const resultProps = computeDerivedProperties(inputItems, propOverrides);
+    const resultProps = computeDerivedProperties(inputItems, propOverrides, rng);
     return {
-      id: 'item_' + crypto.randomBytes(4).toString('hex'),
+      id: 'item_' + rng.hex(4),
       name,
       type,
       rarity,
@@ -697,7 +698,7 @@ export function initExperiments(shared) {
     }
 
     // 5. No match anywhere — physics-flavored failure
-    const destroyed = Math.random() < 0.3;
+    const destroyed = rng() < 0.3;
     const failMessage = getPhysicsFailureMessage(force, inputItems);
     return {
       success: false,
@@ -770,12 +771,11 @@ export function initExperiments(shared) {
         return res.status(400).json({ error: 'Provide 2-3 item_ids' });
       }
 
-      // Cooldown: 2 minutes
-      const now = Date.now();
-      const lastExp = cooldowns.get(agent.id) || 0;
-      if (now - lastExp < 120000) {
-        const remaining = Math.ceil((120000 - (now - lastExp)) / 1000);
-        return res.status(429).json({ error: `Experiment cooldown: ${remaining}s remaining` });
+      // Cooldown: half a game hour
+      const now = clock.now();
+      if (cooldowns.has(agent.id) && now - cooldowns.get(agent.id) < COOLDOWN_TICKS) {
+        const remaining = (COOLDOWN_TICKS - (now - cooldowns.get(agent.id))) * clock.MINUTES_PER_TICK;
+        return res.status(429).json({ error: `Experiment cooldown: ${remaining} game minutes remaining` });
       }
 
       // Experiment fee
@@ -949,3 +949,15 @@ export function initExperiments(shared) {
 }
 
 export { FORCES, FORCE_RULES, INTERACTION_RULES };
+
+export const plugin = {
+  name: 'experiments',
+  deps: ['proficiency', 'oracle'],
+  init(shared) {
+    const experiments = initExperiments(shared);
+    experiments.setOracle(shared.oracle);
+    return experiments;
+  },
+  routes: 'agent',
+  files: ['discoveries.json', 'known-properties.json'],
+};
@@ -0,0 +1,292 @@
+// Goal Planner — turns what an agent wants into ordered steps it can act on
+// A goal comes from the agent's ambition or from a collective project that needs materials.
+// The planner chains backwards from it: contributing 10 planks needs 10 planks carried, which
+// needs 20 wood gathered and cut, so the plan reads gather 20 wood → craft 10 Wooden Plank →
+// walk to the project's zone → contribute. Agent Intelligence scores intents for the current
+// step and reports progress as things happen; a step whose precondition no longer holds, or
+// that makes no progress for too long, has the plan rebuilt from what the agent has now. What
+// it put away at home counts as had — Agent Intelligence fetches it when a step calls for it.
+//
+// Lives in mind.plan: { goal, steps: [step], current, replans, createdTick, replannedTick? }
+//   goal   { id, type, text, source: 'ambition' | 'project', … what the type needs }
+//   step   { kind, subject?, qty, progress, text, status: 'pending' | 'active' | 'done', startedTick?, progressTick? }
+
+import { TICKS_PER_HOUR } from './clock.js';
+
+// What agents know how to make by hand, without experimenting: `needs` per batch, `makes` per batch
+export const RECIPES = {
+  'Wooden Plank': { needs: { wood: 2 }, makes: 1, verb: 'Saw' },
+  'Nails':        { needs: { ore: 1 }, makes: 2, verb: 'Hammer out' },
+  'Iron Ore':     { needs: { ore: 2 }, makes: 1, verb: 'Sort out' },
+  'Crystal':      { needs: { crystals: 2 }, makes: 1, verb: 'Cut' },
+  'Fabric Scrap': { needs: { fiber: 3 }, makes: 1, verb: 'Weave' },
+  'Torch':        { needs: { wood: 1, resin: 1 }, makes: 1, verb: 'Bind' },
+};
+
+// Batches crafted per craft action — cutting 10 planks shouldn't take 10 separate trips
+const BATCHES_PER_CRAFT = 5;
+// A step that makes no progress for this long has failed; a plan that fails this often is given up
+export const STEP_PATIENCE = TICKS_PER_HOUR * 12;
+export const MAX_REPLANS = 3;
+
+/** The inventory as { name: quantity } — pass the home stash too for everything the agent owns */
+export function holdings(inventory = []) {
+  const have = {};
+  for (const item of inventory) have[item.name] = (have[item.name] || 0) + (item.quantity || 1);
+  return have;
+}
+
+/**
+ * The steps that end with `qty` of `item` had, given what the agent has already (`have` is
+ * drawn down as it is planned for). Returns null when the item can't be gathered or made.
+ */
+function obtain(item, qty, have) {
+  const carried = Math.min(have[item] || 0, qty);
+  have[item] = (have[item] || 0) - carried;
+  const short = qty - carried;
+  if (short <= 0) return [];
+
+  const recipe = RECIPES[item];
+  if (!recipe) {
+    // Raw resources are lower-case (wood, fiber, ore — see world-adapter.js); anything else has to be made
+    if (item !== item.toLowerCase()) return null;
+    return [{ kind: 'gather', subject: item, qty: short, text: `Gather ${short} ${item}` }];
+  }
+  const batches = Math.ceil(short / recipe.makes);
+  const steps = [];
+  for (const [input, n] of Object.entries(recipe.needs)) {
+    const sub = obtain(input, n * batches, have);
+    if (!sub) return null;
+    steps.push(...sub);
+  }
+  // Leftovers from the last batch count towards anything later in the plan
+  have[item] = (have[item] || 0) + batches * recipe.makes - short;
+  steps.push({ kind: 'craft', subject: item, qty: batches * recipe.makes, text: `${recipe.verb} ${batches * recipe.makes} ${item}` });
+  return steps;
+}
+
+/** `obtain` for several items at once — { item: qty } */
+function obtainAll(items, have) {
+  const steps = [];
+  for (const [item, qty] of Object.entries(items)) {
+    const sub = obtain(item, qty, have);
+    if (!sub) return null;
+    steps.push(...sub);
+  }
+  return steps;
+}
+
+/** The ordered steps for a goal, planned from `have` (see holdings), or null when it can't be done */
+export function planSteps(goal, have) {
+  have = { ...have };
+  let steps;
+  switch (goal.type) {
+    case 'contribute':
+      steps = obtain(goal.item, goal.qty, have);
+      if (steps) steps.push(
+        { kind: 'goto', subject: goal.zone, qty: 1, text: `Walk to the ${goal.project} in the ${goal.zone}` },
+        { kind: 'contribute', subject: goal.item, qty: goal.qty, projectId: goal.projectId, text: `Contribute ${goal.qty} ${goal.item} to the ${goal.project}` },
+      );
+      break;
+    case 'make':
+      // New ones — what it has already doesn't count
+      have[goal.item] = 0;
+      steps = obtain(goal.item, goal.qty, have);
+      break;
+    case 'gather':
+      steps = Object.entries(goal.items).map(([subject, qty]) => ({ kind: 'gather', subject, qty, text: `Gather ${qty} ${subject}` }));
+      break;
+    case 'explore':
+      steps = goal.zones.map(zone => ({ kind: 'visit', subject: zone, qty: 1, text: `See the ${zone}` }));
+      break;
+    case 'discover':
+      steps = [{ kind: 'discover', qty: goal.qty, text: `Find ${goal.qty} new place${goal.qty === 1 ? '' : 's'}` }];
+      break;
+    case 'befriend':
+      steps = [{ kind: 'befriend', qty: goal.qty, text: `Make ${goal.qty} new friend${goal.qty === 1 ? '' : 's'}` }];
+      break;
+    case 'delve':
+      steps = obtain('Torch', 1, have);
+      if (steps) steps.push({ kind: 'descend', qty: 1, text: 'Climb down into the caves' });
+      break;
+    case 'voyage':
+      steps = goal.hasVessel ? [] : obtainAll(goal.materials, have);
+      if (steps) {
+        if (!goal.hasVessel) steps.push({ kind: 'vessel', subject: goal.vessel, qty: 1, text: `Build a ${goal.vessel}` });
+        steps.push({ kind: 'landfall', qty: 1, text: 'Sail to a shore not yet set foot on' });
+      }
+      break;
+    default:
+      return null;
+  }
+  if (!steps || steps.length === 0) return null;
+  return steps.map(s => ({ ...s, progress: 0, status: 'pending' }));
+}
+
+/** A new plan for `goal`, or null when there is no way to it */
+export function newPlan(goal, have, now) {
+  const steps = planSteps(goal, have);
+  if (!steps) return null;
+  const plan = { goal, steps, current: 0, replans: 0, createdTick: now };
+  start(plan, now);
+  return plan;
+}
+
+function start(plan, now) {
+  const step = plan.steps[plan.current];
+  if (!step) return;
+  step.status = 'active';
+  step.startedTick = now;
+  step.progressTick = now;
+}
+
+export function activeStep(plan) {
+  return plan?.steps[plan.current] ?? null;
+}
+
+/**
+ * Count progress on the active step: `kind` of thing happened (gather, craft, contribute,
+ * befriend, discover, landfall), `n` times, to any of `subjects`.
+ */
+export function noteProgress(plan, kind, subjects, n, now) {
+  const step = activeStep(plan);
+  if (!step || step.kind !== kind) return false;
+  if (step.subject && !subjects.includes(step.subject)) return false;
+  step.progress = Math.min(step.qty, step.progress + n);
+  step.progressTick = now;
+  return true;
+}
+
+/** Whether the world already shows a step done — state: { zone, z, visited, vessel } */
+function reached(step, state) {
+  switch (step.kind) {
+    case 'goto': return state.zone === step.subject;
+    case 'visit': return (state.visited[step.subject] || 0) > 0;
+    case 'descend': return (state.z ?? 0) !== 0;
+    case 'vessel': return !!state.vessel;
+    default: return step.progress >= step.qty;
+  }
+}
+
+/**
+ * What has to be in hand to act on a step, as { name: quantity }: a batch's inputs to craft,
+ * the lot to contribute, the materials to build a vessel
+ */
+export function stepNeeds(step, goal) {
+  switch (step?.kind) {
+    case 'craft': return RECIPES[step.subject].needs;
+    case 'contribute': return { [step.subject]: step.qty - step.progress };
+    case 'vessel': return goal.materials;
+    default: return {};
+  }
+}
+
+/** What a step needs before it can be acted on — null when it holds, else why not */
+function unmet(step, state) {
+  if (step.kind === 'craft') {
+    for (const [input, n] of Object.entries(stepNeeds(step))) {
+      if ((state.have[input] || 0) < n) return `ran out of ${input}`;
+    }
+  }
+  if (step.kind === 'contribute' && !state.have[step.subject]) return `no longer has any ${step.subject}`;
+  if (step.kind === 'vessel' && !state.buildable) return `short of materials for the ${step.subject}`;
+  return null;
+}
+
+/**
+ * Move the plan along: finish steps the world shows done, and rebuild it when the active
+ * step's precondition fails or it has stalled. state: { have, zone, z, visited, vessel, buildable },
+ * where `have` is everything the agent owns — carried or put away at home.
+ * Returns { status: 'active' | 'done' | 'replanned' | 'failed', step, why? }.
+ */
+export function advance(plan, state, now) {
+  let step = activeStep(plan);
+  while (step && reached(step, state)) {
+    step.status = 'done';
+    step.progress = step.qty;
+    step.doneTick = now;
+    plan.current++;
+    start(plan, now);
+    step = activeStep(plan);
+  }
+  if (!step) return { status: 'done', step: null };
+
+  const why = unmet(step, state) ?? (now - step.progressTick > STEP_PATIENCE ? `no progress on "${step.text}"` : null);
+  if (!why) return { status: 'active', step };
+  return replan(plan, state, now, why);
+}
+
+/** Rebuild the plan's remaining steps from what the agent owns now */
+function replan(plan, state, now, why) {
+  if (plan.replans >= MAX_REPLANS) return { status: 'failed', step: activeStep(plan), why };
+  const steps = planSteps(plan.goal, state.have);
+  if (!steps) return { status: 'failed', step: activeStep(plan), why };
+  // What was already achieved stays in the record
+  const done = plan.steps.slice(0, plan.current);
+  plan.steps = [...done, ...steps];
+  plan.replans++;
+  plan.replannedTick = now;
+  plan.lastFailure = why;
+  start(plan, now);
+  return { status: 'replanned', step: activeStep(plan), why };
+}
+
+/**
+ * Make up to BATCHES_PER_CRAFT batches of `item` from the inventory, stopping at `limit` made.
+ * Returns how many were made (0 when the inputs aren't there).
+ */
+export function craftRecipe(inventory, item, limit = Infinity) {
+  const recipe = RECIPES[item];
+  if (!recipe) return 0;
+  const have = holdings(inventory);
+  let batches = Math.min(BATCHES_PER_CRAFT, Math.ceil(limit / recipe.makes));
+  for (const [input, n] of Object.entries(recipe.needs)) batches = Math.min(batches, Math.floor((have[input] || 0) / n));
+  if (batches <= 0) return 0;
+
+  for (const [input, n] of Object.entries(recipe.needs)) {
+    let left = n * batches;
+    for (const stack of [...inventory]) {
+      if (left === 0) break;
+      if (stack.name !== input) continue;
+      const q = stack.quantity || 1;
+      if (q > left) { stack.quantity = q - left; left = 0; }
+      else { inventory.splice(inventory.indexOf(stack), 1); left -= q; }
+    }
+  }
+  const made = batches * recipe.makes;
+  const stack = inventory.find(i => i.name === item);
+  if (stack) stack.quantity = (stack.quantity || 1) + made;
+  else inventory.push({ name: item, quantity: made });
+  return made;
+}
+
+/** Names of the items the plan's unfinished steps still call for — not for giving away */
+export function planNeeds(plan) {
+  const needs = new Set();
+  for (const step of plan?.steps.slice(plan.current) ?? []) {
+    if (step.kind === 'gather' || step.kind === 'craft') needs.add(step.subject);
+    for (const input of Object.keys(stepNeeds(step, plan.goal))) needs.add(input);
+  }
+  return needs;
+}
+
+/** How far along the plan is, 0…1 */
+export function planProgress(plan) {
+  const total = plan.steps.reduce((n, s) => n + s.qty, 0);
+  return total ? Math.round(plan.steps.reduce((n, s) => n + Math.min(s.progress, s.qty), 0) / total * 100) / 100 : 0;
+}
+
+/** The plan as the API shows it */
+export function describePlan(plan) {
+  if (!plan) return null;
+  return {
+    goal: plan.goal.text,
+    source: plan.goal.source,
+    progress: planProgress(plan),
+    current: plan.current,
+    replans: plan.replans,
+    lastFailure: plan.lastFailure ?? null,
+    createdTick: plan.createdTick,
+    steps: plan.steps.map(s => ({ kind: s.kind, text: s.text, subject: s.subject ?? null, progress: s.progress, qty: s.qty, status: s.status })),
+  };
+}
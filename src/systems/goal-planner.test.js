@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  planSteps, newPlan, activeStep, noteProgress, advance, craftRecipe, planNeeds, planProgress,
+  holdings, stepNeeds, STEP_PATIENCE, MAX_REPLANS,
+} from './goal-planner.js';
+
+const contribute = { type: 'contribute', item: 'Wooden Plank', qty: 10, zone: 'forest', project: 'Dock', projectId: 'p1', text: 'Help build the Dock' };
+const summary = (steps) => steps.map(s => `${s.kind} ${s.subject ?? ''} ${s.qty}`.replace('  ', ' '));
+const state = (have = {}, extra = {}) => ({ have, zone: 'grass', z: 0, visited: {}, vessel: null, buildable: false, ...extra });
+
+describe('planSteps', () => {
+  it('chains backwards from a contribution to the raw resources', () => {
+    assert.deepEqual(summary(planSteps(contribute, {})), [
+      'gather wood 20',
+      'craft Wooden Plank 10',
+      'goto forest 1',
+      'contribute Wooden Plank 10',
+    ]);
+  });
+
+  it('plans only for what the agent is short of', () => {
+    assert.deepEqual(summary(planSteps(contribute, { 'Wooden Plank': 4, wood: 5 })), [
+      'gather wood 7',
+      'craft Wooden Plank 6',
+      'goto forest 1',
+      'contribute Wooden Plank 10',
+    ]);
+    assert.deepEqual(summary(planSteps(contribute, { 'Wooden Plank': 10 })), ['goto forest 1', 'contribute Wooden Plank 10']);
+  });
+
+  it('crafts whole batches and counts the leftovers', () => {
+    const steps = planSteps({ type: 'make', item: 'Nails', qty: 3 }, { Nails: 8 });
+    assert.deepEqual(summary(steps), ['gather ore 2', 'craft Nails 4'], 'what it has already does not count for new ones');
+  });
+
+  it('gathers every input of a recipe with several', () => {
+    assert.deepEqual(summary(planSteps({ type: 'delve' }, { resin: 1 })), ['gather wood 1', 'craft Torch 1', 'descend 1']);
+  });
+
+  it('has no plan for what can neither be gathered nor made', () => {
+    assert.equal(planSteps({ type: 'make', item: 'Golden Crown', qty: 1 }, {}), null);
+    assert.equal(planSteps({ type: 'unknown' }, {}), null);
+  });
+
+  it('builds a vessel from its materials before sailing', () => {
+    const voyage = { type: 'voyage', vessel: 'Raft', materials: { wood: 6, fiber: 3 } };
+    assert.deepEqual(summary(planSteps(voyage, { wood: 6 })), ['gather fiber 3', 'vessel Raft 1', 'landfall 1']);
+    assert.deepEqual(summary(planSteps({ ...voyage, hasVessel: true }, {})), ['landfall 1']);
+  });
+});
+
+describe('following a plan', () => {
+  it('starts on the first step and counts progress only for it', () => {
+    const plan = newPlan(contribute, {}, 100);
+    assert.equal(activeStep(plan).status, 'active');
+    assert.equal(activeStep(plan).startedTick, 100);
+    assert.equal(noteProgress(plan, 'craft', ['Wooden Plank'], 1, 101), false);
+    assert.equal(noteProgress(plan, 'gather', ['stone'], 1, 101), false);
+    assert.equal(noteProgress(plan, 'gather', ['wood'], 25, 101), true);
+    assert.equal(activeStep(plan).progress, 20, 'capped at the step\'s quantity');
+  });
+
+  it('moves past steps the world shows done', () => {
+    const plan = newPlan(contribute, {}, 0);
+    noteProgress(plan, 'gather', ['wood'], 20, 1);
+    assert.equal(advance(plan, state({ wood: 20 }), 2).step.kind, 'craft');
+    noteProgress(plan, 'craft', ['Wooden Plank'], 10, 3);
+    const result = advance(plan, state({ 'Wooden Plank': 10 }, { zone: 'forest' }), 4);
+    assert.equal(result.status, 'active');
+    assert.equal(result.step.kind, 'contribute', 'already in the forest');
+    assert.equal(planProgress(plan), 0.76);
+    noteProgress(plan, 'contribute', ['Wooden Plank'], 10, 5);
+    assert.equal(advance(plan, state({}), 6).status, 'done');
+    assert.equal(planProgress(plan), 1);
+  });
+
+  it('replans from what the agent owns when a step\'s inputs are gone', () => {
+    const plan = newPlan(contribute, { wood: 20 }, 0);
+    assert.equal(activeStep(plan).kind, 'craft');
+    const result = advance(plan, state({ wood: 1 }), 5);
+    assert.equal(result.status, 'replanned');
+    assert.equal(result.why, 'ran out of wood');
+    assert.deepEqual(summary(plan.steps).slice(0, 2), ['gather wood 19', 'craft Wooden Plank 10']);
+    assert.equal(plan.replans, 1);
+  });
+
+  it('replans a step that stalls, and gives up after MAX_REPLANS', () => {
+    const plan = newPlan(contribute, {}, 0);
+    let now = 0;
+    for (let i = 0; i < MAX_REPLANS; i++) {
+      now += STEP_PATIENCE + 1;
+      assert.equal(advance(plan, state(), now).status, 'replanned');
+    }
+    now += STEP_PATIENCE + 1;
+    const result = advance(plan, state(), now);
+    assert.equal(result.status, 'failed');
+    assert.match(result.why, /no progress/);
+  });
+
+  it('keeps the steps already done when it replans', () => {
+    const plan = newPlan(contribute, {}, 0);
+    noteProgress(plan, 'gather', ['wood'], 20, 1);
+    advance(plan, state({ wood: 20 }), 2);
+    advance(plan, state({}), 3);
+    assert.equal(plan.steps[0].status, 'done');
+    assert.equal(plan.current, 1);
+    assert.equal(activeStep(plan).kind, 'gather');
+  });
+});
+
+describe('needs and crafting', () => {
+  it('names what the unfinished steps call for', () => {
+    const plan = newPlan({ type: 'voyage', vessel: 'Raft', materials: { wood: 6, fiber: 3 } }, {}, 0);
+    assert.deepEqual([...planNeeds(plan)].sort(), ['fiber', 'wood']);
+    assert.deepEqual(stepNeeds(plan.steps[2], plan.goal), { wood: 6, fiber: 3 });
+    assert.deepEqual(stepNeeds({ kind: 'contribute', subject: 'Nails', qty: 10, progress: 4 }), { Nails: 6 });
+  });
+
+  it('crafts at most a few batches at a time, from what is carried', () => {
+    const inventory = [{ name: 'wood', quantity: 3 }, { name: 'wood', quantity: 20 }];
+    assert.equal(craftRecipe(inventory, 'Wooden Plank'), 5);
+    assert.deepEqual(holdings(inventory), { wood: 13, 'Wooden Plank': 5 });
+    assert.equal(craftRecipe(inventory, 'Wooden Plank', 2), 2);
+    assert.equal(craftRecipe(inventory, 'Torch'), 0, 'no resin');
+    assert.equal(craftRecipe(inventory, 'Golden Crown'), 0);
+  });
+});
@@ -0,0 +1,54 @@
+// Game system manifest — every plugin the simulation registers, in registration order.
+// Init order is resolved from each plugin's declared deps (see registry.js).
+
+import { plugin as weather } from './weather.js';
+import { plugin as proficiency } from './proficiency.js';
+import { plugin as ecosystem } from './ecosystem.js';
+import { plugin as reputation } from './reputation.js';
+import { plugin as relationships } from './relationships.js';
+import { plugin as npcSocial } from './npc-social.js';
+import { plugin as experiments } from './experiments.js';
+import { plugin as survival } from './survival.js';
+import { plugin as thirst } from './thirst.js';
+import { plugin as decay } from './decay.js';
+import { plugin as knowledge } from './knowledge.js';
+import { plugin as cooking } from './cooking.js';
+import { plugin as collectiveProjects } from './collective-projects.js';
+import { plugin as structures } from './structures.js';
+import { plugin as watercraft } from './watercraft.js';
+import { plugin as territory } from './territory.js';
+import { plugin as achievements } from './achievements.js';
+import { plugin as encounters } from './encounters.js';
+import { plugin as pointsOfInterest } from './points-of-interest.js';
+import { plugin as oracle } from './oracle.js';
+import { plugin as worldMaster } from './world-master.js';
+import { plugin as agentControl } from './agent-control.js';
+import { plugin as brains } from './brains.js';
+import { plugin as agentAI } from './agent-intelligence.js';
+
+export const SYSTEM_PLUGINS = [
+  weather,
+  proficiency,
+  ecosystem,
+  reputation,
+  relationships,
+  npcSocial,
+  experiments,
+  survival,
+  thirst,
+  decay,
+  knowledge,
+  cooking,
+  collectiveProjects,
+  structures,
+  watercraft,
+  territory,
+  achievements,
+  encounters,
+  pointsOfInterest,
+  oracle,
+  worldMaster,
+  agentControl,
+  brains,
+  agentAI,
+];
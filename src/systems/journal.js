@@ -0,0 +1,193 @@
+// Event Journal — append-only record of everything that changes the world
+// Gathers, experiments, gifts, encounters, World Master decisions, spawns and every input that
+// arrives from outside the simulation (controller intents, agent API calls) are appended as one
+// JSON line each, stamped with the tick they happened on. Agents' moves are the bulk of what
+// happens and replay re-derives them from the rest, so they are only journaled on request
+// (JOURNAL_MOVES=1) — a replay always records them, in memory.
+//
+// The journal is cut into segments, one per game day plus one per boot. Each segment opens
+// with a checkpoint snapshot, so replay.js can rebuild the world at any tick by restoring the
+// checkpoint and re-running the ticks, feeding back the recorded outside inputs.
+//
+// Layout (data/journal/):
+//   <segment>.json    checkpoint snapshot (a save-slot document)
+//   <segment>.jsonl   entries: { seq, tick, type, agentId?, … }
+//   archive/<ms>/     segments of a timeline abandoned by loading a save slot
+//
+// Segment names are `<tick, zero-padded>-<wall ms>`, so they sort in timeline order. Only the
+// newest JOURNAL_SEGMENTS are kept; pruneJournal drops more on demand (see the admin API).
+
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync, renameSync, rmSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { initSaves } from './saves.js';
+
+// Recorded between ticks by callers outside the simulation — replay re-applies these itself
+export const EXTERNAL_TYPES = new Set(['spawn', 'control', 'intent', 'api']);
+
+const DEFAULT_KEEP_SEGMENTS = 100;
+
+export function journalDir(dataDir) {
+  return join(dataDir, 'journal');
+}
+
+/** Segments oldest first, as { name, tick } */
+export function listSegments(dataDir) {
+  const dir = journalDir(dataDir);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(f => f.slice(0, -6))
+    .sort()
+    .map(name => ({ name, tick: parseInt(name, 10) }));
+}
+
+export function readSegment(dataDir, name) {
+  const path = join(journalDir(dataDir), `${name}.jsonl`);
+  if (!existsSync(path)) return [];
+  const entries = [];
+  for (const line of readFileSync(path, 'utf-8').split('\n')) {
+    if (!line) continue;
+    try { entries.push(JSON.parse(line)); } catch {} // torn last line after a crash
+  }
+  return entries;
+}
+
+export function readCheckpoint(dataDir, name) {
+  return initSaves({ dataDir, savesDir: journalDir(dataDir) }).read(name);
+}
+
+/**
+ * Entries matching a filter, oldest first. `agentId` also matches entries where the agent
+ * was on the receiving end (gifts, chats). Returns at most `limit`, keeping the latest.
+ */
+export function queryJournal(dataDir, { agentId, type, from = 0, to = Infinity, limit = 500 } = {}) {
+  const segments = listSegments(dataDir);
+  const types = type ? new Set(String(type).split(',')) : null;
+  const out = [];
+  segments.forEach((seg, i) => {
+    const end = segments[i + 1]?.tick ?? Infinity;
+    if (end < from || seg.tick > to) return;
+    for (const e of readSegment(dataDir, seg.name)) {
+      if (e.tick < from || e.tick > to) continue;
+      if (types && !types.has(e.type)) continue;
+      if (agentId && e.agentId !== agentId && e.otherId !== agentId) continue;
+      out.push({ ...e, segment: seg.name });
+    }
+  });
+  return out.slice(-limit);
+}
+
+/**
+ * Delete old segments: all but the newest `keep`, and any that end by tick `before`. The newest
+ * segment is the one being written, so it always stays. `archives` also deletes every timeline
+ * archived by loading a save slot. Returns { removed: [segment], archives: n }.
+ */
+export function pruneJournal(dataDir, { keep = Infinity, before = -Infinity, archives = false } = {}) {
+  const dir = journalDir(dataDir);
+  const segments = listSegments(dataDir);
+  const removed = [];
+  segments.forEach((seg, i) => {
+    const next = segments[i + 1];
+    if (!next) return;
+    if (i >= segments.length - Math.max(1, keep) && next.tick > before) return;
+    for (const ext of ['.jsonl', '.json']) {
+      const path = join(dir, seg.name + ext);
+      if (existsSync(path)) unlinkSync(path);
+    }
+    removed.push(seg.name);
+  });
+  let archived = 0;
+  const archiveDir = join(dir, 'archive');
+  if (archives && existsSync(archiveDir)) {
+    archived = readdirSync(archiveDir).length;
+    rmSync(archiveDir, { recursive: true, force: true });
+  }
+  return { removed, archives: archived };
+}
+
+/** Move the journal aside — loading a save slot starts a new timeline */
+export function archiveJournal(dataDir) {
+  const dir = journalDir(dataDir);
+  if (!existsSync(dir)) return null;
+  const files = readdirSync(dir).filter(f => f.endsWith('.json') || f.endsWith('.jsonl'));
+  if (files.length === 0) return null;
+  const dest = join(dir, 'archive', String(Date.now()));
+  mkdirSync(dest, { recursive: true });
+  for (const f of files) renameSync(join(dir, f), join(dest, f));
+  return dest;
+}
+
+/**
+ * Live mode appends to data/journal. Replay mode (`replay` = the recorded segment's entries)
+ * writes nothing: recorded entries are kept in memory for comparison, and input() answers
+ * from the recording instead of asking the outside world again.
+ */
+export function initJournal({
+  dataDir, clock, replay = null,
+  keepSegments = parseInt(process.env.JOURNAL_SEGMENTS) || DEFAULT_KEEP_SEGMENTS,
+  moves = !!replay || process.env.JOURNAL_MOVES === '1',
+}) {
+  const dir = journalDir(dataDir);
+  const checkpoints = initSaves({ dataDir, savesDir: dir });
+  const recordedInputs = replay ? replay.filter(e => e.input) : null;
+  const replayed = [];
+  let segment = null;
+  let seq = 0;
+  let buffer = [];
+
+  function record(type, data = {}) {
+    const entry = { seq: ++seq, tick: clock.now(), type, ...data };
+    (replay ? replayed : buffer).push(entry);
+    return entry;
+  }
+
+  /**
+   * A value the simulation can't reproduce by itself (an LLM's answer). Live: call `produce`
+   * and journal the result. Replay: return what was recorded for this tick, or null.
+   */
+  async function input(type, produce, data = {}) {
+    if (replay) {
+      while (recordedInputs.length && recordedInputs[0].tick < clock.now()) recordedInputs.shift();
+      const i = recordedInputs.findIndex(e => e.type === type && e.tick === clock.now());
+      const value = i >= 0 ? recordedInputs.splice(i, 1)[0].value : null;
+      record(type, { ...data, input: true, value });
+      return value;
+    }
+    const value = (await produce()) ?? null;
+    record(type, { ...data, input: true, value });
+    return value;
+  }
+
+  /** Append buffered entries to the current segment (once per tick, and on dispose) */
+  function flush() {
+    if (replay || !segment || buffer.length === 0) return;
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    appendFileSync(join(dir, `${segment}.jsonl`), buffer.map(e => JSON.stringify(e)).join('\n') + '\n');
+    buffer = [];
+  }
+
+  /** Close the current segment and open the next, checkpointed by `snapshot` (taken between ticks) */
+  function startSegment(snapshot, reason) {
+    if (replay) return null;
+    flush();
+    segment = `${String(clock.now()).padStart(10, '0')}-${Date.now()}`;
+    checkpoints.write(segment, snapshot);
+    seq = 0;
+    buffer = [];
+    record('segment', { reason, seed: snapshot.seed, moves });
+    flush();
+    pruneJournal(dataDir, { keep: keepSegments });
+    return segment;
+  }
+
+  return {
+    record,
+    input,
+    flush,
+    startSegment,
+    replaying: !!replay,
+    moves,
+    segment: () => segment,
+    replayed: () => replayed,
+  };
+}
@@ -0,0 +1,128 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync, readdirSync, mkdirSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initJournal, listSegments, readSegment, readCheckpoint, queryJournal, pruneJournal, journalDir } from './journal.js';
+
+/** A journal on a clock the test moves by hand */
+function setup(dataDir, options = {}) {
+  let tick = 0;
+  const clock = { now: () => tick };
+  const journal = initJournal({ dataDir, clock, keepSegments: 100, moves: false, ...options });
+  return { journal, at(t) { tick = t; } };
+}
+
+const snapshot = (tick) => ({ tick, seed: 'dunes', files: { 'tick.json': { tick } } });
+
+describe('journal segments', () => {
+  let dataDir;
+  beforeEach(() => { dataDir = mkdtempSync(join(tmpdir(), 'oasis-journal-')); });
+  afterEach(() => rmSync(dataDir, { recursive: true, force: true }));
+
+  it('opens each segment with a checkpoint, and appends entries on flush', () => {
+    const { journal, at } = setup(dataDir);
+    const name = journal.startSegment(snapshot(0), 'boot');
+    assert.equal(readCheckpoint(dataDir, name).files['tick.json'].tick, 0);
+    assert.deepEqual(readSegment(dataDir, name).map(e => [e.seq, e.type, e.reason]), [[1, 'segment', 'boot']]);
+
+    at(3);
+    journal.record('gather', { agentId: 'a1', resource: 'wood' });
+    assert.equal(readSegment(dataDir, name).length, 1, 'buffered until flushed');
+    journal.flush();
+    assert.deepEqual(readSegment(dataDir, name).at(-1), { seq: 2, tick: 3, type: 'gather', agentId: 'a1', resource: 'wood' });
+
+    at(144);
+    const next = journal.startSegment(snapshot(144), 'day');
+    assert.deepEqual(listSegments(dataDir).map(s => [s.name, s.tick]), [[name, 0], [next, 144]]);
+    assert.equal(readCheckpoint(dataDir, next).tick, 144);
+  });
+
+  it('skips a torn last line left by a crash', () => {
+    const { journal } = setup(dataDir);
+    const name = journal.startSegment(snapshot(0), 'boot');
+    writeFileSync(join(journalDir(dataDir), `${name}.jsonl`), '{"seq":1,"tick":0,"type":"segment"}\n{"seq":2,"ti');
+    assert.deepEqual(readSegment(dataDir, name).map(e => e.seq), [1]);
+  });
+
+  it('leaves moves out unless asked, and always keeps them in a replay', () => {
+    assert.equal(setup(dataDir).journal.moves, false);
+    assert.equal(setup(dataDir, { moves: true }).journal.moves, true);
+    const replaying = initJournal({ dataDir, clock: { now: () => 0 }, replay: [] });
+    assert.equal(replaying.moves, true);
+  });
+
+  it('writes nothing while replaying, and answers inputs from the recording', async () => {
+    let tick = 5;
+    const recorded = [{ tick: 5, type: 'oracle', input: true, value: 'rain' }];
+    const journal = initJournal({ dataDir, clock: { now: () => tick }, replay: recorded });
+    assert.equal(journal.startSegment(snapshot(5), 'boot'), null);
+    assert.equal(await journal.input('oracle', () => assert.fail('asked the outside world')), 'rain');
+    tick = 6;
+    assert.equal(await journal.input('oracle', () => 'sun'), null);
+    journal.flush();
+    assert.equal(existsSync(journalDir(dataDir)), false);
+    assert.deepEqual(journal.replayed().map(e => e.value), ['rain', null]);
+  });
+});
+
+describe('queryJournal', () => {
+  let dataDir;
+  beforeEach(() => {
+    dataDir = mkdtempSync(join(tmpdir(), 'oasis-journal-'));
+    const { journal, at } = setup(dataDir);
+    journal.startSegment(snapshot(0), 'boot');
+    at(10); journal.record('gather', { agentId: 'a1' });
+    at(20); journal.record('gift', { agentId: 'a2', otherId: 'a1' });
+    at(144); journal.startSegment(snapshot(144), 'day');
+    at(150); journal.record('eat', { agentId: 'a1' });
+    at(160); journal.record('gather', { agentId: 'a2' });
+    journal.flush();
+  });
+  afterEach(() => rmSync(dataDir, { recursive: true, force: true }));
+
+  const summary = (entries) => entries.map(e => `${e.tick}:${e.type}`);
+
+  it('reads across segments, oldest first', () => {
+    assert.deepEqual(summary(queryJournal(dataDir, { type: 'gather,eat' })), ['10:gather', '150:eat', '160:gather']);
+  });
+
+  it('matches an agent on either end of an exchange', () => {
+    assert.deepEqual(summary(queryJournal(dataDir, { agentId: 'a1' })), ['10:gather', '20:gift', '150:eat']);
+  });
+
+  it('filters by tick and keeps the latest when limited', () => {
+    assert.deepEqual(summary(queryJournal(dataDir, { from: 15, to: 150, type: 'gift,eat' })), ['20:gift', '150:eat']);
+    assert.deepEqual(summary(queryJournal(dataDir, { agentId: 'a2', limit: 1 })), ['160:gather']);
+    assert.equal(queryJournal(dataDir, { from: 150 })[0].segment, listSegments(dataDir)[1].name);
+  });
+});
+
+describe('pruneJournal', () => {
+  let dataDir, names;
+  beforeEach(() => {
+    dataDir = mkdtempSync(join(tmpdir(), 'oasis-journal-'));
+    const { journal, at } = setup(dataDir);
+    names = [0, 144, 288, 432].map(t => { at(t); return journal.startSegment(snapshot(t), 'day'); });
+  });
+  afterEach(() => rmSync(dataDir, { recursive: true, force: true }));
+
+  it('keeps the newest segments, checkpoints and all', () => {
+    assert.deepEqual(pruneJournal(dataDir, { keep: 2 }), { removed: names.slice(0, 2), archives: 0 });
+    assert.deepEqual(listSegments(dataDir).map(s => s.name), names.slice(2));
+    assert.equal(readdirSync(journalDir(dataDir)).filter(f => f.endsWith('.json')).length, 2);
+  });
+
+  it('drops segments that end by a tick, but never the one being written', () => {
+    assert.deepEqual(pruneJournal(dataDir, { before: 288 }).removed, names.slice(0, 2));
+    assert.deepEqual(pruneJournal(dataDir, { before: 10000 }).removed, [names[2]]);
+    assert.deepEqual(listSegments(dataDir).map(s => s.name), [names[3]]);
+  });
+
+  it('deletes archived timelines only when asked', () => {
+    mkdirSync(join(journalDir(dataDir), 'archive', '1'), { recursive: true });
+    assert.equal(pruneJournal(dataDir).archives, 0);
+    assert.equal(pruneJournal(dataDir, { archives: true }).archives, 1);
+    assert.equal(existsSync(join(journalDir(dataDir), 'archive')), false);
+  });
+});
@@ -1,8 +1,6 @@
 // Knowledge System — Phase 3
 // Agents learn through doing. Knowledge dies with them (unless written down).
 
-import crypto from 'crypto';
-
 // Zone secrets revealed at gather/visit/craft/trade milestones
 const ZONE_SECRETS = {
   cave: [
@@ -72,7 +70,12 @@ const LORE_FRAGMENTS = [
 ];
 
 export function initKnowledge(shared) {
-  const { loadJSON, saveJSON, agents, agentStore, ensureAgentStats, broadcast, addWorldNews, zones, awardXP, recipes } = shared;
+  const { loadJSON, saveJSON, agents, agentStore, ensureAgentStats, broadcast, addWorldNews, zones, awardXP, recipes, clock } = shared;
+  const rng = shared.rng.stream('knowledge');
+
+  const DECAY_GRACE_TICKS = clock.days(3);
+  const TEACH_COOLDOWN_TICKS = clock.hours(1);
+  const OBSERVE_COOLDOWN_TICKS = clock.days(1);
 
   // Per-agent knowledge store
   let knowledge = loadJSON('knowledge.json', {});
@@ -81,7 +84,17 @@ export function initKnowledge(shared) {
   // Existing property knowledge from experiments
   const knownProperties = loadJSON('known-properties.json', {});
   // Teach cooldowns
-  const teachCooldowns = new Map();
+  const teachCooldowns = new Map(); // agentId -> tick of last lesson
+  migrateWallClockState();
+
+  /** Saves from before the tick clock stored Date.now() values — count those as practiced just now */
+  function migrateWallClockState() {
+    for (const k of Object.values(knowledge)) {
+      for (const entry of Object.values(k.mastery || {})) {
+        if (entry.last_practiced > 1e11) entry.last_practiced = clock.now();
+      }
+    }
+  }
 
   function save() { saveJSON('knowledge.json', knowledge); }
   function saveBooks() { saveJSON('library-books.json', libraryBooks); }
@@ -118,7 +131,7 @@ export function initKnowledge(shared) {
       value: Math.round(value * 1000) / 1000,
       generation: generation || 0,
       source: source || 'discovered',
-      last_practiced: Date.now(),
+      last_practiced: clock.now(),
     };
   }
 
@@ -127,7 +140,7 @@ export function initKnowledge(shared) {
     const k = ensureKnowledge(agentId);
     const masteryKey = `${type}:${key}`;
     if (k.mastery[masteryKey]) {
-      k.mastery[masteryKey].last_practiced = Date.now();
+      k.mastery[masteryKey].last_practiced = clock.now();
     }
   }
 
@@ -136,9 +149,7 @@ export function initKnowledge(shared) {
    *  Higher-generation knowledge decays faster.
    *  Entries dropping below 0.1 are forgotten entirely.
    */
-  function tickKnowledgeDecay(gameDayMs) {
-    const now = Date.now();
-    const gracePeriod = 3 * gameDayMs;
+  function tickKnowledgeDecay() {
     let changed = false;
 
     for (const [agentId, k] of Object.entries(knowledge)) {
@@ -149,9 +160,7 @@ export function initKnowledge(shared) {
       const keysToRemove = [];
 
       for (const [masteryKey, entry] of Object.entries(k.mastery)) {
-        const lastPracticed = entry.last_practiced || 0;
-        const idleTime = now - lastPracticed;
-        if (idleTime <= gracePeriod) continue;
+        if (clock.since(entry.last_practiced) <= DECAY_GRACE_TICKS) continue;
 
         const decayRate = 0.02 * (1 + (entry.generation || 0) * 0.3);
         entry.value = Math.max(0, entry.value - decayRate);
@@ -208,7 +217,6 @@ export function initKnowledge(shared) {
    *  Damage reduces mastery by 0.1. If mastery reaches 0, scroll is destroyed.
    */
   function tickScrollDamage(weatherSystem) {
-    const now = Date.now();
     let changed = false;
 
     for (const [agentId, agent] of agents) {
@@ -236,7 +244,7 @@ export function initKnowledge(shared) {
         if (item.name !== 'Inscribed Scroll' || !item.scroll_data) continue;
 
         // 5% chance per tick
-        if (Math.random() > 0.05) continue;
+        if (rng() > 0.05) continue;
 
         const { knowledge_type, knowledge_key } = item.scroll_data;
         const masteryKey = `${knowledge_type}:${knowledge_key}`;
@@ -328,7 +336,7 @@ export function initKnowledge(shared) {
     const k = ensureKnowledge(agentId);
     const unknown = LORE_FRAGMENTS.filter(f => !k.lore_fragments.includes(f));
     if (unknown.length === 0) return null;
-    const fragment = unknown[Math.floor(Math.random() * unknown.length)];
+    const fragment = unknown[Math.floor(rng() * unknown.length)];
     k.lore_fragments.push(fragment);
     save();
     return fragment;
@@ -356,7 +364,7 @@ export function initKnowledge(shared) {
       const unknown = allKeys.filter(k => !known.includes(k));
       if (unknown.length === 0) continue;
 
-      const toReveal = unknown.sort(() => Math.random() - 0.5).slice(0, 1 + Math.floor(Math.random() * 2));
+      const toReveal = unknown.sort(() => rng() - 0.5).slice(0, 1 + Math.floor(rng() * 2));
       known.push(...toReveal);
       studied.push({ item: item.name, revealed: toReveal });
     }
@@ -381,11 +389,11 @@ export function initKnowledge(shared) {
     if ((teacher.energy ?? 100) < 15) return { error: 'Not enough energy to teach (need 15)' };
     if ((target.energy ?? 100) < 10) return { error: 'Student doesn\'t have enough energy (need 10)' };
 
-    // Cooldown: 5 minutes (approx 1 game hour)
-    const now = Date.now();
-    const lastTeach = teachCooldowns.get(teacher.id) || 0;
-    if (now - lastTeach < 300000) {
-      return { error: `Teaching cooldown: ${Math.ceil((300000 - (now - lastTeach)) / 1000)}s remaining` };
+    // Cooldown: 1 game hour
+    const now = clock.now();
+    if (teachCooldowns.has(teacher.id) && now - teachCooldowns.get(teacher.id) < TEACH_COOLDOWN_TICKS) {
+      const left = TEACH_COOLDOWN_TICKS - (now - teachCooldowns.get(teacher.id));
+      return { error: `Teaching cooldown: ${left * clock.MINUTES_PER_TICK} game minutes remaining` };
     }
 
     const tk = ensureKnowledge(teacher.id);
@@ -536,7 +544,7 @@ export function initKnowledge(shared) {
     const scrollGeneration = (masteryData.generation || 0) + 1;
 
     // Create scroll item with embedded knowledge
-    const scrollId = 'item_' + crypto.randomBytes(4).toString('hex');
+    const scrollId = 'item_' + rng.hex(4);
     const scrollItemResult = {
       id: scrollId,
       name: 'Inscribed Scroll',
@@ -687,7 +695,7 @@ export function initKnowledge(shared) {
   }
 
   // --- Observation Learning ---
-  // Cooldowns: Map<"observerId:knowledgeKey", timestamp>
+  // Cooldowns: Map<"observerId:knowledgeKey", tick>
   const observationCooldowns = new Map();
 
   /**
@@ -699,7 +707,7 @@ export function initKnowledge(shared) {
    * @returns {Array} list of agents who learned something
    */
   function onObservableAction(actingAgent, knowledgeType, knowledgeKey) {
-    const now = Date.now();
+    const now = clock.now();
     const zone = actingAgent.zone;
     const observers = [];
 
@@ -711,9 +719,8 @@ export function initKnowledge(shared) {
     for (const observer of nearby) {
       const cooldownKey = `${observer.id}:${knowledgeType}:${knowledgeKey}`;
 
-      // Cooldown: 1 observation attempt per knowledge item per game day (1 real hour)
-      const lastAttempt = observationCooldowns.get(cooldownKey) || 0;
-      if (now - lastAttempt < 60 * 60 * 1000) continue;
+      // Cooldown: 1 observation attempt per knowledge item per game day
+      if (observationCooldowns.has(cooldownKey) && now - observationCooldowns.get(cooldownKey) < OBSERVE_COOLDOWN_TICKS) continue;
       observationCooldowns.set(cooldownKey, now);
 
       // Check if observer already knows this
@@ -735,7 +742,7 @@ export function initKnowledge(shared) {
         chance = Math.min(chance, 0.9);
       }
 
-      if (Math.random() > chance) continue;
+      if (rng() > chance) continue;
 
       // Transfer knowledge at 0.3x mastery
       let learned = false;
@@ -775,7 +782,7 @@ export function initKnowledge(shared) {
     if (observers.length > 0) save();
 
     // Clean old cooldowns periodically (every ~100 calls)
-    if (Math.random() < 0.01) {
+    if (rng() < 0.01) {
       for (const [key, ts] of observationCooldowns) {
         if (now - ts > 2 * 60 * 60 * 1000) observationCooldowns.delete(key);
       }
@@ -798,7 +805,7 @@ export function initKnowledge(shared) {
     agent.energy = Math.max(0, (agent.energy ?? 100) - 20);
 
     const book = {
-      id: 'book_' + crypto.randomBytes(4).toString('hex'),
+      id: 'book_' + rng.hex(4),
       title,
       author: agent.name,
       authorId: agent.id,
@@ -918,20 +925,20 @@ export function initKnowledge(shared) {
     const k = ensureKnowledge(agent.id);
 
     // Sage writes books periodically
-    if (npcDef.name === 'Sage' && agent.zone === 'forest' && Math.random() < 0.15) {
+    if (npcDef.name === 'Sage' && agent.zone === 'forest' && rng() < 0.15) {
       // Pick something Sage knows to write about
       const allLore = k.lore_fragments || [];
       const allSecrets = Object.entries(k.zone_secrets || {}).flatMap(([z, texts]) => texts.map(t => ({ zone: z, text: t })));
 
-      if (allLore.length > 0 && Math.random() < 0.5) {
-        const lore = allLore[Math.floor(Math.random() * allLore.length)];
+      if (allLore.length > 0 && rng() < 0.5) {
+        const lore = allLore[Math.floor(rng() * allLore.length)];
         // Check if already written
         const alreadyWritten = libraryBooks.some(b => b.authorId === agent.id && b.content === lore);
         if (!alreadyWritten) {
           writeBook(agent, `Sage's Wisdom: ${lore.slice(0, 40)}...`, 'lore', lore);
         }
       } else if (allSecrets.length > 0) {
-        const secret = allSecrets[Math.floor(Math.random() * allSecrets.length)];
+        const secret = allSecrets[Math.floor(rng() * allSecrets.length)];
         const content = `${secret.zone}:${secret.text}`;
         const alreadyWritten = libraryBooks.some(b => b.authorId === agent.id && b.content === content);
         if (!alreadyWritten) {
@@ -941,13 +948,13 @@ export function initKnowledge(shared) {
     }
 
     // Ember teaches cave secrets to agents in cave
-    if (npcDef.name === 'Ember' && agent.zone === 'cave' && Math.random() < 0.1) {
+    if (npcDef.name === 'Ember' && agent.zone === 'cave' && rng() < 0.1) {
       const caveSecrets = k.zone_secrets?.cave || [];
       if (caveSecrets.length > 0) {
         const nearbyAgents = Array.from(agents.values()).filter(a => a.id !== agent.id && a.zone === 'cave' && !a.npc);
         if (nearbyAgents.length > 0) {
-          const target = nearbyAgents[Math.floor(Math.random() * nearbyAgents.length)];
-          const secret = caveSecrets[Math.floor(Math.random() * caveSecrets.length)];
+          const target = nearbyAgents[Math.floor(rng() * nearbyAgents.length)];
+          const secret = caveSecrets[Math.floor(rng() * caveSecrets.length)];
           const targetK = ensureKnowledge(target.id);
           if (!targetK.zone_secrets.cave || !targetK.zone_secrets.cave.includes(secret)) {
             teach(agent, target.id, 'zone_secret', `cave:${secret}`);
@@ -957,7 +964,7 @@ export function initKnowledge(shared) {
     }
 
     // NPCs teach other NPCs they have good relationships with
-    if (Math.random() < 0.05 && shared.relationships) {
+    if (rng() < 0.05 && shared.relationships) {
       const rels = shared.relationships.getRelationshipsFor(agent.id);
       const friendlyNPCs = rels
         .filter(r => (r.sentiment === 'friendly' || r.sentiment === 'close') && r.agentId !== agent.id)
@@ -965,11 +972,11 @@ export function initKnowledge(shared) {
         .filter(a => a && a.npc && a.zone === agent.zone);
 
       if (friendlyNPCs.length > 0) {
-        const target = friendlyNPCs[Math.floor(Math.random() * friendlyNPCs.length)];
+        const target = friendlyNPCs[Math.floor(rng() * friendlyNPCs.length)];
         // Share a random piece of knowledge
         const myLore = k.lore_fragments || [];
         if (myLore.length > 0) {
-          const lore = myLore[Math.floor(Math.random() * myLore.length)];
+          const lore = myLore[Math.floor(rng() * myLore.length)];
           const targetK = ensureKnowledge(target.id);
           if (!targetK.lore_fragments.includes(lore)) {
             teach(agent, target.id, 'lore', lore);
@@ -1140,3 +1147,12 @@ export function initKnowledge(shared) {
     LORE_FRAGMENTS,
   };
 }
+
+export const plugin = {
+  name: 'knowledge',
+  aliases: ['knowledgeSystem'],
+  deps: ['relationships', 'proficiency'],
+  init: initKnowledge,
+  routes: 'agent',
+  files: ['knowledge.json', 'known-properties.json', 'library-books.json'],
+};
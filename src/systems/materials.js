@@ -305,8 +305,9 @@ export function attachProperties(item) {
 
 /**
  * Generate properties for a new/unknown item by averaging inputs and adding noise.
+ * Pass a seeded `rng` stream to keep results reproducible.
  */
-export function computeDerivedProperties(inputItems, overrides = {}) {
+export function computeDerivedProperties(inputItems, overrides = {}, rng = Math.random) {
   const result = {};
   for (const key of Object.keys(PROPERTIES)) {
     const values = inputItems.map(i => {
@@ -315,7 +316,7 @@ export function computeDerivedProperties(inputItems, overrides = {}) {
     });
     const avg = values.reduce((s, v) => s + v, 0) / values.length;
     // +/-15% randomness
-    const noise = 1 + (Math.random() * 0.3 - 0.15);
+    const noise = 1 + (rng() * 0.3 - 0.15);
     const val = avg * noise;
     const { min, max } = PROPERTIES[key];
     result[key] = Math.round(Math.min(max, Math.max(min, val)) * 100) / 100;
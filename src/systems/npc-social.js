@@ -1,14 +1,16 @@
 // NPC Social: Trading, Conversations, Bounties
-import crypto from 'crypto';
 
-export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAgentStats, broadcast, addWorldNews, zones, awardXP, recipes, relationships, reputation }) {
+export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAgentStats, broadcast, addWorldNews, zones, awardXP, recipes, relationships, reputation, rng: rngService, clock }) {
+  const rng = rngService.stream('npcSocial');
+  const REPLY_WINDOW_TICKS = clock.hours(1);
+
   // --- Bounty Board ---
   let bounties = loadJSON('bounties.json', []);
   function saveBounties() { saveJSON('bounties.json', bounties); }
 
   // --- Conversation Memory ---
   let conversationPairs = loadJSON('conversation-pairs.json', []);
-  let lastChatByAgent = {}; // agentId -> { message, zone, timestamp }
+  let lastChatByAgent = {}; // agentId -> { message, zone, tick }
 
   // Crafting ingredients all NPCs might need
   const CRAFT_INGREDIENTS = new Set();
@@ -21,15 +23,15 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
     const nearbyNPCs = allNPCs.filter(n => n.id !== agent.id && n.zone === agent.zone);
     if (nearbyNPCs.length === 0) return false;
 
-    const target = nearbyNPCs[Math.floor(Math.random() * nearbyNPCs.length)];
+    const target = nearbyNPCs[Math.floor(rng() * nearbyNPCs.length)];
     ensureAgentStats(target);
 
     // Flint tries to buy cheap
     if (npcDef.name === 'Flint') {
       const sellable = target.inventory.filter(i => i.quantity > 1 || target.inventory.length > 15);
       if (sellable.length === 0) return false;
-      const item = sellable[Math.floor(Math.random() * sellable.length)];
-      const price = Math.floor(5 + Math.random() * 10); // low price
+      const item = sellable[Math.floor(rng() * sellable.length)];
+      const price = Math.floor(5 + rng() * 10); // low price
 
       // Target accepts if they have surplus
       if (target.inventory.length <= 15 && !(item.quantity > 3)) return false;
@@ -40,7 +42,7 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
       target.coins = (target.coins || 0) + price;
       agent.coins = (agent.coins || 0) - price;
 
-      const boughtItem = { ...item, id: 'item_' + crypto.randomBytes(4).toString('hex'), quantity: 1 };
+      const boughtItem = { ...item, id: 'item_' + rng.hex(4), quantity: 1 };
       const existing = agent.inventory.findIndex(i => i.name === boughtItem.name && i.stackable);
       if (existing !== -1) agent.inventory[existing].quantity++;
       else agent.inventory.push(boughtItem);
@@ -64,12 +66,12 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
     const surplus = agent.inventory.filter(i => !CRAFT_INGREDIENTS.has(i.name) || (i.quantity && i.quantity > 2));
     if (surplus.length === 0) return false;
 
-    const item = surplus[Math.floor(Math.random() * surplus.length)];
+    const item = surplus[Math.floor(rng() * surplus.length)];
     // Target accepts if they need it for crafting
     const targetNeeds = recipes.some(r => r.ingredients.some(ing => ing.name === item.name));
-    if (!targetNeeds && Math.random() > 0.3) return false;
+    if (!targetNeeds && rng() > 0.3) return false;
 
-    const price = Math.floor(8 + Math.random() * 15);
+    const price = Math.floor(8 + rng() * 15);
     if ((target.coins || 0) < price) return false;
 
     // Execute
@@ -78,7 +80,7 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
     agent.coins = (agent.coins || 0) + price;
     target.coins -= price;
 
-    const soldItem = { ...item, id: 'item_' + crypto.randomBytes(4).toString('hex'), quantity: 1 };
+    const soldItem = { ...item, id: 'item_' + rng.hex(4), quantity: 1 };
     const ex = target.inventory.findIndex(i => i.name === soldItem.name && i.stackable);
     if (ex !== -1) target.inventory[ex].quantity++;
     else target.inventory.push(soldItem);
@@ -162,8 +164,8 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
     for (const nearby of nearbyNPCs) {
       const lastChat = lastChatByAgent[nearby.id];
       if (!lastChat || lastChat.zone !== agent.zone) continue;
-      if (Date.now() - lastChat.timestamp > 300000) continue; // 5 min window
-      if (Math.random() > 0.3) continue;
+      if (clock.since(lastChat.tick) > REPLY_WINDOW_TICKS) continue;
+      if (rng() > 0.3) continue;
       
       // Check if we already replied to this
       const pairKey = `${agent.id}_${nearby.id}_${lastChat.message.substring(0, 20)}`;
@@ -175,7 +177,7 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
       const topic = getContextTopic(lastChat.message);
       if (topic && CONTEXTUAL_REPLIES[topic]) {
         const replies = CONTEXTUAL_REPLIES[topic];
-        const reply = replies[Math.floor(Math.random() * replies.length)];
+        const reply = replies[Math.floor(rng() * replies.length)];
         if (relationships) relationships.recordChat(agent.id, nearby.id);
         return `@${nearby.name} ${reply}`;
       }
@@ -188,11 +190,11 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
         `Hey @${nearby.name}, got any spare items?`
       ];
       if (relationships) relationships.recordChat(agent.id, nearby.id);
-      return genericReplies[Math.floor(Math.random() * genericReplies.length)];
+      return genericReplies[Math.floor(rng() * genericReplies.length)];
     }
 
     // Comment on weather (20% chance)
-    if (currentWeather && currentWeather.id !== 'clear' && Math.random() < 0.2) {
+    if (currentWeather && currentWeather.id !== 'clear' && rng() < 0.2) {
       const weatherComments = WEATHER_COMMENTS[currentWeather.id];
       if (weatherComments && weatherComments[npcDef.name]) {
         return weatherComments[npcDef.name];
@@ -200,15 +202,15 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
     }
 
     // Comment on active events (25% chance)
-    if (activeEvents && activeEvents.length > 0 && Math.random() < 0.25) {
+    if (activeEvents && activeEvents.length > 0 && rng() < 0.25) {
       const event = activeEvents[0];
       const comments = EVENT_COMMENTS[event.id] || EVENT_COMMENTS[event.effect];
-      if (comments) return comments[Math.floor(Math.random() * comments.length)];
+      if (comments) return comments[Math.floor(rng() * comments.length)];
     }
 
     // Mention a nearby NPC (15% chance)
-    if (nearbyNPCs.length > 0 && Math.random() < 0.15) {
-      const other = nearbyNPCs[Math.floor(Math.random() * nearbyNPCs.length)];
+    if (nearbyNPCs.length > 0 && rng() < 0.15) {
+      const other = nearbyNPCs[Math.floor(rng() * nearbyNPCs.length)];
       const otherDef = allNPCs.find(n => n.id === other.id);
       const mentions = [
         `Hey @${other.name}, how's it going?`,
@@ -218,15 +220,15 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
         `Nice day for adventuring, right @${other.name}?`
       ];
       if (relationships) relationships.recordChat(agent.id, other.id);
-      return mentions[Math.floor(Math.random() * mentions.length)];
+      return mentions[Math.floor(rng() * mentions.length)];
     }
 
     // Fall back to default chat messages
-    return npcDef.chatMessages[Math.floor(Math.random() * npcDef.chatMessages.length)];
+    return npcDef.chatMessages[Math.floor(rng() * npcDef.chatMessages.length)];
   }
 
   function recordChat(agentId, message, zone) {
-    lastChatByAgent[agentId] = { message, zone, timestamp: Date.now() };
+    lastChatByAgent[agentId] = { message, zone, tick: clock.now() };
   }
 
   // --- Bounty Board ---
@@ -243,7 +245,7 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
     saveJSON('agents.json', agentStore);
 
     const bounty = {
-      id: 'bounty_' + crypto.randomBytes(4).toString('hex'),
+      id: 'bounty_' + rng.hex(4),
       posterId: agentId, posterName: agentName,
       description, requiredItem, requiredQuantity: requiredQuantity || 1,
       rewardCoins, postingFee,
@@ -294,7 +296,7 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
       const existing = poster.inventory.findIndex(i => i.name === bounty.requiredItem && i.stackable);
       if (existing !== -1) poster.inventory[existing].quantity += bounty.requiredQuantity;
       else poster.inventory.push({
-        id: 'item_' + crypto.randomBytes(4).toString('hex'),
+        id: 'item_' + rng.hex(4),
         name: bounty.requiredItem, type: 'material', rarity: 'Common',
         description: `From bounty`, stackable: true, quantity: bounty.requiredQuantity
       });
@@ -335,7 +337,7 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
   // NPC bounty behavior
   function npcPostBounty(agent, npcDef) {
     // NPCs post bounties for crafting materials they need
-    if (Math.random() > 0.3) return false;
+    if (rng() > 0.3) return false;
     if ((agent.coins || 0) < 30) return false;
 
     // Find a recipe this NPC wants to craft
@@ -347,7 +349,7 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
         const have = invItem ? (invItem.quantity || 1) : 0;
         if (have < ing.quantity) {
           const needed = ing.quantity - have;
-          const reward = 15 + Math.floor(Math.random() * 20);
+          const reward = 15 + Math.floor(rng() * 20);
           // Check no duplicate active bounty
           const existing = bounties.find(b => b.status === 'active' && b.posterId === agent.id && b.requiredItem === ing.name);
           if (existing) continue;
@@ -405,3 +407,11 @@ export function initNPCSocial({ loadJSON, saveJSON, agents, agentStore, ensureAg
     npcPostBounty, npcClaimBounty
   };
 }
+
+export const plugin = {
+  name: 'npcSocial',
+  deps: ['relationships', 'reputation'],
+  init: initNPCSocial,
+  routes: 'agent',
+  files: ['bounties.json', 'conversation-pairs.json'],
+};
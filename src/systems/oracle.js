@@ -123,6 +123,9 @@ export function initOracle(shared) {
     if (!apiKey) {
       return { consulted: false, reason: 'No API key configured' };
     }
+    if (shared.journal?.replaying) {
+      return { consulted: false, reason: 'Oracle is not consulted during replay' };
+    }
 
     // Rate limiting
     const rateCheck = checkRateLimit(agent.id);
@@ -286,3 +289,10 @@ What happens when ${force} is applied to these items?`;
     setupRoutes,
   };
 }
+
+export const plugin = {
+  name: 'oracle',
+  init: initOracle,
+  routes: 'agent',
+  files: ['oracle-recipes.json'],
+};
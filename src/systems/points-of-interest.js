@@ -0,0 +1,74 @@
+// Points of Interest — the blueprint's landmarks, structures and settlements, in play
+// The world adapter places them on open ground (worldGrid.pointsOfInterest, poisNear; see
+// "Regions & points of interest" in src/world-adapter.js); this system remembers who has found
+// which and rewards finding them. The first agent to reach one makes the news.
+
+const REACH = 1;       // agents find a point of interest on its tile or an adjacent one
+const FIRST_XP = 25;   // first in the world to find it
+const VISIT_XP = 8;    // found it after someone else
+
+export function initPointsOfInterest(shared) {
+  const { worldGrid, loadJSON, saveJSON, addWorldNews, awardXP, journal, broadcast, clock } = shared;
+
+  // { [poiId]: { by, name, tick, visitors: [agentId, …] } } — by/name: the first to find it
+  const FILE = 'poi-discoveries.json';
+  const discoveries = loadJSON(FILE, {});
+
+  function hasDiscovered(agentId, poiId) {
+    return discoveries[poiId]?.visitors.includes(agentId) ?? false;
+  }
+
+  /** Find every point of interest in reach of the agent that it hasn't found yet. Returns them, with `first`. */
+  function discoverAt(agent) {
+    if ((agent.z ?? 0) !== 0) return [];
+    const found = [];
+    for (const poi of worldGrid.poisNear?.(agent.tileX, agent.tileY, REACH) ?? []) {
+      if (hasDiscovered(agent.id, poi.id)) continue;
+      const first = !discoveries[poi.id];
+      discoveries[poi.id] ??= { by: agent.id, name: agent.name, tick: clock.now(), visitors: [] };
+      discoveries[poi.id].visitors.push(agent.id);
+
+      journal.record('poi', { agentId: agent.id, poi: poi.id, first });
+      awardXP(agent.id, first ? FIRST_XP : VISIT_XP);
+      if (shared.achievements) shared.achievements.trackEvent(agent.id, 'discover_tile', { poi: poi.id });
+      if (first) {
+        const region = worldGrid.getRegion(poi.x, poi.y)?.name;
+        addWorldNews('discovery', agent.id, agent.name,
+          `${agent.name} discovered ${poi.name}${region ? ` in ${region}` : ''} — ${poi.description}`, agent.zone);
+        broadcast({ type: 'poi_discovered', poiId: poi.id, agentId: agent.id, name: poi.name, x: poi.x, y: poi.y });
+      }
+      found.push({ ...poi, first });
+    }
+    if (found.length) saveJSON(FILE, discoveries);
+    return found;
+  }
+
+  /** Every point of interest, with who found it first and how many have been there */
+  function list() {
+    return (worldGrid.pointsOfInterest || []).map(poi => ({
+      ...poi,
+      discoveredBy: discoveries[poi.id]?.name ?? null,
+      visitors: discoveries[poi.id]?.visitors.length ?? 0,
+    }));
+  }
+
+  function setupRoutes(app) {
+    app.get('/api/world/pois', (req, res) => {
+      res.json(list());
+    });
+  }
+
+  return {
+    hasDiscovered,
+    discoverAt,
+    list,
+    setupRoutes,
+  };
+}
+
+export const plugin = {
+  name: 'pointsOfInterest',
+  init: (shared) => initPointsOfInterest(shared),
+  routes: 'public',
+  files: ['poi-discoveries.json'],
+};
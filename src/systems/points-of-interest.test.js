@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initPointsOfInterest } from './points-of-interest.js';
+
+const POIS = [
+  { id: 'r-1-0:0', name: 'Old Well', description: 'A well.', x: 10, y: 10 },
+  { id: 'r-1-0:1', name: 'Mill', description: 'A mill.', x: 30, y: 10 },
+];
+
+/** The system over a stand-in world holding POIS, persisting to `files` */
+function setup(files = new Map()) {
+  const xp = [], news = [];
+  const shared = {
+    worldGrid: {
+      pointsOfInterest: POIS,
+      poisNear: (x, y, r) => POIS.filter(p => Math.max(Math.abs(p.x - x), Math.abs(p.y - y)) <= r),
+      getRegion: () => ({ name: 'Greenmere' }),
+    },
+    loadJSON: (file, fallback) => files.has(file) ? JSON.parse(files.get(file)) : fallback,
+    saveJSON: (file, data) => files.set(file, JSON.stringify(data)),
+    addWorldNews: (type, agentId, name, text) => news.push(text),
+    awardXP: (agentId, n) => xp.push([agentId, n]),
+    journal: { record() {} },
+    broadcast() {},
+    clock: { now: () => 42 },
+  };
+  return { pois: initPointsOfInterest(shared), xp, news, files };
+}
+
+const at = (id, x, y, z = 0) => ({ id, name: id.toUpperCase(), tileX: x, tileY: y, z });
+
+describe('points of interest', () => {
+  it('credits the first to find one, and makes the news', () => {
+    const { pois, xp, news } = setup();
+    const found = pois.discoverAt(at('a1', 11, 9));
+    assert.deepEqual(found.map(p => [p.id, p.first]), [['r-1-0:0', true]]);
+    assert.deepEqual(xp, [['a1', 25]]);
+    assert.deepEqual(news, ['A1 discovered Old Well in Greenmere — A well.']);
+    assert.equal(pois.hasDiscovered('a1', 'r-1-0:0'), true);
+  });
+
+  it('rewards later visitors less, and nobody twice', () => {
+    const { pois, xp, news } = setup();
+    pois.discoverAt(at('a1', 10, 10));
+    assert.deepEqual(pois.discoverAt(at('a1', 10, 10)), []);
+    assert.deepEqual(pois.discoverAt(at('a2', 10, 11)).map(p => p.first), [false]);
+    assert.deepEqual(xp, [['a1', 25], ['a2', 8]]);
+    assert.equal(news.length, 1);
+    assert.deepEqual(pois.list().map(p => [p.discoveredBy, p.visitors]), [['A1', 2], [null, 0]]);
+  });
+
+  it('is only found from the surface, close by', () => {
+    const { pois } = setup();
+    assert.deepEqual(pois.discoverAt(at('a1', 12, 10)), []);
+    assert.deepEqual(pois.discoverAt(at('a1', 10, 10, -1)), []);
+  });
+
+  it('remembers who found what', () => {
+    const { pois, files } = setup();
+    pois.discoverAt(at('a1', 30, 10));
+    const again = setup(files).pois;
+    assert.equal(again.hasDiscovered('a1', 'r-1-0:1'), true);
+    assert.equal(again.list()[1].discoveredBy, 'A1');
+  });
+});
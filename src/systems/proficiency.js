@@ -508,3 +508,9 @@ export function initProficiency({ loadJSON, saveJSON, agents, agentStore }) {
 // Export constants for testing
 export { DOMAINS, DOMAIN_NAMES, MAX_LEVEL, LEVEL_THRESHOLDS, buildLevelThresholds, ACTION_DOMAIN_MAP };
 export { METAL_ITEMS, WOOD_ITEMS, PLANT_ITEMS, SCROLL_ITEMS, MINERAL_ITEMS, FOOD_ITEMS };
+
+export const plugin = {
+  name: 'proficiency',
+  init: initProficiency,
+  files: ['proficiency.json', 'grandmasters.json'],
+};
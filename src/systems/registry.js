@@ -0,0 +1,166 @@
+// System Registry — plugin wiring for every game system
+// Each system module exports a `plugin` descriptor declaring what it needs and what it hooks:
+//
+//   export const plugin = {
+//     name: 'survival',                     // key on `shared` (plus any `aliases`)
+//     deps: ['weather'],                    // initialized first; unknown deps or cycles throw
+//     init: (shared) => initSurvival(shared),
+//     tick: [{ phase: 'agent', hook: 'tickEnergy' }],
+//     routes: 'agent',                      // 'public' | 'agent' (needs authAgent) | omitted
+//     files: [],                            // data files the system persists
+//   };
+//
+// Tick phases run in order every tick: 'world' (once), 'agent' (once per living agent),
+// 'periodic' (once, only on ticks divisible by `every`). `every` applies to any phase.
+// A hook's arguments default to [agent] in the agent phase and [] elsewhere; override with
+// `args: ({ shared, agent, tick }) => [...]`. Async hooks are awaited before the next one runs.
+
+export const TICK_PHASES = ['world', 'agent', 'periodic'];
+
+export function initRegistry() {
+  const plugins = new Map();   // name -> descriptor
+  const instances = {};        // name -> initialized system
+  const hooks = { world: [], agent: [], periodic: [] };
+  const missing = [];          // { system, hook, phase }
+  const errors = {};           // name -> { count, last }
+  let order = [];
+
+  function register(plugin) {
+    if (!plugin?.name || typeof plugin.init !== 'function') {
+      throw new Error(`Invalid system plugin: ${plugin?.name || '(unnamed)'}`);
+    }
+    if (plugins.has(plugin.name)) throw new Error(`System "${plugin.name}" registered twice`);
+    for (const t of plugin.tick || []) {
+      if (!TICK_PHASES.includes(t.phase)) throw new Error(`System "${plugin.name}": unknown tick phase "${t.phase}"`);
+    }
+    plugins.set(plugin.name, plugin);
+  }
+
+  /** Dependency order — registration order wherever the deps allow it */
+  function resolve() {
+    const resolved = [];
+    const state = new Map(); // name -> 'visiting' | 'done'
+
+    function visit(name, from) {
+      const plugin = plugins.get(name);
+      if (!plugin) throw new Error(`System "${from}" depends on unknown system "${name}"`);
+      if (state.get(name) === 'done') return;
+      if (state.get(name) === 'visiting') throw new Error(`Dependency cycle through system "${name}"`);
+      state.set(name, 'visiting');
+      for (const dep of plugin.deps || []) visit(dep, name);
+      state.set(name, 'done');
+      resolved.push(name);
+    }
+
+    for (const name of plugins.keys()) visit(name, name);
+    return resolved;
+  }
+
+  /** Initialize every registered system onto `shared`, then index its tick hooks */
+  function initAll(shared) {
+    order = resolve();
+
+    for (const name of order) {
+      const plugin = plugins.get(name);
+      const instance = plugin.init(shared);
+      instances[name] = instance;
+      shared[name] = instance;
+      for (const alias of plugin.aliases || []) shared[alias] = instance;
+    }
+
+    for (const name of order) {
+      const plugin = plugins.get(name);
+      const instance = instances[name];
+      for (const t of plugin.tick || []) {
+        if (typeof instance?.[t.hook] !== 'function') {
+          missing.push({ system: name, hook: t.hook, phase: t.phase });
+          continue;
+        }
+        hooks[t.phase].push({ system: name, instance, hook: t.hook, every: t.every || 1, args: t.args });
+      }
+      if (plugin.routes && typeof instance?.setupRoutes !== 'function') {
+        missing.push({ system: name, hook: 'setupRoutes', phase: 'routes' });
+      }
+    }
+
+    for (const m of missing) console.warn(`   ⚠️  ${m.system}: missing ${m.phase} hook ${m.hook}()`);
+    return instances;
+  }
+
+  /** Run one phase's hooks. Errors are logged per system and never stop the tick. */
+  async function runPhase(phase, { shared, tick, agent } = {}) {
+    for (const h of hooks[phase]) {
+      if (tick % h.every !== 0) continue;
+      try {
+        const args = h.args ? h.args({ shared, agent, tick }) : (phase === 'agent' ? [agent] : []);
+        const result = h.instance[h.hook](...args);
+        if (result && typeof result.then === 'function') await result;
+      } catch (err) {
+        const e = errors[h.system] || (errors[h.system] = { count: 0, last: null });
+        e.count++;
+        e.last = { tick, hook: h.hook, message: err.message };
+        console.error(`❌ [${h.system}] ${h.hook}() failed at tick ${tick}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Mount every system's routes. 'agent' routes are skipped until an authAgent exists; systems
+   * mount their admin routes only when given an authAdmin.
+   */
+  function setupRoutes(app, authAgent, authAdmin) {
+    const skipped = [];
+    for (const name of order) {
+      const plugin = plugins.get(name);
+      const instance = instances[name];
+      if (!plugin.routes || typeof instance?.setupRoutes !== 'function') continue;
+      if (plugin.routes === 'agent' && !authAgent) { skipped.push(name); continue; }
+      instance.setupRoutes(app, authAgent, authAdmin);
+    }
+    if (skipped.length) console.warn(`   ⚠️  Routes not mounted (no authAgent): ${skipped.join(', ')}`);
+    return skipped;
+  }
+
+  /** Stop every system's timers (systems opt in with a dispose() method) */
+  function dispose() {
+    for (const name of [...order].reverse()) instances[name]?.dispose?.();
+  }
+
+  /** Every data file any system persists */
+  function persistedFiles() {
+    const files = new Set();
+    for (const plugin of plugins.values()) for (const f of plugin.files || []) files.add(f);
+    return [...files];
+  }
+
+  function report() {
+    return {
+      order,
+      systems: order.map(name => {
+        const plugin = plugins.get(name);
+        return {
+          name,
+          deps: plugin.deps || [],
+          tick: (plugin.tick || []).map(t => ({ phase: t.phase, hook: t.hook, every: t.every || 1 })),
+          routes: plugin.routes || null,
+          files: plugin.files || [],
+          errors: errors[name] || null,
+        };
+      }),
+      missing,
+    };
+  }
+
+  return {
+    register,
+    resolve,
+    initAll,
+    runPhase,
+    setupRoutes,
+    dispose,
+    persistedFiles,
+    report,
+    get: (name) => instances[name],
+    systems: instances,
+  };
+}
@@ -102,3 +102,10 @@ export function initRelationships({ loadJSON, saveJSON, agents }) {
 
   return { setupRoutes, recordTrade, recordChat, recordGift, recordSameZone, getSentiment, getTradePriceModifier, getRelationshipsFor };
 }
+
+export const plugin = {
+  name: 'relationships',
+  init: initRelationships,
+  routes: 'public',
+  files: ['relationships.json'],
+};
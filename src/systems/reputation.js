@@ -75,3 +75,10 @@ export function initReputation({ loadJSON, saveJSON, agents, agentStore, ensureA
 
   return { setupRoutes, addRep, getRep, getGatherBonus, getZoneTitle, getRepLevel, ensureRep };
 }
+
+export const plugin = {
+  name: 'reputation',
+  init: initReputation,
+  routes: 'public',
+  files: ['reputation.json'],
+};
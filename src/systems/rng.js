@@ -0,0 +1,78 @@
+// Seeded RNG — reproducible randomness for the whole simulation
+// One world seed fans out into named per-system streams (Alea). Each system draws only
+// from its own stream, so adding a roll in one system never shifts another's sequence.
+// Same world + seed + spawn list → the same run, tick for tick.
+
+import Alea from 'alea';
+
+export function initRng({ loadJSON, saveJSON, seed }) {
+  const saved = loadJSON('rng.json', null);
+  const worldSeed = String(seed ?? saved?.seed ?? 'oasis');
+  // Stream states only carry over when the seed hasn't changed
+  const savedStreams = saved && saved.seed === worldSeed ? (saved.streams || {}) : {};
+
+  const streams = new Map(); // name -> Alea PRNG
+
+  function stream(name) {
+    if (streams.has(name)) return streams.get(name);
+    const prng = Alea(worldSeed, name);
+    if (savedStreams[name]) prng.importState(savedStreams[name]);
+
+    const rng = () => prng();
+    rng.int = (n) => Math.floor(prng() * n);
+    rng.pick = (arr) => arr[Math.floor(prng() * arr.length)];
+    rng.chance = (p) => prng() < p;
+    rng.shuffle = (arr) => {
+      const copy = [...arr];
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(prng() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+    };
+    /** Hex string of `bytes` random bytes — drop-in for crypto.randomBytes(n).toString('hex') */
+    rng.hex = (bytes = 4) => {
+      let out = '';
+      for (let i = 0; i < bytes; i++) out += Math.floor(prng() * 256).toString(16).padStart(2, '0');
+      return out;
+    };
+    /** RFC 4122-shaped v4 id drawn from the stream */
+    rng.uuid = () => {
+      const h = rng.hex(16);
+      const variant = ((parseInt(h[16], 16) & 0x3) | 0x8).toString(16);
+      return `${h.slice(0, 8)}-${h.slice(8, 12)}-4${h.slice(13, 16)}-${variant}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+    };
+    rng.exportState = () => prng.exportState();
+    rng.importState = (state) => prng.importState(state);
+
+    streams.set(name, rng);
+    return rng;
+  }
+
+  function exportState() {
+    const out = { ...savedStreams };
+    for (const [name, rng] of streams) out[name] = rng.exportState();
+    return { seed: worldSeed, streams: out };
+  }
+
+  function importState(state) {
+    if (!state || String(state.seed) !== worldSeed) return false;
+    for (const [name, s] of Object.entries(state.streams || {})) {
+      savedStreams[name] = s;
+      if (streams.has(name)) streams.get(name).importState(s);
+    }
+    return true;
+  }
+
+  function save() {
+    saveJSON('rng.json', exportState());
+  }
+
+  return {
+    seed: worldSeed,
+    stream,
+    exportState,
+    importState,
+    save,
+  };
+}
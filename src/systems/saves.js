@@ -0,0 +1,144 @@
+// Save Slots — atomic, versioned snapshots of the whole world
+// Systems keep persisting their own data/*.json files on their own schedules, so those files
+// can disagree after a crash. A snapshot captures every file's live state at one tick boundary
+// and writes it as a single document (temp file + rename), so a slot is always all-or-nothing.
+//
+// Snapshot layout:
+//   { schemaVersion, slot, savedAt, tick, seed, world: { width, height, seed }, files: { 'agents.json': …, … } }
+//
+// Bump SCHEMA_VERSION whenever the layout or any system's file format changes, and add a
+// MIGRATIONS entry that upgrades the previous version — old slots are migrated on load.
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, renameSync, unlinkSync, statSync } from 'fs';
+import { join, dirname } from 'path';
+
+export const SCHEMA_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a version-n snapshot to version n + 1
+const MIGRATIONS = {
+  // 0 → 1: early snapshots were a bare { filename: data } map with no envelope
+  0(snapshot) {
+    const files = snapshot.files || snapshot;
+    return {
+      schemaVersion: 1,
+      slot: snapshot.slot || null,
+      savedAt: snapshot.savedAt || null,
+      tick: files['tick.json']?.tick || 0,
+      seed: files['rng.json']?.seed ?? null,
+      world: snapshot.world || null,
+      files,
+    };
+  },
+};
+
+const SLOT_NAME = /^[A-Za-z0-9_-]{1,40}$/;
+const STATE_FILE = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*\.json$/; // top-level data/*.json only
+
+/** Write JSON via a temp file + rename so readers never see a half-written file */
+export function writeJSONAtomic(path, data, pretty = true) {
+  const dir = dirname(path);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+  renameSync(tmp, path);
+}
+
+/** Bring a snapshot of any known version up to SCHEMA_VERSION */
+export function migrateSnapshot(snapshot) {
+  let version = snapshot?.schemaVersion ?? 0;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Snapshot schema v${version} is newer than this server (v${SCHEMA_VERSION})`);
+  }
+  let migrated = snapshot;
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from snapshot schema v${version}`);
+    migrated = migrate(migrated);
+    version = migrated.schemaVersion = version + 1;
+  }
+  return migrated;
+}
+
+export function initSaves({ dataDir, savesDir = join(dataDir, 'saves') }) {
+  function slotPath(slot) {
+    if (!SLOT_NAME.test(slot || '')) throw new Error('Slot names are 1-40 letters, digits, - or _');
+    return join(savesDir, `${slot}.json`);
+  }
+
+  function write(slot, snapshot) {
+    const path = slotPath(slot);
+    const doc = { ...snapshot, schemaVersion: SCHEMA_VERSION, slot, savedAt: new Date().toISOString() };
+    writeJSONAtomic(path, doc, false);
+    return describe(slot, doc, statSync(path).size);
+  }
+
+  /** Read and migrate a slot. Returns null if it doesn't exist. */
+  function read(slot) {
+    const path = slotPath(slot);
+    if (!existsSync(path)) return null;
+    return migrateSnapshot(JSON.parse(readFileSync(path, 'utf-8')));
+  }
+
+  function remove(slot) {
+    const path = slotPath(slot);
+    if (!existsSync(path)) return false;
+    unlinkSync(path);
+    return true;
+  }
+
+  function list() {
+    if (!existsSync(savesDir)) return [];
+    const slots = [];
+    for (const file of readdirSync(savesDir)) {
+      if (!file.endsWith('.json')) continue;
+      const slot = file.slice(0, -5);
+      const path = join(savesDir, file);
+      try {
+        slots.push(describe(slot, JSON.parse(readFileSync(path, 'utf-8')), statSync(path).size));
+      } catch {
+        slots.push({ slot, error: 'Unreadable snapshot' });
+      }
+    }
+    return slots.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+  }
+
+  function describe(slot, doc, bytes) {
+    return {
+      slot,
+      schemaVersion: doc.schemaVersion ?? 0,
+      needsMigration: (doc.schemaVersion ?? 0) < SCHEMA_VERSION,
+      savedAt: doc.savedAt || null,
+      tick: doc.tick ?? null,
+      seed: doc.seed ?? null,
+      agents: Object.keys(doc.files?.['agents.json'] || {}).length,
+      files: Object.keys(doc.files || {}).length,
+      bytes,
+    };
+  }
+
+  /**
+   * Replace the data directory's state files with a snapshot's. State files the snapshot
+   * doesn't carry are removed so nothing stale leaks into the restored world.
+   */
+  function restore(snapshot) {
+    const files = snapshot.files || {};
+    for (const name of Object.keys(files)) {
+      if (!STATE_FILE.test(name)) throw new Error(`Refusing to restore unexpected file "${name}"`);
+    }
+    if (existsSync(dataDir)) {
+      for (const name of readdirSync(dataDir)) {
+        if (name.endsWith('.json') && !(name in files)) unlinkSync(join(dataDir, name));
+      }
+    }
+    for (const [name, data] of Object.entries(files)) writeJSONAtomic(join(dataDir, name), data);
+  }
+
+  return {
+    write,
+    read,
+    remove,
+    list,
+    restore,
+    SCHEMA_VERSION,
+  };
+}
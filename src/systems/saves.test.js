@@ -0,0 +1,77 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initSaves, migrateSnapshot, SCHEMA_VERSION } from './saves.js';
+
+describe('migrateSnapshot', () => {
+  it('wraps a bare v0 file map in the v1 envelope', () => {
+    const files = { 'agents.json': { a1: { name: 'Ada' } }, 'tick.json': { tick: 1200 }, 'rng.json': { seed: 'dunes' } };
+    assert.deepEqual(migrateSnapshot(files), {
+      schemaVersion: 1, slot: null, savedAt: null, tick: 1200, seed: 'dunes', world: null, files,
+    });
+  });
+
+  it('leaves a current snapshot as it is', () => {
+    const snapshot = { schemaVersion: SCHEMA_VERSION, tick: 5, files: {} };
+    assert.equal(migrateSnapshot(snapshot), snapshot);
+  });
+
+  it('refuses a snapshot from a newer server', () => {
+    assert.throws(() => migrateSnapshot({ schemaVersion: SCHEMA_VERSION + 1, files: {} }), /newer than this server/);
+  });
+});
+
+describe('save slots', () => {
+  let dataDir, saves;
+  beforeEach(() => {
+    dataDir = mkdtempSync(join(tmpdir(), 'oasis-saves-'));
+    saves = initSaves({ dataDir });
+  });
+  afterEach(() => rmSync(dataDir, { recursive: true, force: true }));
+
+  it('writes a slot and reads it back', () => {
+    const files = { 'agents.json': { a1: { name: 'Ada' } } };
+    const saved = saves.write('day-3', { tick: 432, seed: 'dunes', files });
+    assert.equal(saved.agents, 1);
+    assert.deepEqual(saves.read('day-3').files, files);
+    assert.deepEqual(saves.list().map(s => [s.slot, s.tick, s.needsMigration]), [['day-3', 432, false]]);
+    assert.equal(saves.read('never-saved'), null);
+  });
+
+  it('migrates an old slot on read', () => {
+    mkdirSync(join(dataDir, 'saves'));
+    writeFileSync(join(dataDir, 'saves', 'old.json'), JSON.stringify({ 'tick.json': { tick: 60 } }));
+    assert.equal(saves.list()[0].needsMigration, true);
+    const snapshot = saves.read('old');
+    assert.equal(snapshot.schemaVersion, SCHEMA_VERSION);
+    assert.equal(snapshot.tick, 60);
+  });
+
+  it('refuses slot names that could leave the saves directory', () => {
+    assert.throws(() => saves.write('../agents', { files: {} }), /Slot names/);
+    assert.throws(() => saves.read('a/b'), /Slot names/);
+  });
+
+  it('refuses to restore a file outside the data directory, before touching anything', () => {
+    writeFileSync(join(dataDir, 'agents.json'), '{}');
+    for (const name of ['../escape.json', 'saves/x.json', '.hidden.json', 'notes.txt']) {
+      assert.throws(() => saves.restore({ files: { [name]: {} } }), /unexpected file/);
+    }
+    assert.ok(existsSync(join(dataDir, 'agents.json')));
+  });
+
+  it('restores the snapshot files and removes state files it does not carry', () => {
+    writeFileSync(join(dataDir, 'agents.json'), '{"stale":true}');
+    writeFileSync(join(dataDir, 'homes.json'), '{}');
+    writeFileSync(join(dataDir, 'notes.txt'), 'kept');
+    mkdirSync(join(dataDir, 'saves'));
+    writeFileSync(join(dataDir, 'saves', 'slot.json'), '{}');
+
+    saves.restore({ files: { 'agents.json': { a1: { name: 'Ada' } }, 'tick.json': { tick: 9 } } });
+    assert.deepEqual(readdirSync(dataDir).sort(), ['agents.json', 'notes.txt', 'saves', 'tick.json']);
+    assert.deepEqual(JSON.parse(readFileSync(join(dataDir, 'agents.json'), 'utf-8')), { a1: { name: 'Ada' } });
+    assert.ok(existsSync(join(dataDir, 'saves', 'slot.json')));
+  });
+});
@@ -0,0 +1,255 @@
+// Structures System — agents build on the map, reshape it and leave items on the ground
+// Structures and dropped items live in the world adapter's tile layer (src/tile-layer.js), and
+// terraforms in its terrain edits (src/terrain-edits.js), so they persist with the world and
+// show up in getTile(); this system is the agent-facing side: tools, material costs, reach,
+// energy, news and the /api/agent endpoints.
+
+import { isSharp, getProperties } from './materials.js';
+
+const BUILD_ENERGY = 3;
+const BUILD_XP = 5;
+const REACH = 1; // agents build, dismantle and pick up on their own tile or an adjacent one
+const TERRAFORM_XP = 6;
+
+// Tools a terraform can call for. Anything sharp cuts — a flint will do; digging takes a
+// crafted tool with some hardness to it.
+const TOOLS = {
+  cutting: { label: 'something sharp to cut with (flint will do)', fits: (item) => item.name === 'flint' || isSharp(item) },
+  digging: {
+    label: 'a hard tool to dig with',
+    fits: (item) => /pickaxe|shovel|spade/i.test(item.name)
+      || (item.type === 'tool' && ((item.properties || getProperties(item.name))?.hardness ?? 0) >= 6),
+  },
+};
+
+export function initStructures(shared) {
+  const { worldGrid, agents, saveJSON, agentStore, addWorldNews, awardXP, journal, broadcast } = shared;
+  const { STRUCTURE_TYPES, TERRAFORMS } = worldGrid;
+
+  function inReach(agent, x, y) {
+    return Math.abs(agent.tileX - x) <= REACH && Math.abs(agent.tileY - y) <= REACH;
+  }
+
+  // Structures, dropped items and terraforms are all on the surface; the caves have none
+  function underground(agent) {
+    return (agent.z ?? 0) !== 0 ? { error: 'Not down here — climb back up to the surface first' } : null;
+  }
+
+  function countItem(agent, name) {
+    return (agent.inventory || []).filter(i => i.name === name).reduce((n, i) => n + (i.quantity || 1), 0);
+  }
+
+  /** Take `quantity` of `name` out of the inventory, across stacks (caller checks there is enough) */
+  function consume(agent, name, quantity) {
+    let left = quantity;
+    for (const item of [...agent.inventory]) {
+      if (left === 0) break;
+      if (item.name !== name) continue;
+      const have = item.quantity || 1;
+      if (have > left) {
+        item.quantity = have - left;
+        left = 0;
+      } else {
+        agent.inventory.splice(agent.inventory.indexOf(item), 1);
+        left -= have;
+      }
+    }
+  }
+
+  function missingMaterials(agent, cost) {
+    return Object.entries(cost)
+      .filter(([mat, qty]) => countItem(agent, mat) < qty)
+      .map(([mat, qty]) => `${qty - countItem(agent, mat)} ${mat}`);
+  }
+
+  function saveAgent(agent) {
+    agentStore[agent.id] = agent;
+    saveJSON('agents.json', agentStore);
+  }
+
+  function build(agent, { type, x = agent.tileX, y = agent.tileY, text } = {}) {
+    const below = underground(agent);
+    if (below) return below;
+    const def = STRUCTURE_TYPES[type];
+    if (!def) return { error: `Unknown structure type "${type}" (${Object.keys(STRUCTURE_TYPES).join(', ')})` };
+    x = parseInt(x); y = parseInt(y);
+    if (!inReach(agent, x, y)) return { error: 'Too far away — build on your tile or next to it' };
+    const tile = worldGrid.getTile(x, y);
+    if (!tile?.walkable) return { error: `Cannot build on ${tile?.name || 'that tile'}` };
+    if (def.blocks && worldGrid.getAgentsNearby(agents, x, y, 0).length > 0) {
+      return { error: `Someone is standing where the ${def.name.toLowerCase()} would go` };
+    }
+    const missing = missingMaterials(agent, def.cost);
+    if (missing.length) return { error: `Not enough materials — need ${missing.join(', ')} more` };
+    if ((agent.energy ?? 100) < BUILD_ENERGY) return { error: 'Too exhausted to build' };
+
+    const result = worldGrid.addStructure(x, y, { type, builtBy: agent.id, text });
+    if (result.error) return result;
+    for (const [mat, qty] of Object.entries(def.cost)) consume(agent, mat, qty);
+    agent.energy = Math.max(0, (agent.energy ?? 100) - BUILD_ENERGY);
+    saveAgent(agent);
+
+    const { structure } = result;
+    journal.record('build', { agentId: agent.id, structureId: structure.id, type, x, y });
+    awardXP(agent.id, BUILD_XP);
+    addWorldNews('structure', agent.id, agent.name, `${agent.name} built a ${def.name.toLowerCase()} ${def.emoji} at (${x},${y})`, agent.zone);
+    return { ok: true, structure };
+  }
+
+  /** Take a structure down. Half of its materials (rounded down) come back. */
+  function dismantle(agent, structureId) {
+    const below = underground(agent);
+    if (below) return below;
+    const found = worldGrid.queryTileLayer(agent.tileX - REACH, agent.tileY - REACH, agent.tileX + REACH, agent.tileY + REACH)
+      .flatMap(t => t.structures)
+      .find(s => s.id === structureId);
+    if (!found) return { error: 'No such structure within reach' };
+
+    const result = worldGrid.removeStructure(structureId);
+    if (result.error) return result;
+    const salvaged = [];
+    for (const [mat, qty] of Object.entries(STRUCTURE_TYPES[found.type]?.cost || {})) {
+      const back = Math.floor(qty / 2);
+      if (back > 0) {
+        agent.inventory.push({ name: mat, quantity: back });
+        salvaged.push({ name: mat, quantity: back });
+      }
+    }
+    saveAgent(agent);
+    journal.record('dismantle', { agentId: agent.id, structureId, type: found.type, x: found.x, y: found.y });
+    return { ok: true, structure: result.structure, salvaged };
+  }
+
+  /**
+   * Reshape a tile within reach — clear, pave, dig or bridge (TERRAFORMS). Needs the right
+   * kind of tool in the inventory (it is not used up) and the materials (they are).
+   */
+  function terraform(agent, { type, x = agent.tileX, y = agent.tileY } = {}) {
+    const below = underground(agent);
+    if (below) return below;
+    const def = TERRAFORMS[type];
+    if (!def) return { error: `Unknown terraform "${type}" (${Object.keys(TERRAFORMS).join(', ')})` };
+    x = parseInt(x); y = parseInt(y);
+    if (!inReach(agent, x, y)) return { error: 'Too far away — work your tile or one next to it' };
+    const tool = TOOLS[def.tool];
+    const toolItem = tool && (agent.inventory || []).find(tool.fits);
+    if (tool && !toolItem) return { error: `${def.name} needs ${tool.label}` };
+    const missing = missingMaterials(agent, def.cost);
+    if (missing.length) return { error: `Not enough materials — need ${missing.join(', ')} more` };
+    if ((agent.energy ?? 100) < def.energy) return { error: 'Too exhausted to work the land' };
+
+    const result = worldGrid.terraform(x, y, type, { by: agent.id });
+    if (result.error) return result;
+    for (const [mat, qty] of Object.entries(def.cost)) consume(agent, mat, qty);
+    for (const [mat, qty] of Object.entries(def.yields)) {
+      const stack = agent.inventory.find(i => !i.id && i.name === mat);
+      if (stack) stack.quantity = (stack.quantity || 1) + qty;
+      else agent.inventory.push({ name: mat, quantity: qty });
+    }
+    agent.energy = Math.max(0, (agent.energy ?? 100) - def.energy);
+    for (const a of worldGrid.getAgentsNearby(agents, x, y, 0)) a.zone = result.zone;
+    saveAgent(agent);
+
+    journal.record('terraform', { agentId: agent.id, type, x, y, zone: result.zone, tool: toolItem?.name ?? null });
+    awardXP(agent.id, TERRAFORM_XP);
+    broadcast({ type: 'terrain_changed', x, y, terraform: type, zone: result.zone, bridge: result.bridge });
+    const what = { clear: 'cleared the forest', pave: 'paved a road', dig: 'dug an irrigation channel', bridge: 'bridged the water' }[type];
+    addWorldNews('terraform', agent.id, agent.name, `${agent.name} ${what} ${def.emoji} at (${x},${y})`, agent.zone);
+    return { ok: true, ...result, yields: def.yields };
+  }
+
+  /** Put an inventory item (by id or name) on the agent's tile */
+  function drop(agent, { item_id, name, quantity } = {}) {
+    const below = underground(agent);
+    if (below) return below;
+    const idx = agent.inventory.findIndex(i => (item_id ? i.id === item_id : i.name === name));
+    if (idx === -1) return { error: 'Item not in inventory' };
+    const item = agent.inventory[idx];
+    const have = item.quantity || 1;
+    const count = Math.max(1, Math.min(have, parseInt(quantity) || have));
+    const dropped = count < have ? { ...item, quantity: count } : item;
+
+    const result = worldGrid.dropItem(agent.tileX, agent.tileY, dropped, { droppedBy: agent.id });
+    if (result.error) return result;
+    if (count < have) item.quantity = have - count;
+    else agent.inventory.splice(idx, 1);
+    saveAgent(agent);
+    journal.record('drop', { agentId: agent.id, item: dropped.name, quantity: count, x: agent.tileX, y: agent.tileY });
+    return { ok: true, dropped: { name: dropped.name, quantity: count } };
+  }
+
+  function pickUp(agent, { x = agent.tileX, y = agent.tileY, item_id, name, quantity } = {}) {
+    const below = underground(agent);
+    if (below) return below;
+    x = parseInt(x); y = parseInt(y);
+    if (!inReach(agent, x, y)) return { error: 'Too far away' };
+    const result = worldGrid.takeItem(x, y, { id: item_id, name, quantity });
+    if (result.error) return result;
+    const { item } = result;
+    const stack = !item.id && agent.inventory.find(i => !i.id && i.name === item.name);
+    if (stack) stack.quantity = (stack.quantity || 1) + (item.quantity || 1);
+    else agent.inventory.push(item);
+    saveAgent(agent);
+    journal.record('pickup', { agentId: agent.id, item: item.name, quantity: item.quantity || 1, x, y });
+    return { ok: true, item };
+  }
+
+  function setupRoutes(app, authAgent) {
+    app.get('/api/structures/types', (req, res) => {
+      res.json(STRUCTURE_TYPES);
+    });
+
+    app.post('/api/agent/build', authAgent, (req, res) => {
+      const result = build(req.agent, req.body || {});
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    app.post('/api/agent/dismantle', authAgent, (req, res) => {
+      const { structure_id } = req.body || {};
+      if (!structure_id) return res.status(400).json({ error: 'structure_id required' });
+      const result = dismantle(req.agent, structure_id);
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    app.get('/api/terraforms/types', (req, res) => {
+      res.json(TERRAFORMS);
+    });
+
+    app.post('/api/agent/terraform', authAgent, (req, res) => {
+      const result = terraform(req.agent, req.body || {});
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    app.post('/api/agent/drop', authAgent, (req, res) => {
+      const result = drop(req.agent, req.body || {});
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    app.post('/api/agent/pickup', authAgent, (req, res) => {
+      const result = pickUp(req.agent, req.body || {});
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+  }
+
+  return {
+    setupRoutes,
+    build,
+    dismantle,
+    terraform,
+    drop,
+    pickUp,
+    STRUCTURE_TYPES,
+  };
+}
+
+export const plugin = {
+  name: 'structures',
+  init: (shared) => initStructures(shared),
+  routes: 'agent',
+  files: ['tile-layer.json', 'terrain-edits.json'],
+};
@@ -20,14 +20,15 @@ const GARDEN_REGEN_PER_GAME_HOUR = 3;
 const REST_BONUS_MULTIPLIER = 2; // resting doubles regen
 
 export function initSurvival(shared) {
-  const { agents, agentStore, saveJSON, ensureAgentStats, broadcast, addWorldNews, zones, awardXP } = shared;
+  const { agents, agentStore, saveJSON, ensureAgentStats, broadcast, addWorldNews, zones, awardXP, clock } = shared;
 
   let weatherSystem = null;
   function setWeather(ws) { weatherSystem = ws; }
 
   function ensureEnergy(agent) {
     if (agent.energy === undefined) agent.energy = MAX_ENERGY;
-    if (agent.lastEnergyTick === undefined) agent.lastEnergyTick = Date.now();
+    // lastEnergyTick is a simulation tick; older saves stored wall-clock ms
+    if (agent.lastEnergyTick === undefined || agent.lastEnergyTick > clock.now()) agent.lastEnergyTick = clock.now();
     if (agent.resting === undefined) agent.resting = false;
   }
 
@@ -51,18 +52,15 @@ export function initSurvival(shared) {
   /** Regenerate energy based on elapsed game-hours */
   function tickEnergy(agent) {
     ensureEnergy(agent);
-    const now = Date.now();
-    // Game hour = 2.5 real minutes = 150000ms
-    const GAME_HOUR_MS = 150000;
-    const elapsed = now - agent.lastEnergyTick;
-    const gameHours = Math.floor(elapsed / GAME_HOUR_MS);
+    const elapsed = clock.since(agent.lastEnergyTick);
+    const gameHours = Math.floor(elapsed / clock.TICKS_PER_HOUR);
     if (gameHours <= 0) return;
 
     const regenPerHour = agent.zone === 'grass' ? GARDEN_REGEN_PER_GAME_HOUR : ENERGY_REGEN_PER_GAME_HOUR;
     const mult = agent.resting ? REST_BONUS_MULTIPLIER : 1;
     const regen = gameHours * regenPerHour * mult;
     agent.energy = Math.min(MAX_ENERGY, agent.energy + regen);
-    agent.lastEnergyTick = now;
+    agent.lastEnergyTick += gameHours * clock.TICKS_PER_HOUR;
   }
 
   /** Check and deduct energy for an action. Returns { ok, error, cost } */
@@ -189,3 +187,16 @@ export function initSurvival(shared) {
     MAX_ENERGY,
   };
 }
+
+export const plugin = {
+  name: 'survival',
+  aliases: ['survivalSystem'],
+  deps: ['weather'],
+  init(shared) {
+    const survival = initSurvival(shared);
+    survival.setWeather(shared.weather);
+    return survival;
+  },
+  tick: [{ phase: 'agent', hook: 'tickEnergy' }],
+  routes: 'agent',
+};
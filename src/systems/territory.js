@@ -0,0 +1,294 @@
+// Territory System — home bases and the land around them
+// An agent can claim one home tile on the surface. Everything within TERRITORY_RADIUS of it is
+// its territory, which it either shares (anyone may gather there, and guests rest as well as
+// at home) or defends (it drives strangers off; see the `defend` action in agent-intelligence.js).
+// Resting at home at night restores more energy and some HP, and the home keeps a stash of
+// whatever the agent would rather not carry. Territories never overlap.
+//
+// Lives in data/homes.json: { [agentId]: home }
+//   home  { agentId, name, x, y, stance: 'share' | 'defend', claimedTick, stash: [item] }
+
+export const TERRITORY_RADIUS = 8;   // tiles (Chebyshev) — a 17×17 square around the home
+export const STANCES = ['share', 'defend'];
+const REACH = 1;                     // an agent is home on its home tile or next to it
+const MAX_STASH = 20;                // stacks
+const REST_ENERGY_FACTOR = 1.5;      // resting at home at night
+const REST_HP = 1;                   // per rest at home at night
+const CLAIM_XP = 10;
+
+// Homes are indexed by cells as wide as a territory, so any tile is covered by at most one home
+// in its own cell's list
+const CELL = TERRITORY_RADIUS * 2 + 1;
+
+export function initTerritory(shared) {
+  const { worldGrid, agents, loadJSON, saveJSON, addWorldNews, awardXP, journal, broadcast, clock, getGameTime } = shared;
+
+  const FILE = 'homes.json';
+  const homes = loadJSON(FILE, {});
+  const cells = new Map(); // "cx:cy" -> [home] whose territory reaches into the cell
+
+  function reindex() {
+    cells.clear();
+    for (const home of Object.values(homes)) {
+      const x0 = Math.floor((home.x - TERRITORY_RADIUS) / CELL), x1 = Math.floor((home.x + TERRITORY_RADIUS) / CELL);
+      const y0 = Math.floor((home.y - TERRITORY_RADIUS) / CELL), y1 = Math.floor((home.y + TERRITORY_RADIUS) / CELL);
+      for (let cy = y0; cy <= y1; cy++) {
+        for (let cx = x0; cx <= x1; cx++) {
+          const key = `${cx}:${cy}`;
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(home);
+        }
+      }
+    }
+  }
+  reindex();
+
+  function save() {
+    reindex();
+    saveJSON(FILE, homes);
+  }
+
+  function inTerritory(home, x, y) {
+    return Math.abs(home.x - x) <= TERRITORY_RADIUS && Math.abs(home.y - y) <= TERRITORY_RADIUS;
+  }
+
+  /** The home whose territory covers surface tile (x, y), or null */
+  function territoryAt(x, y) {
+    for (const home of cells.get(`${Math.floor(x / CELL)}:${Math.floor(y / CELL)}`) || []) {
+      if (inTerritory(home, x, y)) return home;
+    }
+    return null;
+  }
+
+  function homeOf(agentId) {
+    return homes[agentId] ?? null;
+  }
+
+  function atHome(agent) {
+    const home = homes[agent.id];
+    return !!home && (agent.z ?? 0) === 0
+      && Math.abs(agent.tileX - home.x) <= REACH && Math.abs(agent.tileY - home.y) <= REACH;
+  }
+
+  /** Why `agent` can't make (x, y) its home, or null when it can */
+  function claimProblem(agent, x, y) {
+    if ((agent.z ?? 0) !== 0) return 'Homes are on the surface — climb back up first';
+    if (Math.abs(agent.tileX - x) > REACH || Math.abs(agent.tileY - y) > REACH) return 'Too far away — claim your tile or one next to it';
+    const tile = worldGrid.getTile(x, y);
+    if (!tile?.walkable) return `Cannot make a home on ${tile?.name || 'that tile'}`;
+    // Territories may touch but not overlap
+    for (const other of Object.values(homes)) {
+      if (other.agentId === agent.id) continue;
+      if (Math.abs(other.x - x) <= TERRITORY_RADIUS * 2 && Math.abs(other.y - y) <= TERRITORY_RADIUS * 2) {
+        return `Too close to ${other.name}'s home at (${other.x},${other.y})`;
+      }
+    }
+    return null;
+  }
+
+  function canClaim(agent, x = agent.tileX, y = agent.tileY) {
+    return !claimProblem(agent, x, y);
+  }
+
+  /** The home as the API and the viewer show it */
+  function describe(home) {
+    if (!home) return null;
+    return {
+      agentId: home.agentId, name: home.name, x: home.x, y: home.y,
+      radius: TERRITORY_RADIUS, stance: home.stance, claimedTick: home.claimedTick,
+      stash: home.stash,
+    };
+  }
+
+  /**
+   * Make (x, y) the agent's home. An agent with a home already moves it — once the stash is
+   * empty, since it doesn't come along.
+   */
+  function claim(agent, { x = agent.tileX, y = agent.tileY, stance = 'share' } = {}) {
+    x = parseInt(x); y = parseInt(y);
+    if (!STANCES.includes(stance)) return { error: `Unknown stance "${stance}" (${STANCES.join(', ')})` };
+    const problem = claimProblem(agent, x, y);
+    if (problem) return { error: problem };
+    const old = homes[agent.id];
+    if (old?.stash.length) return { error: `Empty the stash at (${old.x},${old.y}) before moving home` };
+
+    const home = { agentId: agent.id, name: agent.name, x, y, stance, claimedTick: clock.now(), stash: [] };
+    homes[agent.id] = home;
+    save();
+
+    journal.record('claim', { agentId: agent.id, x, y, stance, moved: !!old });
+    if (!old) awardXP(agent.id, CLAIM_XP);
+    const region = worldGrid.getRegion?.(x, y)?.name;
+    addWorldNews('claim', agent.id, agent.name,
+      `${agent.name} ${old ? 'moved' : 'made'} a home 🏠 at (${x},${y})${region ? ` in ${region}` : ''}`, agent.zone);
+    broadcast({ type: 'home_claimed', home: describe(home) });
+    return { ok: true, home: describe(home), moved: !!old };
+  }
+
+  /** Give up the home; whatever was stashed is left on the home tile */
+  function abandon(agent) {
+    const home = homes[agent.id];
+    if (!home) return { error: 'No home to abandon' };
+    for (const item of home.stash) worldGrid.dropItem(home.x, home.y, item, { droppedBy: agent.id });
+    delete homes[agent.id];
+    save();
+    journal.record('abandon', { agentId: agent.id, x: home.x, y: home.y, left: home.stash.length });
+    broadcast({ type: 'home_abandoned', agentId: agent.id });
+    return { ok: true, left: home.stash };
+  }
+
+  function setStance(agent, stance) {
+    const home = homes[agent.id];
+    if (!home) return { error: 'No home — claim one first' };
+    if (!STANCES.includes(stance)) return { error: `Unknown stance "${stance}" (${STANCES.join(', ')})` };
+    home.stance = stance;
+    save();
+    journal.record('stance', { agentId: agent.id, stance });
+    broadcast({ type: 'home_claimed', home: describe(home) });
+    return { ok: true, home: describe(home) };
+  }
+
+  // ─────────────────────────────
+  // Stash
+  // ─────────────────────────────
+
+  /** How many of `name` are in the agent's stash */
+  function stashed(agentId, name) {
+    return (homes[agentId]?.stash || []).filter(i => i.name === name).reduce((n, i) => n + (i.quantity || 1), 0);
+  }
+
+  // An item with an id is one thing, however many it counts — half of it would need an id of its own
+  const SPLIT_ERROR = 'That item has an id and moves whole — leave out quantity';
+
+  /** Move `quantity` (default all) of an inventory item (by id or name) into the stash */
+  function store(agent, { item_id, name, quantity } = {}) {
+    const home = homes[agent.id];
+    if (!home) return { error: 'No home to keep things at' };
+    if (!atHome(agent)) return { error: `Not at home — it is at (${home.x},${home.y})` };
+    const idx = agent.inventory.findIndex(i => (item_id ? i.id === item_id : i.name === name));
+    if (idx === -1) return { error: 'Item not in inventory' };
+    const item = agent.inventory[idx];
+    const have = item.quantity || 1;
+    const count = Math.max(1, Math.min(have, parseInt(quantity) || have));
+    if (item.id && count < have) return { error: SPLIT_ERROR };
+
+    const stack = !item.id && home.stash.find(i => !i.id && i.name === item.name);
+    if (!stack && home.stash.length >= MAX_STASH) return { error: `The stash is full (${MAX_STASH} kinds of thing)` };
+    if (stack) stack.quantity = (stack.quantity || 1) + count;
+    else home.stash.push(count < have ? { ...item, quantity: count } : item);
+    if (count < have) item.quantity = have - count;
+    else agent.inventory.splice(idx, 1);
+    save();
+    journal.record('stash', { agentId: agent.id, item: item.name, quantity: count });
+    return { ok: true, stored: { name: item.name, quantity: count } };
+  }
+
+  /** Take `quantity` (default all) of a stashed item (by id or name) back into the inventory */
+  function take(agent, { item_id, name, quantity } = {}) {
+    const home = homes[agent.id];
+    if (!home) return { error: 'No home to take things from' };
+    if (!atHome(agent)) return { error: `Not at home — it is at (${home.x},${home.y})` };
+    const idx = home.stash.findIndex(i => (item_id ? i.id === item_id : i.name === name));
+    if (idx === -1) return { error: 'Not in the stash' };
+    const item = home.stash[idx];
+    const have = item.quantity || 1;
+    const count = Math.max(1, Math.min(have, parseInt(quantity) || have));
+    if (item.id && count < have) return { error: SPLIT_ERROR };
+
+    const stack = !item.id && agent.inventory.find(i => !i.id && i.name === item.name);
+    if (stack) stack.quantity = (stack.quantity || 1) + count;
+    else agent.inventory.push(count < have ? { ...item, quantity: count } : item);
+    if (count < have) item.quantity = have - count;
+    else home.stash.splice(idx, 1);
+    save();
+    journal.record('unstash', { agentId: agent.id, item: item.name, quantity: count });
+    return { ok: true, taken: { name: item.name, quantity: count } };
+  }
+
+  // ─────────────────────────────
+  // Rest
+  // ─────────────────────────────
+
+  /**
+   * What resting where the agent stands is worth: { energy (factor), hp } at night at home,
+   * or as a guest in a territory shared with everyone; null anywhere else
+   */
+  function restBonus(agent) {
+    if ((agent.z ?? 0) !== 0 || getGameTime().period !== 'night') return null;
+    const host = territoryAt(agent.tileX, agent.tileY);
+    if (atHome(agent) || (host && host.agentId !== agent.id && host.stance === 'share')) {
+      return { energy: REST_ENERGY_FACTOR, hp: REST_HP };
+    }
+    return null;
+  }
+
+  function list() {
+    return Object.values(homes).map(describe);
+  }
+
+  function setupRoutes(app, authAgent) {
+    app.get('/api/territories', (req, res) => {
+      res.json(list());
+    });
+
+    app.get('/api/agent/:id/home', (req, res) => {
+      if (!agents.get(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+      res.json({ home: describe(homes[req.params.id]) });
+    });
+
+    app.post('/api/agent/home', authAgent, (req, res) => {
+      const result = claim(req.agent, req.body || {});
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    app.post('/api/agent/home/abandon', authAgent, (req, res) => {
+      const result = abandon(req.agent);
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    app.post('/api/agent/home/stance', authAgent, (req, res) => {
+      const result = setStance(req.agent, req.body?.stance);
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    app.post('/api/agent/home/store', authAgent, (req, res) => {
+      const result = store(req.agent, req.body || {});
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    app.post('/api/agent/home/take', authAgent, (req, res) => {
+      const result = take(req.agent, req.body || {});
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+  }
+
+  return {
+    homeOf,
+    territoryAt,
+    inTerritory,
+    atHome,
+    canClaim,
+    claim,
+    abandon,
+    setStance,
+    stashed,
+    store,
+    take,
+    restBonus,
+    describe,
+    list,
+    setupRoutes,
+  };
+}
+
+export const plugin = {
+  name: 'territory',
+  init: initTerritory,
+  routes: 'agent',
+  files: ['homes.json'],
+};
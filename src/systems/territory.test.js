@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initTerritory, TERRITORY_RADIUS } from './territory.js';
+
+/** Territory over open ground (water at x = 0), at `period` of day, persisting to `files` */
+function setup({ period = 'night', files = new Map() } = {}) {
+  const xp = [], dropped = [];
+  const time = { period };
+  const shared = {
+    worldGrid: {
+      getTile: (x, y) => x === 0 ? { name: 'Water', walkable: false } : { name: 'Grass', walkable: true },
+      getRegion: () => null,
+      dropItem: (x, y, item) => dropped.push({ x, y, ...item }),
+    },
+    agents: new Map(),
+    loadJSON: (file, fallback) => files.has(file) ? JSON.parse(files.get(file)) : fallback,
+    saveJSON: (file, data) => files.set(file, JSON.stringify(data)),
+    addWorldNews() {},
+    awardXP: (agentId, n) => xp.push([agentId, n]),
+    journal: { record() {} },
+    broadcast() {},
+    clock: { now: () => 7 },
+    getGameTime: () => time,
+  };
+  return { territory: initTerritory(shared), xp, dropped, files, time };
+}
+
+const agent = (id, x, y, extra = {}) => ({ id, name: id.toUpperCase(), tileX: x, tileY: y, z: 0, inventory: [], ...extra });
+
+describe('claiming a home', () => {
+  it('claims the tile the agent stands on, and the land around it', () => {
+    const { territory, xp } = setup();
+    const a = agent('a1', 50, 50);
+    assert.deepEqual(territory.claim(a).home, {
+      agentId: 'a1', name: 'A1', x: 50, y: 50, radius: TERRITORY_RADIUS, stance: 'share', claimedTick: 7, stash: [],
+    });
+    assert.deepEqual(xp, [['a1', 10]]);
+    assert.equal(territory.territoryAt(50 + TERRITORY_RADIUS, 50 - TERRITORY_RADIUS).agentId, 'a1');
+    assert.equal(territory.territoryAt(50 + TERRITORY_RADIUS + 1, 50), null);
+  });
+
+  it('keeps territories from overlapping, though they may touch', () => {
+    const { territory } = setup();
+    territory.claim(agent('a1', 50, 50));
+    const close = agent('a2', 50 + TERRITORY_RADIUS * 2, 50);
+    assert.equal(territory.canClaim(close), false);
+    assert.match(territory.claim(close).error, /Too close to A1's home at \(50,50\)/);
+
+    const next = agent('a2', 50 + TERRITORY_RADIUS * 2 + 1, 50);
+    assert.equal(territory.claim(next).ok, true);
+    assert.equal(territory.territoryAt(50 + TERRITORY_RADIUS, 50).agentId, 'a1');
+    assert.equal(territory.territoryAt(50 + TERRITORY_RADIUS + 1, 50).agentId, 'a2');
+  });
+
+  it('only claims open ground on the surface, within reach', () => {
+    const { territory } = setup();
+    assert.match(territory.claim(agent('a1', 50, 50), { x: 52, y: 50 }).error, /Too far away/);
+    assert.match(territory.claim(agent('a1', 1, 50), { x: 0, y: 50 }).error, /Cannot make a home on Water/);
+    assert.match(territory.claim(agent('a1', 50, 50, { z: -1 })).error, /on the surface/);
+    assert.match(territory.claim(agent('a1', 50, 50), { stance: 'hoard' }).error, /Unknown stance/);
+    assert.deepEqual(territory.list(), []);
+  });
+
+  it('keeps one home per agent, moved only once its stash is empty', () => {
+    const { territory, xp } = setup();
+    const a = agent('a1', 50, 50, { inventory: [{ name: 'wood', quantity: 2 }] });
+    territory.claim(a);
+    territory.store(a, { name: 'wood' });
+    a.tileX = 90;
+    assert.match(territory.claim(a).error, /Empty the stash at \(50,50\)/);
+
+    a.tileX = 50;
+    territory.take(a, { name: 'wood' });
+    a.tileX = 90;
+    assert.equal(territory.claim(a).moved, true);
+    assert.deepEqual(territory.list().map(h => [h.x, h.y]), [[90, 50]]);
+    assert.equal(xp.length, 1, 'moving home earns nothing');
+  });
+
+  it('leaves the stash on the home tile when abandoned, and remembers homes', () => {
+    const { territory, dropped, files } = setup();
+    const a = agent('a1', 50, 50, { inventory: [{ name: 'stone', quantity: 3 }] });
+    territory.claim(a, { stance: 'defend' });
+    territory.store(a, { name: 'stone' });
+    assert.equal(setup({ files }).territory.homeOf('a1').stance, 'defend');
+
+    assert.deepEqual(territory.abandon(a).left, [{ name: 'stone', quantity: 3 }]);
+    assert.deepEqual(dropped, [{ x: 50, y: 50, name: 'stone', quantity: 3 }]);
+    assert.equal(territory.homeOf('a1'), null);
+    assert.equal(setup({ files }).territory.homeOf('a1'), null);
+  });
+});
+
+describe('the stash', () => {
+  function home(inventory) {
+    const { territory } = setup();
+    const a = agent('a1', 50, 50, { inventory });
+    territory.claim(a);
+    return { territory, a };
+  }
+
+  it('stores and takes back stacks, merging them both ways', () => {
+    const { territory, a } = home([{ name: 'wood', quantity: 5 }]);
+    assert.deepEqual(territory.store(a, { name: 'wood', quantity: 2 }).stored, { name: 'wood', quantity: 2 });
+    territory.store(a, { name: 'wood', quantity: 1 });
+    assert.deepEqual(territory.homeOf('a1').stash, [{ name: 'wood', quantity: 3 }]);
+    assert.deepEqual(a.inventory, [{ name: 'wood', quantity: 2 }]);
+    assert.equal(territory.stashed('a1', 'wood'), 3);
+
+    assert.deepEqual(territory.take(a, { name: 'wood' }).taken, { name: 'wood', quantity: 3 });
+    assert.deepEqual(a.inventory, [{ name: 'wood', quantity: 5 }]);
+    assert.deepEqual(territory.homeOf('a1').stash, []);
+  });
+
+  it('only works at home', () => {
+    const { territory, a } = home([{ name: 'wood', quantity: 1 }]);
+    a.tileX = 52;
+    assert.match(territory.store(a, { name: 'wood' }).error, /Not at home — it is at \(50,50\)/);
+    assert.match(territory.take(a, { name: 'wood' }).error, /Not at home/);
+  });
+
+  it('holds a limited number of stacks', () => {
+    const { territory, a } = home(Array.from({ length: 21 }, (_, i) => ({ name: `thing ${i}`, quantity: 1 })));
+    for (let i = 0; i < 20; i++) assert.equal(territory.store(a, { name: `thing ${i}` }).ok, true);
+    assert.match(territory.store(a, { name: 'thing 20' }).error, /The stash is full/);
+  });
+
+  it('moves an item with an id whole, so its id is never in two places', () => {
+    const { territory, a } = home([{ id: 'item_ab12', name: 'Stew', quantity: 3 }]);
+    assert.match(territory.store(a, { item_id: 'item_ab12', quantity: 1 }).error, /moves whole/);
+    assert.deepEqual(territory.store(a, { item_id: 'item_ab12' }).stored, { name: 'Stew', quantity: 3 });
+    assert.deepEqual(a.inventory, []);
+    assert.match(territory.take(a, { item_id: 'item_ab12', quantity: 2 }).error, /moves whole/);
+    territory.take(a, { item_id: 'item_ab12' });
+    assert.deepEqual(a.inventory, [{ id: 'item_ab12', name: 'Stew', quantity: 3 }]);
+    assert.deepEqual(territory.homeOf('a1').stash, []);
+  });
+});
+
+describe('restBonus', () => {
+  it('rewards resting at home at night', () => {
+    const { territory, time } = setup();
+    const a = agent('a1', 50, 50);
+    territory.claim(a);
+    a.tileX = 51;
+    assert.deepEqual(territory.restBonus(a), { energy: 1.5, hp: 1 });
+    a.tileX = 55;
+    assert.equal(territory.restBonus(a), null, 'on its land but not at home');
+    a.tileX = 50;
+    time.period = 'day';
+    assert.equal(territory.restBonus(a), null);
+  });
+
+  it('lets guests rest on shared land but not defended land', () => {
+    const { territory } = setup();
+    const host = agent('a1', 50, 50);
+    territory.claim(host);
+    const guest = agent('a2', 55, 55);
+    assert.deepEqual(territory.restBonus(guest), { energy: 1.5, hp: 1 });
+    territory.setStance(host, 'defend');
+    assert.equal(territory.restBonus(guest), null);
+    assert.equal(territory.restBonus({ ...guest, z: -1 }), null);
+  });
+});
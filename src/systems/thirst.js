@@ -0,0 +1,135 @@
+// Thirst System — water as a survival need
+// Thirst rises every tick, faster the hotter the agent's zone is (see getZoneTemperature in
+// survival.js) and faster again in a heatwave. At 100 the agent is parched and loses HP every
+// tick until it drinks; watered and fed, it slowly heals. Agents drink from a river or lake tile
+// beside them — the sea is salt — or from water they carry.
+//
+// Nothing in the world dies, so HP stops at 1. A parched agent down to COLLAPSE_HP collapses
+// instead: it loses energy every tick as well, until it is too exhausted to walk (see
+// getMovementPoints in agent-intelligence.js) and can only drink what it carries or is given.
+// Agent Intelligence treats collapsing as an emergency that water outranks everything for.
+
+const MAX_THIRST = 100;
+const THIRST_PER_TICK = 0.15;     // at COMFORT_TEMP or cooler: about 4½ game days from slaked to parched
+const COMFORT_TEMP = 25;          // °C
+const HEAT_PER_DEGREE = 0.1;      // every degree above COMFORT_TEMP adds 10%
+const HEATWAVE_FACTOR = 1.5;
+const PARCHED_HP_PER_TICK = 1;
+const COLLAPSE_HP = 10;
+const COLLAPSE_ENERGY_PER_TICK = 2;
+const HEAL_HP_PER_TICK = 0.1;     // while thirst and hunger are both under HEALTHY
+const HEALTHY = 50;
+const MAX_HP = 100;
+
+// Carried water: thirst slaked per sip
+export const WATER_ITEMS = {
+  freshwater: 35,
+  cactus_water: 25,
+};
+
+export function initThirst(shared) {
+  const { worldGrid, agents, journal } = shared;
+
+  /** How fast `agent` gets thirsty where it stands, per tick */
+  function thirstRate(agent) {
+    const temp = shared.survival?.getZoneTemperature(agent.zone) ?? COMFORT_TEMP;
+    let rate = THIRST_PER_TICK * (1 + Math.max(0, temp - COMFORT_TEMP) * HEAT_PER_DEGREE);
+    if (shared.weather?.getAtmosphere?.()?.weather === 'heatwave') rate *= HEATWAVE_FACTOR;
+    return rate;
+  }
+
+  /** Parched with HP at COLLAPSE_HP or below */
+  function collapsing(agent) {
+    return (agent.thirst ?? 0) >= MAX_THIRST && (agent.hp ?? MAX_HP) <= COLLAPSE_HP;
+  }
+
+  function tickThirst(agent) {
+    if (!agent.alive) return;
+    const before = agent.thirst ?? 0;
+    agent.thirst = Math.min(MAX_THIRST, before + thirstRate(agent));
+
+    if (agent.thirst >= MAX_THIRST) {
+      if (before < MAX_THIRST) journal.record('parched', { agentId: agent.id, zone: agent.zone });
+      const wasCollapsing = collapsing(agent);
+      agent.hp = Math.max(1, (agent.hp ?? MAX_HP) - PARCHED_HP_PER_TICK);
+      if (collapsing(agent)) {
+        if (!wasCollapsing) journal.record('collapse', { agentId: agent.id, zone: agent.zone });
+        agent.energy = Math.max(0, (agent.energy ?? 100) - COLLAPSE_ENERGY_PER_TICK);
+      }
+    } else if (agent.thirst < HEALTHY && (agent.hunger ?? 0) < HEALTHY && (agent.hp ?? MAX_HP) < MAX_HP) {
+      agent.hp = Math.min(MAX_HP, agent.hp + HEAL_HP_PER_TICK);
+    }
+  }
+
+  /** The river or lake tile `agent` can drink from where it stands, or null (none underground) */
+  function waterBeside(agent) {
+    if ((agent.z ?? 0) !== 0) return null;
+    return worldGrid.nearestFreshWater(agent.tileX, agent.tileY, 1);
+  }
+
+  /** The first carried item that can be drunk, or null */
+  function carriedWater(agent) {
+    return (agent.inventory || []).find(i => WATER_ITEMS[i.name]) ?? null;
+  }
+
+  /**
+   * Drink from a river or lake beside the agent (all the way to slaked), or else a sip of carried
+   * water. Returns { ok, source, thirst } or { error }.
+   */
+  function drink(agent) {
+    let source;
+    const water = waterBeside(agent);
+    if (water) {
+      source = worldGrid.getTile(water.x, water.y)?.isLake ? 'lake' : 'river';
+      agent.thirst = 0;
+    } else {
+      const item = carriedWater(agent);
+      if (!item) return { error: 'No fresh water here, and none carried' };
+      source = item.name;
+      if ((item.quantity || 1) > 1) item.quantity--;
+      else agent.inventory.splice(agent.inventory.indexOf(item), 1);
+      agent.thirst = Math.max(0, (agent.thirst ?? 0) - WATER_ITEMS[item.name]);
+    }
+    journal.record('drink', { agentId: agent.id, source });
+    return { ok: true, source, thirst: Math.round(agent.thirst) };
+  }
+
+  function setupRoutes(app, authAgent) {
+    app.post('/api/agent/drink', authAgent, (req, res) => {
+      const result = drink(req.agent);
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    app.get('/api/agent/:id/thirst', (req, res) => {
+      const agent = agents.get(req.params.id);
+      if (!agent) return res.status(404).json({ error: 'Agent not found' });
+      res.json({
+        thirst: Math.round(agent.thirst ?? 0),
+        parched: (agent.thirst ?? 0) >= MAX_THIRST,
+        collapsing: collapsing(agent),
+        perTick: Math.round(thirstRate(agent) * 1000) / 1000,
+        canDrink: !!waterBeside(agent) || !!carriedWater(agent),
+      });
+    });
+  }
+
+  return {
+    tickThirst,
+    thirstRate,
+    waterBeside,
+    carriedWater,
+    collapsing,
+    drink,
+    setupRoutes,
+    MAX_THIRST,
+  };
+}
+
+export const plugin = {
+  name: 'thirst',
+  deps: ['survival', 'weather'],
+  init: initThirst,
+  tick: [{ phase: 'agent', hook: 'tickThirst' }],
+  routes: 'agent',
+};
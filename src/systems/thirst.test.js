@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initThirst, WATER_ITEMS } from './thirst.js';
+
+/** Thirst over a stand-in world with a lake at (5, 5) and nothing else to drink */
+function setup({ temperature = 20, weather = 'clear' } = {}) {
+  const journaled = [];
+  const shared = {
+    worldGrid: {
+      nearestFreshWater: (x, y, r) => Math.max(Math.abs(x - 5), Math.abs(y - 5)) <= r ? { x: 5, y: 5 } : null,
+      getTile: (x, y) => ({ isLake: x === 5 && y === 5 }),
+    },
+    agents: new Map(),
+    journal: { record: (type, data) => journaled.push({ type, ...data }) },
+    survival: { getZoneTemperature: () => temperature },
+    weather: { getAtmosphere: () => ({ weather }) },
+  };
+  return { thirst: initThirst(shared), journaled };
+}
+
+const agent = (extra = {}) => ({ id: 'a1', alive: true, zone: 'grass', tileX: 0, tileY: 0, z: 0, hp: 100, energy: 100, hunger: 0, thirst: 0, inventory: [], ...extra });
+
+describe('thirst', () => {
+  it('rises faster in the heat, and faster again in a heatwave', () => {
+    const mild = setup().thirst.thirstRate(agent());
+    const hot = setup({ temperature: 35 }).thirst.thirstRate(agent());
+    const heatwave = setup({ temperature: 35, weather: 'heatwave' }).thirst.thirstRate(agent());
+    assert.ok(mild < hot && hot < heatwave);
+    assert.ok(Math.abs(hot - mild * 2) < 1e-9, 'ten degrees over comfortable doubles it');
+  });
+
+  it('costs HP once parched, and heals a watered, fed agent', () => {
+    const { thirst, journaled } = setup();
+    const a = agent({ thirst: 99.9 });
+    thirst.tickThirst(a);
+    assert.equal(a.thirst, 100);
+    assert.equal(a.hp, 99);
+    assert.deepEqual(journaled.map(e => e.type), ['parched']);
+
+    const b = agent({ hp: 50 });
+    thirst.tickThirst(b);
+    assert.ok(b.hp > 50);
+  });
+
+  it('collapses a parched agent at low HP, draining its energy, without killing it', () => {
+    const { thirst, journaled } = setup();
+    const a = agent({ thirst: 100, hp: 12 });
+    thirst.tickThirst(a);
+    assert.equal(thirst.collapsing(a), false);
+    assert.equal(a.energy, 100);
+    thirst.tickThirst(a);
+    thirst.tickThirst(a);
+    assert.equal(thirst.collapsing(a), true);
+    assert.equal(a.energy, 96);
+    assert.equal(journaled.filter(e => e.type === 'collapse').length, 1, 'journaled once, as it starts');
+
+    for (let i = 0; i < 200; i++) thirst.tickThirst(a);
+    assert.equal(a.hp, 1);
+    assert.equal(a.energy, 0);
+    assert.equal(a.alive, true);
+  });
+
+  it('drinks a lake beside it dry of thirst', () => {
+    const { thirst } = setup();
+    const a = agent({ tileX: 4, tileY: 6, thirst: 100, hp: 8 });
+    assert.deepEqual(thirst.drink(a), { ok: true, source: 'lake', thirst: 0 });
+    assert.equal(thirst.collapsing(a), false);
+  });
+
+  it('sips carried water, and has nothing to drink out of reach of water', () => {
+    const { thirst } = setup();
+    const a = agent({ thirst: 80, inventory: [{ name: 'freshwater', quantity: 2 }] });
+    assert.deepEqual(thirst.drink(a), { ok: true, source: 'freshwater', thirst: 80 - WATER_ITEMS.freshwater });
+    assert.deepEqual(a.inventory, [{ name: 'freshwater', quantity: 1 }]);
+    thirst.drink(a);
+    assert.deepEqual(a.inventory, []);
+    assert.equal(thirst.drink(a).error, 'No fresh water here, and none carried');
+  });
+
+  it('finds no river or lake underground', () => {
+    const { thirst } = setup();
+    assert.equal(thirst.waterBeside(agent({ tileX: 5, tileY: 5, z: -1 })), null);
+  });
+});
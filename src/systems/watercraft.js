@@ -0,0 +1,168 @@
+// Watercraft System — rafts and boats for crossing open water
+// The world adapter knows which tiles can be sailed and what a sailed step costs in the current
+// wind (see "Sailing" in src/world-adapter.js); this system keeps that wind in step with the
+// weather, builds vessels out of inventory materials, and decides who capsizes in a storm.
+// A vessel is an inventory item: whoever carries one can sail.
+
+const BUILD_XP = 6;
+
+// cost: materials used up. speed: multiplies a sailed step's cost. capsize: chance per sailed
+// step in a storm.
+export const VESSELS = {
+  raft: { name: 'Raft', emoji: '🪵', cost: { wood: 4, fiber: 3 }, energy: 8, speed: 1.0, capsize: 0.12 },
+  boat: { name: 'Boat', emoji: '⛵', cost: { 'Wooden Plank': 6 }, energy: 10, speed: 0.75, capsize: 0.04 },
+};
+
+// What capsizing costs on top of the vessel itself
+const CAPSIZE_ENERGY = 15;
+const CAPSIZE_HP = 10;
+const WASH_ASHORE_RADIUS = 30;
+
+export function initWatercraft(shared) {
+  const { worldGrid, saveJSON, agentStore, addWorldNews, awardXP, journal, broadcast } = shared;
+  const rng = shared.rng.stream('watercraft');
+
+  function countItem(agent, name) {
+    return (agent.inventory || []).filter(i => i.name === name).reduce((n, i) => n + (i.quantity || 1), 0);
+  }
+
+  /** Take `quantity` of `name` out of the inventory, across stacks (caller checks there is enough) */
+  function consume(agent, name, quantity) {
+    let left = quantity;
+    for (const item of [...agent.inventory]) {
+      if (left === 0) break;
+      if (item.name !== name) continue;
+      const have = item.quantity || 1;
+      if (have > left) {
+        item.quantity = have - left;
+        left = 0;
+      } else {
+        agent.inventory.splice(agent.inventory.indexOf(item), 1);
+        left -= have;
+      }
+    }
+  }
+
+  function missingMaterials(agent, cost) {
+    return Object.entries(cost)
+      .filter(([mat, qty]) => countItem(agent, mat) < qty)
+      .map(([mat, qty]) => `${qty - countItem(agent, mat)} ${mat}`);
+  }
+
+  function saveAgent(agent) {
+    agentStore[agent.id] = agent;
+    saveJSON('agents.json', agentStore);
+  }
+
+  /** The best vessel the agent carries, as { type, ...VESSELS[type] }, or null */
+  function vesselOf(agent) {
+    for (const type of ['boat', 'raft']) {
+      if (countItem(agent, VESSELS[type].name) > 0) return { type, ...VESSELS[type] };
+    }
+    return null;
+  }
+
+  /** The best vessel the agent has the materials for, or null */
+  function buildable(agent) {
+    return ['boat', 'raft'].find(type => missingMaterials(agent, VESSELS[type].cost).length === 0) ?? null;
+  }
+
+  function build(agent, { type } = {}) {
+    const def = VESSELS[type];
+    if (!def) return { error: `Unknown vessel "${type}" (${Object.keys(VESSELS).join(', ')})` };
+    const missing = missingMaterials(agent, def.cost);
+    if (missing.length) return { error: `Not enough materials — need ${missing.join(', ')} more` };
+    if ((agent.energy ?? 100) < def.energy) return { error: 'Too exhausted to build a vessel' };
+
+    for (const [mat, qty] of Object.entries(def.cost)) consume(agent, mat, qty);
+    agent.inventory.push({ name: def.name, quantity: 1, type: 'vessel' });
+    agent.energy = Math.max(0, (agent.energy ?? 100) - def.energy);
+    saveAgent(agent);
+
+    journal.record('craft', { agentId: agent.id, vessel: type, result: def.name });
+    awardXP(agent.id, BUILD_XP);
+    addWorldNews('craft', agent.id, agent.name, `${agent.name} built a ${def.name.toLowerCase()} ${def.emoji}`, agent.zone);
+    return { ok: true, vessel: { type, name: def.name } };
+  }
+
+  /** What it costs `agent` to sail from (fx, fy) to the adjacent water tile (tx, ty) — Infinity without a vessel */
+  function stepCost(agent, fx, fy, tx, ty) {
+    const vessel = vesselOf(agent);
+    return vessel ? worldGrid.sailCost(fx, fy, tx, ty) * vessel.speed : Infinity;
+  }
+
+  /** Put the agent on the nearest dry land (the spawn point if there is none in reach) */
+  function washAshore(agent) {
+    const shore = worldGrid.nearestShore(agent.tileX, agent.tileY, WASH_ASHORE_RADIUS) ?? worldGrid.spawnPoint;
+    worldGrid.teleportAgent(agent, shore.x, shore.y);
+    return shore;
+  }
+
+  /**
+   * An agent has just sailed onto a water tile. In a storm its vessel may capsize: the vessel
+   * is lost, the agent is hurt and washed up on the nearest shore. Returns
+   * { capsized: true, vessel, x, y } or null.
+   */
+  function afloat(agent) {
+    const vessel = vesselOf(agent);
+    if (!vessel || shared.weather?.getAtmosphere?.()?.weather !== 'storm') return null;
+    if (rng() >= vessel.capsize) return null;
+
+    consume(agent, vessel.name, 1);
+    agent.energy = Math.max(0, (agent.energy ?? 100) - CAPSIZE_ENERGY);
+    agent.hp = Math.max(1, (agent.hp ?? 100) - CAPSIZE_HP);
+    const shore = washAshore(agent);
+    saveAgent(agent);
+
+    journal.record('capsize', { agentId: agent.id, vessel: vessel.type, x: shore.x, y: shore.y });
+    broadcast({ type: 'capsized', agentId: agent.id, vessel: vessel.type, x: shore.x, y: shore.y });
+    addWorldNews('capsize', agent.id, agent.name, `${agent.name}'s ${vessel.name.toLowerCase()} capsized in the storm — washed ashore at (${shore.x},${shore.y})`, agent.zone);
+    return { capsized: true, vessel: vessel.type, x: shore.x, y: shore.y };
+  }
+
+  /** An agent left afloat without a vessel (it gave it away, or used it up) swims for land */
+  function swimAshore(agent) {
+    const shore = washAshore(agent);
+    journal.record('capsize', { agentId: agent.id, vessel: null, x: shore.x, y: shore.y });
+    broadcast({ type: 'capsized', agentId: agent.id, vessel: null, x: shore.x, y: shore.y });
+    return shore;
+  }
+
+  /** World tick: the wind over the water is the weather's, stronger out at sea */
+  function tick() {
+    const atmosphere = shared.weather?.getZoneAtmosphere?.('water');
+    if (atmosphere) worldGrid.setWind({ direction: atmosphere.wind_direction, speed: atmosphere.wind_speed });
+  }
+
+  function setupRoutes(app, authAgent) {
+    app.get('/api/vessels/types', (req, res) => {
+      res.json(VESSELS);
+    });
+
+    app.post('/api/agent/vessel', authAgent, (req, res) => {
+      const result = build(req.agent, req.body || {});
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+  }
+
+  return {
+    tick,
+    setupRoutes,
+    vesselOf,
+    buildable,
+    build,
+    stepCost,
+    afloat,
+    swimAshore,
+    VESSELS,
+  };
+}
+
+export const plugin = {
+  name: 'watercraft',
+  deps: ['weather'],
+  init: (shared) => initWatercraft(shared),
+  tick: [{ phase: 'world', hook: 'tick' }],
+  routes: 'agent',
+};
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { initWatercraft, VESSELS } from './watercraft.js';
+
+/** Watercraft over a stand-in world: every step costs 1 to sail, and the shore is always at (5, 5) */
+function setup({ weather = 'clear', roll = 0.99 } = {}) {
+  const journaled = [];
+  const news = [];
+  const shared = {
+    worldGrid: {
+      spawnPoint: { x: 0, y: 0 },
+      sailCost: () => 1,
+      nearestShore: () => ({ x: 5, y: 5 }),
+      teleportAgent(agent, x, y) { agent.tileX = x; agent.tileY = y; },
+      setWind() {},
+    },
+    weather: { getAtmosphere: () => ({ weather }) },
+    rng: { stream: () => () => roll },
+    agentStore: {},
+    saveJSON() {},
+    addWorldNews: (...args) => news.push(args),
+    awardXP() {},
+    journal: { record: (type, data) => journaled.push({ type, ...data }) },
+    broadcast() {},
+  };
+  return { watercraft: initWatercraft(shared), journaled, news };
+}
+
+const agentWith = (inventory, extra = {}) => ({ id: 'a1', name: 'Ada', energy: 100, hp: 100, tileX: 20, tileY: 20, inventory, ...extra });
+
+describe('building a vessel', () => {
+  it('uses up the materials and some energy', () => {
+    const { watercraft, journaled } = setup();
+    const agent = agentWith([{ name: 'wood', quantity: 3 }, { name: 'wood', quantity: 2 }, { name: 'fiber', quantity: 3 }]);
+    assert.equal(watercraft.buildable(agent), 'raft');
+    assert.deepEqual(watercraft.build(agent, { type: 'raft' }), { ok: true, vessel: { type: 'raft', name: 'Raft' } });
+    assert.deepEqual(agent.inventory, [{ name: 'wood', quantity: 1 }, { name: 'Raft', quantity: 1, type: 'vessel' }]);
+    assert.equal(agent.energy, 100 - VESSELS.raft.energy);
+    assert.equal(journaled[0].type, 'craft');
+  });
+
+  it('says what is missing', () => {
+    const { watercraft } = setup();
+    const agent = agentWith([{ name: 'wood', quantity: 1 }]);
+    assert.equal(watercraft.buildable(agent), null);
+    assert.equal(watercraft.build(agent, { type: 'raft' }).error, 'Not enough materials — need 3 wood, 3 fiber more');
+    assert.match(watercraft.build(agent, { type: 'submarine' }).error, /Unknown vessel/);
+    assert.deepEqual(agent.inventory, [{ name: 'wood', quantity: 1 }]);
+  });
+
+  it('needs the energy to build', () => {
+    const { watercraft } = setup();
+    const agent = agentWith([{ name: 'Wooden Plank', quantity: 6 }], { energy: 5 });
+    assert.equal(watercraft.build(agent, { type: 'boat' }).error, 'Too exhausted to build a vessel');
+  });
+});
+
+describe('sailing', () => {
+  it('sails in the best vessel carried, and not at all without one', () => {
+    const { watercraft } = setup();
+    const agent = agentWith([]);
+    assert.equal(watercraft.stepCost(agent, 0, 0, 1, 0), Infinity);
+    agent.inventory.push({ name: 'Raft', quantity: 1 });
+    assert.equal(watercraft.stepCost(agent, 0, 0, 1, 0), VESSELS.raft.speed);
+    agent.inventory.push({ name: 'Boat', quantity: 1 });
+    assert.equal(watercraft.vesselOf(agent).type, 'boat');
+    assert.equal(watercraft.stepCost(agent, 0, 0, 1, 0), VESSELS.boat.speed);
+  });
+
+  it('never capsizes in fair weather', () => {
+    const { watercraft } = setup({ roll: 0 });
+    const agent = agentWith([{ name: 'Raft', quantity: 1 }]);
+    assert.equal(watercraft.afloat(agent), null);
+  });
+
+  it('capsizes in a storm on a bad roll: the vessel is lost and the agent washed ashore', () => {
+    const { watercraft, journaled, news } = setup({ weather: 'storm', roll: 0 });
+    const agent = agentWith([{ name: 'Raft', quantity: 1 }]);
+    assert.deepEqual(watercraft.afloat(agent), { capsized: true, vessel: 'raft', x: 5, y: 5 });
+    assert.equal(watercraft.vesselOf(agent), null);
+    assert.ok(agent.hp < 100 && agent.energy < 100);
+    assert.deepEqual([agent.tileX, agent.tileY], [5, 5]);
+    assert.equal(journaled.at(-1).type, 'capsize');
+    assert.equal(news.length, 1);
+  });
+
+  it('rides out a storm on a good roll', () => {
+    const { watercraft } = setup({ weather: 'storm', roll: VESSELS.boat.capsize });
+    const agent = agentWith([{ name: 'Boat', quantity: 1 }]);
+    assert.equal(watercraft.afloat(agent), null);
+    assert.ok(watercraft.vesselOf(agent));
+  });
+});
@@ -2,12 +2,12 @@
 // Weather emerges from physical atmosphere state (moisture, pressure, wind, temperature)
 // instead of random selection from a list.
 
-export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
+export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews, clock, rng: rngService }) {
+  const rng = rngService.stream('weather');
+
   // --- Constants ---
-  const GAME_DAY_MS = 60 * 60 * 1000; // 1 real hour = 1 game day
-  const GAME_EPOCH = new Date('2026-01-01T00:00:00Z').getTime();
   const SEASON_LENGTH = 30; // game days per season
-  const TICK_INTERVAL = 5 * 60 * 1000; // check every 5 real minutes (~2 game hours)
+  const TICK_INTERVAL = clock.hours(2); // atmosphere steps every 2 game hours
 
   // Season baselines: affect temperature and moisture tendencies
   const SEASON_PROFILES = {
@@ -53,14 +53,18 @@ export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
       temperature: 18,    // -10 to 45°C (global, before zone modifiers)
       wind_direction: 180, // 0-360 degrees
       current: 'clear',   // derived weather type
-      changedAt: Date.now(),
+      changedAt: clock.now(), // simulation tick
+      lastTick: clock.now(),
       tickCount: 0,
       // Cycle state for natural oscillation
-      pressure_phase: Math.random() * Math.PI * 2,
-      moisture_phase: Math.random() * Math.PI * 2,
+      pressure_phase: rng() * Math.PI * 2,
+      moisture_phase: rng() * Math.PI * 2,
     };
     saveAtmosphere();
   }
+  // Older saves stamped changedAt with wall-clock ms and had no lastTick
+  if (atmosphere.lastTick === undefined || atmosphere.lastTick > clock.now()) atmosphere.lastTick = clock.now();
+  if (atmosphere.changedAt > clock.now()) atmosphere.changedAt = clock.now();
 
   function saveAtmosphere() {
     saveJSON('world-weather.json', atmosphere);
@@ -68,11 +72,7 @@ export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
 
   // --- Game time helpers ---
   function getGameTime() {
-    const elapsed = Date.now() - GAME_EPOCH;
-    const dayCount = Math.floor(elapsed / GAME_DAY_MS);
-    const dayProgress = (elapsed % GAME_DAY_MS) / GAME_DAY_MS;
-    const hour = Math.floor(dayProgress * 24);
-    return { hour, dayCount, dayProgress };
+    return clock.getGameTime();
   }
 
   function getSeason() {
@@ -95,14 +95,14 @@ export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
     atmosphere.tickCount++;
 
     // Phase oscillation (creates natural pressure/moisture cycles over hours)
-    atmosphere.pressure_phase += 0.05 + Math.random() * 0.03;
-    atmosphere.moisture_phase += 0.04 + Math.random() * 0.02;
+    atmosphere.pressure_phase += 0.05 + rng() * 0.03;
+    atmosphere.moisture_phase += 0.04 + rng() * 0.02;
 
     // --- Pressure simulation ---
     // Oscillates around 1013 hPa with seasonal variability
     const pressureTarget = 1013 + Math.sin(atmosphere.pressure_phase) * 30 * profile.pressure_variability;
     // Drift toward target with some randomness
-    const pressureDelta = (pressureTarget - atmosphere.pressure) * 0.15 + (Math.random() - 0.5) * 4;
+    const pressureDelta = (pressureTarget - atmosphere.pressure) * 0.15 + (rng() - 0.5) * 4;
     atmosphere.pressure = clamp(atmosphere.pressure + pressureDelta, 950, 1050);
 
     // --- Temperature simulation ---
@@ -111,7 +111,7 @@ export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
     const tempTarget = profile.base_temp + diurnalOffset;
     // Cloud cover (high moisture) reduces diurnal swing
     const cloudDamping = atmosphere.moisture > 60 ? 0.5 : 1.0;
-    const tempDelta = (tempTarget - atmosphere.temperature) * 0.12 * cloudDamping + (Math.random() - 0.5) * 1.5;
+    const tempDelta = (tempTarget - atmosphere.temperature) * 0.12 * cloudDamping + (rng() - 0.5) * 1.5;
     atmosphere.temperature = clamp(atmosphere.temperature + tempDelta, -10, 45);
 
     // --- Moisture simulation ---
@@ -119,7 +119,7 @@ export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
     const moistureTarget = profile.moisture_tendency * 100;
     // Low pressure pulls in moisture, high pressure pushes it away
     const pressureEffect = (1013 - atmosphere.pressure) * 0.15;
-    const moistureDelta = (moistureTarget + pressureEffect - atmosphere.moisture) * 0.08 + (Math.random() - 0.5) * 3;
+    const moistureDelta = (moistureTarget + pressureEffect - atmosphere.moisture) * 0.08 + (rng() - 0.5) * 3;
 
     // Rain/snow depletes moisture
     if (atmosphere.current === 'rain' || atmosphere.current === 'storm') {
@@ -133,16 +133,17 @@ export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
     // Wind speed responds to pressure gradients (lower pressure = more wind potential)
     const pressureGradient = Math.abs(1013 - atmosphere.pressure) / 50;
     const windTarget = profile.wind_base + pressureGradient * 15;
-    const windDelta = (windTarget - atmosphere.wind_speed) * 0.1 + (Math.random() - 0.5) * 3;
+    const windDelta = (windTarget - atmosphere.wind_speed) * 0.1 + (rng() - 0.5) * 3;
     atmosphere.wind_speed = clamp(atmosphere.wind_speed + windDelta, 0, 60);
 
     // Wind direction drifts slowly
-    atmosphere.wind_direction = (atmosphere.wind_direction + (Math.random() - 0.5) * 15 + 360) % 360;
+    atmosphere.wind_direction = (atmosphere.wind_direction + (rng() - 0.5) * 15 + 360) % 360;
 
     // --- Derive weather type from atmosphere ---
     const oldWeather = atmosphere.current;
     atmosphere.current = deriveWeatherType();
-    atmosphere.changedAt = Date.now();
+    atmosphere.changedAt = clock.now();
+    atmosphere.lastTick = clock.now();
 
     saveAtmosphere();
 
@@ -172,10 +173,10 @@ export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
     return 'clear';
   }
 
-  // Start ticking
-  setInterval(tickAtmosphere, TICK_INTERVAL);
-  // First tick after 30 seconds
-  setTimeout(tickAtmosphere, 30000);
+  /** Called once per simulation tick; steps the atmosphere every TICK_INTERVAL ticks */
+  function tick() {
+    if (clock.since(atmosphere.lastTick) >= TICK_INTERVAL) tickAtmosphere();
+  }
 
   // --- Public API ---
 
@@ -252,6 +253,7 @@ export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
   }
 
   return {
+    tick,
     setupRoutes,
     getCurrentWeather,
     getAtmosphere,
@@ -268,3 +270,12 @@ export function initWeather({ loadJSON, saveJSON, broadcast, addWorldNews }) {
 function clamp(val, min, max) {
   return Math.max(min, Math.min(max, val));
 }
+
+export const plugin = {
+  name: 'weather',
+  aliases: ['weatherSystem'],
+  init: initWeather,
+  tick: [{ phase: 'world', hook: 'tick' }],
+  routes: 'public',
+  files: ['world-weather.json'],
+};
@@ -5,17 +5,18 @@
 // and storylines for agents based on their situation, skills, and context rather than 
 // using hardcoded quest chains. Agent AI decisions drive quest creation.
 
-import crypto from 'crypto';
-
 export function initWorldMaster(shared) {
   const {
     loadJSON, saveJSON, agents, agentStore, ensureAgentStats,
     broadcast, addWorldNews, zones, awardXP,
     weatherSystem, eventsSystem, survivalSystem,
-    zoneResourcePools, economy, getGameTime, worldNews,
+    zoneResourcePools, economy, getGameTime, worldNews, clock, journal,
   } = shared;
+  const rng = shared.rng.stream('worldMaster');
 
-  const GAME_DAY_MS = 60 * 60 * 1000;
+  const PRECURSOR_LEAD = clock.hours(1);  // a precursor must stand this long before its consequence hits
+  const PRECURSOR_TTL = clock.hours(2);
+  const DIRECTIVE_TTL = clock.hours(12);
 
   // Consequence definitions
   const CONSEQUENCE_TYPES = {
@@ -53,13 +54,14 @@ export function initWorldMaster(shared) {
 
   // Event types (migrated from old events.js)
   const EVENT_TYPES = [
-    { id: 'meteor_shower', name: 'Meteor Shower', emoji: '☄️', desc: 'Rare minerals appearing in {zone}!', durationMs: 3600000, effect: 'rare_minerals' },
-    { id: 'market_day', name: 'Market Day', emoji: '🎪', desc: 'All trades give +50% coins!', durationMs: 7200000, effect: 'trade_bonus' },
-    { id: 'the_stranger', name: 'The Stranger', emoji: '🎭', desc: 'A mysterious figure appears... First to chat gets a unique item!', durationMs: 3600000, effect: 'stranger' },
-    { id: 'festival', name: 'Festival', emoji: '🎉', desc: 'All XP doubled for 3 hours!', durationMs: 10800000, effect: 'xp_double' },
+    { id: 'meteor_shower', name: 'Meteor Shower', emoji: '☄️', desc: 'Rare minerals appearing in {zone}!', durationHours: 1, effect: 'rare_minerals' },
+    { id: 'market_day', name: 'Market Day', emoji: '🎪', desc: 'All trades give +50% coins!', durationHours: 2, effect: 'trade_bonus' },
+    { id: 'the_stranger', name: 'The Stranger', emoji: '🎭', desc: 'A mysterious figure appears... First to chat gets a unique item!', durationHours: 1, effect: 'stranger' },
+    { id: 'festival', name: 'Festival', emoji: '🎉', desc: 'All XP doubled for 3 hours!', durationHours: 3, effect: 'xp_double' },
   ];
 
   // --- State ---
+  // All timestamps (expiresAt, sentAt, startedAt, endsAt, nextEventTrigger) are simulation ticks
   let wmState = loadJSON('world-master.json', {
     lastTick: null,
     lastNarrative: null,
@@ -70,19 +72,38 @@ export function initWorldMaster(shared) {
     precursors: [],    // { id, type, message, zone, sentAt, expiresAt }
     tickCount: 0,
     activeEvents: [],  // { id, name, emoji, desc, zone, startedAt, endsAt, effect, strangerClaimed }
-    nextEventTrigger: Date.now() + (4 + Math.random() * 4) * 3600000, // 4-8 hours
+    nextEventTrigger: scheduleNextEvent(),
   });
   // Ensure new fields for older saves
   if (!wmState.consequences) wmState.consequences = [];
   if (!wmState.precursors) wmState.precursors = [];
   if (!wmState.activeEvents) wmState.activeEvents = [];
-  if (!wmState.nextEventTrigger) wmState.nextEventTrigger = Date.now() + (4 + Math.random() * 4) * 3600000;
+  migrateWallClockState();
+  if (!wmState.nextEventTrigger) wmState.nextEventTrigger = scheduleNextEvent();
+
+  function scheduleNextEvent() {
+    return clock.after(clock.hours(4 + rng() * 4)); // 4-8 game hours
+  }
+
+  /** Saves from before the tick clock stored Date.now() values — drop them rather than let them never expire */
+  function migrateWallClockState() {
+    const isWallClock = (t) => typeof t === 'number' && t > 1e11;
+    wmState.dangers = wmState.dangers.filter(d => !isWallClock(d.expiresAt));
+    wmState.consequences = wmState.consequences.filter(c => !isWallClock(c.expiresAt));
+    wmState.precursors = wmState.precursors.filter(p => !isWallClock(p.expiresAt));
+    wmState.activeEvents = wmState.activeEvents.filter(e => !isWallClock(e.endsAt));
+    for (const [zone, mod] of Object.entries(wmState.zoneModifiers)) {
+      if (isWallClock(mod.expiresAt)) delete wmState.zoneModifiers[zone];
+    }
+    wmState.npcDirectives = wmState.npcDirectives.filter(d => typeof d.issuedAt === 'number');
+    if (isWallClock(wmState.nextEventTrigger)) wmState.nextEventTrigger = null;
+  }
 
   function save() { saveJSON('world-master.json', wmState); }
 
   // --- Danger System ---
   function cleanExpired() {
-    const now = Date.now();
+    const now = clock.now();
     const before = wmState.dangers.length;
     wmState.dangers = wmState.dangers.filter(d => d.expiresAt > now);
     // Clean zone modifiers
@@ -118,7 +139,7 @@ export function initWorldMaster(shared) {
 
   // --- Consequence System ---
   function cleanConsequences() {
-    const now = Date.now();
+    const now = clock.now();
     const expiredConsequences = wmState.consequences.filter(c => c.expiresAt <= now);
     for (const c of expiredConsequences) {
       addWorldNews('consequence_end', null, 'World', `${CONSEQUENCE_TYPES[c.type]?.emoji || '✨'} The ${CONSEQUENCE_TYPES[c.type]?.name || c.type} has ended.`, null);
@@ -131,7 +152,7 @@ export function initWorldMaster(shared) {
   function evaluateConsequences() {
     const atmosphere = weatherSystem.getAtmosphere();
     const gameTime = getGameTime();
-    const now = Date.now();
+    const now = clock.now();
 
     // Don't trigger consequences in the first 3 game days
     if (gameTime.dayCount < 3) return [];
@@ -145,9 +166,9 @@ export function initWorldMaster(shared) {
       if (!precursorTypes.has('drought')) {
         sendPrecursor('drought', null);
       } else {
-        // Check if precursor has been active long enough (1+ game hours = 2.5 real minutes)
+        // Check if precursor has been active long enough (1+ game hours)
         const precursor = wmState.precursors.find(p => p.type === 'drought');
-        if (precursor && now - precursor.sentAt > 2.5 * 60 * 1000) {
+        if (precursor && now - precursor.sentAt > PRECURSOR_LEAD) {
           triggered.push({ type: 'drought', zones: Object.keys(zones) });
         }
       }
@@ -172,7 +193,7 @@ export function initWorldMaster(shared) {
           sendPrecursor('wildfire', droughtZones[0]);
         } else {
           const precursor = wmState.precursors.find(p => p.type === 'wildfire');
-          if (precursor && now - precursor.sentAt > 2.5 * 60 * 1000) {
+          if (precursor && now - precursor.sentAt > PRECURSOR_LEAD) {
             triggered.push({ type: 'wildfire', zones: droughtZones.slice(0, 2) });
           }
         }
@@ -193,7 +214,7 @@ export function initWorldMaster(shared) {
           sendPrecursor('plague', denseZones[0]);
         } else {
           const precursor = wmState.precursors.find(p => p.type === 'plague');
-          if (precursor && now - precursor.sentAt > 2.5 * 60 * 1000) {
+          if (precursor && now - precursor.sentAt > PRECURSOR_LEAD) {
             triggered.push({ type: 'plague', zones: denseZones });
           }
         }
@@ -204,13 +225,13 @@ export function initWorldMaster(shared) {
     if (!activeTypes.has('earthquake') && wmState.tickCount > 10) {
       // ~5% chance per tick after tick 10, boosted by low pressure
       const quakeChance = atmosphere.pressure < 990 ? 0.08 : 0.03;
-      if (Math.random() < quakeChance) {
-        const targetZone = ['cave', 'rocky', 'grass'][Math.floor(Math.random() * 3)];
+      if (rng() < quakeChance) {
+        const targetZone = ['cave', 'rocky', 'grass'][Math.floor(rng() * 3)];
         if (!precursorTypes.has('earthquake')) {
           sendPrecursor('earthquake', targetZone);
         } else {
           const precursor = wmState.precursors.find(p => p.type === 'earthquake');
-          if (precursor && now - precursor.sentAt > 2.5 * 60 * 1000) {
+          if (precursor && now - precursor.sentAt > PRECURSOR_LEAD) {
             triggered.push({ type: 'earthquake', zones: [targetZone] });
           }
         }
@@ -229,7 +250,7 @@ export function initWorldMaster(shared) {
           sendPrecursor('famine', 'grass');
         } else {
           const precursor = wmState.precursors.find(p => p.type === 'famine');
-          if (precursor && now - precursor.sentAt > 2.5 * 60 * 1000) {
+          if (precursor && now - precursor.sentAt > PRECURSOR_LEAD) {
             triggered.push({ type: 'famine', zones: Object.keys(zones) });
           }
         }
@@ -243,12 +264,12 @@ export function initWorldMaster(shared) {
     const def = CONSEQUENCE_TYPES[type];
     if (!def) return;
     const precursor = {
-      id: 'precursor_' + crypto.randomBytes(4).toString('hex'),
+      id: 'precursor_' + rng.hex(4),
       type,
       message: def.precursor.message,
       zone,
-      sentAt: Date.now(),
-      expiresAt: Date.now() + 5 * 60 * 1000, // 5 real minutes (~2 game hours)
+      sentAt: clock.now(),
+      expiresAt: clock.after(PRECURSOR_TTL),
     };
     wmState.precursors.push(precursor);
     addWorldNews('precursor', null, 'World', `⚠️ ${def.precursor.message}`, zone);
@@ -259,16 +280,16 @@ export function initWorldMaster(shared) {
   function applyConsequence(type, targetZones) {
     const def = CONSEQUENCE_TYPES[type];
     if (!def) return;
-    const durationMs = def.duration_hours * (60 * 60 * 1000 / 24); // game hours → real time
     const consequence = {
-      id: 'consequence_' + crypto.randomBytes(4).toString('hex'),
+      id: 'consequence_' + rng.hex(4),
       type,
       zones: targetZones,
       description: `${def.emoji} ${def.name}`,
-      startedAt: Date.now(),
-      expiresAt: Date.now() + durationMs,
+      startedAt: clock.now(),
+      expiresAt: clock.after(clock.hours(def.duration_hours)),
     };
     wmState.consequences.push(consequence);
+    journal.record('consequence', { consequenceId: consequence.id, kind: type, zones: targetZones });
     // Remove precursors of this type
     wmState.precursors = wmState.precursors.filter(p => p.type !== type);
 
@@ -319,7 +340,7 @@ export function initWorldMaster(shared) {
   function getConsequenceEffects(zone) {
     const effects = {};
     for (const c of wmState.consequences) {
-      if (c.expiresAt <= Date.now()) continue;
+      if (c.expiresAt <= clock.now()) continue;
       if (!c.zones.includes(zone)) continue;
       const def = CONSEQUENCE_TYPES[c.type];
       if (!def) continue;
@@ -334,7 +355,7 @@ export function initWorldMaster(shared) {
   }
 
   function getFoodPriceMultiplier() {
-    const famine = wmState.consequences.find(c => c.type === 'famine' && c.expiresAt > Date.now());
+    const famine = wmState.consequences.find(c => c.type === 'famine' && c.expiresAt > clock.now());
     if (famine) return CONSEQUENCE_TYPES.famine.effects.food_price_mult;
     return 1.0;
   }
@@ -367,6 +388,7 @@ export function initWorldMaster(shared) {
         name: a.name,
         npc: a.npc || false,
         zone: a.zone,
+        place: shared.worldGrid?.placeName?.(a.tileX, a.tileY) ?? a.zone,
         level: a.stats.level,
         energy: Math.floor(a.energy ?? 100),
         coins: a.coins || 0,
@@ -438,12 +460,14 @@ export function initWorldMaster(shared) {
       grandmasters: grandmasters.map(g => `${g.agent} — ${g.domain}`),
       recent_news: recentNews,
       notable_events: notableNews,
-      active_dangers: wmState.dangers.filter(d => d.expiresAt > Date.now()),
-      active_consequences: wmState.consequences.filter(c => c.expiresAt > Date.now()),
-      active_precursors: wmState.precursors.filter(p => p.expiresAt > Date.now()),
+      active_dangers: wmState.dangers.filter(d => d.expiresAt > clock.now()),
+      active_consequences: wmState.consequences.filter(c => c.expiresAt > clock.now()),
+      active_precursors: wmState.precursors.filter(p => p.expiresAt > clock.now()),
       active_zone_modifiers: wmState.zoneModifiers,
       npc_names: Array.from(agents.values()).filter(a => a.npc).map(a => a.name),
       zone_names: Object.keys(zones),
+      points_of_interest: (shared.pointsOfInterest?.list() || [])
+        .map(p => `${p.name} (${p.discoveredBy ? `found by ${p.discoveredBy}` : 'undiscovered'})`),
     };
   }
 
@@ -529,16 +553,15 @@ Guidelines:
     // 1. Custom event
     if (decisions.event && decisions.event.name) {
       const evt = decisions.event;
-      const durationMs = (evt.duration_hours || 2) * 3600000;
       const event = {
-        id: 'wm_event_' + crypto.randomBytes(4).toString('hex'),
+        id: 'wm_event_' + rng.hex(4),
         name: evt.name,
         emoji: '🌟',
         desc: evt.description || evt.name,
         zone: null,
         effect: 'custom',
-        startedAt: Date.now(),
-        endsAt: Date.now() + durationMs,
+        startedAt: clock.now(),
+        endsAt: clock.after(clock.hours(evt.duration_hours || 2)),
         effects: evt.effects || {},
       };
       // Add to events system active list
@@ -567,8 +590,8 @@ Guidelines:
 
         if (directive.action === 'move' && directive.zone && zones[directive.zone]) {
           npcAgent.zone = directive.zone;
-          npcAgent.x = zones[directive.zone].x + Math.floor(Math.random() * 60 - 30);
-          npcAgent.y = zones[directive.zone].y + Math.floor(Math.random() * 60 - 30);
+          npcAgent.x = zones[directive.zone].x + Math.floor(rng() * 60 - 30);
+          npcAgent.y = zones[directive.zone].y + Math.floor(rng() * 60 - 30);
           agentStore[npcAgent.id] = npcAgent;
           saveJSON('agents.json', agentStore);
           broadcast({ type: 'agentMoved', agent: { id: npcAgent.id, name: npcAgent.name, x: npcAgent.x, y: npcAgent.y, zone: npcAgent.zone, level: npcAgent.stats?.level, title: npcAgent.stats?.title } });
@@ -576,7 +599,7 @@ Guidelines:
 
         wmState.npcDirectives.push({
           ...directive,
-          issuedAt: new Date().toISOString(),
+          issuedAt: clock.now(),
           executed: false,
         });
         // Keep last 20 directives
@@ -592,7 +615,7 @@ Guidelines:
           gather_bonus: mod.gather_bonus ?? 1.0,
           craft_discount: mod.craft_discount ?? 1.0,
           reason: mod.reason || 'World Master decree',
-          expiresAt: Date.now() + (mod.duration_hours || 2) * 3600000,
+          expiresAt: clock.after(clock.hours(mod.duration_hours || 2)),
         };
       }
     }
@@ -601,12 +624,12 @@ Guidelines:
     if (decisions.danger && decisions.danger.zone && zones[decisions.danger.zone]) {
       const d = decisions.danger;
       const danger = {
-        id: 'danger_' + crypto.randomBytes(4).toString('hex'),
+        id: 'danger_' + rng.hex(4),
         zone: d.zone,
         type: d.type || 'unknown',
         description: d.description || 'A mysterious danger lurks...',
         blocking: d.blocking === true,
-        expiresAt: Date.now() + (d.duration_hours || 2) * 3600000,
+        expiresAt: clock.after(clock.hours(d.duration_hours || 2)),
       };
       // Replace existing danger in same zone
       wmState.dangers = wmState.dangers.filter(x => x.zone !== d.zone);
@@ -634,8 +657,9 @@ Guidelines:
       applyConsequence(type, zones);
     }
 
+    // The LLM's answer is journaled as an input — replays reuse it instead of asking again
     const snapshot = buildWorldSnapshot();
-    const decisions = await callLLM(snapshot);
+    const decisions = await journal.input('world_master', () => callLLM(snapshot));
 
     if (decisions) {
       applyDecisions(decisions);
@@ -644,27 +668,11 @@ Guidelines:
       console.log('🌍 [world-master] No decisions (LLM skipped or failed)');
     }
 
-    wmState.lastTick = new Date().toISOString();
+    wmState.lastTick = clock.now();
     wmState.tickCount++;
     save();
   }
 
-  // --- Init ---
-  let tickInterval = null;
-
-  function start() {
-    // Run first tick after 1 minute, then every 30 minutes
-    setTimeout(() => {
-      tick().catch(err => console.error('❌ [world-master] Tick error:', err.message));
-    }, 60000);
-
-    tickInterval = setInterval(() => {
-      tick().catch(err => console.error('❌ [world-master] Tick error:', err.message));
-    }, 30 * 60 * 1000);
-
-    console.log('🌍 [world-master] Started (30-min ticks)');
-  }
-
   function setupRoutes(app) {
     // Manual trigger
     app.post('/api/admin/world-master-tick', async (req, res) => {
@@ -696,18 +704,14 @@ Guidelines:
   }
 
   function getActiveDirective(npcName) {
-    const now = Date.now();
-    const thirtyMinMs = 30 * 60 * 1000;
     const matching = wmState.npcDirectives.filter(d =>
       d.npc === npcName &&
       !d.executed &&
-      (now - new Date(d.issuedAt).getTime()) <= thirtyMinMs
+      clock.since(d.issuedAt) <= DIRECTIVE_TTL
     );
     if (matching.length === 0) return null;
     // Return the most recent
-    return matching.reduce((latest, d) =>
-      new Date(d.issuedAt).getTime() > new Date(latest.issuedAt).getTime() ? d : latest
-    );
+    return matching.reduce((latest, d) => d.issuedAt > latest.issuedAt ? d : latest);
   }
 
   function markDirectiveExecuted(npcName, action) {
@@ -716,7 +720,7 @@ Guidelines:
     );
     if (directive) {
       directive.executed = true;
-      directive.executedAt = Date.now();
+      directive.executedAt = clock.now();
       save();
     }
   }
@@ -731,8 +735,8 @@ Guidelines:
       dangers: wmState.dangers,
       zoneModifiers: wmState.zoneModifiers,
       recentDirectives: wmState.npcDirectives.slice(-5),
-      consequences: wmState.consequences.filter(c => c.expiresAt > Date.now()),
-      precursors: wmState.precursors.filter(p => p.expiresAt > Date.now()),
+      consequences: wmState.consequences.filter(c => c.expiresAt > clock.now()),
+      precursors: wmState.precursors.filter(p => p.expiresAt > clock.now()),
       activeEvents: getActiveEvents(),
     };
   }
@@ -740,7 +744,7 @@ Guidelines:
   // ==================== EVENTS SYSTEM (migrated from events.js) ====================
   
   function getActiveEvents() {
-    const now = Date.now();
+    const now = clock.now();
     wmState.activeEvents = wmState.activeEvents.filter(e => now < e.endsAt);
     return wmState.activeEvents;
   }
@@ -758,24 +762,25 @@ Guidelines:
   }
 
   function triggerRandomEvent() {
-    if (Date.now() < wmState.nextEventTrigger) return;
+    if (clock.now() < wmState.nextEventTrigger) return;
     
-    const template = EVENT_TYPES[Math.floor(Math.random() * EVENT_TYPES.length)];
+    const template = EVENT_TYPES[Math.floor(rng() * EVENT_TYPES.length)];
     const zoneNames = Object.keys(zones);
-    const zone = zoneNames[Math.floor(Math.random() * zoneNames.length)];
+    const zone = zoneNames[Math.floor(rng() * zoneNames.length)];
     
     const event = {
-      id: 'event_' + crypto.randomBytes(4).toString('hex'),
+      id: 'event_' + rng.hex(4),
       ...template,
       desc: template.desc.replace('{zone}', zones[zone]?.name || zone),
       zone,
-      startedAt: Date.now(),
-      endsAt: Date.now() + template.durationMs,
+      startedAt: clock.now(),
+      endsAt: clock.after(clock.hours(template.durationHours)),
       strangerClaimed: false
     };
     
     wmState.activeEvents.push(event);
-    wmState.nextEventTrigger = Date.now() + (4 + Math.random() * 4) * 3600000;
+    wmState.nextEventTrigger = scheduleNextEvent();
+    journal.record('world_event', { eventId: event.id, name: event.name, effect: event.effect, zone });
     save();
     
     broadcast({ type: 'worldEvent', event });
@@ -797,7 +802,6 @@ Guidelines:
   }
 
   return {
-    start,
     setupRoutes,
     tick,
     getState,
@@ -826,3 +830,12 @@ Guidelines:
     triggerRandomEvent,
   };
 }
+
+export const plugin = {
+  name: 'worldMaster',
+  deps: ['weather', 'survival', 'ecosystem', 'proficiency', 'relationships', 'reputation'],
+  init: initWorldMaster,
+  tick: [{ phase: 'periodic', hook: 'tick', every: 50 }],
+  routes: 'public',
+  files: ['world-master.json', 'world-events.json'],
+};
@@ -0,0 +1,51 @@
+/**
+ * Terrain Edits — tiles agents have reshaped
+ *
+ * The generated terrain is read-only; a terraform changes how the adapter sees one tile from
+ * then on. A tile can be reshaped more than once (clear a forest, then pave it), so each keeps
+ * its steps in order and the adapter replays them over the generated tile at boot.
+ *
+ * Persisted as terrain-edits.json through the simulation's loadJSON/saveJSON:
+ *   { tiles: { "x,y": [{ type, by, tick }, …] } }
+ */
+
+// from: zones the tile may be in now. zone: what it becomes (null: stays as it is — a bridge
+// only makes it crossable). tool: kind of tool needed (see systems/structures.js).
+// cost: materials used up. yields: materials it gives back. clears: takes the decoration with it.
+export const TERRAFORMS = {
+  clear:  { name: 'Clear',  emoji: '🪓', from: ['forest'], zone: 'grass', tool: 'cutting', cost: {}, yields: { wood: 2 }, energy: 8, clears: true },
+  pave:   { name: 'Pave',   emoji: '🛤️', from: ['grass', 'sand', 'rocky', 'coast', 'swamp'], zone: 'path', tool: 'digging', cost: { stone: 3 }, yields: {}, energy: 6, clears: true },
+  dig:    { name: 'Dig',    emoji: '⛏️', from: ['grass', 'sand', 'coast', 'swamp', 'path'], zone: 'river', tool: 'digging', cost: {}, yields: {}, energy: 10, clears: true },
+  bridge: { name: 'Bridge', emoji: '🌉', from: ['river', 'water'], zone: null, tool: 'cutting', cost: { wood: 4, fiber: 2 }, yields: {}, energy: 8, clears: false },
+};
+
+// A bridge is crossed like firm ground, whatever runs underneath
+export const BRIDGE_TRAVEL_COST = 1.0;
+
+export function initTerrainEdits({ width, loadJSON, saveJSON, clock = null }) {
+  const FILE = 'terrain-edits.json';
+  const data = loadJSON(FILE, { tiles: {} });
+  data.tiles ??= {};
+
+  const keyOf = (idx) => `${idx % width},${Math.floor(idx / width)}`;
+  const idxOf = (key) => { const [x, y] = key.split(',').map(Number); return y * width + x; };
+
+  // tile index -> terraform types in the order they were made (Map order = order of first edit)
+  const edits = new Map();
+  for (const [key, steps] of Object.entries(data.tiles)) edits.set(idxOf(key), steps.map(s => s.type));
+
+  function record(idx, type, by = null) {
+    const key = keyOf(idx);
+    (data.tiles[key] ??= []).push({ type, by, tick: clock?.now() ?? null });
+    if (edits.has(idx)) edits.get(idx).push(type);
+    else edits.set(idx, [type]);
+    saveJSON(FILE, data);
+  }
+
+  return {
+    record,
+    steps: (idx) => edits.size === 0 ? undefined : edits.get(idx),
+    all: () => edits,
+    count: () => edits.size,
+  };
+}
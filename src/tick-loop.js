@@ -0,0 +1,145 @@
+/**
+ * Tick Loop — runs the simulation in real time, with pause, single-step and speed control
+ *
+ * One tick is scheduled only after the previous one (async hooks included) has finished, every
+ * tickMs / speed milliseconds. A slow tick simply delays the next — at high speeds the loop
+ * runs as fast as the ticks allow.
+ *
+ *   const loop = initTickLoop({ runTick: () => sim.simulationTick(), onChange: status => … });
+ *   loop.start();
+ *   loop.pause();
+ *   await loop.step(10);
+ *   loop.setSpeed(4);
+ */
+
+export const MIN_SPEED = 0.25;
+export const MAX_SPEED = 20;
+export const MAX_STEP_TICKS = 1000;
+
+export function initTickLoop({ runTick, tickMs = 500, onChange = () => {} }) {
+  let speed = 1;
+  let paused = false;
+  let running = false;
+  let held = false;
+  let stepping = false;
+  let inFlight = null;
+  let timer = null;
+  let lastStarted = 0;
+
+  function interval() {
+    return tickMs / speed;
+  }
+
+  function status() {
+    return { paused, speed, tickMs: Math.round(interval()), stepping };
+  }
+
+  async function tickOnce() {
+    lastStarted = Date.now();
+    inFlight = runTick();
+    try { return await inFlight; }
+    catch (err) { console.error('❌ Tick failed:', err); return null; }
+    finally { inFlight = null; }
+  }
+
+  /** (Re)arm the timer for the next tick, counting from when the last one started */
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (!running || paused || inFlight || stepping) return;
+    timer = setTimeout(loop, Math.max(0, interval() - (Date.now() - lastStarted)));
+  }
+
+  async function loop() {
+    timer = null;
+    if (!held) await tickOnce();
+    else lastStarted = Date.now();
+    schedule();
+  }
+
+  function start() {
+    running = true;
+    schedule();
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function pause() {
+    if (paused) return status();
+    paused = true;
+    schedule();
+    onChange(status());
+    return status();
+  }
+
+  function resume() {
+    if (!paused) return status();
+    if (stepping) return { error: 'Wait for the current step to finish' };
+    paused = false;
+    schedule();
+    onChange(status());
+    return status();
+  }
+
+  function setSpeed(value) {
+    const next = Number(value);
+    if (!Number.isFinite(next) || next < MIN_SPEED || next > MAX_SPEED) {
+      return { error: `speed must be between ${MIN_SPEED} and ${MAX_SPEED}` };
+    }
+    speed = next;
+    schedule();
+    onChange(status());
+    return status();
+  }
+
+  /** Run `ticks` ticks back to back while paused. Resolves to { ...status, ticks, tick }. */
+  async function step(ticks = 1) {
+    const count = parseInt(ticks);
+    if (!paused) return { error: 'Pause the simulation before stepping' };
+    if (stepping) return { error: 'Already stepping' };
+    if (!Number.isInteger(count) || count < 1 || count > MAX_STEP_TICKS) {
+      return { error: `ticks must be between 1 and ${MAX_STEP_TICKS}` };
+    }
+    stepping = true;
+    let done = 0, tick = null;
+    try {
+      if (inFlight) await inFlight.catch(() => {}); // the tick that was running when we paused
+      while (done < count && !held) {
+        tick = await tickOnce();
+        done++;
+      }
+    } finally {
+      stepping = false;
+    }
+    onChange(status());
+    return { ...status(), ticks: done, tick };
+  }
+
+  /** Run `fn` between ticks — waits out the tick in progress and holds the next one */
+  async function whileHeld(fn) {
+    held = true;
+    try {
+      if (inFlight) await inFlight.catch(() => {});
+      return await fn();
+    } finally {
+      held = false;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    pause,
+    resume,
+    step,
+    setSpeed,
+    whileHeld,
+    status,
+    get speed() { return speed; },
+    get paused() { return paused; },
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Tile Layer — sparse, persisted per-tile structures and dropped items
+ *
+ * The generated world is read-only; everything agents leave behind lives here, keyed by tile.
+ * Structures can make a tile impassable (a wall) and scale its travel cost;
+ * dropped items sit on the tile until someone picks them up.
+ *
+ * Persisted as tile-layer.json through the simulation's loadJSON/saveJSON, so save slots and
+ * journal checkpoints carry it:
+ *   { nextId, tiles: { "x,y": { structures: [...], objects: [...] } } }
+ */
+
+// blocks: nobody can walk onto the tile. costFactor: multiplies the tile's travel cost.
+export const STRUCTURE_TYPES = {
+  campfire: { name: 'Campfire', emoji: '🔥', cost: { wood: 2, stone: 1 }, blocks: false, costFactor: 1 },
+  wall:     { name: 'Wall',     emoji: '🧱', cost: { stone: 4 },          blocks: true,  costFactor: 1 },
+  shelter:  { name: 'Shelter',  emoji: '🛖', cost: { wood: 4, fiber: 2 }, blocks: false, costFactor: 1.5 },
+  signpost: { name: 'Signpost', emoji: '🪧', cost: { wood: 1 },           blocks: false, costFactor: 1 },
+};
+
+const MAX_STRUCTURES_PER_TILE = 4;
+const MAX_OBJECTS_PER_TILE = 50;
+const MAX_SIGN_TEXT = 140;
+
+export function initTileLayer({ width, height, loadJSON, saveJSON, clock = null }) {
+  const FILE = 'tile-layer.json';
+  const data = loadJSON(FILE, { nextId: 1, tiles: {} });
+  data.nextId ??= 1;
+  data.tiles ??= {};
+
+  const key = (x, y) => `${x},${y}`;
+  const now = () => clock?.now() ?? null;
+  let revision = 0; // bumped whenever structures change — routes planned before may be stale
+
+  // getTile asks about every tile it builds, so lookups go through a numeric index of the same cells
+  const cells = new Map(); // y * width + x -> cell
+  for (const [k, c] of Object.entries(data.tiles)) {
+    const [x, y] = k.split(',').map(Number);
+    cells.set(y * width + x, c);
+  }
+
+  function save() { saveJSON(FILE, data); }
+
+  function inBounds(x, y) {
+    return Number.isInteger(x) && Number.isInteger(y) && x >= 0 && x < width && y >= 0 && y < height;
+  }
+
+  function cell(x, y, create = false) {
+    if (cells.size === 0 && !create) return null;
+    let c = cells.get(y * width + x);
+    if (!c && create) {
+      c = data.tiles[key(x, y)] = { structures: [], objects: [] };
+      cells.set(y * width + x, c);
+    }
+    return c || null;
+  }
+
+  /** Drop empty tiles so the file only holds tiles that have something on them */
+  function prune(x, y) {
+    const c = cell(x, y);
+    if (c && c.structures.length === 0 && c.objects.length === 0) {
+      delete data.tiles[key(x, y)];
+      cells.delete(y * width + x);
+    }
+  }
+
+  // ─────────────────────────────
+  // Structures
+  // ─────────────────────────────
+
+  function addStructure(x, y, { type, builtBy = null, text } = {}) {
+    if (!inBounds(x, y)) return { error: 'Invalid coordinates' };
+    const def = STRUCTURE_TYPES[type];
+    if (!def) return { error: `Unknown structure type "${type}" (${Object.keys(STRUCTURE_TYPES).join(', ')})` };
+    const existing = cell(x, y);
+    if (existing && existing.structures.length >= MAX_STRUCTURES_PER_TILE) return { error: 'This tile is full' };
+    if (existing?.structures.some(s => s.type === type)) return { error: `There is already a ${def.name.toLowerCase()} here` };
+
+    const structure = { id: `st-${data.nextId++}`, type, name: def.name, x, y, builtBy, tick: now() };
+    if (type === 'signpost') structure.text = String(text ?? '').slice(0, MAX_SIGN_TEXT);
+    cell(x, y, true).structures.push(structure);
+    revision++;
+    save();
+    return { ok: true, structure };
+  }
+
+  function removeStructure(id) {
+    for (const [k, c] of Object.entries(data.tiles)) {
+      const idx = c.structures.findIndex(s => s.id === id);
+      if (idx === -1) continue;
+      const [structure] = c.structures.splice(idx, 1);
+      const [x, y] = k.split(',').map(Number);
+      prune(x, y);
+      revision++;
+      save();
+      return { ok: true, structure };
+    }
+    return { error: 'Structure not found' };
+  }
+
+  function getStructures(x, y) {
+    return cell(x, y)?.structures.slice() || [];
+  }
+
+  // ─────────────────────────────
+  // Dropped items
+  // ─────────────────────────────
+
+  /** Put an inventory item on the ground. Stackable items merge with a matching stack. */
+  function dropItem(x, y, item, { droppedBy = null } = {}) {
+    if (!inBounds(x, y)) return { error: 'Invalid coordinates' };
+    if (!item?.name) return { error: 'Item needs a name' };
+    const existing = cell(x, y);
+    const stack = existing?.objects.find(o => !o.id && !item.id && o.name === item.name);
+    if (stack) {
+      stack.quantity = (stack.quantity || 1) + (item.quantity || 1);
+    } else {
+      if (existing && existing.objects.length >= MAX_OBJECTS_PER_TILE) return { error: 'No room on this tile' };
+      cell(x, y, true).objects.push({ ...item, droppedBy, droppedAt: now() });
+    }
+    save();
+    return { ok: true };
+  }
+
+  /**
+   * Take an item off the ground, by id or by name. `quantity` splits a stack; the taken item
+   * is returned without the drop bookkeeping.
+   */
+  function takeItem(x, y, { id, name, quantity } = {}) {
+    const c = cell(x, y);
+    const idx = c ? c.objects.findIndex(o => (id ? o.id === id : o.name === name)) : -1;
+    if (idx === -1) return { error: 'Nothing like that here' };
+    const object = c.objects[idx];
+    const { droppedBy, droppedAt, ...item } = object;
+    const have = object.quantity || 1;
+    const take = Math.max(1, Math.min(have, parseInt(quantity) || have));
+    if (take < have) {
+      object.quantity = have - take;
+      item.quantity = take;
+    } else {
+      c.objects.splice(idx, 1);
+      prune(x, y);
+    }
+    save();
+    return { ok: true, item };
+  }
+
+  function getObjects(x, y) {
+    return cell(x, y)?.objects.slice() || [];
+  }
+
+  // ─────────────────────────────
+  // Queries & overrides
+  // ─────────────────────────────
+
+  /** Every non-empty tile in the rectangle, as { x, y, structures, objects } */
+  function query(minX, minY, maxX, maxY) {
+    const out = [];
+    for (const [k, c] of Object.entries(data.tiles)) {
+      const [x, y] = k.split(',').map(Number);
+      if (x < minX || x > maxX || y < minY || y > maxY) continue;
+      out.push({ x, y, structures: c.structures.slice(), objects: c.objects.slice() });
+    }
+    return out;
+  }
+
+  function isBlocked(x, y) {
+    return !!cell(x, y)?.structures.some(s => STRUCTURE_TYPES[s.type]?.blocks);
+  }
+
+  function costFactor(x, y) {
+    const c = cell(x, y);
+    if (!c) return 1;
+    return c.structures.reduce((f, s) => f * (STRUCTURE_TYPES[s.type]?.costFactor ?? 1), 1);
+  }
+
+  function stats() {
+    let structures = 0, objects = 0;
+    for (const c of Object.values(data.tiles)) {
+      structures += c.structures.length;
+      objects += c.objects.length;
+    }
+    return { tiles: Object.keys(data.tiles).length, structures, objects };
+  }
+
+  return {
+    addStructure,
+    removeStructure,
+    getStructures,
+    dropItem,
+    takeItem,
+    getObjects,
+    query,
+    isBlocked,
+    costFactor,
+    stats,
+    revision: () => revision,
+    STRUCTURE_TYPES,
+  };
+}
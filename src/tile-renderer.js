@@ -3,6 +3,10 @@
  * Extracted from WORLD/scripts/render-v6.mjs
  * 
  * Renders 32×32 game tile chunks → 512×512 PNG images, cached to disk.
+ * Decorations gathered off the map (options.removedDecorations) are left out, and tiles agents
+ * have terraformed (options.terrainEdits) or worn into trails (options.wornPaths) are drawn as
+ * they are now; a chunk's cache file is keyed by all three, so it re-renders once one changes.
+ * The cave layer (options.caveLayer) renders as its own chunks, keyed by the deposits mined out.
  */
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { deflateSync } from 'zlib';
@@ -61,35 +65,74 @@ const DECO_COLORS = {
 const BI = { ocean: 0, beach: 1, grassland: 2, forest: 3, desert: 4, mountain: 5, tundra: 6, swamp: 7 };
 const BN = Object.keys(BI);
 
-export function initTileRenderer(worldData, cacheDir) {
-  const { width, height, terrain, decorations, tileDefs, decoTints, seed } = worldData;
-  const defById = new Map();
-  for (const d of tileDefs) defById.set(d.id, d);
+// ═══════════════════════════════
+// DERIVED LAYERS — elevation, lakes, rivers, land distance (the renderer's own seeds, not the adapter's)
+// ═══════════════════════════════
+/** Bump when the layer code below changes, so stored layers from older code are recomputed */
+export const RENDER_LAYERS_VERSION = 1;
 
-  // Ensure cache dir
-  if (!existsSync(cacheDir)) mkdirSync(cacheDir, { recursive: true });
+function mkN(s, f, o = 4) { const p = Alea(s), n = createNoise2D(p); return (x, y) => { let v = 0, fr = f, a = 1, m = 0; for (let i = 0; i < o; i++) { v += n(x * fr, y * fr) * a; m += a; fr *= 2; a *= 0.5; } return (v / m + 1) / 2; }; }
 
-  // ═══════════════════════════════
-  // PRECOMPUTE (same as v6)
-  // ═══════════════════════════════
+function biomeMapOf({ width, height, terrain, tileDefs }) {
+  const defById = new Map();
+  for (const d of tileDefs) defById.set(d.id, d);
   const bm = new Uint8Array(width * height);
   for (let i = 0; i < terrain.length; i++) { const d = defById.get(terrain[i]); bm[i] = d ? (BI[d.biome] ?? 0) : 0; }
+  return bm;
+}
+
+/** Heights, lakes, rivers and distance from land as drawn — deterministic per terrain, so scripts/convert-world.mjs bakes them in */
+export function computeRenderLayers(worldData, bm = biomeMapOf(worldData)) {
+  const { width, height } = worldData;
+  const eN = mkN('e6', 0.011, 7), rN = mkN('r6', 0.03, 3), lkN = mkN('lk6', 0.025, 4);
 
   // Distance from land
   const distL = new Int16Array(width * height).fill(-1);
   const q = []; for (let i = 0; i < bm.length; i++) if (bm[i] !== 0) { distL[i] = 0; q.push(i); }
   let qi = 0; while (qi < q.length) { const ci = q[qi++]; const cx = ci % width, cy = (ci / width) | 0, cd = distL[ci]; if (cd >= 30) continue; for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) { const nx = cx + dx, ny = cy + dy; if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue; const ni = ny * width + nx; if (distL[ni] === -1) { distL[ni] = cd + 1; q.push(ni); } } }
 
+  // Elevation
+  const ev = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) ev[y * width + x] = eN(x, y);
+
+  // Lakes
+  const lkM = new Uint8Array(width * height);
+  const lkRng = Alea('lk6');
+  for (let i = 0; i < 400; i++) { const x = (lkRng() * (width - 40) + 20) | 0, y = (lkRng() * (height - 40) + 20) | 0; const idx = y * width + x; if (bm[idx] === 0 || ev[idx] > 0.42 || ev[idx] < 0.2) continue; if (lkN(x, y) > 0.42) continue; const th = ev[idx] + 0.018; const vis = new Set(); const fl = [idx]; const filled = []; while (fl.length > 0 && filled.length < 100) { const ci = fl.pop(); if (vis.has(ci)) continue; vis.add(ci); if (ev[ci] > th || bm[ci] === 0) continue; filled.push(ci); const cx2 = ci % width, cy2 = (ci / width) | 0; for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) { const nx = cx2 + dx, ny = cy2 + dy; if (nx >= 0 && nx < width && ny >= 0 && ny < height) fl.push(ny * width + nx); } } if (filled.length >= 10) for (const fi of filled) lkM[fi] = 1; }
+
+  // Rivers
+  const rvM = new Uint8Array(width * height);
+  const rvRng = Alea('rv6');
+  const srcs = []; for (let i = 0; i < 2000; i++) { const x = (rvRng() * (width - 40) + 20) | 0, y = (rvRng() * (height - 40) + 20) | 0; if (bm[y * width + x] !== 0 && ev[y * width + x] > 0.55) srcs.push([x, y]); }
+  srcs.sort((a, b) => ev[b[1] * width + b[0]] - ev[a[1] * width + a[0]]); srcs.length = Math.min(80, srcs.length);
+  for (const [sx, sy] of srcs) { let x = sx, y = sy, steps = 0; const vis = new Set(); while (steps < 2000) { if (x < 1 || x >= width - 1 || y < 1 || y >= height - 1) break; if (bm[y * width + x] === 0) break; const k = `${x},${y}`; if (vis.has(k)) break; vis.add(k); const w = Math.min(4, 1 + (steps / 60) | 0); for (let dy = -w; dy <= w; dy++) for (let dx = -w; dx <= w; dx++) if (dx * dx + dy * dy <= w * w) { const nx = x + dx, ny = y + dy; if (nx >= 0 && nx < width && ny >= 0 && ny < height) rvM[ny * width + nx] = Math.max(rvM[ny * width + nx], w); } let be = ev[y * width + x], bx = x, by = y; const m = (rN(x * 0.5, y * 0.5) - 0.5) * 0.02; for (const [dx, dy] of [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]) { const nx = x + dx, ny = y + dy; if (nx >= 0 && nx < width && ny >= 0 && ny < height) { const e = ev[ny * width + nx] + m * dx; if (e < be) { be = e; bx = nx; by = ny; } } } if (bx === x && by === y) { x += (rvRng() > 0.5 ? 1 : -1); y += (rvRng() > 0.5 ? 1 : -1); } else { x = bx; y = by; } steps++; } }
+
+  return { version: RENDER_LAYERS_VERSION, elevation: ev, lake: lkM, river: rvM, landDistance: distL };
+}
+
+export function initTileRenderer(worldData, cacheDir, { removedDecorations = () => null, terrainEdits = () => null, wornPaths = () => null, caveLayer = () => null } = {}) {
+  const { width, height, decorations: baseDecorations, tileDefs, decoTints, seed } = worldData;
+  const defById = new Map();
+  for (const d of tileDefs) defById.set(d.id, d);
+
+  // Ensure cache dir
+  if (!existsSync(cacheDir)) mkdirSync(cacheDir, { recursive: true });
+
+  // ═══════════════════════════════
+  // PRECOMPUTE (same as v6)
+  // ═══════════════════════════════
+  const bm = biomeMapOf(worldData);
+
   // Noise functions
-  function mkN(s, f, o = 4) { const p = Alea(s), n = createNoise2D(p); return (x, y) => { let v = 0, fr = f, a = 1, m = 0; for (let i = 0; i < o; i++) { v += n(x * fr, y * fr) * a; m += a; fr *= 2; a *= 0.5; } return (v / m + 1) / 2; }; }
-  const cN = mkN('c6', 0.032, 6), eN = mkN('e6', 0.011, 7), dN = mkN('d6', 0.22, 4), bN = mkN('b6', 0.055, 4);
+  const cN = mkN('c6', 0.032, 6), dN = mkN('d6', 0.22, 4), bN = mkN('b6', 0.055, 4);
   const fN = mkN('f6', 0.15, 3), wN = mkN('w6', 0.06, 4), clN = mkN('cl6', 0.007, 5), gN = mkN('g6', 0.3, 3);
-  const rN = mkN('r6', 0.03, 3), pN = mkN('p6', 0.05, 3), lkN = mkN('lk6', 0.025, 4);
+  const pN = mkN('p6', 0.05, 3);
   const microN = mkN('micro6', 0.5, 2);
 
-  // Elevation
-  const ev = new Float32Array(width * height);
-  for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) ev[y * width + x] = eN(x, y);
+  // Read from world.bin's layers.render when it has them; recomputed otherwise
+  const stored = worldData.layers?.render;
+  const { elevation: ev, lake: lkM, river: baseRiver, landDistance: distL } = stored?.version === RENDER_LAYERS_VERSION ? stored : computeRenderLayers(worldData, bm);
+  const rvM = baseRiver.slice(); // dug channels are drawn into it; the stored layer stays as generated
 
   function hs(x, y) {
     if (x <= 0 || x >= width - 1 || y <= 0 || y >= height - 1) return 1;
@@ -104,21 +147,9 @@ export function initTileRenderer(worldData, cacheDir) {
   const cliffM = new Uint8Array(width * height);
   for (let y = 1; y < height - 1; y++) for (let x = 1; x < width - 1; x++) { if (bm[y * width + x] === 0) continue; const dx = Math.abs(ev[y * width + x + 1] - ev[y * width + x - 1]); const dy = Math.abs(ev[(y + 1) * width + x] - ev[(y - 1) * width + x]); const sl = Math.sqrt(dx * dx + dy * dy); if (sl > 0.05) cliffM[y * width + x] = Math.min(4, (sl / 0.025) | 0); }
 
-  // Lakes
-  const lkM = new Uint8Array(width * height);
-  const lkRng = Alea('lk6');
-  for (let i = 0; i < 400; i++) { const x = (lkRng() * (width - 40) + 20) | 0, y = (lkRng() * (height - 40) + 20) | 0; const idx = y * width + x; if (bm[idx] === 0 || ev[idx] > 0.42 || ev[idx] < 0.2) continue; if (lkN(x, y) > 0.42) continue; const th = ev[idx] + 0.018; const vis = new Set(); const fl = [idx]; const filled = []; while (fl.length > 0 && filled.length < 100) { const ci = fl.pop(); if (vis.has(ci)) continue; vis.add(ci); if (ev[ci] > th || bm[ci] === 0) continue; filled.push(ci); const cx2 = ci % width, cy2 = (ci / width) | 0; for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) { const nx = cx2 + dx, ny = cy2 + dy; if (nx >= 0 && nx < width && ny >= 0 && ny < height) fl.push(ny * width + nx); } } if (filled.length >= 10) for (const fi of filled) lkM[fi] = 1; }
-
   const lkDist = new Int8Array(width * height).fill(-1);
   const lkQ = []; for (let i = 0; i < lkM.length; i++) if (lkM[i] && bm[i] !== 0) { for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) { const nx = i % width + dx, ny = ((i / width) | 0) + dy; if (nx >= 0 && nx < width && ny >= 0 && ny < height && !lkM[ny * width + nx] && bm[ny * width + nx] !== 0) { lkDist[i] = 0; lkQ.push(i); break; } } }
-  qi = 0; while (qi < lkQ.length) { const ci = lkQ[qi++]; const cd = lkDist[ci]; if (cd >= 6) continue; const cx = ci % width, cy = (ci / width) | 0; for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) { const nx = cx + dx, ny = cy + dy; if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue; const ni = ny * width + nx; if (lkM[ni] && lkDist[ni] === -1) { lkDist[ni] = cd + 1; lkQ.push(ni); } } }
-
-  // Rivers
-  const rvM = new Uint8Array(width * height);
-  const rvRng = Alea('rv6');
-  const srcs = []; for (let i = 0; i < 2000; i++) { const x = (rvRng() * (width - 40) + 20) | 0, y = (rvRng() * (height - 40) + 20) | 0; if (bm[y * width + x] !== 0 && ev[y * width + x] > 0.55) srcs.push([x, y]); }
-  srcs.sort((a, b) => ev[b[1] * width + b[0]] - ev[a[1] * width + a[0]]); srcs.length = Math.min(80, srcs.length);
-  for (const [sx, sy] of srcs) { let x = sx, y = sy, steps = 0; const vis = new Set(); while (steps < 2000) { if (x < 1 || x >= width - 1 || y < 1 || y >= height - 1) break; if (bm[y * width + x] === 0) break; const k = `${x},${y}`; if (vis.has(k)) break; vis.add(k); const w = Math.min(4, 1 + (steps / 60) | 0); for (let dy = -w; dy <= w; dy++) for (let dx = -w; dx <= w; dx++) if (dx * dx + dy * dy <= w * w) { const nx = x + dx, ny = y + dy; if (nx >= 0 && nx < width && ny >= 0 && ny < height) rvM[ny * width + nx] = Math.max(rvM[ny * width + nx], w); } let be = ev[y * width + x], bx = x, by = y; const m = (rN(x * 0.5, y * 0.5) - 0.5) * 0.02; for (const [dx, dy] of [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]) { const nx = x + dx, ny = y + dy; if (nx >= 0 && nx < width && ny >= 0 && ny < height) { const e = ev[ny * width + nx] + m * dx; if (e < be) { be = e; bx = nx; by = ny; } } } if (bx === x && by === y) { x += (rvRng() > 0.5 ? 1 : -1); y += (rvRng() > 0.5 ? 1 : -1); } else { x = bx; y = by; } steps++; } }
+  let qi = 0; while (qi < lkQ.length) { const ci = lkQ[qi++]; const cd = lkDist[ci]; if (cd >= 6) continue; const cx = ci % width, cy = (ci / width) | 0; for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) { const nx = cx + dx, ny = cy + dy; if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue; const ni = ny * width + nx; if (lkM[ni] && lkDist[ni] === -1) { lkDist[ni] = cd + 1; lkQ.push(ni); } } }
 
   // Paths
   const ptM = new Uint8Array(width * height);
@@ -129,6 +160,35 @@ export function initTileRenderer(worldData, cacheDir) {
   const shoreAdj = new Uint8Array(width * height);
   for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) { const i = y * width + x; if (bm[i] === 0) continue; let m = 0; if (y > 0 && bm[i - width] === 0) m |= 1; if (x < width - 1 && bm[i + 1] === 0) m |= 2; if (y < height - 1 && bm[i + width] === 0) m |= 4; if (x > 0 && bm[i - 1] === 0) m |= 8; shoreAdj[i] = m; }
 
+  // Terrain edits and worn trails — patched into bm / ptM / rvM / brM as they come in. Each
+  // patched tile keeps its generated values so it can be re-patched from scratch, or restored
+  // once a trail grows over.
+  const brM = new Uint8Array(width * height);
+  const patched = new Map(); // idx -> { sig, b, pt, rv }
+  function tileChanges() {
+    const changes = new Map(); // idx -> steps, with 'worn' for a trail
+    for (const [idx, steps] of terrainEdits() || []) changes.set(idx, steps);
+    for (const idx of wornPaths()?.keys() || []) changes.set(idx, [...(changes.get(idx) || []), 'worn']);
+    return changes;
+  }
+  function syncTerrainEdits(changes) {
+    for (const idx of patched.keys()) if (!changes.has(idx)) changes.set(idx, []);
+    for (const [idx, steps] of changes) {
+      const sig = steps.join('+');
+      let p = patched.get(idx);
+      if ((p?.sig ?? '') === sig) continue;
+      if (!p) { p = { b: bm[idx], pt: ptM[idx], rv: rvM[idx] }; patched.set(idx, p); }
+      p.sig = sig;
+      bm[idx] = p.b; ptM[idx] = p.pt; rvM[idx] = p.rv; brM[idx] = 0;
+      for (const step of steps) {
+        if (step === 'clear') bm[idx] = BI.grassland;
+        else if (step === 'pave' || step === 'worn') ptM[idx] = 1;
+        else if (step === 'dig') rvM[idx] = Math.max(rvM[idx], 1);
+        else if (step === 'bridge') brM[idx] = 1;
+      }
+    }
+  }
+
   console.log('  🎨 Tile renderer precompute done');
 
   // ═══════════════════════════════
@@ -227,14 +287,57 @@ export function initTileRenderer(worldData, cacheDir) {
 
   const tileCache = new Map(); // in-memory LRU
 
+  /** The chunk's decorations as they stand, and a tag naming which ones are gone ('' if none) */
+  function chunkDecorations(chunkX, chunkY) {
+    const removed = removedDecorations();
+    const decorations = new Uint16Array(CHUNK_TILES * CHUNK_TILES);
+    let hash = 0x811c9dc5, gone = 0;
+    for (let ty = 0; ty < CHUNK_TILES; ty++) {
+      for (let tx = 0; tx < CHUNK_TILES; tx++) {
+        const wx = chunkX * CHUNK_TILES + tx, wy = chunkY * CHUNK_TILES + ty;
+        if (wx >= width || wy >= height) continue;
+        const idx = wy * width + wx;
+        if (removed?.has(idx)) {
+          gone++;
+          hash = Math.imul(hash ^ idx, 0x01000193) >>> 0;
+        } else {
+          decorations[ty * CHUNK_TILES + tx] = baseDecorations[idx];
+        }
+      }
+    }
+    return { decorations, tag: gone ? `_${gone}-${hash.toString(16)}` : '' };
+  }
+
+  /** Tag naming the terrain edits and trails that show in a chunk ('' if none) — river banks
+   *  and paths shade from their neighbours, so changes just outside the chunk count too */
+  function chunkEditsTag(chunkX, chunkY, edits) {
+    if (!edits.size) return '';
+    const MARGIN = 8;
+    const x0 = chunkX * CHUNK_TILES - MARGIN, x1 = (chunkX + 1) * CHUNK_TILES + MARGIN;
+    const y0 = chunkY * CHUNK_TILES - MARGIN, y1 = (chunkY + 1) * CHUNK_TILES + MARGIN;
+    let hash = 0x811c9dc5, n = 0;
+    for (const [idx, steps] of edits) {
+      const x = idx % width, y = (idx / width) | 0;
+      if (x < x0 || x >= x1 || y < y0 || y >= y1) continue;
+      n++;
+      hash = Math.imul(hash ^ idx, 0x01000193) >>> 0;
+      for (const step of steps) hash = Math.imul(hash ^ step.charCodeAt(0), 0x01000193) >>> 0;
+    }
+    return n ? `_t${n}-${hash.toString(16)}` : '';
+  }
+
   function renderChunk(chunkX, chunkY) {
     const key = `${chunkX}_${chunkY}`;
-    
+    const { decorations, tag } = chunkDecorations(chunkX, chunkY);
+    const changes = tileChanges();
+    const editsTag = chunkEditsTag(chunkX, chunkY, changes);
+
     // Check disk cache
-    const cachePath = join(cacheDir, `chunk_${key}.png`);
+    const cachePath = join(cacheDir, `chunk_${key}${tag}${editsTag}.png`);
     if (existsSync(cachePath)) {
       return readFileSync(cachePath);
     }
+    syncTerrainEdits(changes);
 
     const startTX = chunkX * CHUNK_TILES;
     const startTY = chunkY * CHUNK_TILES;
@@ -258,7 +361,7 @@ export function initTileRenderer(worldData, cacheDir) {
         const idx = wy * width + wx;
         const b = bm[idx];
         if (b !== 2 && b !== 3 && b !== 7) continue;
-        if (decorations[idx]) continue;
+        if (decorations[ty * CHUNK_TILES + tx]) continue;
         const gn = gN(wx, wy);
         if (gn < 0.32 || tRng() > 0.45) continue;
         const pcx = tx * T + (tRng() * 12 + 2) | 0;
@@ -271,6 +374,25 @@ export function initTileRenderer(worldData, cacheDir) {
       }
     }
 
+    // Bridges — a plank deck with darker rails along both edges
+    for (let ty = 0; ty < CHUNK_TILES; ty++) {
+      for (let tx = 0; tx < CHUNK_TILES; tx++) {
+        const wx = startTX + tx, wy = startTY + ty;
+        if (wx >= width || wy >= height || !brM[wy * width + wx]) continue;
+        // The deck runs towards other bridge tiles, else towards dry land
+        const at = (dx, dy) => { const nx = wx + dx, ny = wy + dy; return nx >= 0 && nx < width && ny >= 0 && ny < height ? ny * width + nx : -1; };
+        const bridgeAt = (i) => i >= 0 && brM[i] === 1, dryAt = (i) => i >= 0 && bm[i] !== 0 && !rvM[i] && !lkM[i];
+        const alongX = !(bridgeAt(at(0, -1)) || bridgeAt(at(0, 1)))
+          && (bridgeAt(at(-1, 0)) || bridgeAt(at(1, 0)) || dryAt(at(-1, 0)) || dryAt(at(1, 0)));
+        for (let py = 0; py < T; py++) for (let px = 0; px < T; px++) {
+          const across = alongX ? px : py, side = alongX ? py : px;
+          if (side < 2 || side > T - 3) { setpx(buf, CHUNK_PX, CHUNK_PX, tx * T + px, ty * T + py, 0x5A, 0x3C, 0x22); continue; }
+          const seam = across % 4 === 0;
+          setpx(buf, CHUNK_PX, CHUNK_PX, tx * T + px, ty * T + py, seam ? 0x7A : 0x9C, seam ? 0x56 : 0x74, seam ? 0x32 : 0x48);
+        }
+      }
+    }
+
     // Decorations
     const szRng = Alea(`sz${chunkX}_${chunkY}`);
     for (let ty = 0; ty < CHUNK_TILES; ty++) {
@@ -278,7 +400,7 @@ export function initTileRenderer(worldData, cacheDir) {
         const wx = startTX + tx, wy = startTY + ty;
         if (wx < 0 || wx >= width || wy < 0 || wy >= height) continue;
         const idx = wy * width + wx;
-        const did = decorations[idx]; if (!did) continue;
+        const did = decorations[ty * CHUNK_TILES + tx]; if (!did) continue;
         const dd = defById.get(did); if (!dd) continue;
         const szM = 0.8 + szRng() * 0.8;
         drawDeco(buf, CHUNK_PX, CHUNK_PX, tx * T + T / 2, ty * T + T / 2, dd.name, decoTints ? decoTints[idx] : 4, szM);
@@ -293,6 +415,67 @@ export function initTileRenderer(worldData, cacheDir) {
     return png;
   }
 
+  // ═══════════════════════════════
+  // CAVE LAYER (z = -1)
+  // ═══════════════════════════════
+  const CAVE_ROCK = [[0x1A, 0x18, 0x17], [0x1F, 0x1D, 0x1B], [0x24, 0x21, 0x1F]];
+  const CAVE_FLOOR = [[0x5E, 0x51, 0x42], [0x68, 0x5A, 0x49], [0x72, 0x63, 0x50]];
+  const DEPOSIT_GLYPHS = { 1: [0xB0, 0x6A, 0x3A], 2: [0x7F, 0xE0, 0xF0], 3: [0x8C, 0xF0, 0x7A] }; // ore, crystal, glowcap
+
+  function renderCaveChunk(chunkX, chunkY) {
+    const cave = caveLayer();
+    if (!cave) return null;
+    const { floor, deposit, entrance, mined } = cave;
+    const startTX = chunkX * CHUNK_TILES, startTY = chunkY * CHUNK_TILES;
+
+    let hash = 0x811c9dc5, gone = 0;
+    for (let ty = 0; ty < CHUNK_TILES && mined?.size; ty++) {
+      for (let tx = 0; tx < CHUNK_TILES; tx++) {
+        const wx = startTX + tx, wy = startTY + ty;
+        if (wx >= width || wy >= height || !mined.has(wy * width + wx)) continue;
+        gone++;
+        hash = Math.imul(hash ^ (wy * width + wx), 0x01000193) >>> 0;
+      }
+    }
+    const cachePath = join(cacheDir, `cave_${chunkX}_${chunkY}${gone ? `_${gone}-${hash.toString(16)}` : ''}.png`);
+    if (existsSync(cachePath)) return readFileSync(cachePath);
+
+    const open = (x, y) => x >= 0 && x < width && y >= 0 && y < height && floor[y * width + x] === 1;
+    const buf = Buffer.alloc(CHUNK_PX * CHUNK_PX * 3);
+    const gRng = Alea(`cave${chunkX}_${chunkY}`);
+    for (let ty = 0; ty < CHUNK_TILES; ty++) {
+      for (let tx = 0; tx < CHUNK_TILES; tx++) {
+        const wx = startTX + tx, wy = startTY + ty;
+        const idx = wy * width + wx;
+        const isOpen = open(wx, wy);
+        const pal = isOpen ? CAVE_FLOOR : CAVE_ROCK;
+        const cn = cN(wx * 1.5, wy * 1.5);
+        let c = [...pal[Math.min(pal.length - 1, (cn * pal.length) | 0)]];
+        // Rock next to the floor is the tunnel wall — lit a little from the floor side
+        if (!isOpen && [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([dx, dy]) => open(wx + dx, wy + dy))) c = [clamp(c[0] + 22), clamp(c[1] + 20), clamp(c[2] + 18)];
+        if (isOpen && entrance[idx]) c = lerpC(c, [0xE8, 0xDC, 0xB0], 0.55); // daylight from above
+        for (let py = 0; py < T; py++) for (let px = 0; px < T; px++) {
+          const mn = (microN(wx * T + px, wy * T + py) - 0.5) * 10;
+          setpx(buf, CHUNK_PX, CHUNK_PX, tx * T + px, ty * T + py, clamp(c[0] + mn), clamp(c[1] + mn), clamp(c[2] + mn));
+        }
+
+        const dep = isOpen && !mined?.has(idx) ? deposit[idx] : 0;
+        if (!dep) continue;
+        const gc = DEPOSIT_GLYPHS[dep];
+        for (let n = 0; n < 4; n++) {
+          const pcx = tx * T + (gRng() * 10 + 3) | 0, pcy = ty * T + (gRng() * 10 + 3) | 0;
+          blendpx(buf, CHUNK_PX, CHUNK_PX, pcx, pcy, ...gc, 0.9);
+          blendpx(buf, CHUNK_PX, CHUNK_PX, pcx + 1, pcy, ...gc, 0.6);
+          blendpx(buf, CHUNK_PX, CHUNK_PX, pcx, pcy + (dep === 2 ? -1 : 1), ...gc, 0.6);
+        }
+      }
+    }
+
+    const png = makePNG(buf, CHUNK_PX, CHUNK_PX);
+    writeFileSync(cachePath, png);
+    return png;
+  }
+
   // Setup routes
   function setupRoutes(app) {
     app.get('/api/tile/:cx/:cy', (req, res) => {
@@ -305,9 +488,11 @@ export function initTileRenderer(worldData, cacheDir) {
         return res.status(404).send('Out of bounds');
       }
 
-      const png = renderChunk(cx, cy);
+      const png = parseInt(req.query.z) < 0 ? renderCaveChunk(cx, cy) : renderChunk(cx, cy);
+      if (!png) return res.status(404).send('No cave layer');
       res.set('Content-Type', 'image/png');
-      res.set('Cache-Control', 'public, max-age=86400');
+      // Chunks change when decorations are gathered away or tiles terraformed — revalidate (the ETag makes that cheap)
+      res.set('Cache-Control', 'no-cache');
       res.send(png);
     });
 
@@ -324,5 +509,5 @@ export function initTileRenderer(worldData, cacheDir) {
     });
   }
 
-  return { renderChunk, setupRoutes, T, CHUNK_TILES, CHUNK_PX };
+  return { renderChunk, renderCaveChunk, setupRoutes, T, CHUNK_TILES, CHUNK_PX };
 }
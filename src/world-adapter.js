@@ -19,6 +19,14 @@ import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import Alea from 'alea';
 import { createNoise2D } from 'simplex-noise';
+import { initAgentGrid } from './agent-grid.js';
+import { initTileLayer } from './tile-layer.js';
+import { initResourceStocks } from './resource-stocks.js';
+import { initPathfinder } from './pathfinder.js';
+import { initTerrainEdits, TERRAFORMS, BRIDGE_TRAVEL_COST } from './terrain-edits.js';
+import { initFootTraffic, WEAR_TO_PATH, WEAR_FADE, WEARABLE_ZONES } from './foot-traffic.js';
+import { generateCaves, CAVE_Z, CAVE_DEPOSITS } from './cave-layer.js';
+import { placeRegions } from './world/pipeline/regions.js';
 
 // ═══════════════════════════════
 // Biome → Zone mapping
@@ -63,6 +71,10 @@ const ZONE_DESCRIPTIONS = {
 };
 
 const IMPASSABLE = new Set(['water', 'mountain']);
+const ZONE_IDS = Object.keys(ZONES); // zoneMap stores indexes into this list
+
+// Side of a zone/resource index chunk, in tiles
+const INDEX_CHUNK = 16;
 
 const TERRAIN_TRAVEL_COST = {
   path: 0.8, grass: 1.0, forest: 1.3, rocky: 1.5,
@@ -71,32 +83,34 @@ const TERRAIN_TRAVEL_COST = {
 };
 
 // Resources available per zone/biome (basic fallback for plain terrain)
+// stock: units a full tile holds. regrow: units per game hour in a perfectly healthy zone.
 const TERRAIN_RESOURCES = {
-  grass:  { resources: ['herbs', 'fiber'], weight: [60, 40] },
-  forest: { resources: ['herbs', 'berries'], weight: [50, 50] },
-  rocky:  { resources: ['pebbles', 'dust'], weight: [60, 40] },
-  sand:   { resources: ['sand', 'shells'], weight: [60, 40] },
-  swamp:  { resources: ['peat', 'slime'], weight: [50, 50] },
-  river:  { resources: ['fish', 'freshwater'], weight: [50, 50] },
-  cave:   { resources: ['bat_guano', 'dust'], weight: [50, 50] },
-  coast:  { resources: ['shells', 'driftwood'], weight: [50, 50] },
+  grass:  { resources: ['herbs', 'fiber'], weight: [60, 40], stock: 4, regrow: 0.5 },
+  forest: { resources: ['herbs', 'berries'], weight: [50, 50], stock: 4, regrow: 0.5 },
+  rocky:  { resources: ['pebbles', 'dust'], weight: [60, 40], stock: 6, regrow: 0.2 },
+  sand:   { resources: ['sand', 'shells'], weight: [60, 40], stock: 8, regrow: 0.5 },
+  swamp:  { resources: ['peat', 'slime'], weight: [50, 50], stock: 4, regrow: 0.3 },
+  river:  { resources: ['fish', 'freshwater'], weight: [50, 50], stock: 6, regrow: 1 },
+  cave:   { resources: ['bat_guano', 'dust'], weight: [50, 50], stock: 4, regrow: 0.1 },
+  coast:  { resources: ['shells', 'driftwood'], weight: [50, 50], stock: 4, regrow: 0.3 },
   water:  { resources: [], weight: [] },
-  path:   { resources: ['herbs'], weight: [100] },
+  path:   { resources: ['herbs'], weight: [100], stock: 2, regrow: 0.2 },
 };
 
 // Decoration-based resources (what you SEE is what you GET)
+// removable: gathered down to nothing, the decoration is gone from the map (felled, quarried).
 const DECO_RESOURCES = {
-  150: { name: 'pine_tree',   resources: ['wood', 'resin', 'pine_nuts'],          weights: [50, 30, 20] },
-  151: { name: 'oak_tree',    resources: ['wood', 'acorns', 'bark'],              weights: [50, 30, 20] },
-  152: { name: 'palm_tree',   resources: ['wood', 'coconuts', 'palm_fronds'],     weights: [40, 35, 25] },
-  153: { name: 'small_rock',  resources: ['stone', 'flint'],                      weights: [60, 40] },
-  154: { name: 'large_rock',  resources: ['ore', 'crystals', 'stone'],            weights: [35, 25, 40] },
-  155: { name: 'flower',      resources: ['flowers', 'herbs', 'fiber'],           weights: [45, 35, 20] },
-  156: { name: 'cactus',      resources: ['cactus_fruit', 'fiber', 'cactus_water'], weights: [40, 30, 30] },
-  157: { name: 'mushroom',    resources: ['mushrooms'],                           weights: [100] },
-  158: { name: 'reed',        resources: ['reeds', 'fiber', 'clay'],              weights: [40, 30, 30] },
-  159: { name: 'snowdrift',   resources: ['ice', 'freshwater'],                   weights: [50, 50] },
-  160: { name: 'seaweed',     resources: ['seaweed', 'salt'],                     weights: [55, 45] },
+  150: { name: 'pine_tree',   resources: ['wood', 'resin', 'pine_nuts'],          weights: [50, 30, 20], stock: 10, regrow: 0.2, removable: true },
+  151: { name: 'oak_tree',    resources: ['wood', 'acorns', 'bark'],              weights: [50, 30, 20], stock: 12, regrow: 0.2, removable: true },
+  152: { name: 'palm_tree',   resources: ['wood', 'coconuts', 'palm_fronds'],     weights: [40, 35, 25], stock: 8,  regrow: 0.2, removable: true },
+  153: { name: 'small_rock',  resources: ['stone', 'flint'],                      weights: [60, 40],     stock: 6,  regrow: 0,   removable: true },
+  154: { name: 'large_rock',  resources: ['ore', 'crystals', 'stone'],            weights: [35, 25, 40], stock: 15, regrow: 0,   removable: true },
+  155: { name: 'flower',      resources: ['flowers', 'herbs', 'fiber'],           weights: [45, 35, 20], stock: 3,  regrow: 0.5 },
+  156: { name: 'cactus',      resources: ['cactus_fruit', 'fiber', 'cactus_water'], weights: [40, 30, 30], stock: 4, regrow: 0.1 },
+  157: { name: 'mushroom',    resources: ['mushrooms'],                           weights: [100],        stock: 3,  regrow: 0.5 },
+  158: { name: 'reed',        resources: ['reeds', 'fiber', 'clay'],              weights: [40, 30, 30], stock: 5,  regrow: 0.5 },
+  159: { name: 'snowdrift',   resources: ['ice', 'freshwater'],                   weights: [50, 50],     stock: 4,  regrow: 0.3 },
+  160: { name: 'seaweed',     resources: ['seaweed', 'salt'],                     weights: [55, 45],     stock: 5,  regrow: 0.5 },
 };
 
 // ═══════════════════════════════
@@ -116,26 +130,34 @@ function mkNoise(seed, freq, octaves = 4) {
 }
 
 // ═══════════════════════════════
-// Main adapter
+// Derived layers — elevation, rivers, lakes, shore distance, caves
 // ═══════════════════════════════
-export function initWorldAdapter(worldData, dataDir) {
-  const { width, height, terrain, decorations, tileDefs, decoTints } = worldData;
-  
-  // Build lookup
+const BIOME_NAMES = ['ocean', 'beach', 'grassland', 'forest', 'desert', 'mountain', 'tundra', 'swamp'];
+
+/** Bump when the layer code below changes, so stored layers from older code are recomputed */
+export const WORLD_LAYERS_VERSION = 2;
+
+function biomeMapOf({ width, height, terrain, tileDefs }) {
   const defById = new Map();
   for (const d of tileDefs) defById.set(d.id, d);
-  
-  // Precompute biome map
-  const biomeMap = new Uint8Array(width * height);
-  const biomeNames = ['ocean', 'beach', 'grassland', 'forest', 'desert', 'mountain', 'tundra', 'swamp'];
   const biomeIndex = {};
-  biomeNames.forEach((b, i) => biomeIndex[b] = i);
-  
+  BIOME_NAMES.forEach((b, i) => biomeIndex[b] = i);
+  const biomeMap = new Uint8Array(width * height);
   for (let i = 0; i < terrain.length; i++) {
     const def = defById.get(terrain[i]);
     biomeMap[i] = def ? (biomeIndex[def.biome] ?? 0) : 0;
   }
-  
+  return biomeMap;
+}
+
+/**
+ * Elevation, rivers, lakes, distance from land and the cave layer as gameplay sees them
+ * (movement cost, zones, spawn point, the underground). They follow from the terrain alone, so
+ * a binary world file can carry them (world-file.js).
+ */
+export function computeWorldLayers(worldData, biomeMap = biomeMapOf(worldData)) {
+  const { width, height } = worldData;
+
   // Elevation noise (same seeds as renderer)
   const getElevation = mkNoise('wbelev', 0.012, 6);
   
@@ -222,7 +244,7 @@ export function initWorldAdapter(worldData, dataDir) {
     }
     if (filled.length >= 10) for (const fi of filled) lakeMap[fi] = 1;
   }
-  
+
   // Distance from land (for coastal detection)
   console.log('  Computing shore distances...');
   const distFromLand = new Int16Array(width * height).fill(-1);
@@ -243,6 +265,61 @@ export function initWorldAdapter(worldData, dataDir) {
     }
   }
 
+  // Caves under the mountains and tundra (see cave-layer.js)
+  console.log('  Carving caves...');
+  const rock = new Uint8Array(width * height);
+  const water = new Uint8Array(width * height);
+  const MOUNTAIN = BIOME_NAMES.indexOf('mountain'), TUNDRA = BIOME_NAMES.indexOf('tundra');
+  for (let i = 0; i < rock.length; i++) {
+    rock[i] = biomeMap[i] === MOUNTAIN || biomeMap[i] === TUNDRA ? 1 : 0;
+    water[i] = biomeMap[i] === 0 || riverMap[i] || lakeMap[i] ? 1 : 0;
+  }
+  const { floor, deposit, entrance } = generateCaves({ width, height, rock, water });
+
+  return {
+    version: WORLD_LAYERS_VERSION, elevation, river: riverMap, lake: lakeMap, shore: distFromLand,
+    caveFloor: floor, caveDeposit: deposit, caveEntrance: entrance,
+  };
+}
+
+/** Even-odd test: is the point (x, y) inside `polygon` ([[x, y], …])? */
+function insidePolygon(polygon, x, y) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i], [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// ═══════════════════════════════
+// Main adapter
+// ═══════════════════════════════
+/**
+ * `persistence` is the simulation's { loadJSON, saveJSON, clock } — state the adapter keeps
+ * (the tile layer, resource stocks) goes through it. Standalone callers get plain files in dataDir.
+ */
+export function initWorldAdapter(worldData, dataDir, persistence = {}) {
+  const { width, height, decorations } = worldData;
+  const {
+    loadJSON = (file, fallback) => existsSync(join(dataDir, file)) ? JSON.parse(readFileSync(join(dataDir, file), 'utf-8')) : fallback,
+    saveJSON = (file, data) => {
+      if (!existsSync(dataDir)) mkdirSync(dataDir, { recursive: true });
+      writeFileSync(join(dataDir, file), JSON.stringify(data, null, 2));
+    },
+    clock = null,
+  } = persistence;
+  
+  const biomeNames = BIOME_NAMES;
+  const biomeMap = biomeMapOf(worldData);
+
+  // Elevation, rivers, lakes, shore distance, caves — stored in a binary world, computed for a JSON one
+  const stored = worldData.layers?.world;
+  const { elevation, river, lake: lakeMap, shore: distFromLand, caveFloor, caveDeposit, caveEntrance } = stored?.version === WORLD_LAYERS_VERSION
+    ? stored
+    : computeWorldLayers(worldData, biomeMap);
+  const riverMap = river.slice(); // dug channels are written in; the stored layer stays as generated
+  
   // ═══════════════════════════════
   // Spawn point — find a nice habitable spot
   // ═══════════════════════════════
@@ -282,31 +359,49 @@ export function initWorldAdapter(worldData, dataDir) {
     const elev = elevation[idx];
     const isRiver = riverMap[idx] > 0;
     const isLake = lakeMap[idx] > 0;
+    const walkable = passable[idx] === 1 && !tileLayer.isBlocked(x, y);
     
     return {
       x, y,
       terrain: zone,
       biome,
       elevation: elev,
-      walkable: !IMPASSABLE.has(zone) && biome !== 'ocean',
+      walkable,
+      sailable: isSailable(idx),
+      region: getRegion(x, y)?.name ?? null,
+      travelCostFactor: tileLayer.costFactor(x, y),
+      travelCost: getTerrainCost(x, y),
+      bridge: bridged.has(idx),
+      terraformed: edits.steps(idx)?.slice() || [],
+      footTraffic: traffic.level(idx),
       name: ZONES[zone]?.name || zone,
       description: ZONE_DESCRIPTIONS[zone] || 'Unknown terrain',
       isRiver,
       isLake,
       river: isRiver ? riverMap[idx] : 0,
-      decoId: decorations ? decorations[idx] : null,
-      objects: [],
-      structures: [],
+      decoId: decorations ? decorationAt(idx) : null,
+      objects: tileLayer.getObjects(x, y),
+      structures: tileLayer.getStructures(x, y),
     };
   }
+
+  // Structures and dropped items (see tile-layer.js)
+  const tileLayer = initTileLayer({ width, height, loadJSON, saveJSON, clock });
   
   function getZone(x, y) {
     if (x < 0 || x >= width || y < 0 || y >= height) return 'water';
+    return ZONE_IDS[zoneMap[y * width + x]];
+  }
+
+  function computeZone(x, y) {
     const idx = y * width + x;
     
     // River/lake override
     if (lakeMap[idx]) return 'river'; // lakes use river zone for gameplay
     if (riverMap[idx] > 0 && biomeMap[idx] !== 0) return 'river';
+
+    // Cave entrance: the cave layer opens to the surface here
+    if (caveEntrance[idx]) return 'cave';
     
     // Coast detection: land tile next to ocean
     const biome = biomeNames[biomeMap[idx]];
@@ -319,9 +414,6 @@ export function initWorldAdapter(worldData, dataDir) {
       }
     }
     
-    // Cave detection: mountain with certain elevation range
-    if (biome === 'mountain' && elevation[idx] > 0.6 && elevation[idx] < 0.72) return 'cave';
-    
     return BIOME_TO_ZONE[biome] || 'grass';
   }
   
@@ -333,6 +425,68 @@ export function initWorldAdapter(worldData, dataDir) {
     return getZone(x, y);
   }
 
+  // Agents look up hundreds of zones per decision; only terraforming and foot traffic change one after load
+  console.log('  Indexing zones...');
+  const zoneMap = new Uint8Array(width * height);
+  const zoneIndex = Object.fromEntries(ZONE_IDS.map((z, i) => [z, i]));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) zoneMap[y * width + x] = zoneIndex[computeZone(x, y)];
+  }
+
+  // Bitmask of the zones present in each INDEX_CHUNK² chunk (fewer than 32 zones)
+  const zoneChunkCols = Math.ceil(width / INDEX_CHUNK);
+  const zoneChunkMask = new Uint32Array(zoneChunkCols * Math.ceil(height / INDEX_CHUNK));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      zoneChunkMask[Math.floor(y / INDEX_CHUNK) * zoneChunkCols + Math.floor(x / INDEX_CHUNK)] |= 1 << zoneMap[y * width + x];
+    }
+  }
+
+  // Walkable ground: not water or mountain — or bridged over
+  const bridged = new Set(); // tile index of a bridge
+  const passable = new Uint8Array(width * height);
+  const passableAt = (idx) => bridged.has(idx) || (!IMPASSABLE.has(ZONE_IDS[zoneMap[idx]]) && biomeNames[biomeMap[idx]] !== 'ocean') ? 1 : 0;
+  for (let i = 0; i < passable.length; i++) passable[i] = passableAt(i);
+  let terrainRevision = 0; // bumped by every terraform — routes planned before may be stale
+  let passRevision = 0;    // bumped when a tile turns walkable or not — landmasses may have changed
+
+  /** Travel cost of a tile, on the TERRAIN_TRAVEL_COST scale: its zone's (or a bridge's) times its structures' */
+  function getTerrainCost(x, y) {
+    const idx = y * width + x;
+    const base = bridged.has(idx) ? BRIDGE_TRAVEL_COST : (TERRAIN_TRAVEL_COST[ZONE_IDS[zoneMap[idx]]] || 1.0);
+    return base * tileLayer.costFactor(x, y);
+  }
+
+  /**
+   * The first tile of each zone in the rectangle, scanning x-major like a plain loop, as
+   * [{ x, y, zone }]. Chunks holding no zone still unseen are skipped.
+   */
+  function firstZoneTiles(minX, minY, maxX, maxY) {
+    minX = Math.max(0, minX); minY = Math.max(0, minY);
+    maxX = Math.min(width - 1, maxX); maxY = Math.min(height - 1, maxY);
+    const minCy = Math.floor(minY / INDEX_CHUNK), maxCy = Math.floor(maxY / INDEX_CHUNK);
+    let present = 0;
+    for (let cx = Math.floor(minX / INDEX_CHUNK); cx <= Math.floor(maxX / INDEX_CHUNK); cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) present |= zoneChunkMask[cy * zoneChunkCols + cx];
+    }
+    const found = [];
+    let seen = 0;
+    for (let x = minX; x <= maxX && seen !== present; x++) {
+      const cx = Math.floor(x / INDEX_CHUNK);
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        if ((zoneChunkMask[cy * zoneChunkCols + cx] & ~seen) === 0) continue;
+        const y0 = Math.max(minY, cy * INDEX_CHUNK), y1 = Math.min(maxY, cy * INDEX_CHUNK + INDEX_CHUNK - 1);
+        for (let y = y0; y <= y1; y++) {
+          const z = zoneMap[y * width + x];
+          if (seen & (1 << z)) continue;
+          seen |= 1 << z;
+          found.push({ x, y, zone: ZONE_IDS[z] });
+        }
+      }
+    }
+    return found;
+  }
+
   // ═══════════════════════════════
   // Movement
   // ═══════════════════════════════
@@ -371,7 +525,7 @@ export function initWorldAdapter(worldData, dataDir) {
     else if (elevDelta < -0.05) elevEnergy = -1;
     
     // Terrain travel cost
-    const terrainCost = TERRAIN_TRAVEL_COST[destTile.terrain] || 1.0;
+    const terrainCost = destTile.travelCost;
     const moveCost = Math.round(2 * terrainCost + elevEnergy);
     
     if (agent.energy !== undefined) {
@@ -383,6 +537,7 @@ export function initWorldAdapter(worldData, dataDir) {
     agent.zone = destTile.terrain;
     agent.x = tileX;
     agent.y = tileY;
+    agentGrid.place(agent);
     
     return {
       ok: true,
@@ -399,6 +554,193 @@ export function initWorldAdapter(worldData, dataDir) {
     };
   }
   
+  // ═══════════════════════════════
+  // Pathfinding
+  // ═══════════════════════════════
+
+  // What one step onto `to` costs, on the same scale as TERRAIN_TRAVEL_COST: terrain times
+  // structures, deeper water for wider rivers and lakes (not on a bridge), and a climb like
+  // walkAgent charges.
+  function stepCost(from, to) {
+    if (!passable[to]) return Infinity;
+    const x = to % width, y = (to - x) / width;
+    if (tileLayer.isBlocked(x, y)) return Infinity;
+    let cost = getTerrainCost(x, y);
+    if (!bridged.has(to)) {
+      if (riverMap[to] > 1) cost += 0.3 * (riverMap[to] - 1);
+      if (lakeMap[to]) cost += 0.6;
+    }
+    if (elevation[to] - elevation[from] > 0.05) cost += 0.5;
+    return cost;
+  }
+
+  const pathfinder = initPathfinder({
+    width, height, stepCost, clock,
+    minStepCost: Math.min(...Object.values(TERRAIN_TRAVEL_COST)),
+    revision: () => tileLayer.revision() + terrainRevision,
+  });
+
+  // ═══════════════════════════════
+  // Sailing (see systems/watercraft.js)
+  // ═══════════════════════════════
+  // Open water — the sea and deep water — cannot be walked, but an agent carrying a raft or a
+  // boat can sail it. A sailed step costs SAIL_TRAVEL_COST, less running before the wind and
+  // more beating into it; the watercraft system sets the wind from the weather every tick.
+  const SAIL_TRAVEL_COST = 1.2;
+  const WIND_EFFECT = 0.5;  // at full strength, a tailwind takes this fraction off a step, a headwind adds it
+  const FULL_WIND = 40;     // km/h — stronger wind doesn't help or hinder any more
+  const WATER_ZONE = zoneIndex.water;
+  const isSailable = (idx) => !passable[idx] && (biomeMap[idx] === 0 || zoneMap[idx] === WATER_ZONE);
+
+  // Where the wind blows to, scaled by strength; quantized so routes are only replanned when it
+  // has really shifted
+  let wind = { x: 0, y: 0, key: 0 };
+
+  /** Set the wind: `direction` it blows from, in degrees clockwise from north; `speed` in km/h */
+  function setWind({ direction = 0, speed = 0 } = {}) {
+    const sector = Math.round(((direction % 360) + 360) % 360 / 22.5) % 16;
+    const strength = Math.round(Math.min(1, speed / FULL_WIND) * 4) / 4;
+    const to = (sector * 22.5 + 180) * Math.PI / 180;
+    wind = { x: Math.sin(to) * strength, y: -Math.cos(to) * strength, key: sector * 5 + strength * 4 + 1 };
+  }
+
+  /** Cost of sailing from (fx, fy) to the adjacent (tx, ty) in the current wind */
+  function sailCost(fx, fy, tx, ty) {
+    const dx = tx - fx, dy = ty - fy;
+    const along = (dx * wind.x + dy * wind.y) / (Math.hypot(dx, dy) || 1);
+    return SAIL_TRAVEL_COST * (1 - WIND_EFFECT * along);
+  }
+
+  // Afloat, an agent can walk on, launch off the shore, sail and land again
+  function sailStepCost(from, to) {
+    if (!isSailable(to)) return stepCost(from, to);
+    const fx = from % width, tx = to % width;
+    return sailCost(fx, (from - fx) / width, tx, (to - tx) / width);
+  }
+
+  const sailingPathfinder = initPathfinder({
+    width, height, clock,
+    stepCost: sailStepCost,
+    minStepCost: Math.min(SAIL_TRAVEL_COST * (1 - WIND_EFFECT), ...Object.values(TERRAIN_TRAVEL_COST)),
+    revision: () => (tileLayer.revision() + terrainRevision) * 100 + wind.key,
+  });
+
+  // Landmass of every walkable tile (4-connected), 0 on water and rock — labelled on first use
+  // and again after a bridge or a channel has joined or split them
+  let landmass = null, landmassRevision = -1;
+  function landmasses() {
+    if (landmassRevision === passRevision) return landmass;
+    landmass ??= new Int32Array(width * height);
+    landmass.fill(0);
+    let next = 0;
+    const queue = new Int32Array(width * height);
+    for (let start = 0; start < landmass.length; start++) {
+      if (!passable[start] || landmass[start]) continue;
+      landmass[start] = ++next;
+      let head = 0, tail = 0;
+      queue[tail++] = start;
+      while (head < tail) {
+        const ci = queue[head++], x = ci % width;
+        for (const ni of [x > 0 ? ci - 1 : -1, x < width - 1 ? ci + 1 : -1, ci - width, ci + width]) {
+          if (ni < 0 || ni >= landmass.length || !passable[ni] || landmass[ni]) continue;
+          landmass[ni] = next;
+          queue[tail++] = ni;
+        }
+      }
+    }
+    landmassRevision = passRevision;
+    return landmass;
+  }
+
+  function landmassAt(x, y) {
+    if (x < 0 || x >= width || y < 0 || y >= height) return 0;
+    return landmasses()[y * width + x];
+  }
+
+  /** The tile nearest (x, y) within `radius` (Chebyshev rings) that `accept(x, y)`, or null */
+  function nearestTile(x, y, radius, accept) {
+    for (let r = 0; r <= radius; r++) {
+      for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue;
+          const nx = x + dx, ny = y + dy;
+          if (nx >= 0 && nx < width && ny >= 0 && ny < height && accept(nx, ny)) return { x: nx, y: ny };
+        }
+      }
+    }
+    return null;
+  }
+
+  /** The walkable tile nearest (x, y) within `radius`, or null */
+  function nearestShore(x, y, radius = 20) {
+    return nearestTile(x, y, radius, (nx, ny) => passable[ny * width + nx] && !tileLayer.isBlocked(nx, ny));
+  }
+
+  /** Whether (x, y) is river or lake water — fresh, unlike the sea (dug channels count) */
+  function isFreshWater(x, y) {
+    if (x < 0 || x >= width || y < 0 || y >= height) return false;
+    const idx = y * width + x;
+    return riverMap[idx] > 0 || lakeMap[idx] > 0;
+  }
+
+  /** The river or lake tile nearest (x, y) within `radius`, or null */
+  function nearestFreshWater(x, y, radius = 20) {
+    return nearestTile(x, y, radius, isFreshWater);
+  }
+
+  // ═══════════════════════════════
+  // Regions & points of interest
+  // ═══════════════════════════════
+  // The blueprint's named places (see world/pipeline/regions.js). A world generated before they
+  // were carried into the world data still has its blueprint to place them from; a world with
+  // neither has no regions, and places go by their zone names.
+  const { regions = [], pointsOfInterest: placedPOIs = [] } = worldData.regions
+    ? worldData
+    : worldData.blueprint && worldData.regionSize ? placeRegions(worldData.blueprint, worldData.regionSize) : {};
+  const regionInfo = regions.map(({ polygon, ...info }) => info);
+
+  // Region of every tile (index + 1, 0 = none) — the outline each tile's centre falls in
+  const regionMap = regions.length === 0 ? new Uint8Array(0)
+    : new (regions.length < 256 ? Uint8Array : Uint16Array)(width * height);
+  regions.forEach((region, i) => {
+    const xs = region.polygon.map(p => p[0]), ys = region.polygon.map(p => p[1]);
+    const rect = region.polygon.length === 4 && new Set(xs).size === 2 && new Set(ys).size === 2;
+    for (let y = Math.max(0, Math.min(...ys)); y < Math.min(height, Math.max(...ys)); y++) {
+      for (let x = Math.max(0, Math.min(...xs)); x < Math.min(width, Math.max(...xs)); x++) {
+        if (rect || insidePolygon(region.polygon, x + 0.5, y + 0.5)) regionMap[y * width + x] = i + 1;
+      }
+    }
+  });
+
+  // Points of interest stand on the nearest open ground wherever the terrain drowned or walled them in
+  const pointsOfInterest = placedPOIs.map(poi => {
+    const at = nearestTile(poi.x, poi.y, 20, (nx, ny) => passable[ny * width + nx]) ?? poi;
+    return { ...poi, x: at.x, y: at.y };
+  });
+
+  /** The named region (x, y) lies in — { id, name, description, biome } — or null */
+  function getRegion(x, y) {
+    if (regionMap.length === 0 || x < 0 || x >= width || y < 0 || y >= height) return null;
+    const i = regionMap[y * width + x];
+    return i ? regionInfo[i - 1] : null;
+  }
+
+  /** What to call the place at (x, y): its region's name, else its zone's */
+  function placeName(x, y) {
+    const zone = getZone(x, y);
+    return getRegion(x, y)?.name ?? ZONES[zone]?.name ?? zone;
+  }
+
+  /** Points of interest within `radius` of (x, y) (Chebyshev), with their distance */
+  function poisNear(x, y, radius) {
+    const near = [];
+    for (const poi of pointsOfInterest) {
+      const distance = Math.max(Math.abs(poi.x - x), Math.abs(poi.y - y));
+      if (distance <= radius) near.push({ ...poi, distance });
+    }
+    return near;
+  }
+
   function teleportAgent(agent, tileX, tileY) {
     const tile = getTile(tileX, tileY);
     if (!tile) return { error: 'Invalid coordinates' };
@@ -406,59 +748,140 @@ export function initWorldAdapter(worldData, dataDir) {
     
     agent.tileX = tileX;
     agent.tileY = tileY;
+    agent.z = 0;
     agent.zone = tile.terrain;
     agent.x = tileX;
     agent.y = tileY;
+    agentGrid.place(agent);
     
     return { ok: true, tileX, tileY, zone: tile.terrain };
   }
   
   function migrateAgentPosition(agent) {
+    agent.z ??= 0; // agents from before the cave layer are on the surface
     if (agent.tileX !== undefined) return;
     agent.tileX = spawnX;
     agent.tileY = spawnY;
     agent.zone = getZone(spawnX, spawnY);
     agent.x = spawnX;
     agent.y = spawnY;
+    agentGrid.place(agent);
   }
 
   // ═══════════════════════════════
   // Resources
   // ═══════════════════════════════
   
-  function getTileResources(x, y) {
-    if (x < 0 || x >= width || y < 0 || y >= height) return null;
+  // How much each tile has left, and which decorations have been gathered away
+  const stocks = initResourceStocks({ width, loadJSON, saveJSON });
+
+  /** The decoration on a tile now — 0 once it has been felled or quarried */
+  function decorationAt(idx) {
+    return stocks.isRemoved(idx) ? 0 : decorations[idx];
+  }
+
+  // Every tile's yield is one of a few "kinds" (a decoration or bare terrain, in a zone).
+  // Kinds are precomputed per tile, and the tiles that yield anything are listed per
+  // INDEX_CHUNK² chunk, column by column — a window scan skips barren chunks and still
+  // visits tiles in plain x-then-y order.
+  console.log('  Indexing resources...');
+  const resourceKinds = [null];                       // kind id -> { terrain, source, resources, weights, stock, regrow, removable }
+  const resourceKind = new Uint16Array(width * height); // tile -> kind id (0 = nothing to gather)
+  const kindIds = new Map();
+
+  function kindOf(x, y) {
+    const zone = getZone(x, y);
     // Check decoration first
-    const decoId = decorations ? decorations[y * width + x] : 0;
+    const decoId = decorations ? decorationAt(y * width + x) : 0;
+    let key, kind;
     if (decoId && DECO_RESOURCES[decoId]) {
       const deco = DECO_RESOURCES[decoId];
-      return {
-        terrain: getZone(x, y),
-        source: deco.name,
-        available: true,
-        resources: deco.resources,
-        weights: deco.weights,
-      };
-    }
-    // Fall back to zone-based resources for plain terrain
-    const zone = getZone(x, y);
-    const res = TERRAIN_RESOURCES[zone];
-    if (!res || res.resources.length === 0) return null;
+      key = `${decoId}:${zone}`;
+      kind = { terrain: zone, source: deco.name, resources: deco.resources, weights: deco.weights, stock: deco.stock, regrow: deco.regrow, removable: !!deco.removable };
+    } else {
+      // Fall back to zone-based resources for plain terrain
+      const res = TERRAIN_RESOURCES[zone];
+      if (!res || res.resources.length === 0) return 0;
+      key = zone;
+      kind = { terrain: zone, source: zone, resources: res.resources, weights: res.weight, stock: res.stock, regrow: res.regrow, removable: false };
+    }
+    if (!kindIds.has(key)) {
+      kindIds.set(key, resourceKinds.length);
+      resourceKinds.push(kind);
+    }
+    return kindIds.get(key);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) resourceKind[y * width + x] = kindOf(x, y);
+  }
+
+  const chunkCols = Math.ceil(width / INDEX_CHUNK);
+  const chunkRows = Math.ceil(height / INDEX_CHUNK);
+  const chunkTiles = new Array(chunkCols * chunkRows);   // chunk -> tile indexes, x-major
+  const chunkColumns = new Array(chunkCols * chunkRows); // chunk -> offsets into chunkTiles per local x
+  function indexChunk(cx, cy) {
+    const tiles = [];
+    const columns = new Uint16Array(INDEX_CHUNK + 1);
+    for (let lx = 0; lx < INDEX_CHUNK; lx++) {
+      columns[lx] = tiles.length;
+      const x = cx * INDEX_CHUNK + lx;
+      for (let ly = 0; ly < INDEX_CHUNK && x < width; ly++) {
+        const y = cy * INDEX_CHUNK + ly;
+        if (y < height && resourceKind[y * width + x]) tiles.push(y * width + x);
+      }
+    }
+    columns[INDEX_CHUNK] = tiles.length;
+    chunkTiles[cy * chunkCols + cx] = Int32Array.from(tiles);
+    chunkColumns[cy * chunkCols + cx] = columns;
+  }
+  for (let cy = 0; cy < chunkRows; cy++) {
+    for (let cx = 0; cx < chunkCols; cx++) indexChunk(cx, cy);
+  }
+
+  /** Call fn(x, y, resources) for every tile in the rectangle with something left, x-major like a plain scan */
+  function forEachResource(minX, minY, maxX, maxY, fn) {
+    minX = Math.max(0, minX); minY = Math.max(0, minY);
+    maxX = Math.min(width - 1, maxX); maxY = Math.min(height - 1, maxY);
+    const minCy = Math.floor(minY / INDEX_CHUNK), maxCy = Math.floor(maxY / INDEX_CHUNK);
+    for (let x = minX; x <= maxX; x++) {
+      const cx = Math.floor(x / INDEX_CHUNK), lx = x - cx * INDEX_CHUNK;
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        const chunk = cy * chunkCols + cx;
+        const tiles = chunkTiles[chunk], columns = chunkColumns[chunk];
+        for (let i = columns[lx]; i < columns[lx + 1]; i++) {
+          const y = (tiles[i] - x) / width;
+          if (y < minY || y > maxY) continue;
+          const kind = resourceKinds[resourceKind[tiles[i]]];
+          if (!kind || stocks.level(tiles[i], kind.stock) < 1) continue; // removed, or picked clean
+          fn(x, y, kind);
+        }
+      }
+    }
+  }
+
+  function getTileResources(x, y) {
+    if (x < 0 || x >= width || y < 0 || y >= height) return null;
+    const kind = resourceKinds[resourceKind[y * width + x]];
+    if (!kind) return null;
+    const stock = stocks.level(y * width + x, kind.stock);
     return {
-      terrain: zone,
-      source: zone,
-      available: true,
-      resources: res.resources,
-      weights: res.weight,
+      terrain: kind.terrain,
+      source: kind.source,
+      available: stock >= 1,
+      stock: Math.floor(stock),
+      maxStock: kind.stock,
+      resources: kind.resources,
+      weights: kind.weights,
     };
   }
   
-  function rollResource(x, y) {
+  function rollResource(x, y, rng = Math.random) {
     const res = getTileResources(x, y);
-    if (!res) return null;
-    // Weighted random pick
+    if (!res?.available) return null;
+    // Weighted random pick (callers pass their seeded stream)
     const totalWeight = res.weights.reduce((a, b) => a + b, 0);
-    let roll = Math.random() * totalWeight;
+    let roll = rng() * totalWeight;
     for (let i = 0; i < res.resources.length; i++) {
       roll -= res.weights[i];
       if (roll <= 0) return res.resources[i];
@@ -466,13 +889,315 @@ export function initWorldAdapter(worldData, dataDir) {
     return res.resources[0];
   }
 
+  /**
+   * Gather one unit from a tile: roll what comes off it and deplete its stock. A removable
+   * decoration (tree, rock) taken down to nothing is removed from the map. Returns
+   * { resource, stock, removed } or null when there is nothing left.
+   */
+  function gatherResource(x, y, rng = Math.random) {
+    const resource = rollResource(x, y, rng);
+    if (!resource) return null;
+    const idx = y * width + x;
+    const kind = resourceKinds[resourceKind[idx]];
+    const stock = stocks.take(idx, kind.stock);
+    let removed = null;
+    if (stock < 1 && kind.removable) {
+      removed = kind.source;
+      stocks.removeDecoration(idx);
+      resourceKind[idx] = kindOf(x, y); // the bare terrain underneath, if it yields anything
+    }
+    return { resource, stock: Math.floor(stock), removed };
+  }
+
+  /** Regrow depleted tiles by one game hour — `zoneRate(zone)` scales each kind's regrow rate */
+  function regrowResources(zoneRate) {
+    const rates = new Map(); // kind id -> units this hour
+    return regrowCaves(zoneRate) + stocks.regrow(
+      idx => resourceKinds[resourceKind[idx]]?.stock ?? 0,
+      idx => {
+        const id = resourceKind[idx];
+        if (!rates.has(id)) {
+          const kind = resourceKinds[id];
+          rates.set(id, kind ? kind.regrow * zoneRate(kind.terrain) : 0);
+        }
+        return rates.get(id);
+      },
+    );
+  }
+
   function getDecoration(x, y) {
     if (x < 0 || x >= width || y < 0 || y >= height) return null;
-    const decoId = decorations ? decorations[y * width + x] : 0;
+    const decoId = decorations ? decorationAt(y * width + x) : 0;
     if (!decoId || !DECO_RESOURCES[decoId]) return null;
     return { id: decoId, ...DECO_RESOURCES[decoId] };
   }
 
+  // ═══════════════════════════════
+  // Terraforming (see terrain-edits.js)
+  // ═══════════════════════════════
+  const edits = initTerrainEdits({ width, loadJSON, saveJSON, clock });
+  const RIVER_ZONE = zoneIndex.river;
+
+  /** Put a tile in `zone` (or keep its zone) and bring passability, yields and routes up to date */
+  function rezone(idx, zone = null) {
+    const x = idx % width, y = (idx - x) / width;
+    if (zone) {
+      zoneMap[idx] = zoneIndex[zone];
+      zoneChunkMask[Math.floor(y / INDEX_CHUNK) * zoneChunkCols + Math.floor(x / INDEX_CHUNK)] |= 1 << zoneMap[idx];
+    }
+    const was = passable[idx];
+    passable[idx] = passableAt(idx);
+    if (passable[idx] !== was) passRevision++;
+    resourceKind[idx] = kindOf(x, y);
+    indexChunk(Math.floor(x / INDEX_CHUNK), Math.floor(y / INDEX_CHUNK));
+    terrainRevision++;
+  }
+
+  /**
+   * Reshape one tile in place: zone, water, passability, what it yields. `live` is a terraform
+   * happening now — replaying saved ones at boot leaves stocks alone, they were saved after it.
+   */
+  function applyTerraform(idx, type, { live = false } = {}) {
+    const def = TERRAFORMS[type];
+    if (type === 'dig') riverMap[idx] = Math.max(riverMap[idx], 1);
+    if (type === 'bridge') bridged.add(idx);
+
+    let removed = null;
+    if (live) {
+      const decoId = def.clears && decorations ? decorationAt(idx) : 0;
+      if (decoId) {
+        removed = DECO_RESOURCES[decoId]?.name ?? null;
+        stocks.removeDecoration(idx);
+      }
+      stocks.reset(idx);
+      if (def.zone) traffic.unmark(idx); // no longer a trail that can grow over
+    }
+    rezone(idx, def.zone);
+    return removed;
+  }
+  for (const [idx, steps] of edits.all()) for (const type of steps) applyTerraform(idx, type);
+
+  /**
+   * Reshape a tile — clear a forest, pave a road, dig a channel off a river, bridge water.
+   * Only checks what the terrain allows; tools, materials and reach are the caller's business.
+   * Returns { ok, x, y, type, zone, bridge, removed } (removed: the decoration it took) or { error }.
+   */
+  function terraform(x, y, type, { by = null } = {}) {
+    const def = TERRAFORMS[type];
+    if (!def) return { error: `Unknown terraform "${type}" (${Object.keys(TERRAFORMS).join(', ')})` };
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || x >= width || y < 0 || y >= height) {
+      return { error: 'Invalid coordinates' };
+    }
+    const idx = y * width + x;
+    const zone = getZone(x, y);
+    if (bridged.has(idx)) return { error: 'There is a bridge here' };
+    if (!def.from.includes(zone)) {
+      return { error: `Cannot ${def.name.toLowerCase()} ${ZONES[zone]?.name || zone} — only ${def.from.join(', ')}` };
+    }
+    const around = [[-1, 0], [1, 0], [0, -1], [0, 1]]
+      .map(([dx, dy]) => [x + dx, y + dy])
+      .filter(([nx, ny]) => nx >= 0 && nx < width && ny >= 0 && ny < height);
+    if (type === 'dig') {
+      if (!around.some(([nx, ny]) => zoneMap[ny * width + nx] === RIVER_ZONE)) {
+        return { error: 'A channel has to run off a river, a lake or another channel' };
+      }
+      if (tileLayer.getStructures(x, y).length > 0) return { error: 'Something is built here' };
+    }
+    if (type === 'bridge' && !around.some(([nx, ny]) => passable[ny * width + nx] && !tileLayer.isBlocked(nx, ny))) {
+      return { error: 'A bridge has to start from walkable ground or another bridge' };
+    }
+
+    edits.record(idx, type, by);
+    const removed = applyTerraform(idx, type, { live: true });
+    return { ok: true, x, y, type, zone: getZone(x, y), bridge: bridged.has(idx), removed };
+  }
+
+  // ═══════════════════════════════
+  // Desire paths (see foot-traffic.js)
+  // ═══════════════════════════════
+  const traffic = initFootTraffic({ width, loadJSON, saveJSON });
+  for (const idx of traffic.worn().keys()) rezone(idx, 'path');
+
+  /**
+   * An agent stepped onto (x, y). Returns { x, y, zone: 'path', was } when that wore the tile
+   * into a path, else null.
+   */
+  function recordStep(x, y) {
+    if (x < 0 || x >= width || y < 0 || y >= height) return null;
+    const idx = y * width + x;
+    if (traffic.step(idx) < WEAR_TO_PATH || traffic.isWorn(idx) || bridged.has(idx)) return null;
+    const was = ZONE_IDS[zoneMap[idx]];
+    if (!WEARABLE_ZONES.has(was)) return null;
+    traffic.markWorn(idx, was);
+    rezone(idx, 'path');
+    return { x, y, zone: 'path', was };
+  }
+
+  /** Fade foot traffic by `hours` game hours. Returns [{ x, y, zone }] for trails that grew over. */
+  function fadeTrails(hours = 1) {
+    const grown = [];
+    for (const idx of traffic.fade(WEAR_FADE * hours)) {
+      const zone = traffic.unmark(idx);
+      if (zoneMap[idx] !== zoneIndex.path) continue;
+      rezone(idx, zone);
+      const x = idx % width;
+      grown.push({ x, y: (idx - x) / width, zone });
+    }
+    return grown;
+  }
+
+  // ═══════════════════════════════
+  // Underground (see cave-layer.js)
+  // ═══════════════════════════════
+  // The cave layer shares the surface's x/y grid; an agent's `z` says which one it is on. It
+  // is all one zone, cave, and nothing is built or terraformed down there.
+  const caveStocks = initResourceStocks({ width, loadJSON, saveJSON, file: 'cave-stocks.json' });
+  const floorRes = TERRAIN_RESOURCES.cave;
+  const caveFloorKind = { terrain: 'cave', source: 'cave', resources: floorRes.resources, weights: floorRes.weight, stock: floorRes.stock, regrow: floorRes.regrow, removable: false };
+  const depositKinds = {};
+  for (const [id, d] of Object.entries(CAVE_DEPOSITS)) {
+    depositKinds[id] = { terrain: 'cave', source: d.name, resources: d.resources, weights: d.weights, stock: d.stock, regrow: d.regrow, removable: !!d.removable };
+  }
+  const entranceTiles = [];
+  for (let i = 0; i < caveEntrance.length; i++) if (caveEntrance[i]) entranceTiles.push(i);
+
+  /** What a cave floor tile yields — its deposit until that is mined out, else the bare floor */
+  function caveKind(idx) {
+    if (!caveFloor[idx]) return null;
+    const deposit = caveDeposit[idx];
+    return deposit && !caveStocks.isRemoved(idx) ? depositKinds[deposit] : caveFloorKind;
+  }
+
+  function getCaveTile(x, y) {
+    if (x < 0 || x >= width || y < 0 || y >= height) return null;
+    const idx = y * width + x;
+    const open = caveFloor[idx] === 1;
+    const entrance = caveEntrance[idx] === 1;
+    const kind = caveKind(idx);
+    return {
+      x, y, z: CAVE_Z,
+      terrain: 'cave',
+      biome: 'cave',
+      elevation: elevation[idx],
+      walkable: open,
+      dark: true,
+      travelCostFactor: 1,
+      travelCost: open ? TERRAIN_TRAVEL_COST.cave : Infinity,
+      entrance,
+      deposit: kind && kind !== caveFloorKind ? kind.source : null,
+      name: open ? ZONES.cave.name : '🪨 Solid Rock',
+      description: !open ? 'Solid rock' : entrance ? 'Daylight falls through an opening above' : 'A pitch-dark tunnel under the rock',
+      isRiver: false,
+      isLake: false,
+      river: 0,
+      decoId: null,
+      objects: [],
+      structures: [],
+    };
+  }
+
+  function getCaveResources(x, y) {
+    if (x < 0 || x >= width || y < 0 || y >= height) return null;
+    const kind = caveKind(y * width + x);
+    if (!kind) return null;
+    const stock = caveStocks.level(y * width + x, kind.stock);
+    return {
+      terrain: 'cave', source: kind.source, available: stock >= 1, stock: Math.floor(stock),
+      maxStock: kind.stock, resources: kind.resources, weights: kind.weights,
+    };
+  }
+
+  function forEachCaveResource(minX, minY, maxX, maxY, fn) {
+    minX = Math.max(0, minX); minY = Math.max(0, minY);
+    maxX = Math.min(width - 1, maxX); maxY = Math.min(height - 1, maxY);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const idx = y * width + x;
+        const kind = caveKind(idx);
+        if (kind && caveStocks.level(idx, kind.stock) >= 1) fn(x, y, kind);
+      }
+    }
+  }
+
+  /** Gather one unit underground — as gatherResource; a deposit mined out is gone for good */
+  function gatherCaveResource(x, y, rng = Math.random) {
+    const res = getCaveResources(x, y);
+    if (!res?.available) return null;
+    let roll = rng() * res.weights.reduce((a, b) => a + b, 0);
+    let resource = res.resources[0];
+    for (let i = 0; i < res.resources.length; i++) {
+      roll -= res.weights[i];
+      if (roll <= 0) { resource = res.resources[i]; break; }
+    }
+    const idx = y * width + x;
+    const kind = caveKind(idx);
+    const stock = caveStocks.take(idx, kind.stock);
+    let removed = null;
+    if (stock < 1 && kind.removable) {
+      removed = kind.source;
+      caveStocks.removeDecoration(idx);
+    }
+    return { resource, stock: Math.floor(stock), removed };
+  }
+
+  function regrowCaves(zoneRate) {
+    const rate = zoneRate('cave');
+    return caveStocks.regrow(idx => caveKind(idx)?.stock ?? 0, idx => (caveKind(idx)?.regrow ?? 0) * rate);
+  }
+
+  /** The first cave floor tile in the rectangle, x-major — as firstZoneTiles, with the one zone */
+  function firstCaveTiles(minX, minY, maxX, maxY) {
+    minX = Math.max(0, minX); minY = Math.max(0, minY);
+    maxX = Math.min(width - 1, maxX); maxY = Math.min(height - 1, maxY);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) if (caveFloor[y * width + x]) return [{ x, y, zone: 'cave' }];
+    }
+    return [];
+  }
+
+  const cavePathfinder = initPathfinder({
+    width, height, clock,
+    stepCost: (from, to) => caveFloor[to] ? TERRAIN_TRAVEL_COST.cave : Infinity,
+    minStepCost: TERRAIN_TRAVEL_COST.cave,
+  });
+
+  /** Cave entrances within `radius` tiles (Chebyshev) of (x, y), as [{ x, y }] */
+  function entrancesNear(x, y, radius) {
+    const found = [];
+    for (const idx of entranceTiles) {
+      const ex = idx % width, ey = (idx - ex) / width;
+      if (Math.abs(ex - x) <= radius && Math.abs(ey - y) <= radius) found.push({ x: ex, y: ey });
+    }
+    return found;
+  }
+
+  /** Climb down into the caves (z = CAVE_Z) or back up (z = 0) through the entrance the agent is on */
+  function changeLevel(agent, z) {
+    if (z !== 0 && z !== CAVE_Z) return { error: `No level ${z} — the surface is 0, the caves ${CAVE_Z}` };
+    if ((agent.z ?? 0) === z) return { error: z === 0 ? 'Already on the surface' : 'Already underground' };
+    if (!caveEntrance[agent.tileY * width + agent.tileX]) return { error: 'No way through here — find a cave entrance' };
+    agent.z = z;
+    agent.zone = 'cave'; // the entrance tile is cave on both levels
+    return { ok: true, x: agent.tileX, y: agent.tileY, z, zone: agent.zone };
+  }
+
+  // The cave layer through the surface's interface, for code that works on whichever level an
+  // agent is on (see layer())
+  const underground = {
+    z: CAVE_Z,
+    width, height,
+    getTile: getCaveTile,
+    getZone: (x, y) => 'cave',
+    getTileResources: getCaveResources,
+    forEachResource: forEachCaveResource,
+    gatherResource: gatherCaveResource,
+    firstZoneTiles: firstCaveTiles,
+    findPath: cavePathfinder.findPath,
+    recordStep: () => null,
+    queryTileLayer: () => [],
+    entrancesNear,
+  };
+
   // ═══════════════════════════════
   // Nearby tile scanning (for agent awareness)
   // ═══════════════════════════════
@@ -489,17 +1214,19 @@ export function initWorldAdapter(worldData, dataDir) {
     return tiles;
   }
   
-  function getAgentsNearby(agents, x, y, radius = 5) {
-    const nearby = [];
-    for (const [id, a] of agents) {
-      if (!a.alive) continue;
-      const dx = (a.tileX || 0) - x;
-      const dy = (a.tileY || 0) - y;
-      if (dx * dx + dy * dy <= radius * radius) {
-        nearby.push(a);
-      }
-    }
-    return nearby;
+  // ═══════════════════════════════
+  // Agent positions (spatial index — see agent-grid.js)
+  // ═══════════════════════════════
+  const agentGrid = initAgentGrid({ width, height });
+
+  /** Living agents on level `z` within a circle. `agents` is unused — every placed agent is indexed. */
+  function getAgentsNearby(agents, x, y, radius = 5, z = 0) {
+    return agentGrid.query(x, y, radius).filter(a => {
+      if (!a.alive || (a.z ?? 0) !== z) return false;
+      const dx = a.tileX - x;
+      const dy = a.tileY - y;
+      return dx * dx + dy * dy <= radius * radius;
+    });
   }
 
   // ═══════════════════════════════
@@ -525,9 +1252,13 @@ export function initWorldAdapter(worldData, dataDir) {
   function getWorldInfo() {
     return {
       width, height,
+      levels: { surface: 0, caves: CAVE_Z },
+      caveEntrances: entranceTiles.length,
       spawnPoint: { x: spawnX, y: spawnY },
       biomes: biomeNames,
       zones: ZONES,
+      regions,
+      pointsOfInterest,
     };
   }
 
@@ -537,13 +1268,43 @@ export function initWorldAdapter(worldData, dataDir) {
   
   function setupRoutes(app) {
     app.get('/api/world/info', (req, res) => res.json(getWorldInfo()));
+
+    // Foot-traffic heatmap: every tile walked on at least ?min times (default 1)
+    app.get('/api/world/traffic', (req, res) => {
+      const min = parseFloat(req.query.min) || 1;
+      res.json({ wearToPath: WEAR_TO_PATH, ...traffic.stats(), tiles: traffic.query(0, 0, width - 1, height - 1, min) });
+    });
+
+    app.get('/api/world/traffic/:x/:y/:radius', (req, res) => {
+      const x = parseInt(req.params.x), y = parseInt(req.params.y);
+      if (isNaN(x) || isNaN(y)) return res.status(400).json({ error: 'Invalid coordinates' });
+      const radius = Math.min(parseInt(req.params.radius) || 10, 100);
+      const min = parseFloat(req.query.min) || 1;
+      res.json({ center: { x, y }, radius, wearToPath: WEAR_TO_PATH, tiles: traffic.query(x - radius, y - radius, x + radius, y + radius, min) });
+    });
     
     app.get('/api/world/tile/:x/:y', (req, res) => {
       const x = parseInt(req.params.x), y = parseInt(req.params.y);
       if (isNaN(x) || isNaN(y)) return res.status(400).json({ error: 'Invalid coordinates' });
-      const tile = getTile(x, y);
+      const level = layer(parseInt(req.query.z) || 0);
+      const tile = level.getTile(x, y);
       if (!tile) return res.status(404).json({ error: 'Out of bounds' });
-      res.json({ ...tile, resources: getTileResources(x, y) });
+      res.json({ ...tile, resources: level.getTileResources(x, y) });
+    });
+
+    app.get('/api/world/entrances/:x/:y/:radius', (req, res) => {
+      const x = parseInt(req.params.x), y = parseInt(req.params.y);
+      if (isNaN(x) || isNaN(y)) return res.status(400).json({ error: 'Invalid coordinates' });
+      const radius = Math.min(parseInt(req.params.radius) || 50, 500);
+      res.json({ center: { x, y }, radius, entrances: entrancesNear(x, y, radius) });
+    });
+
+    // Structures and dropped items in a square around (x, y)
+    app.get('/api/world/structures/:x/:y/:radius', (req, res) => {
+      const x = parseInt(req.params.x), y = parseInt(req.params.y);
+      if (isNaN(x) || isNaN(y)) return res.status(400).json({ error: 'Invalid coordinates' });
+      const radius = Math.min(parseInt(req.params.radius) || 10, 100);
+      res.json({ center: { x, y }, radius, tiles: tileLayer.query(x - radius, y - radius, x + radius, y + radius) });
     });
     
     app.get('/api/world/area/:x/:y/:radius', (req, res) => {
@@ -554,9 +1315,15 @@ export function initWorldAdapter(worldData, dataDir) {
     });
   }
 
-  return {
+  /** The surface (z = 0: the adapter itself) or the caves (z = CAVE_Z) */
+  function layer(z = 0) {
+    return z === CAVE_Z ? underground : adapter;
+  }
+
+  const adapter = {
     // World data
     width, height, elevation, biomeMap, riverMap, lakeMap, biomeNames,
+    z: 0,
     spawnPoint: { x: spawnX, y: spawnY },
     zones: ZONES,
     
@@ -567,19 +1334,74 @@ export function initWorldAdapter(worldData, dataDir) {
     getAgentTerrain,
     getTileResources,
     rollResource,
+    gatherResource,
+    regrowResources,
     getDecoration,
+    decorationAt,
+    removedDecorations: stocks.removedDecorations,
+    depletedTiles: stocks.depletedCount,
+    terraform,
+    terrainEdits: edits.all,
+    TERRAFORMS,
+    recordStep,
+    fadeTrails,
+    footTraffic: traffic.level,
+    wornPaths: traffic.worn,
     DECO_RESOURCES,
     getTilesInRadius,
+    forEachResource,
+    queryTileLayer: tileLayer.query,
+    firstZoneTiles,
     getAgentsNearby,
+    agentGrid,
+    placeAgent: agentGrid.place,
+
+    // Structures & dropped items
+    addStructure: tileLayer.addStructure,
+    removeStructure: tileLayer.removeStructure,
+    getStructures: tileLayer.getStructures,
+    dropItem: tileLayer.dropItem,
+    takeItem: tileLayer.takeItem,
+    getTileObjects: tileLayer.getObjects,
+    tileLayerStats: tileLayer.stats,
+    STRUCTURE_TYPES: tileLayer.STRUCTURE_TYPES,
     
+    // Sailing
+    setWind,
+    sailCost,
+    findSailingPath: sailingPathfinder.findPath,
+    isSailable: (x, y) => x >= 0 && x < width && y >= 0 && y < height && isSailable(y * width + x),
+    landmassAt,
+    nearestShore,
+
+    // Fresh water (see systems/thirst.js)
+    isFreshWater,
+    nearestFreshWater,
+
+    // Regions & points of interest
+    getRegion,
+    placeName,
+    poisNear,
+    pointsOfInterest,
+
+    // Levels
+    layer,
+    changeLevel,
+    entrancesNear,
+    caveLayer: () => ({ floor: caveFloor, deposit: caveDeposit, entrance: caveEntrance, mined: caveStocks.removedDecorations() }),
+    CAVE_Z,
+
     // Movement
     walkAgent,
+    findPath: pathfinder.findPath,
+    pathfinderStats: pathfinder.stats,
     teleportAgent,
     migrateAgentPosition,
     
     // Travel
     getTileDistance,
     getTravelCost,
+    getTerrainCost,
     TERRAIN_TRAVEL_COST,
     TERRAIN_RESOURCES,
     
@@ -587,4 +1409,5 @@ export function initWorldAdapter(worldData, dataDir) {
     setupRoutes,
     getWorldInfo,
   };
+  return adapter;
 }
@@ -0,0 +1,334 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { generateWorld } from './world/pipeline/pipeline.js';
+import { initWorldAdapter } from './world-adapter.js';
+import { WEAR_TO_PATH, WEAR_REVERT, WEAR_FADE } from './foot-traffic.js';
+import { CAVE_Z } from './cave-layer.js';
+
+const blueprint = JSON.parse(readFileSync(new URL('../fixtures/epic-blueprint.json', import.meta.url), 'utf-8'));
+
+let worldData;
+before(() => {
+  const log = console.log;
+  console.log = () => {};
+  // 220×220 with every biome — the spawn point is picked at least 100 tiles in from the edge
+  try { worldData = generateWorld({ seed: 'adapter-test', regionSize: 22, blueprint }); }
+  finally { console.log = log; }
+});
+
+/** A world adapter persisting to `files` in memory — pass the same map to boot it again */
+function boot(files = new Map(), clock = { now: () => 0 }, world = worldData) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const grid = initWorldAdapter(world, null, {
+      loadJSON: (file, fallback) => files.has(file) ? JSON.parse(files.get(file)) : fallback,
+      saveJSON: (file, data) => files.set(file, JSON.stringify(data)),
+      clock,
+    });
+    return { grid, files };
+  } finally {
+    console.log = log;
+  }
+}
+
+/** The first surface tile (scanning rows from the spawn point) that passes `accept(x, y)` */
+function find(grid, accept) {
+  for (let i = 0; i < grid.width * grid.height; i++) {
+    const idx = (grid.spawnPoint.y * grid.width + grid.spawnPoint.x + i) % (grid.width * grid.height);
+    const x = idx % grid.width, y = Math.floor(idx / grid.width);
+    if (accept(x, y)) return { x, y };
+  }
+  assert.fail('no such tile in the test world');
+}
+
+const always = () => 0; // an rng that rolls the first resource
+
+describe('resource stocks', () => {
+  it('depletes a tile as it is gathered, and fells a tree gathered down to nothing', () => {
+    const { grid } = boot();
+    const tree = find(grid, (x, y) => grid.getDecoration(x, y)?.name === 'pine_tree');
+    const { maxStock } = grid.getTileResources(tree.x, tree.y);
+
+    for (let i = 1; i < maxStock; i++) {
+      const got = grid.gatherResource(tree.x, tree.y, always);
+      assert.equal(got.resource, 'wood');
+      assert.equal(got.stock, maxStock - i);
+      assert.equal(got.removed, null);
+    }
+    assert.equal(grid.gatherResource(tree.x, tree.y, always).removed, 'pine_tree');
+    assert.equal(grid.getDecoration(tree.x, tree.y), null);
+    assert.notEqual(grid.getTileResources(tree.x, tree.y)?.source, 'pine_tree');
+    assert.ok(grid.removedDecorations().has(tree.y * grid.width + tree.x));
+  });
+
+  it('regrows a depleted tile by its zone\'s rate', () => {
+    const { grid } = boot();
+    const bush = find(grid, (x, y) => grid.getDecoration(x, y)?.name === 'flower');
+    grid.gatherResource(bush.x, bush.y, always);
+    grid.gatherResource(bush.x, bush.y, always);
+    assert.equal(grid.getTileResources(bush.x, bush.y).stock, 1);
+
+    grid.regrowResources(() => 0);
+    assert.equal(grid.getTileResources(bush.x, bush.y).stock, 1, 'a rate of 0 keeps it where it is');
+    grid.regrowResources(() => 1);
+    grid.regrowResources(() => 1);
+    assert.equal(grid.getTileResources(bush.x, bush.y).stock, 2);
+    assert.equal(grid.depletedTiles(), 1);
+  });
+
+  it('boots with the stocks and felled trees it saved', () => {
+    const { grid, files } = boot();
+    const tree = find(grid, (x, y) => grid.getDecoration(x, y)?.name === 'oak_tree');
+    const rock = find(grid, (x, y) => grid.getDecoration(x, y)?.name === 'large_rock');
+    while (!grid.gatherResource(tree.x, tree.y, always)?.removed);
+    grid.gatherResource(rock.x, rock.y, always);
+
+    const { grid: again } = boot(files);
+    assert.equal(again.getDecoration(tree.x, tree.y), null);
+    assert.equal(again.getTileResources(rock.x, rock.y).stock, grid.getTileResources(rock.x, rock.y).stock);
+  });
+});
+
+describe('terraforming', () => {
+  const beside = (grid, x, y, accept) => [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([dx, dy]) => accept(x + dx, y + dy));
+
+  it('clears a forest into grass and takes the tree with it', () => {
+    const { grid } = boot();
+    const wood = find(grid, (x, y) => grid.getZone(x, y) === 'forest' && grid.getDecoration(x, y)?.name?.endsWith('_tree'));
+    const tree = grid.getDecoration(wood.x, wood.y).name;
+    const result = grid.terraform(wood.x, wood.y, 'clear', { by: 'a1' });
+    assert.deepEqual(result, { ok: true, x: wood.x, y: wood.y, type: 'clear', zone: 'grass', bridge: false, removed: tree });
+    assert.equal(grid.getDecoration(wood.x, wood.y), null);
+    assert.deepEqual(grid.getTile(wood.x, wood.y).terraformed, ['clear']);
+  });
+
+  it('only reshapes the zones a terraform works on', () => {
+    const { grid } = boot();
+    const sand = find(grid, (x, y) => grid.getZone(x, y) === 'sand');
+    assert.match(grid.terraform(sand.x, sand.y, 'clear').error, /Cannot clear/);
+    assert.match(grid.terraform(sand.x, sand.y, 'flatten').error, /Unknown terraform/);
+    assert.equal(grid.terraform(-1, 0, 'pave').error, 'Invalid coordinates');
+    assert.equal(grid.getZone(sand.x, sand.y), 'sand');
+  });
+
+  it('paves a road that is quicker to walk', () => {
+    const { grid } = boot();
+    const grass = find(grid, (x, y) => grid.getZone(x, y) === 'grass');
+    const before = grid.getTerrainCost(grass.x, grass.y);
+    assert.equal(grid.terraform(grass.x, grass.y, 'pave').zone, 'path');
+    assert.ok(grid.getTerrainCost(grass.x, grass.y) < before);
+  });
+
+  it('digs a channel only off running water', () => {
+    const { grid } = boot();
+    const isRiver = (x, y) => grid.getZone(x, y) === 'river';
+    const dry = find(grid, (x, y) => grid.getZone(x, y) === 'grass' && !beside(grid, x, y, isRiver));
+    assert.match(grid.terraform(dry.x, dry.y, 'dig').error, /has to run off a river/);
+
+    const bank = find(grid, (x, y) => grid.getZone(x, y) === 'grass' && beside(grid, x, y, isRiver));
+    assert.equal(grid.terraform(bank.x, bank.y, 'dig').zone, 'river');
+    assert.equal(grid.getTile(bank.x, bank.y).isRiver, true);
+    assert.equal(grid.isFreshWater(bank.x, bank.y), true);
+  });
+
+  it('bridges water from the shore, one span at a time', () => {
+    const { grid } = boot();
+    const walkable = (x, y) => grid.getTile(x, y)?.walkable;
+    const water = (x, y) => grid.getZone(x, y) === 'water' && !walkable(x, y);
+    const span = find(grid, (x, y) => water(x, y) && beside(grid, x, y, walkable));
+    const open = find(grid, (x, y) => water(x, y) && !beside(grid, x, y, (nx, ny) => !water(nx, ny)));
+
+    assert.match(grid.terraform(open.x, open.y, 'bridge').error, /has to start from walkable ground/);
+    const result = grid.terraform(span.x, span.y, 'bridge');
+    assert.equal(result.bridge, true);
+    assert.equal(grid.getTile(span.x, span.y).walkable, true);
+    assert.equal(grid.terraform(span.x, span.y, 'bridge').error, 'There is a bridge here');
+  });
+
+  it('boots with every tile reshaped as it was, in order', () => {
+    const { grid, files } = boot();
+    const wood = find(grid, (x, y) => grid.getZone(x, y) === 'forest');
+    grid.terraform(wood.x, wood.y, 'clear');
+    grid.terraform(wood.x, wood.y, 'pave');
+
+    const { grid: again } = boot(files);
+    assert.equal(again.getZone(wood.x, wood.y), 'path');
+    assert.deepEqual(again.getTile(wood.x, wood.y).terraformed, ['clear', 'pave']);
+  });
+});
+
+describe('desire paths', () => {
+  const walk = (grid, { x, y }, steps) => {
+    let result = null;
+    for (let i = 0; i < steps; i++) result = grid.recordStep(x, y);
+    return result;
+  };
+  // Game hours for wear to fade from `from` to below WEAR_REVERT
+  const hoursToFade = (from) => Math.ceil((from - WEAR_REVERT) / WEAR_FADE) + 1;
+
+  it('wears grass into a path once enough agents have walked it', () => {
+    const { grid } = boot();
+    const grass = find(grid, (x, y) => grid.getZone(x, y) === 'grass');
+    assert.equal(walk(grid, grass, WEAR_TO_PATH - 1), null);
+    assert.deepEqual(grid.recordStep(grass.x, grass.y), { ...grass, zone: 'path', was: 'grass' });
+    assert.equal(grid.getZone(grass.x, grass.y), 'path');
+    assert.equal(grid.recordStep(grass.x, grass.y), null, 'worn once');
+  });
+
+  it('leaves ground that does not wear alone', () => {
+    const { grid } = boot();
+    const rocky = find(grid, (x, y) => grid.getZone(x, y) === 'rocky');
+    assert.equal(walk(grid, rocky, WEAR_TO_PATH * 2), null);
+    assert.equal(grid.getZone(rocky.x, rocky.y), 'rocky');
+  });
+
+  it('lets a trail no one walks grow back over', () => {
+    const { grid, files } = boot();
+    const sand = find(grid, (x, y) => grid.getZone(x, y) === 'sand');
+    walk(grid, sand, WEAR_TO_PATH);
+
+    assert.equal(boot(files).grid.getZone(sand.x, sand.y), 'path', 'worn paths survive a restart');
+    assert.deepEqual(grid.fadeTrails(hoursToFade(WEAR_TO_PATH)), [{ ...sand, zone: 'sand' }]);
+    assert.equal(grid.getZone(sand.x, sand.y), 'sand');
+  });
+
+  it('does not grow a trail back over once it has been reshaped', () => {
+    const { grid } = boot();
+    const bank = find(grid, (x, y) => grid.getZone(x, y) === 'grass'
+      && [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([dx, dy]) => grid.getZone(x + dx, y + dy) === 'river'));
+    walk(grid, bank, WEAR_TO_PATH);
+    assert.equal(grid.terraform(bank.x, bank.y, 'dig').zone, 'river');
+    assert.deepEqual(grid.fadeTrails(hoursToFade(WEAR_TO_PATH)), []);
+    assert.equal(grid.getZone(bank.x, bank.y), 'river');
+  });
+});
+
+describe('caves', () => {
+  const entranceOf = (grid) => {
+    const [first] = grid.entrancesNear(grid.width / 2, grid.height / 2, grid.width);
+    assert.ok(first, 'the test world has a cave');
+    return first;
+  };
+
+  it('lets an agent climb down only through an entrance', () => {
+    const { grid } = boot();
+    const mouth = entranceOf(grid);
+    const agent = { tileX: mouth.x, tileY: mouth.y, z: 0 };
+    assert.equal(grid.changeLevel(agent, 0).error, 'Already on the surface');
+    assert.equal(grid.changeLevel(agent, -2).error.startsWith('No level -2'), true);
+    assert.deepEqual(grid.changeLevel(agent, CAVE_Z), { ok: true, x: mouth.x, y: mouth.y, z: CAVE_Z, zone: 'cave' });
+    assert.equal(grid.changeLevel(agent, CAVE_Z).error, 'Already underground');
+    assert.equal(grid.changeLevel(agent, 0).ok, true);
+
+    const away = { tileX: grid.spawnPoint.x, tileY: grid.spawnPoint.y, z: 0 };
+    assert.match(grid.changeLevel(away, CAVE_Z).error, /find a cave entrance/);
+    assert.equal(away.z, 0);
+  });
+
+  it('walks the tunnels on their own layer', () => {
+    const { grid } = boot();
+    const mouth = entranceOf(grid);
+    const caves = grid.layer(CAVE_Z);
+    assert.equal(caves.z, CAVE_Z);
+    assert.equal(caves.getZone(mouth.x, mouth.y), 'cave');
+    const tile = caves.getTile(mouth.x, mouth.y);
+    assert.equal(tile.walkable, true);
+    assert.equal(tile.entrance, true);
+    assert.equal(tile.dark, true);
+
+    // The furthest tile of the tunnels behind this entrance, walked out tile by tile
+    const seen = new Set([`${mouth.x},${mouth.y}`]);
+    const queue = [mouth];
+    for (let i = 0; i < queue.length; i++) {
+      for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+        const x = queue[i].x + dx, y = queue[i].y + dy;
+        if (seen.has(`${x},${y}`) || !caves.getTile(x, y)?.walkable) continue;
+        seen.add(`${x},${y}`);
+        queue.push({ x, y });
+      }
+    }
+    const far = queue[queue.length - 1];
+    const route = caves.findPath(mouth.x, mouth.y, far.x, far.y);
+    assert.equal(route.partial, false);
+    assert.deepEqual(route.path[route.path.length - 1], [far.x, far.y]);
+    assert.ok(route.path.every(([x, y]) => caves.getTile(x, y).walkable), 'never through solid rock');
+    assert.equal(grid.layer(0), grid);
+  });
+
+  it('mines a deposit out for good', () => {
+    const { grid, files } = boot();
+    const caves = grid.layer(CAVE_Z);
+    const vein = find(grid, (x, y) => caves.getTile(x, y).deposit === 'ore_vein');
+    const { maxStock } = caves.getTileResources(vein.x, vein.y);
+    for (let i = 1; i < maxStock; i++) assert.equal(caves.gatherResource(vein.x, vein.y, always).removed, null);
+    assert.equal(caves.gatherResource(vein.x, vein.y, always).removed, 'ore_vein');
+    assert.equal(caves.getTile(vein.x, vein.y).deposit, null);
+    assert.equal(caves.getTileResources(vein.x, vein.y).source, 'cave', 'the bare floor is left');
+
+    assert.equal(boot(files).grid.layer(CAVE_Z).getTile(vein.x, vein.y).deposit, null);
+  });
+});
+
+describe('sailing', () => {
+  it('sails downwind for less than upwind', () => {
+    const { grid } = boot();
+    grid.setWind({ direction: 270, speed: 100 }); // from the west
+    const east = grid.sailCost(0, 0, 1, 0), west = grid.sailCost(1, 0, 0, 0);
+    assert.ok(east < west);
+    grid.setWind({ direction: 0, speed: 0 });
+    assert.equal(grid.sailCost(0, 0, 1, 0), grid.sailCost(1, 0, 0, 0));
+  });
+
+  it('launches off the shore and out over water no one can walk', () => {
+    const { grid } = boot();
+    const sea = (x, y) => grid.isSailable(x, y) && !grid.getTile(x, y).walkable;
+    const shore = find(grid, (x, y) => grid.getTile(x, y).walkable && sea(x + 1, y) && sea(x + 6, y));
+    const out = { x: shore.x + 6, y: shore.y };
+
+    assert.equal(grid.landmassAt(out.x, out.y), 0);
+    assert.notEqual(grid.findPath(shore.x, shore.y, out.x, out.y)?.partial, false, 'not on foot');
+    const route = grid.findSailingPath(shore.x, shore.y, out.x, out.y);
+    assert.equal(route.partial, false);
+    assert.ok(route.path.some(([x, y]) => sea(x, y)));
+  });
+
+  it('washes up on the nearest dry land', () => {
+    const { grid } = boot();
+    const sea = find(grid, (x, y) => grid.isSailable(x, y) && !grid.getTile(x, y).walkable && grid.nearestShore(x, y, 3));
+    const shore = grid.nearestShore(sea.x, sea.y);
+    assert.equal(grid.getTile(shore.x, shore.y).walkable, true);
+    assert.ok(Math.max(Math.abs(shore.x - sea.x), Math.abs(shore.y - sea.y)) <= 3);
+  });
+});
+
+describe('regions and points of interest', () => {
+  it('names a place by the region it lies in', () => {
+    const { grid } = boot();
+    const region = blueprint.regions.find(r => r.gridX === 3 && r.gridY === 7);
+    assert.equal(grid.getRegion(3 * 22 + 5, 7 * 22 + 21).id, region.id);
+    assert.equal(grid.placeName(3 * 22, 7 * 22), region.name);
+    assert.equal(grid.getTile(3 * 22, 7 * 22).region, region.name);
+    assert.equal(grid.getRegion(-1, 0), null);
+  });
+
+  it('stands points of interest on open ground, and finds them nearby', () => {
+    const { grid } = boot();
+    const walledIn = find(grid, (x, y) => !grid.getTile(x, y).walkable && grid.nearestShore(x, y, 5));
+    const land = find(grid, (x, y) => grid.getTile(x, y).walkable);
+    const placed = [
+      { id: 'p:0', name: 'Sunken Bell', x: walledIn.x, y: walledIn.y },
+      { id: 'p:1', name: 'Standing Stone', x: land.x, y: land.y },
+    ];
+    const { grid: named } = boot(new Map(), undefined, { ...worldData, pointsOfInterest: placed });
+
+    const [bell, stone] = named.pointsOfInterest;
+    assert.equal(named.getTile(bell.x, bell.y).walkable, true, 'moved onto open ground');
+    assert.ok(Math.max(Math.abs(bell.x - walledIn.x), Math.abs(bell.y - walledIn.y)) <= 5);
+    assert.deepEqual([stone.x, stone.y], [land.x, land.y]);
+
+    assert.deepEqual(named.poisNear(land.x + 2, land.y - 1, 2).map(p => [p.id, p.distance]), [['p:1', 2]]);
+    assert.deepEqual(named.poisNear(land.x + 3, land.y, 2).filter(p => p.id === 'p:1'), []);
+  });
+});
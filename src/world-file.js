@@ -0,0 +1,136 @@
+/**
+ * World File — compact binary container for a world and its derived layers
+ *
+ * A JSON world has to be parsed, and then the adapter and the tile renderer each recompute
+ * elevation, rivers, lakes and shore distances on every boot. A .bin world stores all of it as
+ * typed-array sections, read in one go and viewed in place — no parsing, no copying.
+ *
+ * Layout (little-endian):
+ *   "OASISWLD"          8 bytes magic
+ *   version             uint32
+ *   header length       uint32
+ *   header              UTF-8 JSON — the world's scalar fields (seed, tileDefs, blueprint…)
+ *                       plus { sections: { name: { type, offset, length } }, layers: { group: version } }
+ *   sections            raw typed-array bytes, each starting on an 8-byte boundary
+ *
+ * Grid sections are `terrain`, `decorations`, `decoTints` and `regionGrid`; derived layers are
+ * stored as `<group>.<name>` (`world.elevation`, `render.river`, …) and come back as
+ * worldData.layers[group] = { version, [name]: TypedArray }. A group's version lets its owner
+ * ignore layers computed by an older algorithm.
+ *
+ *   writeWorldFile('output/world.bin', worldData, { world: { version: 1, elevation, river, lake } });
+ *   const worldData = loadWorld('output/world.bin'); // or a .json world, parsed as before
+ */
+import { readFileSync, writeFileSync, existsSync, statSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+
+const MAGIC = 'OASISWLD';
+export const WORLD_FILE_VERSION = 1;
+
+const GRID_SECTIONS = { terrain: Uint16Array, decorations: Uint16Array, decoTints: Uint8Array, regionGrid: Uint16Array };
+const TYPES = { Uint8Array, Int8Array, Uint16Array, Int16Array, Uint32Array, Int32Array, Float32Array, Float64Array };
+
+const align8 = (n) => (n + 7) & ~7;
+
+// ═══════════════════════════════
+// Write
+// ═══════════════════════════════
+
+/**
+ * Write `worldData` (JSON shape: the grids as plain arrays) and any derived
+ * `layers` ({ group: { version, name: TypedArray } }) to `path`. Returns the file's size.
+ */
+export function writeWorldFile(path, worldData, layers = {}) {
+  const header = { sections: {}, layers: {} };
+  const sections = [];
+
+  for (const [key, value] of Object.entries(worldData)) {
+    if (key === 'layers') continue;
+    if (GRID_SECTIONS[key] && value) sections.push([key, value instanceof GRID_SECTIONS[key] ? value : GRID_SECTIONS[key].from(value)]);
+    else header[key] = value;
+  }
+  for (const [group, { version, ...arrays }] of Object.entries(layers)) {
+    header.layers[group] = version;
+    for (const [name, array] of Object.entries(arrays)) sections.push([`${group}.${name}`, array]);
+  }
+
+  // Offsets are relative to the end of the (8-byte aligned) header
+  let offset = 0;
+  for (const [name, array] of sections) {
+    header.sections[name] = { type: array.constructor.name, offset, length: array.length };
+    offset = align8(offset + array.byteLength);
+  }
+  const headerBytes = Buffer.from(JSON.stringify(header), 'utf-8');
+  const dataStart = align8(16 + headerBytes.length);
+
+  const out = Buffer.alloc(dataStart + offset);
+  out.write(MAGIC, 0, 'latin1');
+  out.writeUInt32LE(WORLD_FILE_VERSION, 8);
+  out.writeUInt32LE(headerBytes.length, 12);
+  headerBytes.copy(out, 16);
+  for (const [name, array] of sections) {
+    Buffer.from(array.buffer, array.byteOffset, array.byteLength).copy(out, dataStart + header.sections[name].offset);
+  }
+  writeFileSync(path, out);
+  return out.length;
+}
+
+// ═══════════════════════════════
+// Read
+// ═══════════════════════════════
+
+/** Does `path` hold a binary world (rather than JSON)? */
+export function isWorldFile(path) {
+  const fd = openSync(path, 'r');
+  try {
+    const head = Buffer.alloc(MAGIC.length);
+    readSync(fd, head, 0, MAGIC.length, 0);
+    return head.toString('latin1') === MAGIC;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/** Read a binary world. Grid and layer arrays are views onto the file's bytes. */
+export function readWorldFile(path) {
+  let buf = readFileSync(path);
+  if (buf.toString('latin1', 0, MAGIC.length) !== MAGIC) throw new Error(`${path} is not a world file`);
+  const version = buf.readUInt32LE(8);
+  if (version !== WORLD_FILE_VERSION) throw new Error(`${path}: world file version ${version}, expected ${WORLD_FILE_VERSION}`);
+  const headerLength = buf.readUInt32LE(12);
+  const { sections, layers: layerVersions, ...worldData } = JSON.parse(buf.toString('utf-8', 16, 16 + headerLength));
+  const dataStart = align8(16 + headerLength);
+  if (buf.byteOffset % 8 !== 0) buf = Buffer.from(buf); // typed views need aligned memory
+
+  worldData.layers = {};
+  for (const [group, layerVersion] of Object.entries(layerVersions)) worldData.layers[group] = { version: layerVersion };
+  for (const [name, { type, offset, length }] of Object.entries(sections)) {
+    const Type = TYPES[type];
+    if (!Type) throw new Error(`${path}: section ${name} has unknown type ${type}`);
+    const view = new Type(buf.buffer, buf.byteOffset + dataStart + offset, length);
+    const dot = name.indexOf('.');
+    if (dot === -1) worldData[name] = view;
+    else worldData.layers[name.slice(0, dot)][name.slice(dot + 1)] = view;
+  }
+  return worldData;
+}
+
+/** Load a world in either format */
+export function loadWorld(path) {
+  return isWorldFile(path) ? readWorldFile(path) : JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * The world to boot from `dir`: world.bin when it has been converted from the current
+ * world.json, else world.json. A world.bin older than the JSON is from a previous world.
+ */
+export function defaultWorldPath(dir) {
+  const bin = join(dir, 'world.bin');
+  const json = join(dir, 'world.json');
+  if (!existsSync(bin)) return json;
+  if (existsSync(json) && statSync(json).mtimeMs > statSync(bin).mtimeMs) {
+    console.warn(`⚠️  ${bin} is older than ${json} — booting from the JSON. Run: npm run convert`);
+    return json;
+  }
+  return bin;
+}
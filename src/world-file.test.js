@@ -0,0 +1,49 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { defaultWorldPath } from './world-file.js';
+
+describe('defaultWorldPath', () => {
+  let dir, warn, warned;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'oasis-world-file-'));
+    warn = console.warn;
+    warned = [];
+    console.warn = (msg) => warned.push(msg);
+  });
+  afterEach(() => {
+    console.warn = warn;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const touch = (name, seconds) => {
+    writeFileSync(join(dir, name), '');
+    utimesSync(join(dir, name), seconds, seconds);
+  };
+
+  it('boots from the JSON until the world is converted', () => {
+    touch('world.json', 1000);
+    assert.equal(defaultWorldPath(dir), join(dir, 'world.json'));
+  });
+
+  it('boots from world.bin converted from the current JSON', () => {
+    touch('world.json', 1000);
+    touch('world.bin', 2000);
+    assert.equal(defaultWorldPath(dir), join(dir, 'world.bin'));
+    assert.deepEqual(warned, []);
+  });
+
+  it('falls back to a world.json regenerated since the last convert, with a warning', () => {
+    touch('world.bin', 1000);
+    touch('world.json', 2000);
+    assert.equal(defaultWorldPath(dir), join(dir, 'world.json'));
+    assert.match(warned[0], /older than .*npm run convert/);
+  });
+
+  it('boots from world.bin alone', () => {
+    touch('world.bin', 1000);
+    assert.equal(defaultWorldPath(dir), join(dir, 'world.bin'));
+  });
+});
@@ -0,0 +1,40 @@
+import { getTileRulesForRegion } from './tile-rules.js';
+
+/**
+ * @typedef {Object} WFCConfig
+ * @property {number} tilesize
+ * @property {Array<{ name: string, symmetry: string, weight: number, bitmap: Uint8Array }>} tiles
+ * @property {Array<{ left: string, right: string }>} neighbors
+ * @property {import('./tile-rules.js').TileRule[]} tileIndexMap  maps WFC tile index to our TileRule
+ */
+
+/**
+ * Convert a Region (with context about its neighbors) into a WFC config
+ * that the simple tiled model (wfc.js) can consume.
+ * @param {import('../types/index.js').Region} region
+ * @param {import('../types/index.js').BiomeType[]} neighborBiomes
+ * @returns {WFCConfig}
+ */
+export function regionToWFCConfig(region, neighborBiomes) {
+  const tileSet = getTileRulesForRegion(region.biome, neighborBiomes);
+
+  const wfcTiles = tileSet.tiles.map((tile) => ({
+    name: tile.name,
+    symmetry: 'X',
+    weight: tile.weight,
+    bitmap: new Uint8Array(tile.color),
+  }));
+
+  // Only include neighbor rules where both tiles exist in our set
+  const tileNames = new Set(tileSet.tiles.map(t => t.name));
+  const validNeighbors = tileSet.neighbors.filter(
+    n => tileNames.has(n.left) && tileNames.has(n.right)
+  );
+
+  return {
+    tilesize: 1,
+    tiles: wfcTiles,
+    neighbors: validNeighbors,
+    tileIndexMap: tileSet.tiles,
+  };
+}
@@ -1,18 +1,22 @@
 import Alea from 'alea';
 import { createNoise2D } from 'simplex-noise';
-import type { WorldBlueprint, TileGrid, TileDefinition, BiomeType, RegionEdge } from '../types/index.js';
 import { regionToWFCConfig } from './biome-to-wfc.js';
 import { runWFC } from './wfc-runner.js';
-import { getPrimaryTile, getBorderTile, getBiomeTiles, type TileRule } from './tile-rules.js';
+import { getPrimaryTile, getBiomeTiles } from './tile-rules.js';
 
-const DEFAULT_REGION_SIZE = 16;
+/**
+ * @typedef {import('../types/index.js').WorldBlueprint} WorldBlueprint
+ * @typedef {import('../types/index.js').TileGrid} TileGrid
+ * @typedef {import('../types/index.js').TileDefinition} TileDefinition
+ * @typedef {import('../types/index.js').BiomeType} BiomeType
+ * @typedef {import('./tile-rules.js').TileRule} TileRule
+ */
+
+export const DEFAULT_REGION_SIZE = 16;
 
-function getNeighborBiomes(
-  blueprint: WorldBlueprint,
-  gridX: number,
-  gridY: number
-): BiomeType[] {
-  const biomes: BiomeType[] = [];
+/** @returns {BiomeType[]} */
+function getNeighborBiomes(blueprint, gridX, gridY) {
+  const biomes = [];
   const dirs = [[0, -1], [0, 1], [1, 0], [-1, 0]];
   for (const [dx, dy] of dirs) {
     const nx = gridX + dx;
@@ -25,15 +29,17 @@ function getNeighborBiomes(
   return biomes;
 }
 
-function tileRuleToDefinition(rule: TileRule): TileDefinition {
+/** @returns {TileDefinition} */
+function tileRuleToDefinition(rule) {
   return { id: rule.id, name: rule.name, biome: rule.biome, walkable: rule.walkable };
 }
 
 /**
  * Pick a tile from a biome's tileset using noise value for weighted selection.
  * Noise value [0,1] maps to the tile's weight distribution.
+ * @returns {TileRule}
  */
-function pickTileByNoise(biome: BiomeType, noiseVal: number): TileRule {
+function pickTileByNoise(biome, noiseVal) {
   const tiles = getBiomeTiles(biome);
   const totalWeight = tiles.reduce((s, t) => s + t.weight, 0);
   const target = noiseVal * totalWeight;
@@ -45,19 +51,22 @@ function pickTileByNoise(biome: BiomeType, noiseVal: number): TileRule {
   return tiles[0];
 }
 
-export function generateTileGrid(
-  blueprint: WorldBlueprint,
-  seed: string,
-  regionSize: number = DEFAULT_REGION_SIZE
-): TileGrid {
+/**
+ * Layer 2: WFC terrain per region, blended across region borders.
+ * @param {WorldBlueprint} blueprint
+ * @param {string} seed
+ * @param {number} [regionSize] tiles per region side
+ * @returns {TileGrid}
+ */
+export function generateTileGrid(blueprint, seed, regionSize = DEFAULT_REGION_SIZE) {
   // WFC runs at a small internal size, then tiles up to fill the region
   const WFC_SIZE = Math.min(regionSize, 32);
   const totalWidth = blueprint.width * regionSize;
   const totalHeight = blueprint.height * regionSize;
-  const terrain = new Array<number>(totalWidth * totalHeight).fill(0);
-  const decorations = new Array<number>(totalWidth * totalHeight).fill(0);
-  const regionGrid = new Array<number>(totalWidth * totalHeight).fill(0);
-  const tileDefMap = new Map<number, TileDefinition>();
+  const terrain = new Array(totalWidth * totalHeight).fill(0);
+  const decorations = new Array(totalWidth * totalHeight).fill(0);
+  const regionGrid = new Array(totalWidth * totalHeight).fill(0);
+  const tileDefMap = new Map(); // id -> TileDefinition
 
   // Build regionGrid — maps every tile to its region index
   for (let ry = 0; ry < blueprint.height; ry++) {
@@ -74,7 +83,7 @@ export function generateTileGrid(
   }
 
   // Build edges — every border between adjacent regions
-  const edges: RegionEdge[] = [];
+  const edges = [];
   for (let ry = 0; ry < blueprint.height; ry++) {
     for (let rx = 0; rx < blueprint.width; rx++) {
       const idx = ry * blueprint.width + rx;
@@ -133,7 +142,7 @@ export function generateTileGrid(
     const observed = runWFC(config, WFC_SIZE, WFC_SIZE, regionSeed);
 
     // Build a small WFC tile patch
-    let wfcPatch: number[];
+    let wfcPatch;
     if (observed) {
       wfcPatch = observed.map(idx => {
         const rule = config.tileIndexMap[idx];
@@ -163,15 +172,7 @@ export function generateTileGrid(
   return { width: totalWidth, height: totalHeight, regionSize, terrain, decorations, regionGrid, edges, tileDefs, blueprint };
 }
 
-function blendAllBorders(
-  terrain: number[],
-  totalWidth: number,
-  totalHeight: number,
-  regionSize: number,
-  blueprint: WorldBlueprint,
-  tileDefMap: Map<number, TileDefinition>,
-  seed: string
-): void {
+function blendAllBorders(terrain, totalWidth, totalHeight, regionSize, blueprint, tileDefMap, seed) {
   // Noise layers for displacing Voronoi boundaries
   const rng1 = Alea(`${seed}-warp1`);
   const rng2 = Alea(`${seed}-warp2`);
@@ -186,7 +187,7 @@ function blendAllBorders(
   const WARP_FREQ = 0.04;  // low frequency = large smooth curves
 
   // Precompute region centers (in tile coordinates)
-  const centers: Array<{ cx: number; cy: number; biome: BiomeType; regionIdx: number }> = [];
+  const centers = [];
   for (let ry = 0; ry < blueprint.height; ry++) {
     for (let rx = 0; rx < blueprint.width; rx++) {
       const idx = ry * blueprint.width + rx;
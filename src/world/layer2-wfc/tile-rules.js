@@ -1,44 +1,32 @@
-import type { BiomeType } from '../types/index.js';
-
-export interface TileRule {
-  id: number;
-  name: string;
-  biome: BiomeType;
-  walkable: boolean;
-  weight: number;
-  color: [number, number, number, number]; // RGBA
-}
-
-export interface NeighborRule {
-  left: string;
-  right: string;
-}
-
-export interface BiomeTileSet {
-  tiles: TileRule[];
-  neighbors: NeighborRule[];
-}
+/**
+ * Tile rules — the terrain tiles of each biome, their WFC weights and which may sit side by side
+ *
+ * @typedef {import('../types/index.js').BiomeType} BiomeType
+ * @typedef {{ id: number, name: string, biome: BiomeType, walkable: boolean, weight: number, color: number[] }} TileRule  color is RGBA
+ * @typedef {{ left: string, right: string }} NeighborRule  the two tiles may be adjacent, in any direction
+ * @typedef {{ tiles: TileRule[], neighbors: NeighborRule[] }} BiomeTileSet
+ */
 
 // --- Ocean tiles ---
-const oceanTiles: TileRule[] = [
+const oceanTiles = [
   { id: 0, name: 'deep_water', biome: 'ocean', walkable: false, weight: 10, color: [20, 60, 140, 255] },
   { id: 1, name: 'shallow_water', biome: 'ocean', walkable: false, weight: 4, color: [40, 100, 190, 255] },
 ];
 
-const oceanNeighbors: NeighborRule[] = [
+const oceanNeighbors = [
   { left: 'deep_water', right: 'deep_water' },
   { left: 'deep_water', right: 'shallow_water' },
   { left: 'shallow_water', right: 'shallow_water' },
 ];
 
 // --- Beach tiles ---
-const beachTiles: TileRule[] = [
+const beachTiles = [
   { id: 10, name: 'sand', biome: 'beach', walkable: true, weight: 10, color: [225, 210, 140, 255] },
   { id: 11, name: 'wet_sand', biome: 'beach', walkable: true, weight: 3, color: [190, 180, 120, 255] },
   { id: 12, name: 'dune', biome: 'beach', walkable: true, weight: 2, color: [235, 220, 155, 255] },
 ];
 
-const beachNeighbors: NeighborRule[] = [
+const beachNeighbors = [
   { left: 'sand', right: 'sand' },
   { left: 'sand', right: 'wet_sand' },
   { left: 'sand', right: 'dune' },
@@ -49,14 +37,14 @@ const beachNeighbors: NeighborRule[] = [
 ];
 
 // --- Grassland tiles ---
-const grasslandTiles: TileRule[] = [
+const grasslandTiles = [
   { id: 20, name: 'grass', biome: 'grassland', walkable: true, weight: 12, color: [90, 170, 60, 255] },
   { id: 21, name: 'tall_grass', biome: 'grassland', walkable: true, weight: 3, color: [70, 150, 45, 255] },
   { id: 22, name: 'flowers', biome: 'grassland', walkable: true, weight: 1, color: [120, 185, 80, 255] },
   { id: 23, name: 'dirt_path', biome: 'grassland', walkable: true, weight: 1, color: [155, 125, 75, 255] },
 ];
 
-const grasslandNeighbors: NeighborRule[] = [
+const grasslandNeighbors = [
   { left: 'grass', right: 'grass' },
   { left: 'grass', right: 'tall_grass' },
   { left: 'grass', right: 'flowers' },
@@ -71,14 +59,14 @@ const grasslandNeighbors: NeighborRule[] = [
 ];
 
 // --- Forest tiles ---
-const forestTiles: TileRule[] = [
+const forestTiles = [
   { id: 30, name: 'trees', biome: 'forest', walkable: false, weight: 12, color: [30, 90, 25, 255] },
   { id: 31, name: 'dense_trees', biome: 'forest', walkable: false, weight: 4, color: [20, 65, 18, 255] },
   { id: 32, name: 'forest_clearing', biome: 'forest', walkable: true, weight: 1, color: [55, 120, 40, 255] },
   { id: 33, name: 'forest_path', biome: 'forest', walkable: true, weight: 1, color: [100, 85, 50, 255] },
 ];
 
-const forestNeighbors: NeighborRule[] = [
+const forestNeighbors = [
   { left: 'trees', right: 'trees' },
   { left: 'trees', right: 'dense_trees' },
   { left: 'trees', right: 'forest_clearing' },
@@ -93,13 +81,13 @@ const forestNeighbors: NeighborRule[] = [
 ];
 
 // --- Desert tiles ---
-const desertTiles: TileRule[] = [
+const desertTiles = [
   { id: 40, name: 'sand_flat', biome: 'desert', walkable: true, weight: 10, color: [215, 185, 95, 255] },
   { id: 41, name: 'sand_dunes', biome: 'desert', walkable: true, weight: 3, color: [200, 170, 80, 255] },
   { id: 42, name: 'cracked_earth', biome: 'desert', walkable: true, weight: 1, color: [175, 150, 90, 255] },
 ];
 
-const desertNeighbors: NeighborRule[] = [
+const desertNeighbors = [
   { left: 'sand_flat', right: 'sand_flat' },
   { left: 'sand_flat', right: 'sand_dunes' },
   { left: 'sand_flat', right: 'cracked_earth' },
@@ -110,13 +98,13 @@ const desertNeighbors: NeighborRule[] = [
 ];
 
 // --- Mountain tiles ---
-const mountainTiles: TileRule[] = [
+const mountainTiles = [
   { id: 50, name: 'rock', biome: 'mountain', walkable: true, weight: 10, color: [130, 130, 130, 255] },
   { id: 51, name: 'cliff', biome: 'mountain', walkable: false, weight: 3, color: [100, 100, 100, 255] },
   { id: 52, name: 'peak', biome: 'mountain', walkable: false, weight: 1, color: [180, 180, 185, 255] },
 ];
 
-const mountainNeighbors: NeighborRule[] = [
+const mountainNeighbors = [
   { left: 'rock', right: 'rock' },
   { left: 'rock', right: 'cliff' },
   { left: 'rock', right: 'peak' },
@@ -127,13 +115,13 @@ const mountainNeighbors: NeighborRule[] = [
 ];
 
 // --- Tundra tiles ---
-const tundraTiles: TileRule[] = [
+const tundraTiles = [
   { id: 60, name: 'snow', biome: 'tundra', walkable: true, weight: 10, color: [220, 225, 235, 255] },
   { id: 61, name: 'ice', biome: 'tundra', walkable: true, weight: 3, color: [195, 210, 230, 255] },
   { id: 62, name: 'frozen_ground', biome: 'tundra', walkable: true, weight: 1, color: [175, 185, 195, 255] },
 ];
 
-const tundraNeighbors: NeighborRule[] = [
+const tundraNeighbors = [
   { left: 'snow', right: 'snow' },
   { left: 'snow', right: 'ice' },
   { left: 'snow', right: 'frozen_ground' },
@@ -144,13 +132,13 @@ const tundraNeighbors: NeighborRule[] = [
 ];
 
 // --- Swamp tiles ---
-const swampTiles: TileRule[] = [
+const swampTiles = [
   { id: 70, name: 'mud', biome: 'swamp', walkable: true, weight: 3, color: [70, 85, 50, 255] },
   { id: 71, name: 'bog_water', biome: 'swamp', walkable: false, weight: 2, color: [50, 75, 55, 255] },
   { id: 72, name: 'reeds', biome: 'swamp', walkable: true, weight: 2, color: [80, 100, 55, 255] },
 ];
 
-const swampNeighbors: NeighborRule[] = [
+const swampNeighbors = [
   { left: 'mud', right: 'mud' },
   { left: 'mud', right: 'bog_water' },
   { left: 'mud', right: 'reeds' },
@@ -162,7 +150,7 @@ const swampNeighbors: NeighborRule[] = [
 ];
 
 // --- Transition tiles ---
-const transitionTiles: TileRule[] = [
+const transitionTiles = [
   { id: 100, name: 'water_sand', biome: 'beach', walkable: true, weight: 2, color: [110, 155, 170, 255] },
   { id: 101, name: 'sand_grass', biome: 'grassland', walkable: true, weight: 2, color: [155, 185, 105, 255] },
   { id: 102, name: 'grass_trees', biome: 'forest', walkable: true, weight: 2, color: [60, 130, 45, 255] },
@@ -174,11 +162,8 @@ const transitionTiles: TileRule[] = [
   { id: 108, name: 'desert_rock', biome: 'mountain', walkable: true, weight: 2, color: [165, 155, 110, 255] },
 ];
 
-const allTransitions: Array<{
-  biomes: [BiomeType, BiomeType];
-  tiles: TileRule[];
-  neighborRules: NeighborRule[];
-}> = [
+/** @type {Array<{ biomes: [BiomeType, BiomeType], tiles: TileRule[], neighborRules: NeighborRule[] }>} */
+const allTransitions = [
   {
     biomes: ['ocean', 'beach'],
     tiles: [transitionTiles[0]],
@@ -279,7 +264,8 @@ const allTransitions: Array<{
   },
 ];
 
-const biomeTileSets: Record<BiomeType, { tiles: TileRule[]; neighbors: NeighborRule[] }> = {
+/** @type {Record<BiomeType, BiomeTileSet>} */
+const biomeTileSets = {
   ocean: { tiles: oceanTiles, neighbors: oceanNeighbors },
   beach: { tiles: beachTiles, neighbors: beachNeighbors },
   grassland: { tiles: grasslandTiles, neighbors: grasslandNeighbors },
@@ -293,13 +279,13 @@ const biomeTileSets: Record<BiomeType, { tiles: TileRule[]; neighbors: NeighborR
 /**
  * Get tile rules for a biome and its neighboring biomes.
  * Only includes the primary biome's tiles and transition tiles — NOT full neighbor biome sets.
+ * @param {BiomeType} biome
+ * @param {BiomeType[]} neighborBiomes
+ * @returns {BiomeTileSet}
  */
-export function getTileRulesForRegion(
-  biome: BiomeType,
-  neighborBiomes: BiomeType[]
-): BiomeTileSet {
-  const tileMap = new Map<string, TileRule>();
-  const neighborSet = new Set<string>();
+export function getTileRulesForRegion(biome, neighborBiomes) {
+  const tileMap = new Map();
+  const neighborSet = new Set();
 
   // Add the primary biome's tiles and rules
   const primary = biomeTileSets[biome];
@@ -349,7 +335,7 @@ export function getTileRulesForRegion(
 /**
  * Get the primary tile for a biome (used as fallback fill).
  */
-export function getPrimaryTile(biome: BiomeType): TileRule {
+export function getPrimaryTile(biome) {
   const set = biomeTileSets[biome];
   return set.tiles[0];
 }
@@ -357,7 +343,7 @@ export function getPrimaryTile(biome: BiomeType): TileRule {
 /**
  * Get a suitable border tile for a biome (the one that transitions connect to).
  */
-export function getBorderTile(biome: BiomeType): TileRule {
+export function getBorderTile(biome) {
   const set = biomeTileSets[biome];
   return set.tiles[0];
 }
@@ -365,6 +351,6 @@ export function getBorderTile(biome: BiomeType): TileRule {
 /**
  * Get all tiles for a biome, for noise-based variant selection.
  */
-export function getBiomeTiles(biome: BiomeType): TileRule[] {
+export function getBiomeTiles(biome) {
   return biomeTileSets[biome].tiles;
 }
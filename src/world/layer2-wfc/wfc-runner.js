@@ -0,0 +1,29 @@
+import Alea from 'alea';
+import { collapseWave } from './wfc.js';
+
+const MAX_RETRIES = 3;
+
+/**
+ * Run WFC with the given config, retrying on contradiction.
+ * Returns the flat array of observed tile indices (into config.tileIndexMap),
+ * or null if all retries fail.
+ * @param {import('./biome-to-wfc.js').WFCConfig} config
+ * @param {number} width
+ * @param {number} height
+ * @param {string} seed
+ * @returns {number[] | null}
+ */
+export function runWFC(config, width, height, seed) {
+  const data = {
+    tiles: config.tiles,
+    neighbors: config.neighbors,
+  };
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const rng = Alea(`${seed}-${attempt}`);
+    const observed = collapseWave(data, width, height, rng);
+    if (observed) return observed;
+  }
+
+  return null;
+}
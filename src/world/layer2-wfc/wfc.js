@@ -0,0 +1,114 @@
+/**
+ * Wave Function Collapse — the simple tiled model, for 1×1 tiles with full symmetry
+ *
+ * Every tile is symmetric, so a neighbor rule { left, right } lets the two tiles touch in any
+ * direction. The grid is not periodic. Each step collapses the cell with the lowest entropy
+ * (noise from `rng` breaks ties) to one of its remaining tiles, chosen by weight, then
+ * propagates: a tile stays possible in a cell only while every neighbor still allows it.
+ *
+ *   const observed = collapseWave({ tiles, neighbors }, 32, 32, Alea('seed'));
+ *   // → tile index per cell, row-major — or null on a contradiction
+ */
+
+/**
+ * @param {{ tiles: Array<{ name: string, weight?: number }>, neighbors: Array<{ left: string, right: string }> }} model
+ * @param {number} width
+ * @param {number} height
+ * @param {() => number} rng
+ * @returns {number[] | null}
+ */
+export function collapseWave({ tiles, neighbors }, width, height, rng) {
+  const T = tiles.length;
+  const cells = width * height;
+  const weights = tiles.map(t => t.weight ?? 1);
+  const logWeights = weights.map(w => w * Math.log(w));
+
+  // compatible[a * T + b]: tiles a and b may be adjacent
+  const indexOf = new Map(tiles.map((t, i) => [t.name, i]));
+  const compatible = new Uint8Array(T * T);
+  for (const { left, right } of neighbors) {
+    const a = indexOf.get(left), b = indexOf.get(right);
+    if (a === undefined || b === undefined) continue;
+    compatible[a * T + b] = 1;
+    compatible[b * T + a] = 1;
+  }
+
+  const wave = new Uint8Array(cells * T).fill(1); // wave[cell * T + t]: t still possible
+  const count = new Int32Array(cells).fill(T);
+  const sumW = new Float64Array(cells);
+  const sumWLogW = new Float64Array(cells);
+  const startW = weights.reduce((s, w) => s + w, 0);
+  const startWLogW = logWeights.reduce((s, w) => s + w, 0);
+  sumW.fill(startW);
+  sumWLogW.fill(startWLogW);
+
+  const stack = [];
+
+  function ban(cell, t) {
+    wave[cell * T + t] = 0;
+    count[cell]--;
+    sumW[cell] -= weights[t];
+    sumWLogW[cell] -= logWeights[t];
+    stack.push(cell);
+  }
+
+  /** Can tile t in `cell` still sit next to whatever `other` might become? */
+  function supported(t, other) {
+    const base = other * T;
+    for (let s = 0; s < T; s++) if (wave[base + s] && compatible[t * T + s]) return true;
+    return false;
+  }
+
+  function propagate() {
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const x = cell % width, y = (cell - x) / width;
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const neighbor = ny * width + nx;
+        for (let t = 0; t < T; t++) {
+          if (wave[neighbor * T + t] && !supported(t, cell)) {
+            ban(neighbor, t);
+            if (count[neighbor] === 0) return false;
+          }
+        }
+      }
+    }
+    return true;
+  }
+
+  for (;;) {
+    // Observe: the undecided cell with the least entropy
+    let chosen = -1, least = Infinity;
+    for (let cell = 0; cell < cells; cell++) {
+      if (count[cell] === 0) return null;
+      if (count[cell] === 1) continue;
+      const entropy = Math.log(sumW[cell]) - sumWLogW[cell] / sumW[cell];
+      const noisy = entropy - 1e-6 * rng();
+      if (noisy < least) { least = noisy; chosen = cell; }
+    }
+    if (chosen === -1) break; // every cell decided
+
+    let roll = rng() * sumW[chosen];
+    let pick = -1;
+    for (let t = 0; t < T; t++) {
+      if (!wave[chosen * T + t]) continue;
+      pick = t;
+      roll -= weights[t];
+      if (roll <= 0) break;
+    }
+    for (let t = 0; t < T; t++) {
+      if (t !== pick && wave[chosen * T + t]) ban(chosen, t);
+    }
+    if (!propagate()) return null;
+  }
+
+  const observed = new Array(cells);
+  for (let cell = 0; cell < cells; cell++) {
+    let t = 0;
+    while (!wave[cell * T + t]) t++;
+    observed[cell] = t;
+  }
+  return observed;
+}
@@ -1,4 +1,3 @@
-import type { TileGrid } from '../types/index.js';
 import { generateNoiseMap, defaultElevationConfig, defaultMoistureConfig } from './noise-map.js';
 import { applyTileVariants } from './tile-modifier.js';
 
@@ -6,8 +5,11 @@ import { applyTileVariants } from './tile-modifier.js';
  * Apply noise-based tile variant modifications to a grid.
  * Generates elevation and moisture noise maps, then swaps tile variants
  * based on noise thresholds. Returns a new grid; does NOT mutate the input.
+ * @param {import('../types/index.js').TileGrid} grid
+ * @param {string} seed
+ * @returns {import('../types/index.js').TileGrid}
  */
-export function applyNoise(grid: TileGrid, seed: string): TileGrid {
+export function applyNoise(grid, seed) {
   const elevationMap = generateNoiseMap(
     `${seed}-elevation`,
     grid.width,
@@ -1,15 +1,12 @@
 import Alea from 'alea';
 import { createNoise2D } from 'simplex-noise';
 
-export interface NoiseConfig {
-  octaves: number;
-  frequency: number;
-  amplitude: number;
-  persistence: number;
-  lacunarity: number;
-}
+/**
+ * @typedef {{ octaves: number, frequency: number, amplitude: number, persistence: number, lacunarity: number }} NoiseConfig
+ */
 
-export const defaultElevationConfig: NoiseConfig = {
+/** @type {NoiseConfig} */
+export const defaultElevationConfig = {
   octaves: 6,
   frequency: 0.02,
   amplitude: 1.0,
@@ -17,7 +14,8 @@ export const defaultElevationConfig: NoiseConfig = {
   lacunarity: 2.0,
 };
 
-export const defaultMoistureConfig: NoiseConfig = {
+/** @type {NoiseConfig} */
+export const defaultMoistureConfig = {
   octaves: 4,
   frequency: 0.03,
   amplitude: 1.0,
@@ -27,17 +25,17 @@ export const defaultMoistureConfig: NoiseConfig = {
 
 /**
  * Generate a 2D noise map as a flat row-major array of values in [0, 1].
+ * @param {string} seed
+ * @param {number} width
+ * @param {number} height
+ * @param {NoiseConfig} config
+ * @returns {number[]}
  */
-export function generateNoiseMap(
-  seed: string,
-  width: number,
-  height: number,
-  config: NoiseConfig,
-): number[] {
+export function generateNoiseMap(seed, width, height, config) {
   const prng = Alea(seed);
   const noise2D = createNoise2D(prng);
 
-  const map = new Array<number>(width * height);
+  const map = new Array(width * height);
 
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
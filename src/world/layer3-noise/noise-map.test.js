@@ -1,4 +1,5 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
 import { generateNoiseMap, defaultElevationConfig } from './noise-map.js';
 
 describe('generateNoiseMap', () => {
@@ -9,20 +10,19 @@ describe('generateNoiseMap', () => {
   it('produces deterministic output for the same seed', () => {
     const a = generateNoiseMap(seed, width, height, defaultElevationConfig);
     const b = generateNoiseMap(seed, width, height, defaultElevationConfig);
-    expect(a).toEqual(b);
+    assert.deepEqual(a, b);
   });
 
   it('returns values in the [0, 1] range', () => {
     const map = generateNoiseMap(seed, width, height, defaultElevationConfig);
     for (const v of map) {
-      expect(v).toBeGreaterThanOrEqual(0);
-      expect(v).toBeLessThanOrEqual(1);
+      assert.ok(v >= 0 && v <= 1, `${v} is outside [0, 1]`);
     }
   });
 
   it('returns an array with length equal to width * height', () => {
     const map = generateNoiseMap(seed, width, height, defaultElevationConfig);
-    expect(map).toHaveLength(width * height);
+    assert.equal(map.length, width * height);
   });
 
   it('produces different output for different seeds', () => {
@@ -30,7 +30,7 @@ describe('generateNoiseMap', () => {
     const b = generateNoiseMap('seed-beta', width, height, defaultElevationConfig);
     // At least some values should differ
     const differences = a.filter((v, i) => v !== b[i]);
-    expect(differences.length).toBeGreaterThan(0);
+    assert.ok(differences.length > 0);
   });
 
   it('respects custom config parameters', () => {
@@ -44,6 +44,6 @@ describe('generateNoiseMap', () => {
     });
     // Different frequency should produce different maps
     const differences = lowFreq.filter((v, i) => v !== highFreq[i]);
-    expect(differences.length).toBeGreaterThan(0);
+    assert.ok(differences.length > 0);
   });
 });
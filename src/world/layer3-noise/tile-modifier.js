@@ -1,15 +1,17 @@
-import type { TileGrid, TileDefinition, BiomeType } from '../types/index.js';
-
-interface VariantRule {
-  biome: BiomeType;
-  minElevation?: number;
-  maxElevation?: number;
-  minMoisture?: number;
-  maxMoisture?: number;
-  variant: number;
-}
+import { DECO_BASE_ID, DECO_TYPES } from '../layer4-decorations/generator.js';
 
-const variantRules: VariantRule[] = [
+/**
+ * @typedef {Object} VariantRule
+ * @property {import('../types/index.js').BiomeType} biome
+ * @property {number} [minElevation]
+ * @property {number} [maxElevation]
+ * @property {number} [minMoisture]
+ * @property {number} [maxMoisture]
+ * @property {number} variant
+ */
+
+/** @type {VariantRule[]} */
+const variantRules = [
   // Grassland variants based on moisture
   { biome: 'grassland', minMoisture: 0.7, variant: 1 },   // lush / wet grass
   { biome: 'grassland', maxMoisture: 0.25, variant: 2 },   // dry / sparse grass
@@ -35,11 +37,7 @@ const variantRules: VariantRule[] = [
   { biome: 'tundra', minMoisture: 0.6, variant: 1 },       // icy tundra
 ];
 
-function matchesRule(
-  rule: VariantRule,
-  elevation: number,
-  moisture: number,
-): boolean {
+function matchesRule(rule, elevation, moisture) {
   if (rule.minElevation !== undefined && elevation < rule.minElevation) return false;
   if (rule.maxElevation !== undefined && elevation > rule.maxElevation) return false;
   if (rule.minMoisture !== undefined && moisture < rule.minMoisture) return false;
@@ -50,27 +48,31 @@ function matchesRule(
 /**
  * Apply noise-based variant swaps to a tile grid.
  * Returns a new grid; does not mutate the input.
+ * @param {import('../types/index.js').TileGrid} grid
+ * @param {number[]} elevationMap
+ * @param {number[]} moistureMap
+ * @returns {import('../types/index.js').TileGrid}
  */
-export function applyTileVariants(
-  grid: TileGrid,
-  elevationMap: number[],
-  moistureMap: number[],
-): TileGrid {
-  const newTerrain = new Array<number>(grid.terrain.length);
+export function applyTileVariants(grid, elevationMap, moistureMap) {
+  const newTerrain = new Array(grid.terrain.length);
   const newTileDefs = [...grid.tileDefs];
 
   // Build a lookup: id → TileDefinition
-  const defById = new Map<number, TileDefinition>();
+  const defById = new Map();
   for (const def of grid.tileDefs) {
     defById.set(def.id, def);
   }
 
-  // Find the max existing tile ID to avoid conflicts
+  // Find the max existing tile ID to avoid conflicts — and step over the decoration ids
   let nextId = Math.max(...grid.tileDefs.map(d => d.id)) + 1;
+  const takeId = () => {
+    if (nextId >= DECO_BASE_ID && nextId < DECO_BASE_ID + DECO_TYPES.length) nextId = DECO_BASE_ID + DECO_TYPES.length;
+    return nextId++;
+  };
 
   // Track variant defs we've already created so we don't duplicate
-  const variantKey = (baseId: number, variant: number) => `${baseId}:${variant}`;
-  const variantDefs = new Map<string, number>();
+  const variantKey = (baseId, variant) => `${baseId}:${variant}`;
+  const variantDefs = new Map();
 
   for (let i = 0; i < grid.terrain.length; i++) {
     const tileId = grid.terrain[i];
@@ -85,7 +87,7 @@ export function applyTileVariants(
     const moisture = moistureMap[i];
 
     // Find the first matching variant rule for this biome
-    let appliedVariant: number | undefined;
+    let appliedVariant;
     for (const rule of variantRules) {
       if (rule.biome === def.biome && matchesRule(rule, elevation, moisture)) {
         appliedVariant = rule.variant;
@@ -103,7 +105,7 @@ export function applyTileVariants(
     let variantId = variantDefs.get(key);
 
     if (variantId === undefined) {
-      variantId = nextId++;
+      variantId = takeId();
       newTileDefs.push({
         id: variantId,
         name: `${def.name}_v${appliedVariant}`,
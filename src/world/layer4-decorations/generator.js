@@ -1,40 +1,28 @@
 import Alea from 'alea';
 import { createNoise2D } from 'simplex-noise';
-import type { TileGrid, TileDefinition, BiomeType } from '../types/index.js';
+/**
+ * Decoration types — each gets a unique tile ID in the decoration layer, DECO_BASE_ID upward
+ * in this order. The world adapter (DECO_RESOURCES) and the tile renderer rely on those ids.
+ */
+export const DECO_TYPES = [
+  'tree_pine', 'tree_oak', 'tree_palm', 'rock_small', 'rock_large',
+  'flower', 'cactus', 'mushroom', 'reed', 'snowdrift', 'seaweed',
+];
+export const DECO_BASE_ID = 150;
 
 /**
- * Decoration types — each gets a unique tile ID in the decoration layer.
- * The viewer renders these as simple shapes on top of terrain.
+ * @typedef {Object} DecoRule
+ * @property {import('../types/index.js').BiomeType} biome
+ * @property {string} deco               one of DECO_TYPES
+ * @property {number} density            base probability per tile (0-1)
+ * @property {number} clusterFreq        noise frequency for clustering
+ * @property {number} clusterThreshold   only place where noise > this value
+ * @property {number} [minElev]          min elevation (0-1)
+ * @property {number} [maxElev]          max elevation (0-1)
  */
-export type DecoType =
-  | 'tree_pine'
-  | 'tree_oak'
-  | 'tree_palm'
-  | 'rock_small'
-  | 'rock_large'
-  | 'flower'
-  | 'cactus'
-  | 'mushroom'
-  | 'reed'
-  | 'snowdrift'
-  | 'seaweed';
-
-interface DecoRule {
-  biome: BiomeType;
-  deco: DecoType;
-  /** Base probability per tile (0-1) */
-  density: number;
-  /** Noise frequency for clustering */
-  clusterFreq: number;
-  /** Noise threshold — only place where noise > this value */
-  clusterThreshold: number;
-  /** Min elevation (0-1), optional */
-  minElev?: number;
-  /** Max elevation (0-1), optional */
-  maxElev?: number;
-}
 
-const DECO_RULES: DecoRule[] = [
+/** @type {DecoRule[]} */
+const DECO_RULES = [
   // Forest: dense trees
   { biome: 'forest',    deco: 'tree_pine',   density: 0.35, clusterFreq: 0.08, clusterThreshold: 0.3 },
   { biome: 'forest',    deco: 'tree_oak',    density: 0.15, clusterFreq: 0.06, clusterThreshold: 0.5 },
@@ -78,13 +66,16 @@ const DECO_RULES: DecoRule[] = [
 /**
  * Generate decoration overlay for a tile grid.
  * Uses simplex noise for natural clustering + RNG for individual placement.
+ * @param {import('../types/index.js').TileGrid} grid
+ * @param {string} seed
+ * @returns {import('../types/index.js').TileGrid}
  */
-export function applyDecorations(grid: TileGrid, seed: string): TileGrid {
+export function applyDecorations(grid, seed) {
   const { width, height, terrain, tileDefs } = grid;
-  const decorations = new Array<number>(width * height).fill(0);
+  const decorations = new Array(width * height).fill(0);
 
   // Build biome lookup from terrain
-  const defById = new Map<number, TileDefinition>();
+  const defById = new Map();
   for (const def of tileDefs) defById.set(def.id, def);
 
   // Generate elevation noise for elevation-gated decos
@@ -92,17 +83,11 @@ export function applyDecorations(grid: TileGrid, seed: string): TileGrid {
   const elevNoise = createNoise2D(elevPrng);
 
   // Create decoration tile defs
-  const decoTileDefs: TileDefinition[] = [];
-  const decoTypeToId = new Map<DecoType, number>();
-  let nextId = Math.max(...tileDefs.map(d => d.id)) + 1;
-
-  const allDecoTypes: DecoType[] = [
-    'tree_pine', 'tree_oak', 'tree_palm', 'rock_small', 'rock_large',
-    'flower', 'cactus', 'mushroom', 'reed', 'snowdrift', 'seaweed',
-  ];
+  const decoTileDefs = [];
+  const decoTypeToId = new Map();
 
-  for (const dt of allDecoTypes) {
-    const id = nextId++;
+  for (const [i, dt] of DECO_TYPES.entries()) {
+    const id = DECO_BASE_ID + i;
     decoTypeToId.set(dt, id);
     decoTileDefs.push({
       id,
@@ -114,7 +99,7 @@ export function applyDecorations(grid: TileGrid, seed: string): TileGrid {
   }
 
   // Group rules by biome for fast lookup
-  const rulesByBiome = new Map<BiomeType, DecoRule[]>();
+  const rulesByBiome = new Map();
   for (const rule of DECO_RULES) {
     const arr = rulesByBiome.get(rule.biome) || [];
     arr.push(rule);
@@ -122,7 +107,7 @@ export function applyDecorations(grid: TileGrid, seed: string): TileGrid {
   }
 
   // Per-rule noise functions (each gets unique seed for independent clustering)
-  const ruleNoiseCache = new Map<DecoRule, ReturnType<typeof createNoise2D>>();
+  const ruleNoiseCache = new Map();
   for (const rule of DECO_RULES) {
     const prng = Alea(`${seed}-deco-${rule.biome}-${rule.deco}`);
     ruleNoiseCache.set(rule, createNoise2D(prng));
@@ -134,7 +119,7 @@ export function applyDecorations(grid: TileGrid, seed: string): TileGrid {
   const tintPrng = Alea(`${seed}-deco-tint`);
 
   // We store tint per-tile in a parallel array (0-7)
-  const decoTints = new Array<number>(width * height).fill(0);
+  const decoTints = new Array(width * height).fill(0);
 
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
@@ -142,7 +127,7 @@ export function applyDecorations(grid: TileGrid, seed: string): TileGrid {
       const tileDef = defById.get(terrain[idx]);
       if (!tileDef) continue;
 
-      const rules = rulesByBiome.get(tileDef.biome as BiomeType);
+      const rules = rulesByBiome.get(tileDef.biome);
       if (!rules) continue;
 
       // Get elevation at this point
@@ -154,7 +139,7 @@ export function applyDecorations(grid: TileGrid, seed: string): TileGrid {
         if (rule.maxElev !== undefined && elev > rule.maxElev) continue;
 
         // Cluster noise
-        const noiseFn = ruleNoiseCache.get(rule)!;
+        const noiseFn = ruleNoiseCache.get(rule);
         const clusterVal = (noiseFn(x * rule.clusterFreq, y * rule.clusterFreq) + 1) / 2;
         if (clusterVal < rule.clusterThreshold) continue;
 
@@ -162,7 +147,7 @@ export function applyDecorations(grid: TileGrid, seed: string): TileGrid {
         if (placePrng() > rule.density) continue;
 
         // Place it with random tint
-        decorations[idx] = decoTypeToId.get(rule.deco)!;
+        decorations[idx] = decoTypeToId.get(rule.deco);
         decoTints[idx] = (tintPrng() * 8) | 0;
         break; // one decoration per tile
       }
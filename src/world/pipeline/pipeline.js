@@ -0,0 +1,58 @@
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { generateTileGrid } from '../layer2-wfc/generator.js';
+import { applyNoise } from '../layer3-noise/generator.js';
+import { applyDecorations } from '../layer4-decorations/generator.js';
+import { placeRegions } from './regions.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_BLUEPRINT = resolve(__dirname, '../../../fixtures/sample-blueprint.json');
+
+/**
+ * @typedef {Object} WorldConfig
+ * @property {string} seed
+ * @property {number} [regionSize]     tiles per region side (default 16)
+ * @property {import('../types/index.js').WorldBlueprint} [blueprint]
+ * @property {string} [blueprintPath]  read when no blueprint is given (default fixtures/sample-blueprint.json)
+ */
+
+/**
+ * Blueprint → terrain (WFC) → noise variants → decorations, plus the blueprint's regions and
+ * points of interest placed in tiles. Same blueprint, seed and region size, same world.
+ * @param {WorldConfig} config
+ * @returns {import('../types/index.js').TileGrid}
+ */
+export function generateWorld(config) {
+  const { seed, regionSize = 16 } = config;
+
+  // Layer 1: Load blueprint
+  let blueprint = config.blueprint;
+  if (!blueprint) {
+    blueprint = JSON.parse(readFileSync(config.blueprintPath || DEFAULT_BLUEPRINT, 'utf-8'));
+  }
+  console.log(`[Layer 1] Blueprint: "${blueprint.name}" (${blueprint.width}x${blueprint.height} regions)`);
+
+  // Layer 2: WFC tile generation
+  console.log(`[Layer 2] Running WFC tile generation (region size: ${regionSize})...`);
+  const rawGrid = generateTileGrid(blueprint, seed, regionSize);
+  console.log(`[Layer 2] Generated tile grid: ${rawGrid.width}x${rawGrid.height} (${rawGrid.tileDefs.length} tile types)`);
+
+  // Layer 3: Noise-based variation
+  console.log('[Layer 3] Applying noise-based tile variations...');
+  const finalGrid = applyNoise(rawGrid, seed);
+  console.log(`[Layer 3] Applied noise: ${finalGrid.tileDefs.length} tile types (including variants)`);
+
+  // Layer 4: Decoration overlay
+  console.log('[Layer 4] Generating decoration overlay...');
+  const decoratedGrid = applyDecorations(finalGrid, seed);
+  const decoCount = decoratedGrid.decorations.filter(d => d !== 0).length;
+  console.log(`[Layer 4] Placed ${decoCount} decorations`);
+
+  // Named places: region outlines and points of interest, in tiles
+  const { regions, pointsOfInterest } = placeRegions(blueprint, regionSize);
+  console.log(`[Regions] ${regions.length} regions, ${pointsOfInterest.length} points of interest`);
+
+  return { seed, ...decoratedGrid, regions, pointsOfInterest };
+}
@@ -0,0 +1,54 @@
+import { DEFAULT_REGION_SIZE } from '../layer2-wfc/generator.js';
+
+/**
+ * @typedef {import('../types/index.js').WorldBlueprint} WorldBlueprint
+ * @typedef {import('../types/index.js').RegionOutline} RegionOutline
+ * @typedef {import('../types/index.js').PlacedPointOfInterest} PlacedPointOfInterest
+ */
+
+/**
+ * Where a point of interest sits inside its region. Blueprints give offsets either as fractions
+ * of the region (0-1) or in tiles of a default-sized region; both are scaled to `regionSize`.
+ */
+function poiOffset(poi, regionSize) {
+  const fractional = poi.x <= 1 && poi.y <= 1;
+  const scale = fractional ? regionSize : regionSize / DEFAULT_REGION_SIZE;
+  const clamp = (v) => Math.max(0, Math.min(regionSize - 1, Math.floor(v * scale)));
+  return { x: clamp(poi.x), y: clamp(poi.y) };
+}
+
+/**
+ * The blueprint's named regions as tile-space outlines, and its points of interest at absolute
+ * tile coordinates — what the running world needs to name places, without the blueprint.
+ * @param {WorldBlueprint} blueprint
+ * @param {number} regionSize tiles per region side
+ * @returns {{ regions: RegionOutline[], pointsOfInterest: PlacedPointOfInterest[] }}
+ */
+export function placeRegions(blueprint, regionSize) {
+  const regions = [];
+  const pointsOfInterest = [];
+  for (const region of blueprint.regions) {
+    const x0 = region.gridX * regionSize, y0 = region.gridY * regionSize;
+    const x1 = x0 + regionSize, y1 = y0 + regionSize;
+    regions.push({
+      id: region.id,
+      name: region.name,
+      description: region.description,
+      biome: region.biome,
+      polygon: [[x0, y0], [x1, y0], [x1, y1], [x0, y1]],
+    });
+    (region.pointsOfInterest || []).forEach((poi, i) => {
+      const { x, y } = poiOffset(poi, regionSize);
+      pointsOfInterest.push({
+        id: `${region.id}:${i}`,
+        name: poi.name,
+        description: poi.description,
+        type: poi.type,
+        region: region.id,
+        x: x0 + x,
+        y: y0 + y,
+      });
+    });
+  }
+  return { regions, pointsOfInterest };
+}
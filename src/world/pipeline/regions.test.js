@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { placeRegions } from './regions.js';
+import { DEFAULT_REGION_SIZE } from '../layer2-wfc/generator.js';
+
+const blueprint = {
+  regions: [
+    { id: 'r-0-0', name: 'Drift Shallows', description: 'Open sea.', biome: 'ocean', gridX: 0, gridY: 0 },
+    {
+      id: 'r-1-0', name: 'Greenmere', description: 'Rolling meadows.', biome: 'grassland', gridX: 1, gridY: 0,
+      pointsOfInterest: [
+        { name: 'Old Well', description: 'A well.', type: 'landmark', x: 0.5, y: 0.25 },
+        { name: 'Mill', description: 'A mill.', type: 'structure', x: 8, y: 4 },
+        { name: 'Edge Stone', description: 'At the far corner.', type: 'landmark', x: 1, y: 1 },
+      ],
+    },
+  ],
+};
+
+describe('placeRegions', () => {
+  it('outlines each region in tiles', () => {
+    const { regions } = placeRegions(blueprint, 40);
+    assert.deepEqual(regions.map(r => r.id), ['r-0-0', 'r-1-0']);
+    assert.deepEqual(regions[1], {
+      id: 'r-1-0', name: 'Greenmere', description: 'Rolling meadows.', biome: 'grassland',
+      polygon: [[40, 0], [80, 0], [80, 40], [40, 40]],
+    });
+  });
+
+  it('places points of interest at absolute tile coordinates', () => {
+    const { pointsOfInterest } = placeRegions(blueprint, 40);
+    assert.deepEqual(pointsOfInterest.map(({ id, region, x, y }) => ({ id, region, x, y })), [
+      { id: 'r-1-0:0', region: 'r-1-0', x: 40 + 20, y: 10 },           // fractions of the region
+      { id: 'r-1-0:1', region: 'r-1-0', x: 40 + 8 * 40 / DEFAULT_REGION_SIZE, y: 4 * 40 / DEFAULT_REGION_SIZE }, // tiles of a default-sized one
+      { id: 'r-1-0:2', region: 'r-1-0', x: 40 + 39, y: 39 },           // kept inside the region
+    ]);
+    assert.equal(pointsOfInterest[1].name, 'Mill');
+    assert.equal(pointsOfInterest[1].type, 'structure');
+  });
+
+  it('scales with the region size', () => {
+    const small = placeRegions(blueprint, 10).pointsOfInterest[0];
+    assert.deepEqual([small.x, small.y], [15, 2]);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * World generation data shapes
+ *
+ * A blueprint (fixtures/*-blueprint.json) lays the world out as a grid of regions; the pipeline
+ * turns it into a TileGrid, which is what output/world.json holds.
+ *
+ * @typedef {'ocean' | 'beach' | 'grassland' | 'forest' | 'desert' | 'mountain' | 'tundra' | 'swamp'} BiomeType
+ * @typedef {'gradual' | 'sharp' | 'river' | 'cliff'} TransitionType
+ *
+ * @typedef {Object} PointOfInterest
+ * @property {string} name
+ * @property {string} description
+ * @property {number} x             tile offset inside the region
+ * @property {number} y
+ * @property {string} type
+ *
+ * @typedef {Object} Region
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {BiomeType} biome
+ * @property {number} elevation     0-1
+ * @property {number} moisture      0-1
+ * @property {number} gridX
+ * @property {number} gridY
+ * @property {PointOfInterest[]} pointsOfInterest
+ * @property {{ north?: TransitionType, south?: TransitionType, east?: TransitionType, west?: TransitionType }} transitions
+ *
+ * @typedef {Object} WorldBlueprint
+ * @property {string} seed
+ * @property {number} width         regions across
+ * @property {number} height        regions down
+ * @property {string} name
+ * @property {string} description
+ * @property {Region[]} regions     row-major
+ *
+ * @typedef {Object} TileDefinition
+ * @property {number} id
+ * @property {string} name
+ * @property {BiomeType} biome
+ * @property {boolean} walkable
+ * @property {number} [variant]
+ *
+ * A border between two adjacent regions
+ * @typedef {Object} RegionEdge
+ * @property {number} fromRegion    index into blueprint.regions
+ * @property {number} toRegion
+ * @property {'north' | 'south' | 'east' | 'west'} direction
+ * @property {BiomeType} fromBiome
+ * @property {BiomeType} toBiome
+ * @property {TransitionType | 'none'} transition
+ *
+ * A blueprint region placed in the world — its outline in tile coordinates (x right, y down;
+ * edges run along tile corners)
+ * @typedef {Object} RegionOutline
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {BiomeType} biome
+ * @property {[number, number][]} polygon
+ *
+ * A point of interest at its absolute tile
+ * @typedef {Object} PlacedPointOfInterest
+ * @property {string} id            "<region id>:<index in the region's list>"
+ * @property {string} name
+ * @property {string} description
+ * @property {string} type
+ * @property {string} region        region id
+ * @property {number} x
+ * @property {number} y
+ *
+ * @typedef {Object} TileGrid
+ * @property {string} [seed]
+ * @property {number} width         tiles across
+ * @property {number} height        tiles down
+ * @property {number} regionSize    tiles per region side
+ * @property {number[]} terrain     row-major tile ids
+ * @property {number[]} decorations row-major decoration ids (0 = none)
+ * @property {number[]} [decoTints] row-major tint index per decoration (0-7)
+ * @property {number[]} regionGrid  row-major index into blueprint.regions
+ * @property {RegionEdge[]} edges
+ * @property {TileDefinition[]} tileDefs
+ * @property {WorldBlueprint} blueprint
+ * @property {RegionOutline[]} [regions]
+ * @property {PlacedPointOfInterest[]} [pointsOfInterest]
+ */
+
+export {};
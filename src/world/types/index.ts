@@ -1,13 +0,0 @@
-export type {
-  BiomeType,
-  TransitionType,
-  PointOfInterest,
-  Region,
-  WorldBlueprint,
-} from './world-blueprint.js';
-
-export type {
-  TileDefinition,
-  RegionEdge,
-  TileGrid,
-} from './tile-grid.js';